@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+// 命令行转换：.ggb / .xml -> .tex，流程与画板「导出 TikZ」一致（parse -> generate -> optimizeTikzCodeRules）
+import { readFileSync, writeFileSync } from 'node:fs';
+import { basename } from 'node:path';
+import { parseArgs } from 'node:util';
+import { extractGeoGebraXml } from '../src/lib/ggbFile.js';
+import { convertGeoGebraXml } from '../src/lib/ggbToTikz.js';
+import { installDomParser } from './nodeDomParser.js';
+
+// GGBParser 依赖浏览器 DOMParser，Node 下用 linkedom 补齐
+installDomParser();
+
+const OUTPUT_MODES = ['figure', 'standalone', 'tikz', 'beamer'];
+const SCALE_PRIORITIES = ['fit', 'width', 'height'];
+
+const USAGE = `用法: ggb2tikz <input.ggb|input.xml> [-o out.tex] [选项]
+
+选项:
+  -o, --output <file>       输出文件（缺省输出到 stdout）
+  -m, --mode <mode>         输出模式: figure | standalone | tikz | beamer（默认 figure）
+  -w, --target-width <cm>   目标宽度 cm（默认 9）
+      --target-height <cm>  目标高度 cm（默认 9）
+      --priority <p>        缩放优先级: fit | width | height（默认 fit）
+      --no-axis             不绘制坐标轴
+      --transform-scopes    变换的像写成原对象 + rotate around/shift 等 scope
+      --param-macros        滑动条/自由数输出为 \\pgfmathsetmacro，依赖它们的点与函数引用宏
+      --pgfplots            用 pgfplots 的 axis 环境画坐标轴，函数与参数曲线改用 \\addplot
+      --tkz-euclide         点、线段、圆、多边形与垂线/角分线/切线等作图关系改用 tkz-euclide 宏
+      --caption <text>      figure 模式的标题（beamer 模式为 frame 标题）
+      --label <text>        figure 模式的 \\label
+      --raw                 跳过规则优化，输出生成器原始代码
+  -h, --help                显示帮助`;
+
+function readNumberOption(values, key, fallback) {
+  if (values[key] === undefined) return fallback;
+  const n = Number(values[key]);
+  if (!Number.isFinite(n)) {
+    throw new Error(`--${key} 需要数字，收到：${values[key]}`);
+  }
+  return n;
+}
+
+function convert(xml, values) {
+  const generatorOptions = {
+    outputMode: values.mode,
+    axis: !values['no-axis'],
+    transformScopes: values['transform-scopes'],
+    parameterMacros: values['param-macros'],
+    axisMode: values.pgfplots ? 'pgfplots' : 'tikz',
+    geometryStyle: values['tkz-euclide'] ? 'tkz-euclide' : 'tikz'
+  };
+  if (values.caption !== undefined) generatorOptions.figureCaption = values.caption;
+  if (values.label !== undefined) generatorOptions.figureLabel = values.label;
+
+  const { code } = convertGeoGebraXml(xml, {
+    generatorOptions,
+    optimize: !values.raw,
+    optimizePrefs: {
+      targetWidthCm: readNumberOption(values, 'target-width', 9),
+      targetHeightCm: readNumberOption(values, 'target-height', 9),
+      scalePriority: values.priority
+    }
+  });
+  return code;
+}
+
+function main(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      mode: { type: 'string', short: 'm', default: 'figure' },
+      'target-width': { type: 'string', short: 'w' },
+      'target-height': { type: 'string' },
+      priority: { type: 'string', default: 'fit' },
+      'no-axis': { type: 'boolean', default: false },
+      'transform-scopes': { type: 'boolean', default: false },
+      'param-macros': { type: 'boolean', default: false },
+      pgfplots: { type: 'boolean', default: false },
+      'tkz-euclide': { type: 'boolean', default: false },
+      caption: { type: 'string' },
+      label: { type: 'string' },
+      raw: { type: 'boolean', default: false },
+      help: { type: 'boolean', short: 'h', default: false }
+    }
+  });
+
+  if (values.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return;
+  }
+  if (positionals.length !== 1) {
+    throw new Error('需要且仅需要一个输入文件');
+  }
+  if (!OUTPUT_MODES.includes(values.mode)) {
+    throw new Error(`不支持的输出模式：${values.mode}`);
+  }
+  if (!SCALE_PRIORITIES.includes(values.priority)) {
+    throw new Error(`不支持的缩放优先级：${values.priority}`);
+  }
+
+  const inputPath = positionals[0];
+  const xml = extractGeoGebraXml(readFileSync(inputPath), basename(inputPath));
+  const code = convert(xml, values);
+  if (values.output) {
+    writeFileSync(values.output, code.endsWith('\n') ? code : `${code}\n`, 'utf8');
+  } else {
+    process.stdout.write(code.endsWith('\n') ? code : `${code}\n`);
+  }
+}
+
+try {
+  main(process.argv.slice(2));
+} catch (e) {
+  process.stderr.write(`ggb2tikz 失败：${e.message}\n使用 --help 查看用法\n`);
+  process.exitCode = 1;
+}
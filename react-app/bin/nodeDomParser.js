@@ -0,0 +1,26 @@
+// Node 下的 DOMParser：GGBParser、boardScript 依赖浏览器 DOMParser，命令行与测试用 linkedom 补齐。
+// linkedom 解析 XML 时已经解码了属性里的实体，getAttribute 却又把 & < > 转义回去（exp="a &lt; b" 读出来仍是 &lt;），
+// 与浏览器不一致；这里让 getAttribute 直接返回解码后的值，共享的解析代码就不必再手动解码
+import { DOMParser } from 'linkedom';
+
+function patchGetAttribute() {
+  const doc = new DOMParser().parseFromString('<root/>', 'text/xml');
+  let proto = Object.getPrototypeOf(doc.documentElement);
+  while (proto && !Object.prototype.hasOwnProperty.call(proto, 'getAttribute')) {
+    proto = Object.getPrototypeOf(proto);
+  }
+  if (!proto || proto.getAttribute.nodeDomParserPatched) return;
+  const getAttribute = function getAttribute(name) {
+    if (name === 'class') return this.className;
+    const node = this.getAttributeNode(name);
+    return node ? node.value : null;
+  };
+  getAttribute.nodeDomParserPatched = true;
+  proto.getAttribute = getAttribute;
+}
+
+export function installDomParser() {
+  if (typeof globalThis.DOMParser !== 'undefined') return;
+  patchGetAttribute();
+  globalThis.DOMParser = DOMParser;
+}
@@ -1,5 +1,7 @@
 import CommandPanel from './components/CommandPanel';
 import NativeBoard from './components/NativeBoard';
+import ProjectManager from './components/ProjectManager';
+import { EMPTY_BATCH_HISTORY, pushBatch } from './lib/batchHistory';
 import { useCallback, useEffect, useRef, useState } from 'react';
 
 const BASE_URL = import.meta.env.BASE_URL || '/';
@@ -15,7 +17,12 @@ export default function App() {
     if (Number.isFinite(raw) && raw >= MIN_LEFT && raw <= MAX_LEFT) return raw;
     return 62;
   });
+  const [projectsOpen, setProjectsOpen] = useState(false);
+  // 命令区每次执行记录一个批次，画板工具栏据此撤销/重做
+  const [batchHistory, setBatchHistory] = useState(EMPTY_BATCH_HISTORY);
   const shellRef = useRef(null);
+  // 左右面板各自登记项目存档的 collect/restore，由 ProjectManager 统一调度
+  const projectBridgesRef = useRef({ command: null, board: null });
 
   const openLegacy = () => {
     window.open(`${BASE_URL}legacy-index.html`, '_blank', 'noopener,noreferrer');
@@ -26,6 +33,17 @@ export default function App() {
     setGgbReady(!!ready);
   }, []);
 
+  const handleProjectBridge = useCallback((key, bridge) => {
+    projectBridgesRef.current[key] = bridge;
+  }, []);
+
+  // beamer 分步导出按命令编辑器的空行分段，从命令区的项目桥读取当前脚本
+  const getCommandScript = useCallback(() => projectBridgesRef.current.command?.collect()?.editor || '', []);
+
+  const handleBatchExecuted = useCallback((entry) => {
+    setBatchHistory((prev) => pushBatch(prev, entry));
+  }, []);
+
   useEffect(() => {
     localStorage.setItem(STORAGE_SPLIT, String(leftPercent));
   }, [leftPercent]);
@@ -54,7 +72,14 @@ export default function App() {
   return (
     <div className="app-shell" ref={shellRef}>
       <div className="split-pane split-left" style={{ width: `${leftPercent}%` }}>
-        <CommandPanel ggbApi={ggbApi} ggbReady={ggbReady} onOpenLegacy={openLegacy} />
+        <CommandPanel
+          ggbApi={ggbApi}
+          ggbReady={ggbReady}
+          onOpenLegacy={openLegacy}
+          onOpenProjects={() => setProjectsOpen(true)}
+          onProjectBridge={handleProjectBridge}
+          onBatchExecuted={handleBatchExecuted}
+        />
       </div>
       <div
         className="split-divider"
@@ -64,8 +89,20 @@ export default function App() {
         aria-orientation="vertical"
       />
       <div className="split-pane split-right">
-        <NativeBoard onReadyChange={handleBoardReadyChange} />
+        <NativeBoard
+          onReadyChange={handleBoardReadyChange}
+          onProjectBridge={handleProjectBridge}
+          batchHistory={batchHistory}
+          onBatchHistoryChange={setBatchHistory}
+          getCommandScript={getCommandScript}
+        />
       </div>
+      <ProjectManager
+        open={projectsOpen}
+        onClose={() => setProjectsOpen(false)}
+        bridgesRef={projectBridgesRef}
+        ggbReady={ggbReady}
+      />
     </div>
   );
 }
@@ -3,10 +3,31 @@ import {
   getProviderMap,
   removeCustomProvider,
   upsertCustomProvider,
-  isCustomProvider
+  isCustomProvider,
+  detectVisionModel
 } from '../lib/providers';
 import { requestWithFallback } from '../lib/llm';
+import { CUSTOM_PROVIDER_ADAPTERS, getLlmAdapter, resolveAdapterKey } from '../lib/llmAdapters';
 import { searchGGBCompletions } from '../lib/ggbCompletions';
+import {
+  buildRepairMessage,
+  countRepairIssues,
+  describeRepairIssues,
+  diffLines,
+  evalCommandsWithErrors,
+  splitScriptDiagnostics
+} from '../lib/autoFix';
+import { checkCommandScript, formatDiagnostic, kindFromBoardType } from '../lib/ggbSignatures';
+import { buildBoardContext, EMPTY_BOARD_TEXT } from '../lib/boardContext';
+import { restoreBatchXml } from '../lib/batchHistory';
+import { isLocusSampleObject } from '../lib/ggbParser';
+import { constructionToScript, formatBoardScript, GGB_SCRIPT_COMMANDS } from '../lib/boardScript';
+import {
+  parseConstructionPlan,
+  PLAN_OUTPUT_INSTRUCTIONS,
+  planResponseFormat,
+  validateConstructionPlan
+} from '../lib/constructionPlan';
 
 const BASE_URL = import.meta.env.BASE_URL || '/';
 const withBase = (path) => `${BASE_URL}${String(path || '').replace(/^\/+/, '')}`;
@@ -18,6 +39,11 @@ const STORAGE_MAX_HISTORY = 'ggb_max_history';
 const STORAGE_SHOW_AXES = 'ggb_show_axes';
 const STORAGE_SHOW_GRID = 'ggb_show_grid';
 const STORAGE_STRICT_WHITELIST = 'ggb_strict_whitelist';
+const STORAGE_STREAM_RESPONSES = 'ggb_stream_responses';
+const STORAGE_OUTPUT_FORMAT = 'ggb_output_format';
+const STORAGE_AUTO_FIX = 'ggb_auto_fix';
+const STORAGE_AUTO_FIX_ROUNDS = 'ggb_auto_fix_rounds';
+const STORAGE_STEP_DELAY = 'ggb_step_delay_ms';
 const STORAGE_UI_FONT = 'ggb_ui_font';
 const STORAGE_UI_FONT_SIZE = 'ggb_ui_font_size';
 const STORAGE_EXPORT_IMAGE_MODE = 'ggb_export_image_mode';
@@ -36,22 +62,26 @@ const STORAGE_ACTIVE_PROMPT = 'ggb_active_prompt';
 const STORAGE_BYOK_CHECKLIST = 'ggb_byok_checklist_v1';
 const DEFAULT_PROMPT_PATH = withBase('prompts/default-prompt.txt');
 const DEFAULT_PROMPT_FALLBACK = '你是 GeoGebra 指令生成器。只输出每行一条可执行命令，不要解释。\n画布对象：\n{{CURRENT_OBJECTS}}\n用户输入：\n{{USER_INPUT}}';
-const BUILTIN_PROVIDER_ORDER = ['openai', 'deepseek', 'siliconflow', 'doubao', 'qwen', 'kimi'];
+const BUILTIN_PROVIDER_ORDER = ['openai', 'deepseek', 'siliconflow', 'doubao', 'qwen', 'kimi', 'local', 'ollama'];
 const BUILTIN_PROVIDER_ICONS = {
   openai: '🌐',
   deepseek: '🟣',
   siliconflow: '⚡',
   doubao: '🟢',
   qwen: '✨',
-  kimi: '🌙'
+  kimi: '🌙',
+  local: '💻',
+  ollama: '🦙'
 };
+// 本地服务连不上时多半是未启动或跨域被拦
+const LOCAL_SERVER_HINT = '（请确认本地服务已启动；Ollama 需设置 OLLAMA_ORIGINS 允许本页面跨域访问）';
 
 const TIKZ_THICKNESS_OPTIONS = ['thin', 'semithick', 'thick', 'very thick', 'ultra thick'];
 const BYOK_CHECK_ITEMS = [
   { id: 'no_hardcoded_key', text: '代码与示例中没有真实 API Key' },
   { id: 'no_default_key', text: '页面默认不预填平台密钥' },
   { id: 'local_only', text: '密钥仅存本地浏览器，不上传服务器' },
-  { id: 'auth_header_only', text: '密钥仅走 Authorization Header，不写 URL 参数' },
+  { id: 'auth_header_only', text: '密钥仅走请求头（Authorization / x-api-key），不写 URL 参数' },
   { id: 'logs_masked', text: '日志与报错不输出完整密钥' },
   { id: 'test_connection', text: '已验证“测试连接”可用' },
   { id: 'clear_key', text: '已提供并验证“清除本地密钥”可用' },
@@ -66,7 +96,9 @@ const GGB_ALLOWED_COMMANDS = new Set([
   'Circle', 'Incircle', 'Ellipse', 'Hyperbola', 'Parabola',
   'Tangent', 'OrthogonalLine', 'PerpendicularLine', 'PerpendicularBisector', 'AngularBisector',
   'Semicircle', 'CircleArc', 'CircleSector', 'CircumcircleArc', 'CircumcircleSector',
-  'Midpoint', 'Center'
+  'Midpoint', 'Center', 'Curve', 'Locus',
+  'Reflect', 'Rotate', 'Translate', 'Dilate',
+  'Sequence', 'Zip', 'Sum', 'Product', 'IterationList', 'Iteration', 'KeepIf', 'CountIf'
 ]);
 
 const GGB_ALLOWED_MATH_FUNCS = new Set([
@@ -85,11 +117,12 @@ function getSavedKeysMap() {
   }
 }
 
-function buildSystemPrompt(template, userInput) {
-  const currentObjects = '（画布为空）';
+function buildSystemPrompt(template, userInput, boardContext) {
+  const objects = boardContext?.objects || EMPTY_BOARD_TEXT;
+  const history = boardContext?.history || EMPTY_BOARD_TEXT;
   return template
-    .replace(/\{\{CURRENT_OBJECTS\}\}/g, currentObjects)
-    .replace(/\{\{COMMAND_HISTORY\}\}/g, currentObjects)
+    .replace(/\{\{CURRENT_OBJECTS\}\}/g, () => objects)
+    .replace(/\{\{COMMAND_HISTORY\}\}/g, () => history)
     .replace(/\{\{USER_INPUT\}\}/g, userInput || '');
 }
 
@@ -150,7 +183,7 @@ function validateCommandsAgainstWhitelist(lines) {
 
     const name = extractPrimaryCallName(normalizedLine);
     if (!name) return;
-    if (GGB_ALLOWED_COMMANDS.has(name)) return;
+    if (GGB_ALLOWED_COMMANDS.has(name) || GGB_SCRIPT_COMMANDS.has(name)) return;
     if (GGB_ALLOWED_MATH_FUNCS.has(name.toLowerCase())) return;
     invalid.push({ lineNo: idx + 1, line, name });
   });
@@ -166,6 +199,43 @@ function formatInvalidPreview(invalid) {
   }).join('；');
 }
 
+// 画板已有对象（标签 -> 种类），供签名校验识别已定义的引用
+function readBoardObjectKinds(api) {
+  const kinds = {};
+  if (!api || typeof api.getAllObjectNames !== 'function') return kinds;
+  (api.getAllObjectNames() || []).forEach((name) => {
+    const type = typeof api.getObjectType === 'function' ? api.getObjectType(name) : '';
+    kinds[name] = kindFromBoardType(type);
+  });
+  return kinds;
+}
+
+// 逐步执行的命令行：记录所在编辑器行号（从 0 开始），跳过空行、注释与代码围栏
+function buildStepLines(rawText) {
+  const out = [];
+  String(rawText || '').split('\n').forEach((raw, idx) => {
+    const line = raw.trim();
+    if (!line || line.startsWith('```') || line.startsWith('//') || line.startsWith('#') || line.startsWith('--')) return;
+    out.push({ text: normalizePrimaryCommandAlias(line), editorLine: idx });
+  });
+  return out;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+function cleanAiCommandText(text) {
+  return (text || '').replace(/```[\w]*\n?/g, '').replace(/```/g, '').trim();
+}
+
+function appendAiBlock(editorText, block) {
+  const current = (editorText || '').trim();
+  if (!current) return block;
+  const divider = `\n\n-- AI 追加 ${new Date().toLocaleTimeString()}\n`;
+  return `${current}${divider}${block}`;
+}
+
 function getLegacyWindow() {
   const iframe = document.querySelector('.legacy-frame');
   if (!iframe || !iframe.contentWindow) return null;
@@ -188,34 +258,6 @@ function getLegacyCommandInput(legacyWin) {
   return el ? (el.value || '') : '';
 }
 
-function extractCommandsFromXML(xmlString) {
-  try {
-    const doc = new DOMParser().parseFromString(xmlString, 'text/xml');
-    const construction = doc.querySelector('construction');
-    if (!construction) return [];
-
-    const lines = [];
-    construction.querySelectorAll('command').forEach((cmd) => {
-      const name = cmd.getAttribute('name');
-      const input = cmd.querySelector('input');
-      if (!name || !input) return;
-
-      const args = [];
-      for (let i = 0; ; i++) {
-        const v = input.getAttribute(`a${i}`);
-        if (v === null) break;
-        args.push(v);
-      }
-      if (args.length > 0) {
-        lines.push(`${name}(${args.join(', ')})`);
-      }
-    });
-    return lines;
-  } catch {
-    return [];
-  }
-}
-
 function loadPromptConfigs() {
   try {
     const arr = JSON.parse(localStorage.getItem(STORAGE_PROMPT_CONFIGS) || '[]');
@@ -277,10 +319,10 @@ function normalizeModelItemsFromResponse(data) {
 
   const items = rawList
     .map((item) => {
-      if (typeof item === 'string') return { id: item, name: item };
+      if (typeof item === 'string') return { id: item, name: item, vision: detectVisionModel(item) };
       const id = item?.id || item?.model || item?.name || '';
       if (!id) return null;
-      return { id: String(id), name: String(id) };
+      return { id: String(id), name: String(id), vision: detectVisionModel(item) };
     })
     .filter(Boolean);
 
@@ -306,7 +348,7 @@ function classifyModelGroup(modelId) {
   return id.split('-')[0] || '其他';
 }
 
-export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
+export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy, onOpenProjects, onProjectBridge, onBatchExecuted }) {
   const [providerMap, setProviderMap] = useState(() => getProviderMap());
   const providerKeys = useMemo(() => Object.keys(providerMap), [providerMap]);
   const providerEntries = useMemo(() => {
@@ -331,10 +373,12 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
   }, [providerKeys, providerMap]);
   const [providerKey, setProviderKey] = useState(() => localStorage.getItem(STORAGE_PROVIDER) || 'openai');
   const provider = useMemo(() => providerMap[providerKey] || providerMap.openai, [providerKey, providerMap]);
+  const providerAdapter = useMemo(() => getLlmAdapter(resolveAdapterKey(providerKey, provider?.adapter)), [providerKey, provider]);
 
   const [apiKey, setApiKey] = useState('');
   const [model, setModel] = useState(() => localStorage.getItem(STORAGE_MODEL) || '');
   const [models, setModels] = useState([]);
+  const selectedModelInfo = useMemo(() => models.find((m) => (m.id || m.value) === model) || null, [models, model]);
   const groupedModels = useMemo(() => {
     const groups = new Map();
     (models || []).forEach((m) => {
@@ -354,6 +398,10 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
   const [showAxes, setShowAxes] = useState(() => (localStorage.getItem(STORAGE_SHOW_AXES) || 'on') === 'on');
   const [showGrid, setShowGrid] = useState(() => (localStorage.getItem(STORAGE_SHOW_GRID) || 'off') === 'on');
   const [strictWhitelist, setStrictWhitelist] = useState(() => (localStorage.getItem(STORAGE_STRICT_WHITELIST) || 'off') === 'on');
+  const [streamResponses, setStreamResponses] = useState(() => (localStorage.getItem(STORAGE_STREAM_RESPONSES) || 'on') === 'on');
+  const [outputFormat, setOutputFormat] = useState(() => (localStorage.getItem(STORAGE_OUTPUT_FORMAT) === 'plan' ? 'plan' : 'lines'));
+  const [autoFix, setAutoFix] = useState(() => (localStorage.getItem(STORAGE_AUTO_FIX) || 'off') === 'on');
+  const [autoFixRounds, setAutoFixRounds] = useState(() => Number(localStorage.getItem(STORAGE_AUTO_FIX_ROUNDS) || 2));
   const [uiFont, setUiFont] = useState(() => localStorage.getItem(STORAGE_UI_FONT) || 'Arial');
   const [uiFontSize, setUiFontSize] = useState(() => Number(localStorage.getItem(STORAGE_UI_FONT_SIZE) || 14));
   const [imageExportMode, setImageExportMode] = useState(() => localStorage.getItem(STORAGE_EXPORT_IMAGE_MODE) || 'file');
@@ -390,7 +438,9 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
     key: '',
     name: '',
     baseUrl: '',
-    modelsEndpoint: '/models'
+    modelsEndpoint: '/models',
+    adapter: 'openai',
+    keyOptional: false
   });
   const [providerModalOpen, setProviderModalOpen] = useState(false);
   const [providerModalMode, setProviderModalMode] = useState('add');
@@ -411,11 +461,21 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
 
   const [commandEditor, setCommandEditor] = useState('');
   const [settingsOpen, setSettingsOpen] = useState(false);
+  const [contextPreview, setContextPreview] = useState(null);
   const [showApiKey, setShowApiKey] = useState(false);
 
   const chatEndRef = useRef(null);
+  const requestAbortRef = useRef(null);
   const promptEditorRef = useRef(null);
   const commandEditorRef = useRef(null);
+  const stepperRef = useRef(null);
+  const stepPlayingRef = useRef(false);
+  const stepFlashRef = useRef(null);
+  const [stepper, setStepper] = useState(null);
+  // 执行有失败行时暂存执行前快照，等待用户选择回滚或只保留成功行
+  const [batchFailure, setBatchFailure] = useState(null);
+  const [stepHighlight, setStepHighlight] = useState(null);
+  const [stepDelayMs, setStepDelayMs] = useState(() => Number(localStorage.getItem(STORAGE_STEP_DELAY) || 600));
   const [cmdCompletion, setCmdCompletion] = useState({
     open: false,
     items: [],
@@ -507,6 +567,26 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
     localStorage.setItem(STORAGE_STRICT_WHITELIST, strictWhitelist ? 'on' : 'off');
   }, [strictWhitelist]);
 
+  useEffect(() => {
+    localStorage.setItem(STORAGE_STREAM_RESPONSES, streamResponses ? 'on' : 'off');
+  }, [streamResponses]);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_OUTPUT_FORMAT, outputFormat);
+  }, [outputFormat]);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_AUTO_FIX, autoFix ? 'on' : 'off');
+  }, [autoFix]);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_AUTO_FIX_ROUNDS, String(autoFixRounds));
+  }, [autoFixRounds]);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_STEP_DELAY, String(stepDelayMs));
+  }, [stepDelayMs]);
+
   useEffect(() => {
     localStorage.setItem(STORAGE_UI_FONT, uiFont || 'Arial');
   }, [uiFont]);
@@ -595,7 +675,7 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
   };
 
   const testApiConnection = async () => {
-    if (!apiKey) {
+    if (!apiKey && !provider?.keyOptional) {
       setStatus('请先填写 API Key');
       return;
     }
@@ -603,7 +683,7 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
     try {
       const endpoint = provider?.modelsEndpoint || '/models';
       const resp = await fetch(`${provider.baseUrl}${endpoint}`, {
-        headers: { Authorization: `Bearer ${apiKey}` }
+        headers: providerAdapter.authHeaders(apiKey)
       });
       if (!resp.ok) {
         const raw = await resp.text();
@@ -611,7 +691,7 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
       }
       setStatus('连接成功：模型接口可用');
     } catch (e) {
-      setStatus(`连接失败：${e.message}`);
+      setStatus(`连接失败：${e.message}${provider?.keyOptional ? LOCAL_SERVER_HINT : ''}`);
     }
   };
 
@@ -640,7 +720,9 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
       key: '',
       name: '',
       baseUrl: '',
-      modelsEndpoint: '/models'
+      modelsEndpoint: '/models',
+      adapter: 'openai',
+      keyOptional: false
     });
     setProviderModalOpen(true);
   };
@@ -656,7 +738,9 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
       key: targetKey,
       name: item.name || '',
       baseUrl: item.baseUrl || '',
-      modelsEndpoint: item.modelsEndpoint || '/models'
+      modelsEndpoint: item.modelsEndpoint || '/models',
+      adapter: item.adapter || 'openai',
+      keyOptional: !!item.keyOptional
     });
     setProviderModalOpen(true);
   };
@@ -675,6 +759,8 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
         name,
         baseUrl,
         modelsEndpoint: String(customProviderDraft.modelsEndpoint || '').trim() || '/models',
+        adapter: customProviderDraft.adapter,
+        keyOptional: customProviderDraft.keyOptional,
         defaultModels: []
       });
       refreshProviderMap();
@@ -809,7 +895,7 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
   const loadModels = async () => {
     setStatus('模型加载中...');
     try {
-      if (!apiKey) {
+      if (!apiKey && !provider?.keyOptional) {
         setStatus('请先输入 API Key');
         return;
       }
@@ -820,7 +906,7 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
 
       const endpoint = provider.modelsEndpoint || '/models';
       const resp = await fetch(`${provider.baseUrl}${endpoint}`, {
-        headers: { Authorization: `Bearer ${apiKey}` }
+        headers: providerAdapter.authHeaders(apiKey)
       });
       if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
       const data = await resp.json();
@@ -828,7 +914,7 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
       const finalModels = arr.length > 0 ? arr : provider.defaultModels || [];
       if (finalModels.length === 0) {
         setModels([]);
-        setStatus('模型列表为空，请检查 API 地址或密钥权限');
+        setStatus(provider.keyOptional ? '本地服务没有可用模型，请先下载模型（如 ollama pull qwen2.5）' : '模型列表为空，请检查 API 地址或密钥权限');
         return;
       }
       setModels(finalModels);
@@ -847,7 +933,7 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
         setStatus(`模型获取失败，已回退预设：${e.message}`);
       } else {
         setModels([]);
-        setStatus(`模型获取失败：${e.message}`);
+        setStatus(`模型获取失败：${e.message}${provider?.keyOptional ? LOCAL_SERVER_HINT : ''}`);
       }
     }
   };
@@ -880,13 +966,61 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
   };
 
   const appendCommandsToEditor = (text) => {
-    const cleaned = (text || '').replace(/```[\w]*\n?/g, '').replace(/```/g, '').trim();
+    const cleaned = cleanAiCommandText(text);
     if (!cleaned) return;
-    setCommandEditor((prev) => {
-      const current = (prev || '').trim();
-      if (!current) return cleaned;
-      const divider = `\n\n-- AI 追加 ${new Date().toLocaleTimeString()}\n`;
-      return `${current}${divider}${cleaned}`;
+    setCommandEditor((prev) => appendAiBlock(prev, cleaned));
+  };
+
+  // 流式输出时按整行写入编辑器：只处理已出现换行的完整行，结束时再补上最后一行
+  const createEditorLineStreamer = () => {
+    let consumed = 0;
+    let started = false;
+
+    const push = (lines) => {
+      const kept = lines.filter((line) => !/^\s*```/.test(line));
+      while (!started && kept.length > 0 && !kept[0].trim()) kept.shift();
+      if (kept.length === 0) return;
+      const chunk = kept.join('\n');
+      const first = !started;
+      started = true;
+      setCommandEditor((prev) => (first ? appendAiBlock(prev, chunk) : `${prev}\n${chunk}`));
+    };
+
+    return {
+      feed(content) {
+        const end = content.lastIndexOf('\n');
+        if (end < 0) return;
+        const lines = content.slice(0, end).split('\n');
+        push(lines.slice(consumed));
+        consumed = lines.length;
+      },
+      finish(content) {
+        const lines = content.replace(/\s+$/, '').split('\n');
+        push(lines.slice(consumed));
+        consumed = lines.length;
+      }
+    };
+  };
+
+  const updateChatMessage = (id, patch) => {
+    setChatMessages((prev) => prev.map((msg) => (msg.id === id ? { ...msg, ...patch } : msg)));
+  };
+
+  const stopRequest = () => {
+    requestAbortRef.current?.abort();
+  };
+
+  // 发送时现读画板，保证提示词里的对象与画布一致；画板未就绪时按空画布处理
+  const readBoardContext = () => (ggbReady && ggbApi ? buildBoardContext(ggbApi) : null);
+
+  const openContextPreview = () => {
+    const context = readBoardContext();
+    setContextPreview({
+      objects: context?.objects || EMPTY_BOARD_TEXT,
+      history: context?.history || EMPTY_BOARD_TEXT,
+      objectCount: context?.objectCount || 0,
+      usesObjects: /\{\{CURRENT_OBJECTS\}\}/.test(promptTemplate),
+      usesHistory: /\{\{COMMAND_HISTORY\}\}/.test(promptTemplate)
     });
   };
 
@@ -894,14 +1028,19 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
     const text = userInput.trim();
     const hasImage = !!pendingImageDataUrl;
 
-    if (!apiKey || !model) {
-      setStatus('请先填写 API Key 和模型');
+    if ((!apiKey && !provider.keyOptional) || !model) {
+      setStatus(provider.keyOptional ? '请先刷新并选择本地模型' : '请先填写 API Key 和模型');
       return;
     }
     if (!text && !hasImage) {
       setStatus('请输入内容或粘贴图片');
       return;
     }
+    // 模型列表明确标出不支持图片时（如 Ollama 的纯文本模型）直接拦下，未知时照常发送
+    if (hasImage && selectedModelInfo?.vision === false) {
+      setStatus(`${model} 不支持图片输入，请换用视觉模型（如 qwen2.5vl、llava）或移除图片`);
+      return;
+    }
 
     const userBubbleText = text || '（图片）';
     const imageDataUrl = pendingImageDataUrl;
@@ -922,7 +1061,11 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
     setStatus('请求中...');
 
     try {
-      const messages = [{ role: 'system', content: buildSystemPrompt(promptTemplate, '') }];
+      const systemPrompt = buildSystemPrompt(promptTemplate, '', readBoardContext());
+      const messages = [{
+        role: 'system',
+        content: outputFormat === 'plan' ? `${systemPrompt}\n\n${PLAN_OUTPUT_INSTRUCTIONS}` : systemPrompt
+      }];
 
       if (contextMemory) {
         const recent = conversationHistory.slice(-Math.max(1, maxHistory) * 2);
@@ -941,53 +1084,262 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
         messages.push({ role: 'user', content: text });
       }
 
-      const result = await requestWithFallback({
+      const editorBase = commandEditor;
+      // JSON 计划要等完整响应才能编译，不逐行写入编辑器
+      const editorStreamer = streamResponses && outputFormat !== 'plan' ? createEditorLineStreamer() : null;
+      const result = await requestAssistantReply(messages, { editorStreamer });
+      if (!result) return;
+      if (!editorStreamer) appendCommandsToEditor(result.script);
+
+      const turnHistory = [
+        { role: 'user', content: text || '[用户发送了一张图片]' },
+        { role: 'assistant', content: result.content }
+      ];
+
+      let finalStatus = result.planError
+        ? `作图计划解析失败：${result.planError}`
+        : `请求成功（通道：${result.via}）`;
+      if (autoFix && !result.planError) {
+        const fixed = await runAutoFixLoop({
+          messages: [...messages, { role: 'assistant', content: result.content }],
+          script: result.script,
+          editorBase
+        });
+        turnHistory.push(...fixed.history);
+        finalStatus = fixed.status;
+      }
+
+      setConversationHistory((prev) => {
+        const next = [...prev, ...turnHistory];
+        return next.slice(-Math.max(1, maxHistory) * 2);
+      });
+
+      setStatus(finalStatus);
+    } catch (e) {
+      const msg = `请求失败：${e.message}`;
+      setChatMessages((prev) => [
+        ...prev.filter((item) => !(item.streaming && !item.text)),
+        {
+          role: 'assistant',
+          text: msg,
+          time: Date.now(),
+          error: true
+        }
+      ].map((item) => (item.streaming ? { ...item, streaming: false } : item)));
+      setStatus(msg);
+    } finally {
+      requestAbortRef.current = null;
+      setLoading(false);
+    }
+  };
+
+  // JSON 计划模式：解析并按签名表校验，编译出的命令作为本轮脚本；解析失败时脚本为空
+  const interpretReply = (content) => {
+    if (outputFormat !== 'plan') return { script: content, meta: {} };
+    try {
+      const plan = parseConstructionPlan(content);
+      const steps = validateConstructionPlan(plan, ggbReady ? readBoardObjectKinds(ggbApi) : {});
+      return { script: steps.map((step) => step.line).filter(Boolean).join('\n'), meta: { plan: { ...plan, steps } } };
+    } catch (e) {
+      return { script: '', meta: { planError: e.message } };
+    }
+  };
+
+  // 发起一次模型请求：流式模式下先放占位气泡再逐步更新；手动停止时返回 null
+  const requestAssistantReply = async (messages, { editorStreamer = null, meta = {} } = {}) => {
+    const abortController = new AbortController();
+    requestAbortRef.current = abortController;
+    const replyId = `reply-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+    let streamedContent = '';
+    if (streamResponses) {
+      setChatMessages((prev) => [
+        ...prev,
+        { id: replyId, role: 'assistant', text: '', reasoning: '', streaming: true, time: Date.now(), ...meta }
+      ]);
+    }
+
+    let result = null;
+    try {
+      result = await requestWithFallback({
         providerKey,
+        adapter: provider.adapter,
         apiBase: provider.baseUrl,
         apiKey,
         model,
-        messages
+        messages,
+        stream: streamResponses,
+        responseFormat: outputFormat === 'plan' ? planResponseFormat(provider.structuredOutput || providerAdapter.structuredOutput) : null,
+        signal: abortController.signal,
+        onDelta: ({ content, reasoning, via }) => {
+          streamedContent = content;
+          updateChatMessage(replyId, { text: content, reasoning, via });
+          editorStreamer?.feed(content);
+          setStatus(content ? `接收中...（${content.length} 字）` : `思考中...（${reasoning.length} 字）`);
+        }
       });
+    } catch (e) {
+      if (e?.name !== 'AbortError') throw e;
+      // 手动停止：保留已收到的部分内容，不写入上下文记忆
+      editorStreamer?.finish(streamedContent);
+      if (streamResponses) {
+        updateChatMessage(replyId, { text: streamedContent ? `${streamedContent}\n\n（已停止）` : '（已停止）', streaming: false });
+      }
+      setStatus('已停止生成');
+      return null;
+    }
 
+    const reply = interpretReply(result.content);
+    if (streamResponses) {
+      updateChatMessage(replyId, { text: result.content, reasoning: result.reasoning || '', via: result.via, streaming: false, ...reply.meta });
+      editorStreamer?.finish(result.content);
+    } else {
       setChatMessages((prev) => [
         ...prev,
         {
           role: 'assistant',
           text: result.content,
           time: Date.now(),
-          via: result.via
+          via: result.via,
+          ...meta,
+          ...reply.meta
         }
       ]);
+    }
+    return { ...result, script: reply.script, planError: reply.meta.planError || '' };
+  };
+
+  // 自动修复：执行 AI 输出 -> 收集失败行/白名单违规/未定义引用 -> 回传模型修正，最多 autoFixRounds 轮
+  // 每轮重试前先把画板恢复到首次执行前的快照，保证修正后的完整脚本在同一起点上执行
+  const runAutoFixLoop = async ({ messages, script, editorBase }) => {
+    const history = [];
+    if (!(ggbReady && ggbApi && typeof ggbApi.evalCommand === 'function')) {
+      return { history, status: '自动修复需要原生画板，已跳过执行' };
+    }
+    const maxRounds = Math.max(1, Math.min(5, autoFixRounds));
+    commitPendingBatch();
+    const snapshotXml = typeof ggbApi.getXML === 'function' ? ggbApi.getXML() : '';
+    const boardKinds = readBoardObjectKinds(ggbApi);
+    let conversation = messages;
+    let lines = normalizeCommandAliases(parseCommandLines(script));
+
+    for (let round = 0; ; round++) {
+      if (round > 0 && snapshotXml && typeof ggbApi.setXML === 'function') {
+        ggbApi.setXML(snapshotXml);
+      }
+      const invalid = validateCommandsAgainstWhitelist(lines);
+      const { undefinedRefs, signatureErrors } = splitScriptDiagnostics(checkCommandScript(lines.join('\n'), boardKinds));
+      // 严格模式下有白名单违规时不执行，只回报违规
+      const execution = invalid.length > 0 && strictWhitelist
+        ? { ok: 0, fail: 0, failures: [] }
+        : evalCommandsWithErrors(ggbApi, lines);
+      const issues = { failures: execution.failures, invalid, undefinedRefs, signatureErrors };
+      const issueCount = countRepairIssues(issues);
+
+      if (issueCount === 0) {
+        recordBatch(`AI 命令 ${lines.length} 条${round > 0 ? `（自动修复 ${round} 轮）` : ''}`, snapshotXml);
+        return {
+          history,
+          status: round === 0
+            ? `已执行 ${lines.length} 条命令，全部成功`
+            : `自动修复完成：第 ${round} 轮后 ${lines.length} 条命令全部成功`
+        };
+      }
+      if (round >= maxRounds) {
+        recordBatch(`AI 命令 ${lines.length} 条（修复未完成）`, snapshotXml);
+        return { history, status: `自动修复已达 ${maxRounds} 轮上限，仍有 ${issueCount} 个问题` };
+      }
 
-      appendCommandsToEditor(result.content);
+      const repairText = buildRepairMessage({ round: round + 1, maxRounds, lines, plan: outputFormat === 'plan', ...issues });
+      setChatMessages((prev) => [
+        ...prev,
+        {
+          role: 'user',
+          text: `🔧 自动修复 第 ${round + 1}/${maxRounds} 轮\n${describeRepairIssues(issues)}`,
+          time: Date.now(),
+          autoFixRound: round + 1
+        }
+      ]);
+      setStatus(`自动修复第 ${round + 1} 轮：发现 ${issueCount} 个问题，正在请求修正...`);
 
-      setConversationHistory((prev) => {
-        const next = [
-          ...prev,
-          { role: 'user', content: text || '[用户发送了一张图片]' },
-          { role: 'assistant', content: result.content }
-        ];
-        return next.slice(-Math.max(1, maxHistory) * 2);
-      });
+      const repairMessages = [...conversation, { role: 'user', content: repairText }];
+      const reply = await requestAssistantReply(repairMessages, { meta: { autoFixRound: round + 1 } });
+      if (!reply) {
+        recordBatch(`AI 命令 ${lines.length} 条（已停止修复）`, snapshotXml);
+        return { history, status: '已停止自动修复' };
+      }
 
-      setStatus(`请求成功（通道：${result.via}）`);
-    } catch (e) {
-      const msg = `请求失败：${e.message}`;
+      const nextLines = normalizeCommandAliases(parseCommandLines(reply.script));
+      const diff = diffLines(lines, nextLines);
+      const added = diff.filter((d) => d.type === 'add').length;
+      const removed = diff.filter((d) => d.type === 'del').length;
       setChatMessages((prev) => [
         ...prev,
         {
           role: 'assistant',
-          text: msg,
+          text: `第 ${round + 1} 轮修改：+${added} / -${removed}`,
+          diff,
           time: Date.now(),
-          error: true
+          autoFixRound: round + 1
         }
       ]);
-      setStatus(msg);
-    } finally {
-      setLoading(false);
+      setCommandEditor(appendAiBlock(editorBase, nextLines.join('\n')));
+
+      history.push({ role: 'user', content: repairText }, { role: 'assistant', content: reply.content });
+      conversation = [...repairMessages, { role: 'assistant', content: reply.content }];
+      lines = nextLines;
     }
   };
 
+  // 画板对象增删、改名、清空及撤销重做时递增，签名校验据此重读画板对象
+  const [boardVersion, setBoardVersion] = useState(0);
+  useEffect(() => {
+    if (!ggbReady || !ggbApi) return undefined;
+    // 导出轨迹时解析器临时建删的采样列表不算画板变化
+    const bump = (name) => {
+      if (!isLocusSampleObject(name)) setBoardVersion((v) => v + 1);
+    };
+    const clientListener = (event) => {
+      const type = Array.isArray(event) ? event[0] : event?.type;
+      if (type === 'undo' || type === 'redo') bump();
+    };
+    const listeners = [
+      ['registerAddListener', 'unregisterAddListener', bump],
+      ['registerRemoveListener', 'unregisterRemoveListener', bump],
+      ['registerRenameListener', 'unregisterRenameListener', bump],
+      ['registerClearListener', 'unregisterClearListener', bump],
+      ['registerClientListener', 'unregisterClientListener', clientListener]
+    ].filter(([register]) => typeof ggbApi[register] === 'function');
+    listeners.forEach(([register, , fn]) => ggbApi[register](fn));
+    setBoardVersion((v) => v + 1);
+    return () => {
+      listeners.forEach(([, unregister, fn]) => {
+        if (typeof ggbApi[unregister] === 'function') ggbApi[unregister](fn);
+      });
+    };
+  }, [ggbApi, ggbReady]);
+
+  // 画板对象种类只在画板变化时重读（遍历全部对象，不随每次按键执行）
+  const boardObjectKinds = useMemo(
+    () => (ggbReady ? readBoardObjectKinds(ggbApi) : {}),
+    // boardVersion 不参与计算，只让画板变化后重新读取对象
+    [ggbApi, ggbReady, boardVersion]
+  );
+
+  // 编辑器内容或画板对象变化即做签名校验
+  const commandDiagnostics = useMemo(
+    () => checkCommandScript(commandEditor, boardObjectKinds),
+    [commandEditor, boardObjectKinds]
+  );
+
+  const jumpToDiagnostic = (d) => {
+    const el = commandEditorRef.current;
+    if (!el) return;
+    const lines = String(commandEditor || '').split('\n');
+    const start = lines.slice(0, d.lineNo - 1).reduce((sum, line) => sum + line.length + 1, 0) + d.column - 1;
+    el.focus();
+    el.setSelectionRange(start, start + Math.max(1, d.length));
+  };
+
   const validateCommands = () => {
     const lines = parseCommandLines(commandEditor);
     if (lines.length === 0) {
@@ -999,10 +1351,54 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
       setStatus(`白名单校验失败：${formatInvalidPreview(invalid)}`);
       return false;
     }
-    setStatus(`白名单校验通过（${lines.length} 条）`);
+    if (commandDiagnostics.length > 0) {
+      setStatus(`签名校验失败：${formatDiagnostic(commandDiagnostics[0])}`);
+      return false;
+    }
+    setStatus(`白名单与签名校验通过（${lines.length} 条）`);
     return true;
   };
 
+  // 把一次执行登记到画板的批次历史（执行前后各一份 XML）
+  const recordBatch = (label, beforeXml) => {
+    if (!beforeXml || !onBatchExecuted || typeof ggbApi?.getXML !== 'function') return;
+    onBatchExecuted({ label, before: beforeXml, after: ggbApi.getXML(), time: Date.now() });
+  };
+
+  // 有未处理的失败批次时开始新的执行，视为按现状保留
+  const commitPendingBatch = () => {
+    if (!batchFailure) return;
+    recordBatch(`执行 ${batchFailure.lines.length} 条命令（${batchFailure.failures.length} 条失败）`, batchFailure.before);
+    setBatchFailure(null);
+  };
+
+  const rollbackFailedBatch = () => {
+    if (!batchFailure) return;
+    try {
+      restoreBatchXml(ggbApi, batchFailure.before);
+      setBatchFailure(null);
+      setStatus('已回滚：画板恢复到本次执行前');
+    } catch (e) {
+      setStatus(`回滚失败：${e.message}`);
+    }
+  };
+
+  // 从执行前快照重新执行成功的行，顺带清掉失败行可能留下的半成品对象
+  const keepSuccessfulLines = () => {
+    if (!batchFailure) return;
+    try {
+      const failedNos = new Set(batchFailure.failures.map((x) => x.lineNo));
+      const okLines = batchFailure.lines.filter((_, idx) => !failedNos.has(idx + 1));
+      ggbApi.setXML(batchFailure.before);
+      const { ok, fail } = evalCommandsWithErrors(ggbApi, okLines);
+      recordBatch(`执行 ${okLines.length} 条命令（已剔除 ${failedNos.size} 条失败）`, batchFailure.before);
+      setBatchFailure(null);
+      setStatus(`已保留成功行：重新执行 ${ok} 条${fail ? `，仍有 ${fail} 条失败` : ''}`);
+    } catch (e) {
+      setStatus(`保留成功行失败：${e.message}`);
+    }
+  };
+
   const executeCommandsToLegacy = () => {
     const lines = normalizeCommandAliases(parseCommandLines(commandEditor));
     if (lines.length === 0) {
@@ -1018,20 +1414,23 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
     if (invalid.length > 0 && !strictWhitelist) {
       setStatus(`发现疑似未收录指令，已放行执行：${formatInvalidPreview(invalid)}`);
     }
+    if (commandDiagnostics.length > 0 && strictWhitelist) {
+      setStatus(`执行已拦截（${commandDiagnostics.length} 处签名错误）：${formatDiagnostic(commandDiagnostics[0])}`);
+      return;
+    }
 
     try {
       if (ggbReady && ggbApi && typeof ggbApi.evalCommand === 'function') {
-        let ok = 0;
-        let fail = 0;
-        lines.forEach((cmd) => {
-          try {
-            ggbApi.evalCommand(cmd);
-            ok++;
-          } catch {
-            fail++;
-          }
-        });
-        setStatus(`原生画板执行完成：成功 ${ok} 条，失败 ${fail} 条`);
+        commitPendingBatch();
+        const beforeXml = typeof ggbApi.getXML === 'function' ? ggbApi.getXML() : '';
+        const { ok, fail, failures } = evalCommandsWithErrors(ggbApi, lines);
+        const preview = failures.slice(0, 3).map((x) => `第${x.lineNo}行 ${x.error}`).join('；');
+        setStatus(`原生画板执行完成：成功 ${ok} 条，失败 ${fail} 条${preview ? `（${preview}）` : ''}`);
+        if (fail > 0 && beforeXml && typeof ggbApi.setXML === 'function') {
+          setBatchFailure({ before: beforeXml, lines, failures });
+          return;
+        }
+        recordBatch(`执行 ${lines.length} 条命令`, beforeXml);
         return;
       }
 
@@ -1052,14 +1451,227 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
     }
   };
 
+  // ---------- 逐步执行 ----------
+  // snapshots[i] 为执行完前 i 条命令后的画板 XML，后退时直接 setXML 恢复
+
+  const syncStepper = (patch = {}) => {
+    const s = stepperRef.current;
+    if (!s) {
+      setStepper(null);
+      return;
+    }
+    setStepper((prev) => ({
+      total: s.lines.length,
+      cursor: s.cursor,
+      failed: !!s.results[s.cursor - 1],
+      playing: prev?.playing || false,
+      ...patch
+    }));
+  };
+
+  // 新对象闪烁提示位置；下一步开始前先收尾，避免快照记录到隐藏状态
+  const stopStepFlash = () => {
+    const flash = stepFlashRef.current;
+    if (!flash) return;
+    clearInterval(flash.timer);
+    flash.names.forEach((name) => {
+      try {
+        ggbApi.setVisible(name, true);
+      } catch {
+        // 对象可能已被删除
+      }
+    });
+    stepFlashRef.current = null;
+  };
+
+  const flashNewObjects = (names) => {
+    if (typeof ggbApi.setVisible !== 'function') return;
+    const visibleNames = names.filter((name) => typeof ggbApi.getVisible !== 'function' || ggbApi.getVisible(name));
+    if (visibleNames.length === 0) return;
+    let ticks = 0;
+    const timer = setInterval(() => {
+      ticks++;
+      visibleNames.forEach((name) => {
+        try {
+          ggbApi.setVisible(name, ticks % 2 === 0);
+        } catch {
+          // 忽略
+        }
+      });
+      if (ticks >= 4) {
+        clearInterval(timer);
+        stepFlashRef.current = null;
+      }
+    }, 120);
+    stepFlashRef.current = { timer, names: visibleNames };
+  };
+
+  const startStepper = () => {
+    if (!(ggbReady && ggbApi && typeof ggbApi.evalCommand === 'function' && typeof ggbApi.getXML === 'function')) {
+      setStatus('逐步执行需要原生画板');
+      return false;
+    }
+    const lines = buildStepLines(commandEditor);
+    if (lines.length === 0) {
+      setStatus('命令编辑器为空');
+      return false;
+    }
+    const invalid = validateCommandsAgainstWhitelist(lines.map((l) => l.text));
+    if (invalid.length > 0 && strictWhitelist) {
+      setStatus(`逐步执行已拦截：${formatInvalidPreview(invalid)}`);
+      return false;
+    }
+    if (commandDiagnostics.length > 0 && strictWhitelist) {
+      setStatus(`逐步执行已拦截（${commandDiagnostics.length} 处签名错误）：${formatDiagnostic(commandDiagnostics[0])}`);
+      return false;
+    }
+    commitPendingBatch();
+    stepperRef.current = {
+      source: commandEditor,
+      lines,
+      cursor: 0,
+      results: [],
+      snapshots: [ggbApi.getXML()]
+    };
+    syncStepper({ playing: false });
+    setStatus(`逐步执行：共 ${lines.length} 条，已记录画板初始状态`);
+    return true;
+  };
+
+  const stepForward = () => {
+    const s = stepperRef.current;
+    if (!s || s.cursor >= s.lines.length) return false;
+    stopStepFlash();
+    const line = s.lines[s.cursor];
+    const before = new Set(ggbApi.getAllObjectNames?.() || []);
+    const { failures } = evalCommandsWithErrors(ggbApi, [line.text]);
+    const created = (ggbApi.getAllObjectNames?.() || []).filter((name) => !before.has(name));
+    s.results[s.cursor] = failures[0] || null;
+    s.cursor++;
+    s.snapshots[s.cursor] = ggbApi.getXML();
+    s.snapshots.length = s.cursor + 1;
+    flashNewObjects(created);
+    syncStepper();
+    setStatus(failures[0]
+      ? `第 ${s.cursor}/${s.lines.length} 步失败：${failures[0].error}`
+      : `第 ${s.cursor}/${s.lines.length} 步：${line.text}${created.length ? `（新建 ${created.join(', ')}）` : ''}`);
+    return true;
+  };
+
+  const restoreStepTo = (target) => {
+    const s = stepperRef.current;
+    if (!s || target < 0 || target >= s.cursor) return;
+    stopStepFlash();
+    ggbApi.setXML(s.snapshots[target]);
+    s.cursor = target;
+    s.snapshots.length = target + 1;
+    s.results.length = target;
+    syncStepper();
+    setStatus(target === 0 ? '已回到执行前状态' : `已回退到第 ${target}/${s.lines.length} 步`);
+  };
+
+  const stepBackward = () => {
+    const s = stepperRef.current;
+    if (s) restoreStepTo(s.cursor - 1);
+  };
+
+  const stepNext = () => {
+    if (!stepperRef.current && !startStepper()) return;
+    if (!stepForward()) setStatus('已执行到最后一条');
+  };
+
+  const runStepsToCursor = () => {
+    if (!stepperRef.current && !startStepper()) return;
+    const s = stepperRef.current;
+    const el = commandEditorRef.current;
+    const caret = el ? el.selectionStart : commandEditor.length;
+    const caretLine = commandEditor.slice(0, caret).split('\n').length - 1;
+    const target = s.lines.filter((l) => l.editorLine <= caretLine).length;
+    if (target < s.cursor) {
+      restoreStepTo(target);
+      return;
+    }
+    while (s.cursor < target && stepForward()) {
+      // 逐条执行到光标所在行
+    }
+  };
+
+  const playSteps = async () => {
+    if (!stepperRef.current && !startStepper()) return;
+    stepPlayingRef.current = true;
+    syncStepper({ playing: true });
+    while (stepPlayingRef.current && stepForward()) {
+      await sleep(Math.max(200, stepDelayMs));
+    }
+    stepPlayingRef.current = false;
+    syncStepper({ playing: false });
+  };
+
+  const pauseSteps = () => {
+    stepPlayingRef.current = false;
+  };
+
+  const stopStepper = (message = '逐步执行已结束') => {
+    stepPlayingRef.current = false;
+    stopStepFlash();
+    const s = stepperRef.current;
+    if (s && s.cursor > 0) recordBatch(`逐步执行 ${s.cursor} 条命令`, s.snapshots[0]);
+    stepperRef.current = null;
+    setStepper(null);
+    setStepHighlight(null);
+    setStatus(message);
+  };
+
+  // 高亮刚执行的一行；按编辑器实际渲染位置计算，兼容自动换行与滚动
+  const refreshStepHighlight = () => {
+    const s = stepperRef.current;
+    const el = commandEditorRef.current;
+    if (!s || !el || s.cursor === 0) {
+      setStepHighlight(null);
+      return;
+    }
+    const editorLine = s.lines[s.cursor - 1].editorLine;
+    const rows = String(el.value || '').split('\n');
+    const start = rows.slice(0, editorLine).reduce((sum, row) => sum + row.length + 1, 0);
+    const lineHeight = parseFloat(window.getComputedStyle(el).lineHeight) || 22;
+    const top = getCaretPixelPos(el, start).top;
+    const bottom = editorLine + 1 < rows.length ? getCaretPixelPos(el, start + rows[editorLine].length + 1).top : top + lineHeight;
+    if (bottom <= 0 || top >= el.clientHeight) {
+      setStepHighlight(null);
+      return;
+    }
+    setStepHighlight({
+      top: el.offsetTop + Math.max(0, top),
+      left: el.offsetLeft + 1,
+      width: el.clientWidth,
+      height: Math.min(bottom, el.clientHeight) - Math.max(0, top),
+      failed: !!s.results[s.cursor - 1]
+    });
+  };
+
+  useEffect(() => {
+    refreshStepHighlight();
+  }, [stepper]);
+
+  // 编辑器内容被修改后行号失效，结束逐步执行
+  useEffect(() => {
+    if (stepperRef.current && stepperRef.current.source !== commandEditor) {
+      stopStepper('命令已修改，逐步执行已结束');
+    }
+  }, [commandEditor]);
+
+  useEffect(() => () => {
+    stepPlayingRef.current = false;
+  }, []);
+
   const readCommandsFromLegacyBoard = () => {
     try {
       if (ggbReady && ggbApi && typeof ggbApi.getXML === 'function') {
-        const xml = ggbApi.getXML();
-        const lines = extractCommandsFromXML(xml);
-        if (lines.length > 0) {
-          setCommandEditor(lines.join('\n'));
-          setStatus(`已从原生画板读取 ${lines.length} 条命令`);
+        const script = constructionToScript(ggbApi.getXML());
+        if (script.lines.length > 0) {
+          setCommandEditor(formatBoardScript(script));
+          const skipped = script.skipped.length ? `，${script.skipped.length} 个对象无法还原：${script.skipped.join(', ')}` : '';
+          setStatus(`已从原生画板读取 ${script.lines.length} 条命令、${script.styleLines.length} 条样式${skipped}`);
           return;
         }
       }
@@ -1215,6 +1827,29 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
     setStatus('对话已清空');
   };
 
+  // 项目存档：对话与命令编辑器内容交给 App 统一保存/恢复
+  const projectStateRef = useRef(null);
+  projectStateRef.current = { chatMessages, conversationHistory, commandEditor };
+
+  useEffect(() => {
+    if (!onProjectBridge) return undefined;
+    onProjectBridge('command', {
+      collect: () => ({
+        editor: projectStateRef.current.commandEditor,
+        chatMessages: projectStateRef.current.chatMessages,
+        conversationHistory: projectStateRef.current.conversationHistory
+      }),
+      restore: (project) => {
+        setCommandEditor(String(project?.editor || ''));
+        // 自动保存可能发生在流式输出途中，恢复时去掉未完成标记
+        const messages = Array.isArray(project?.chatMessages) ? project.chatMessages : [];
+        setChatMessages(messages.map((msg) => (msg?.streaming ? { ...msg, streaming: false } : msg)));
+        setConversationHistory(Array.isArray(project?.conversationHistory) ? project.conversationHistory : []);
+      }
+    });
+    return () => onProjectBridge('command', null);
+  }, [onProjectBridge]);
+
   return (
     <section className="panel panel-center">
       {toastVisible ? (
@@ -1222,7 +1857,10 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
       ) : null}
       <header className="panel-subheader panel-subheader-compact">
         <div className="workspace-mark">AI 对话与命令</div>
-        <button className="btn btn-lite" onClick={() => setSettingsOpen(true)}>⚙️ 设置</button>
+        <div className="actions-row gap">
+          {onOpenProjects ? <button className="btn btn-lite" onClick={onOpenProjects}>📁 项目</button> : null}
+          <button className="btn btn-lite" onClick={() => setSettingsOpen(true)}>⚙️ 设置</button>
+        </div>
       </header>
 
       <div className="workbench">
@@ -1230,7 +1868,11 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
           <div className="col-chat clean-chat-card">
             <div className="clean-card-head">
               <strong>对话框</strong>
-              <button className="btn btn-lite" onClick={clearChat}>清空</button>
+              <div className="actions-row gap">
+                {loading ? <button className="btn btn-lite" onClick={stopRequest}>⏹ 停止</button> : null}
+                <button className="btn btn-lite" onClick={openContextPreview} title="查看随提示词发送的画布对象与最近指令">画布上下文</button>
+                <button className="btn btn-lite" onClick={clearChat} disabled={loading}>清空</button>
+              </div>
             </div>
 
             <div className="chat-box clean-chat-box">
@@ -1240,7 +1882,51 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
                 chatMessages.map((msg, idx) => (
                   <div key={`${msg.time}-${idx}`} className={`chat-item ${msg.role === 'user' ? 'user' : 'assistant'} ${msg.error ? 'error' : ''}`}>
                     <div className="chat-role">{msg.role === 'user' ? '你' : 'AI'}</div>
-                    <div className="chat-content">{msg.text}</div>
+                    {msg.reasoning ? (
+                      <details className="chat-reasoning" open={msg.streaming && !msg.text}>
+                        <summary>思考过程（{msg.reasoning.length} 字）</summary>
+                        <div className="chat-reasoning-text">{msg.reasoning}</div>
+                      </details>
+                    ) : null}
+                    {msg.plan ? (
+                      <div className="chat-plan">
+                        <ol className="chat-plan-steps">
+                          {msg.plan.steps.map((step, i) => (
+                            <li key={i} className={step.issues.length ? 'has-issues' : ''}>
+                              <code>{step.line || '（空步骤）'}</code>
+                              {step.purpose ? <div className="chat-plan-purpose">{step.purpose}</div> : null}
+                              {step.issues.map((issue, j) => <div key={j} className="chat-plan-issue">⚠️ {issue}</div>)}
+                            </li>
+                          ))}
+                        </ol>
+                        {msg.plan.assumptions.length ? (
+                          <div className="chat-plan-note">
+                            <strong>假设：</strong>
+                            <ul>{msg.plan.assumptions.map((a, i) => <li key={i}>{a}</li>)}</ul>
+                          </div>
+                        ) : null}
+                        {msg.plan.notes ? <div className="chat-plan-note"><strong>说明：</strong>{msg.plan.notes}</div> : null}
+                        <details className="chat-reasoning">
+                          <summary>原始 JSON</summary>
+                          <div className="chat-reasoning-text">{msg.text}</div>
+                        </details>
+                      </div>
+                    ) : (
+                      <div className="chat-content">
+                        {msg.text || (msg.streaming ? '等待模型输出...' : '')}
+                        {msg.streaming ? <span className="chat-cursor">▍</span> : null}
+                      </div>
+                    )}
+                    {msg.planError ? <div className="chat-plan-issue">⚠️ 作图计划解析失败：{msg.planError}</div> : null}
+                    {Array.isArray(msg.diff) ? (
+                      <div className="chat-diff">
+                        {msg.diff.map((d, i) => (
+                          <div key={i} className={`chat-diff-line ${d.type}`}>
+                            {d.type === 'add' ? '+ ' : d.type === 'del' ? '- ' : '  '}{d.text}
+                          </div>
+                        ))}
+                      </div>
+                    ) : null}
                     {msg.imageDataUrl ? <img className="chat-image" src={msg.imageDataUrl} alt="粘贴图片" /> : null}
                     {msg.via ? <div className="chat-meta">通道：{msg.via}</div> : null}
                   </div>
@@ -1274,6 +1960,7 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
                 </div>
                 <div className="pending-meta">
                   <span>已粘贴图片（{pendingImageMimeType || 'image/*'}）</span>
+                  {selectedModelInfo?.vision === false ? <span className="hint-text">当前模型不支持图片</span> : null}
                   <button className="btn btn-lite" onClick={clearPendingImage}>移除</button>
                 </div>
               </div>
@@ -1285,12 +1972,51 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
               <strong className="cmd-title">命令区</strong>
               <div className="actions-row gap cmd-head-actions">
                 <button className="btn btn-lite cmd-mini-btn" onClick={copyCommands}>复制</button>
+                <button className="btn btn-lite cmd-mini-btn" onClick={readCommandsFromLegacyBoard} title="从画板还原可重放的命令脚本（含样式）">读取画板</button>
                 <button className="btn btn-lite cmd-mini-btn" onClick={clearLegacyBoard}>清空画板</button>
                 <button className="btn btn-lite cmd-mini-btn" onClick={clearCommandEditor}>清空代码</button>
+                <button className="btn btn-lite cmd-mini-btn" onClick={() => (stepper ? stopStepper() : startStepper())}>
+                  {stepper ? '结束逐步' : '逐步'}
+                </button>
                 <button className="btn cmd-mini-btn" onClick={executeCommandsToLegacy}>执行</button>
               </div>
             </div>
 
+            {stepper ? (
+              <div className="cmd-stepper-bar">
+                <button className="btn btn-lite cmd-mini-btn" onClick={stepBackward} disabled={stepper.playing || stepper.cursor === 0}>⏮ 上一步</button>
+                <button className="btn btn-lite cmd-mini-btn" onClick={stepNext} disabled={stepper.playing || stepper.cursor >= stepper.total}>下一步 ⏭</button>
+                <button className="btn btn-lite cmd-mini-btn" onClick={runStepsToCursor} disabled={stepper.playing} title="执行或回退到光标所在行">运行到光标</button>
+                {stepper.playing ? (
+                  <button className="btn btn-lite cmd-mini-btn" onClick={pauseSteps}>⏸ 暂停</button>
+                ) : (
+                  <button className="btn btn-lite cmd-mini-btn" onClick={playSteps} disabled={stepper.cursor >= stepper.total}>▶ 播放</button>
+                )}
+                <label className="cmd-stepper-delay">
+                  间隔
+                  <input
+                    type="number"
+                    min="200"
+                    step="100"
+                    value={stepDelayMs}
+                    onChange={(e) => setStepDelayMs(Math.max(200, Number(e.target.value) || 600))}
+                  />
+                  ms
+                </label>
+                <span className={`cmd-stepper-progress ${stepper.failed ? 'failed' : ''}`}>{stepper.cursor}/{stepper.total}</span>
+              </div>
+            ) : null}
+
+            {batchFailure ? (
+              <div className="cmd-batch-failure">
+                <span>⚠️ 本次 {batchFailure.lines.length} 条中有 {batchFailure.failures.length} 条失败，可回滚或只保留成功的行</span>
+                <div className="actions-row gap">
+                  <button className="btn btn-lite cmd-mini-btn" onClick={rollbackFailedBatch}>回滚</button>
+                  <button className="btn cmd-mini-btn" onClick={keepSuccessfulLines}>保留成功行</button>
+                </div>
+              </div>
+            ) : null}
+
             <div className="command-editor-box">
               <textarea
                 ref={commandEditorRef}
@@ -1365,8 +2091,17 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
                     setCmdCompletion((prev) => ({ ...prev, open: false }));
                   }, 120);
                 }}
+                onScroll={() => {
+                  if (stepperRef.current) refreshStepHighlight();
+                }}
                 placeholder="AI 返回会自动追加到这里。你也可以手动编辑后执行。"
               />
+              {stepHighlight ? (
+                <div
+                  className={`cmd-step-highlight ${stepHighlight.failed ? 'failed' : ''}`}
+                  style={{ top: stepHighlight.top, left: stepHighlight.left, width: stepHighlight.width, height: stepHighlight.height }}
+                />
+              ) : null}
               {cmdCompletion.open ? (
                 <div className="cmd-completion-menu" style={{ top: cmdCompletion.top, left: cmdCompletion.left }}>
                   {cmdCompletion.items.map((item, idx) => (
@@ -1385,6 +2120,24 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
                 </div>
               ) : null}
             </div>
+            {commandDiagnostics.length > 0 ? (
+              <div className="cmd-diagnostics">
+                <div className="cmd-diagnostics-head">
+                  签名校验：{commandDiagnostics.length} 处问题{strictWhitelist ? '（严格模式下将拦截执行）' : ''}
+                </div>
+                {commandDiagnostics.slice(0, 8).map((d) => (
+                  <button
+                    key={`${d.lineNo}-${d.column}-${d.code}`}
+                    className="cmd-diagnostic-item"
+                    onClick={() => jumpToDiagnostic(d)}
+                    title="定位到编辑器"
+                  >
+                    {formatDiagnostic(d)}
+                  </button>
+                ))}
+                {commandDiagnostics.length > 8 ? <div className="hint-text">另有 {commandDiagnostics.length - 8} 处未显示</div> : null}
+              </div>
+            ) : null}
 
           </div>
         </div>
@@ -1442,7 +2195,7 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
                           setApiKey(v);
                           saveKey(v);
                         }}
-                        placeholder="输入 API Key"
+                        placeholder={provider?.keyOptional ? '本地服务可留空' : '输入 API Key'}
                       />
                       <button className="btn-icon-small" onClick={() => setShowApiKey((v) => !v)}>👁️</button>
                       <button className="btn-icon-small btn-check-key" onClick={testApiConnection}>✓</button>
@@ -1459,7 +2212,7 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
                           <optgroup key={group.name} label={`${group.name} (${group.list.length})`}>
                             {group.list.map((m) => (
                               <option key={m.id || m.value} value={m.id || m.value}>
-                                {m.name || m.label || m.id || m.value}
+                                {m.name || m.label || m.id || m.value}{m.vision ? '（视觉）' : ''}
                               </option>
                             ))}
                           </optgroup>
@@ -1587,6 +2340,41 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
                   />
                 </label>
 
+                <label>
+                  流式输出
+                  <select value={streamResponses ? 'on' : 'off'} onChange={(e) => setStreamResponses(e.target.value === 'on')}>
+                    <option value="on">开启（逐字显示，可中途停止）</option>
+                    <option value="off">关闭（等待完整响应）</option>
+                  </select>
+                </label>
+
+                <label>
+                  输出格式
+                  <select value={outputFormat} onChange={(e) => setOutputFormat(e.target.value === 'plan' ? 'plan' : 'lines')}>
+                    <option value="lines">逐行命令</option>
+                    <option value="plan">JSON 作图计划（带步骤说明）</option>
+                  </select>
+                </label>
+
+                <label>
+                  自动修复
+                  <select value={autoFix ? 'on' : 'off'} onChange={(e) => setAutoFix(e.target.value === 'on')}>
+                    <option value="off">关闭</option>
+                    <option value="on">开启（自动执行并把报错回传模型）</option>
+                  </select>
+                </label>
+
+                <label>
+                  修复轮数（1-5）
+                  <input
+                    type="number"
+                    min={1}
+                    max={5}
+                    value={autoFixRounds}
+                    onChange={(e) => setAutoFixRounds(Math.max(1, Math.min(5, Number(e.target.value) || 1)))}
+                  />
+                </label>
+
                 <label>
                   执行白名单
                   <select value={strictWhitelist ? 'on' : 'off'} onChange={(e) => setStrictWhitelist(e.target.value === 'on')}>
@@ -1661,6 +2449,26 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
               <button className="btn btn-lite" onClick={() => setProviderModalOpen(false)}>关闭</button>
             </div>
             <div className="form-grid">
+              <label>
+                接口类型
+                <select
+                  value={customProviderDraft.adapter}
+                  onChange={(e) => {
+                    const adapter = e.target.value;
+                    setCustomProviderDraft((p) => ({
+                      ...p,
+                      adapter,
+                      // Ollama 原生模型列表在 /api/tags，未改过的默认值随接口类型切换
+                      modelsEndpoint: ['/models', '/api/tags'].includes(p.modelsEndpoint) ? (adapter === 'ollama' ? '/api/tags' : '/models') : p.modelsEndpoint,
+                      keyOptional: adapter === 'ollama' || p.keyOptional
+                    }));
+                  }}
+                >
+                  {CUSTOM_PROVIDER_ADAPTERS.map((key) => (
+                    <option key={key} value={key}>{getLlmAdapter(key).name}</option>
+                  ))}
+                </select>
+              </label>
               <label>
                 服务商名称
                 <input
@@ -1674,7 +2482,7 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
                 <input
                   value={customProviderDraft.baseUrl}
                   onChange={(e) => setCustomProviderDraft((p) => ({ ...p, baseUrl: e.target.value.trim() }))}
-                  placeholder="https://api.example.com/v1"
+                  placeholder={getLlmAdapter(customProviderDraft.adapter).defaultBaseUrl || 'https://api.example.com/v1'}
                 />
               </label>
               <label>
@@ -1685,6 +2493,16 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
                   placeholder="/models"
                 />
               </label>
+              <label>
+                API 密钥
+                <select
+                  value={customProviderDraft.keyOptional ? 'optional' : 'required'}
+                  onChange={(e) => setCustomProviderDraft((p) => ({ ...p, keyOptional: e.target.value === 'optional' }))}
+                >
+                  <option value="required">必填</option>
+                  <option value="optional">可留空（局域网 / 本地服务）</option>
+                </select>
+              </label>
             </div>
             <div className="actions-row gap">
               <button className="btn btn-lite" onClick={() => setProviderModalOpen(false)}>取消</button>
@@ -1694,6 +2512,28 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
         </div>
       ) : null}
 
+      {contextPreview ? (
+        <div className="settings-modal-overlay" onClick={() => setContextPreview(null)}>
+          <div className="settings-modal board-context-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="settings-modal-head">
+              <strong>画布上下文预览（共 {contextPreview.objectCount} 个对象）</strong>
+              <div className="actions-row gap">
+                <button className="btn btn-lite" onClick={openContextPreview}>刷新</button>
+                <button className="btn btn-lite" onClick={() => setContextPreview(null)}>关闭</button>
+              </div>
+            </div>
+            <div className="hint-text">
+              {'{{CURRENT_OBJECTS}}'}{contextPreview.usesObjects ? '' : '（当前提示词未使用，不会发送）'}
+            </div>
+            <pre className="board-context-text">{contextPreview.objects}</pre>
+            <div className="hint-text">
+              {'{{COMMAND_HISTORY}}'}{contextPreview.usesHistory ? '' : '（当前提示词未使用，不会发送）'}
+            </div>
+            <pre className="board-context-text">{contextPreview.history}</pre>
+          </div>
+        </div>
+      ) : null}
+
       {promptEditorOpen ? (
         <div className="settings-modal-overlay" onClick={() => setPromptEditorOpen(false)}>
           <div className="settings-modal prompt-editor-modal" onClick={(e) => e.stopPropagation()}>
@@ -1715,6 +2555,7 @@ export default function CommandPanel({ ggbApi, ggbReady, onOpenLegacy }) {
             <div className="prompt-variables">
               <span className="hint-text">插入变量：</span>
               <button className="var-tag" onClick={() => insertPromptVariable('{{CURRENT_OBJECTS}}')}>{'{{CURRENT_OBJECTS}}'}</button>
+              <button className="var-tag" onClick={() => insertPromptVariable('{{COMMAND_HISTORY}}')}>{'{{COMMAND_HISTORY}}'}</button>
               <button className="var-tag" onClick={() => insertPromptVariable('{{USER_INPUT}}')}>{'{{USER_INPUT}}'}</button>
             </div>
 
@@ -1,11 +1,25 @@
 import { useEffect, useRef, useState } from 'react';
+import { GGBParser } from '../lib/ggbParser';
+import { TikZGenerator } from '../lib/tikzGenerator';
+import { base64ToBytes, bytesToBase64, extractGeoGebraXml, isZipBytes } from '../lib/ggbFile';
+import { assembleApng, buildAnimateInline, captureAnimationFrames, listAnimationTargets, sweepValues } from '../lib/animationExport';
+import { redoNextBatch, undoLastBatch } from '../lib/batchHistory';
+import { scriptBlockLabels } from '../lib/ggbSignatures';
+import {
+  ALLOWED_TIKZ_THICKNESS,
+  DEFAULT_TIKZ_BOUNDS,
+  LABEL_POSITION_OPTIONS,
+  TIKZ_THICKNESS_OPTIONS,
+  deriveTikZBoundsFromParsed,
+  normalizeLabelOverride,
+  optimizeTikzCodeRules,
+  unionAxisBounds
+} from '../lib/tikzOptimize';
 
 const BASE_URL = import.meta.env.BASE_URL || '/';
 const withBase = (path) => `${BASE_URL}${String(path || '').replace(/^\/+/, '')}`;
 const GGB_SCRIPT_URL = 'https://www.geogebra.org/apps/deployggb.js';
 const TIKZJAX_SCRIPT_URL = 'https://tikzjax.com/v1/tikzjax.js';
-const PARSER_SCRIPT_URL = withBase('ggb-parser.js');
-const TIKZ_SCRIPT_URL = withBase('tikz-generator.js');
 const LEGACY_PAGE_URL = withBase('legacy-index.html');
 const STORAGE_SHOW_AXES = 'ggb_show_axes';
 const STORAGE_EXPORT_IMAGE_MODE = 'ggb_export_image_mode';
@@ -13,6 +27,14 @@ const STORAGE_EXPORT_SCALE = 'ggb_export_scale';
 const STORAGE_TIKZ_LINE_EXTEND = 'ggb_tikz_line_extend';
 const STORAGE_TIKZ_POINT_RADIUS = 'ggb_tikz_point_radius';
 const STORAGE_TIKZ_POLYGON_FILL = 'ggb_tikz_polygon_fill';
+const STORAGE_TIKZ_INEQUALITY_FILL = 'ggb_tikz_inequality_fill';
+const STORAGE_TIKZ_INEQUALITY_OPACITY = 'ggb_tikz_inequality_opacity';
+const STORAGE_TIKZ_LOCUS_TOLERANCE = 'ggb_tikz_locus_tolerance';
+const STORAGE_TIKZ_TRANSFORM_SCOPES = 'ggb_tikz_transform_scopes';
+const STORAGE_TIKZ_PARAMETER_MACROS = 'ggb_tikz_parameter_macros';
+const STORAGE_TIKZ_BEAMER_STEPS = 'ggb_tikz_beamer_steps';
+const STORAGE_TIKZ_AXIS_MODE = 'ggb_tikz_axis_mode';
+const STORAGE_TIKZ_GEOMETRY_STYLE = 'ggb_tikz_geometry_style';
 const STORAGE_TIKZ_AXIS_THICKNESS = 'ggb_tikz_axis_thickness';
 const STORAGE_TIKZ_CONIC_THICKNESS = 'ggb_tikz_conic_thickness';
 const STORAGE_TIKZ_FUNCTION_THICKNESS = 'ggb_tikz_function_thickness';
@@ -33,10 +55,22 @@ const STORAGE_TIKZ_OPT_LABEL_OFFSET_PT = 'ggb_tikz_opt_label_offset_pt';
 const STORAGE_TIKZ_OPT_LABEL_FONT_PT = 'ggb_tikz_opt_label_font_pt';
 const STORAGE_TIKZ_OPT_LABEL_MAX_SHIFT_PT = 'ggb_tikz_opt_label_max_shift_pt';
 const STORAGE_TIKZ_LABEL_OVERRIDES = 'ggb_tikz_label_overrides';
-const DEFAULT_TIKZ_BOUNDS = { xmin: -2.3, xmax: 2.8, ymin: -2.6, ymax: 2.4 };
-const TIKZ_THICKNESS_OPTIONS = ['thin', 'semithick', 'thick', 'very thick', 'ultra thick'];
-const ALLOWED_TIKZ_THICKNESS = new Set(TIKZ_THICKNESS_OPTIONS);
-const LABEL_POSITION_OPTIONS = ['above right', 'above left', 'below right', 'below left', 'above', 'below', 'right', 'left'];
+// 不等式区域填充：半透明或 TikZ patterns 库的图案
+const INEQUALITY_FILL_OPTIONS = [
+  { value: 'opacity', label: '半透明' },
+  { value: 'north east lines', label: '斜线 ／' },
+  { value: 'north west lines', label: '斜线 ＼' },
+  { value: 'crosshatch', label: '网格线' },
+  { value: 'dots', label: '点阵' }
+];
+const INEQUALITY_FILL_VALUES = new Set(INEQUALITY_FILL_OPTIONS.map((it) => it.value));
+// beamer 分步展示：关闭时导出 figure 环境
+const BEAMER_STEP_OPTIONS = [
+  { value: 'off', label: '关闭（figure）' },
+  { value: 'construction', label: '按构造顺序' },
+  { value: 'blocks', label: '按命令编辑器空行分段' }
+];
+const BEAMER_STEP_VALUES = new Set(BEAMER_STEP_OPTIONS.map((it) => it.value));
 const LABEL_NUDGE_DIRECTIONS = [
   [{ icon: '↖', dx: -1, dy: 1, title: '左上' }, { icon: '↑', dx: 0, dy: 1, title: '上' }, { icon: '↗', dx: 1, dy: 1, title: '右上' }],
   [{ icon: '←', dx: -1, dy: 0, title: '左' }, { icon: '⊙', dx: 0, dy: 0, title: '重置偏移' }, { icon: '→', dx: 1, dy: 0, title: '右' }],
@@ -106,21 +140,6 @@ function ensureGGBScript() {
   });
 }
 
-function ensurePlainScript(src) {
-  return new Promise((resolve, reject) => {
-    if (document.querySelector(`script[src=\"${src}\"]`)) {
-      resolve();
-      return;
-    }
-    const script = document.createElement('script');
-    script.src = src;
-    script.async = true;
-    script.onload = () => resolve();
-    script.onerror = () => reject(new Error(`脚本加载失败: ${src}`));
-    document.head.appendChild(script);
-  });
-}
-
 function getLegacyWindow() {
   const iframe = document.querySelector('.legacy-frame');
   if (!iframe || !iframe.contentWindow) return null;
@@ -159,41 +178,6 @@ function dataUrlToBlob(dataUrl) {
   return new Blob([arr], { type: mime });
 }
 
-function deriveTikZBoundsFromParsed(parsed, fallback = DEFAULT_TIKZ_BOUNDS) {
-  const points = parsed?.structured?.points || [];
-  const visible = points.filter(
-    (p) => p && p.visible && Number.isFinite(Number(p.x)) && Number.isFinite(Number(p.y))
-  );
-  if (visible.length === 0) return fallback;
-
-  let xmin = Infinity;
-  let xmax = -Infinity;
-  let ymin = Infinity;
-  let ymax = -Infinity;
-  visible.forEach((p) => {
-    const x = Number(p.x);
-    const y = Number(p.y);
-    xmin = Math.min(xmin, x);
-    xmax = Math.max(xmax, x);
-    ymin = Math.min(ymin, y);
-    ymax = Math.max(ymax, y);
-  });
-
-  let dx = xmax - xmin;
-  let dy = ymax - ymin;
-  if (dx < 1e-6) dx = 2;
-  if (dy < 1e-6) dy = 2;
-  const padX = Math.max(0.8, dx * 0.2);
-  const padY = Math.max(0.8, dy * 0.2);
-
-  return {
-    xmin: Number((xmin - padX).toFixed(2)),
-    xmax: Number((xmax + padX).toFixed(2)),
-    ymin: Number((ymin - padY).toFixed(2)),
-    ymax: Number((ymax + padY).toFixed(2))
-  };
-}
-
 function readTikzThickness(storageKey, fallback) {
   const v = String(localStorage.getItem(storageKey) || '').trim();
   return ALLOWED_TIKZ_THICKNESS.has(v) ? v : fallback;
@@ -204,6 +188,16 @@ function readTikzSettings() {
   const lineExtend = Math.max(0, Math.min(6, Number(localStorage.getItem(STORAGE_TIKZ_LINE_EXTEND) || 0.25)));
   const pointRadiusPt = Math.max(0.05, Math.min(3, Number(localStorage.getItem(STORAGE_TIKZ_POINT_RADIUS) || 0.25)));
   const polygonFillColor = String(localStorage.getItem(STORAGE_TIKZ_POLYGON_FILL) || 'black').trim() || 'black';
+  const inequalityFillRaw = String(localStorage.getItem(STORAGE_TIKZ_INEQUALITY_FILL) || 'opacity');
+  const inequalityFillStyle = INEQUALITY_FILL_VALUES.has(inequalityFillRaw) ? inequalityFillRaw : 'opacity';
+  const inequalityOpacity = Math.max(0.05, Math.min(1, Number(localStorage.getItem(STORAGE_TIKZ_INEQUALITY_OPACITY) || 0.2)));
+  const locusTolerance = Math.max(0, Math.min(1, Number(localStorage.getItem(STORAGE_TIKZ_LOCUS_TOLERANCE) ?? 0.01) || 0));
+  const transformScopes = localStorage.getItem(STORAGE_TIKZ_TRANSFORM_SCOPES) === 'on';
+  const parameterMacros = localStorage.getItem(STORAGE_TIKZ_PARAMETER_MACROS) === 'on';
+  const beamerStepsRaw = localStorage.getItem(STORAGE_TIKZ_BEAMER_STEPS) || 'off';
+  const beamerSteps = BEAMER_STEP_VALUES.has(beamerStepsRaw) ? beamerStepsRaw : 'off';
+  const axisMode = localStorage.getItem(STORAGE_TIKZ_AXIS_MODE) === 'pgfplots' ? 'pgfplots' : 'tikz';
+  const geometryStyle = localStorage.getItem(STORAGE_TIKZ_GEOMETRY_STYLE) === 'tkz-euclide' ? 'tkz-euclide' : 'tikz';
   const axisThickness = readTikzThickness(STORAGE_TIKZ_AXIS_THICKNESS, 'semithick');
   const conicThickness = readTikzThickness(STORAGE_TIKZ_CONIC_THICKNESS, 'thick');
   const functionThickness = readTikzThickness(STORAGE_TIKZ_FUNCTION_THICKNESS, 'thick');
@@ -220,6 +214,14 @@ function readTikzSettings() {
     lineExtend,
     pointRadiusPt,
     polygonFillColor,
+    inequalityFillStyle,
+    inequalityOpacity,
+    locusTolerance,
+    transformScopes,
+    parameterMacros,
+    beamerSteps,
+    axisMode,
+    geometryStyle,
     axisThickness,
     conicThickness,
     functionThickness,
@@ -269,10 +271,10 @@ function makeAsciiSafeForBtoa(text) {
 
 function convertTkzAnglesForPreview(tikzText) {
   const text = String(tikzText || '');
-  if (!text.includes('\\tkzMarkAngle')) return text;
+  if (!/\\tkzMark(?:Right)?Angle/.test(text)) return text;
 
   const coordMap = {};
-  const coordRe = /\\coordinate\s*\(\s*([A-Za-z][A-Za-z0-9_]*)\s*\)\s*at\s*\(\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*\)\s*;/g;
+  const coordRe = /\\coordinate\s*\(\s*([A-Za-z][A-Za-z0-9_]*)\s*\)\s*at\s*(?:\(\{[^\n]*?\}\)\s*;\s*%\s*)?\(\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*\)/g;
   let m = null;
   while ((m = coordRe.exec(text)) !== null) {
     coordMap[m[1]] = { x: Number(m[2]), y: Number(m[3]) };
@@ -360,9 +362,73 @@ function convertTkzAnglesForPreview(tikzText) {
   return out.join('\n');
 }
 
+// 预览不加载 tkz-euclide：定义点换成 \coordinate（辅助点取行尾注释里的坐标），画线/圆/点换成 \draw；
+// 角度记号留给 convertTkzAnglesForPreview
+function convertTkzEuclideForPreview(tikzText) {
+  const text = String(tikzText || '');
+  if (!/\\tkz(?:DefPoint|Draw|GetPoint|LabelPoint)/.test(text)) return text;
+
+  const num = '(-?\\d+(?:\\.\\d+)?)';
+  const name = '([A-Za-z][A-Za-z0-9_]*)';
+  const defRe = new RegExp(`\\\\tkzDefPoint\\s*\\(\\s*${num}\\s*,\\s*${num}\\s*\\)\\s*\\{${name}\\}`);
+  const commentRe = new RegExp(`\\\\tkz(?:DefPoint|GetPoint)\\b.*?\\{${name}\\}\\s*%\\s*\\(\\s*${num}\\s*,\\s*${num}\\s*\\)`);
+  const callRe = /^(\s*)\\(tkz\w+)(?:\[([^\]]*)\])?\s*\(([^)]*)\)(?:\s*\{([^}]*)\})?/;
+  const coordMap = {};
+  const splitNames = (args) => args.split(/[\s,]+/).filter(Boolean);
+  const dropKeys = (opts, keys) => String(opts || '')
+    .split(',')
+    .map((o) => o.trim())
+    .filter((o) => o && !keys.some((k) => o === k || o.startsWith(`${k}=`) || o.startsWith(`${k} `)))
+    .join(', ');
+
+  return text.split('\n').map((line) => {
+    const withCoord = line.match(commentRe);
+    if (withCoord) {
+      coordMap[withCoord[1]] = { x: Number(withCoord[2]), y: Number(withCoord[3]) };
+      return `\\coordinate (${withCoord[1]}) at (${withCoord[2]},${withCoord[3]});`;
+    }
+    const def = line.match(defRe);
+    if (def) {
+      coordMap[def[3]] = { x: Number(def[1]), y: Number(def[2]) };
+      return `\\coordinate (${def[3]}) at (${def[1]},${def[2]});`;
+    }
+    const call = line.match(callRe);
+    if (!call) return line;
+    const [, indent, macro, opts, args, labelText] = call;
+    const names = splitNames(args);
+    if (macro === 'tkzDrawSegments' || macro === 'tkzDrawSegment') {
+      const paths = names.reduce((acc, n, i) => (i % 2 ? acc : [...acc, `(${n}) -- (${names[i + 1]})`]), []);
+      return `${indent}\\draw[${opts || ''}] ${paths.join(' ')};`;
+    }
+    if (macro === 'tkzDrawPolygon') {
+      return `${indent}\\draw[${opts || ''}] ${names.map((n) => `(${n})`).join(' -- ')} -- cycle;`;
+    }
+    if (macro === 'tkzDrawLine') {
+      const add = String(opts || '').match(/add\s*=\s*(-?[\d.]+)\s+and\s+(-?[\d.]+)/);
+      const [a, b] = add ? [add[1], add[2]] : ['0', '0'];
+      return `${indent}\\draw[${dropKeys(opts, ['add'])}] ($(${names[0]})!-${a}!(${names[1]})$) -- ($(${names[1]})!-${b}!(${names[0]})$);`;
+    }
+    if (macro === 'tkzDrawCircle') {
+      const o = coordMap[names[0]];
+      const p = coordMap[names[1]];
+      if (!o || !p) return `% ${line}`;
+      const r = Math.hypot(p.x - o.x, p.y - o.y).toFixed(2);
+      return `${indent}\\draw[${dropKeys(opts, ['through'])}] (${names[0]}) circle[radius=${r}];`;
+    }
+    if (macro === 'tkzDrawPoints' || macro === 'tkzDrawPoint') {
+      return `${indent}\\fill[${dropKeys(opts, ['size'])}] ${names.map((n) => `(${n}) circle[radius=1.2pt]`).join(' ')};`;
+    }
+    if (macro === 'tkzLabelPoint') {
+      return `${indent}\\node[${opts || 'above right'}] at (${names[0]}) {${labelText || ''}};`;
+    }
+    return line;
+  }).join('\n');
+}
+
 function buildTikzPreviewContent(rawCode) {
-  const tikzRaw = extractTikzPictureBlock(rawCode);
-  const tikzNoComments = stripLatexComments(tikzRaw);
+  const tikzRaw = convertTkzEuclideForPreview(extractTikzPictureBlock(rawCode));
+  // 预览不加载 beamer，分步覆盖 \visible<n->{…} 退化为普通分组
+  const tikzNoComments = stripLatexComments(tikzRaw).replace(/\\(?:visible|only)<[^>]*>\{/g, '{');
   const tikzCompat = convertTkzAnglesForPreview(tikzNoComments);
   const tikzCode = makeAsciiSafeForBtoa(tikzCompat).replace(/<\/script>/gi, '<\\/script>');
   const preamble = '\\usetikzlibrary{arrows.meta,calc,intersections}';
@@ -410,360 +476,6 @@ function estimateTikzSizeCm(rawCode) {
   };
 }
 
-function collectNumericPointsFromTikz(code) {
-  const text = String(code || '');
-  const points = [];
-  const coordMap = {};
-
-  const coordDefRe = /\\coordinate\s*\(\s*([A-Za-z][A-Za-z0-9_]*)\s*\)\s*at\s*\(\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*\)\s*;/g;
-  let c = null;
-  while ((c = coordDefRe.exec(text)) !== null) {
-    const name = c[1];
-    const x = Number(c[2]);
-    const y = Number(c[3]);
-    if (Number.isFinite(x) && Number.isFinite(y)) {
-      coordMap[name] = { x, y };
-      points.push({ x, y });
-    }
-  }
-
-  const refToCoord = (token) => {
-    const t = String(token || '').trim();
-    const mNum = t.match(/^\(\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*\)$/);
-    if (mNum) return { x: Number(mNum[1]), y: Number(mNum[2]) };
-    const mLab = t.match(/^\(\s*([A-Za-z][A-Za-z0-9_]*)\s*\)$/);
-    if (mLab && coordMap[mLab[1]]) return coordMap[mLab[1]];
-    return null;
-  };
-
-  const usedLabels = new Set();
-  const lines = text.split('\n');
-  lines.forEach((line) => {
-    const s = line.trim();
-    if (!s.startsWith('\\draw') && !s.startsWith('\\fill')) return;
-    if (/\{\$x\$\}\s*;/.test(s) || /\{\$y\$\}\s*;/.test(s)) return;
-    const reLabel = /\(\s*([A-Za-z][A-Za-z0-9_]*)\s*\)/g;
-    let m = null;
-    while ((m = reLabel.exec(s)) !== null) {
-      const lab = m[1];
-      if (!/^Ang\d+/i.test(lab)) usedLabels.add(lab);
-    }
-    const reNum = /\(\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*\)/g;
-    let n = null;
-    while ((n = reNum.exec(s)) !== null) {
-      const x = Number(n[1]);
-      const y = Number(n[2]);
-      if (Number.isFinite(x) && Number.isFinite(y)) points.push({ x, y });
-    }
-
-    // circle: \draw ... (A) circle[radius=2.40];
-    const cMatch = s.match(/(\([^)]+\))\s*circle\s*\[\s*radius\s*=\s*(-?\d+(?:\.\d+)?)\s*\]/i);
-    if (cMatch) {
-      const center = refToCoord(cMatch[1]);
-      const r = Math.abs(Number(cMatch[2]));
-      if (center && Number.isFinite(r) && r > 1e-9) {
-        points.push({ x: center.x + r, y: center.y });
-        points.push({ x: center.x - r, y: center.y });
-        points.push({ x: center.x, y: center.y + r });
-        points.push({ x: center.x, y: center.y - r });
-      }
-    }
-
-    // ellipse: \draw ... (O) ellipse[x radius=a, y radius=b];
-    const eMatch = s.match(/(\([^)]+\))\s*ellipse\s*\[\s*x\s*radius\s*=\s*(-?\d+(?:\.\d+)?)\s*,\s*y\s*radius\s*=\s*(-?\d+(?:\.\d+)?)\s*\]/i);
-    if (eMatch) {
-      const center = refToCoord(eMatch[1]);
-      const rx = Math.abs(Number(eMatch[2]));
-      const ry = Math.abs(Number(eMatch[3]));
-      if (center && Number.isFinite(rx) && Number.isFinite(ry) && rx > 1e-9 && ry > 1e-9) {
-        // 若含旋转选项，为稳妥使用 max(rx,ry) 做保守包围盒
-        const hasRotate = /rotate\s+around\s*=/.test(s);
-        const ex = hasRotate ? Math.max(rx, ry) : rx;
-        const ey = hasRotate ? Math.max(rx, ry) : ry;
-        points.push({ x: center.x + ex, y: center.y });
-        points.push({ x: center.x - ex, y: center.y });
-        points.push({ x: center.x, y: center.y + ey });
-        points.push({ x: center.x, y: center.y - ey });
-      }
-    }
-  });
-
-  if (usedLabels.size > 0) {
-    usedLabels.forEach((lab) => {
-      const p = coordMap[lab];
-      if (p) points.push({ x: p.x, y: p.y });
-    });
-  } else {
-    Object.keys(coordMap).forEach((lab) => {
-      if (/^Ang\d+/i.test(lab)) return;
-      const p = coordMap[lab];
-      points.push({ x: p.x, y: p.y });
-    });
-  }
-
-  return { points, coordMap };
-}
-
-function roundNice(v) {
-  return Math.ceil(v * 2) / 2;
-}
-
-function computeOptimizedAxisBounds(points, axisPad = 0.5) {
-  if (!points.length) {
-    return { xmin: -3, xmax: 3, ymin: -3, ymax: 3 };
-  }
-  const clean = points.filter((p) => Number.isFinite(p.x) && Number.isFinite(p.y));
-  if (!clean.length) return { xmin: -3, xmax: 3, ymin: -3, ymax: 3 };
-
-  let minX = Infinity;
-  let maxX = -Infinity;
-  let minY = Infinity;
-  let maxY = -Infinity;
-  clean.forEach((p) => {
-    minX = Math.min(minX, p.x);
-    maxX = Math.max(maxX, p.x);
-    minY = Math.min(minY, p.y);
-    maxY = Math.max(maxY, p.y);
-  });
-
-  const pad = Math.max(0.1, Math.min(5, Number(axisPad) || 0.5));
-  // 新规则：直接取边界并向外扩 pad
-  let xmin = minX - pad;
-  let xmax = maxX + pad;
-  let ymin = minY - pad;
-  let ymax = maxY + pad;
-
-  // 原点必须可见；若某侧不足，则以 pad 起/止
-  if (xmin > -pad) xmin = -pad;
-  if (xmax < pad) xmax = pad;
-  if (ymin > -pad) ymin = -pad;
-  if (ymax < pad) ymax = pad;
-
-  // 刻度友好：向外 round 到 0.5
-  const floorHalf = (v) => Math.floor(v * 2) / 2;
-  const ceilHalf = (v) => Math.ceil(v * 2) / 2;
-  xmin = floorHalf(xmin);
-  xmax = ceilHalf(xmax);
-  ymin = floorHalf(ymin);
-  ymax = ceilHalf(ymax);
-
-  // 兜底：避免宽高退化
-  if (!(xmax > xmin)) { xmin -= 0.5; xmax += 0.5; }
-  if (!(ymax > ymin)) { ymin -= 0.5; ymax += 0.5; }
-
-  return { xmin, xmax, ymin, ymax };
-}
-
-function scoreSymmetricBounds(bounds, mode = 'area') {
-  const w = Math.max(1e-6, Number(bounds.xmax) - Number(bounds.xmin));
-  const h = Math.max(1e-6, Number(bounds.ymax) - Number(bounds.ymin));
-  const area = w * h;
-  if (mode === 'max_area') return [-area, h, w];
-  if (mode === 'min_height') return [h, area, w];
-  if (mode === 'min_width') return [w, area, h];
-  return [area, h, w];
-}
-
-function selectSymmetricAxisBounds(baseBounds, mode = 'area') {
-  const b = {
-    xmin: Number(baseBounds?.xmin),
-    xmax: Number(baseBounds?.xmax),
-    ymin: Number(baseBounds?.ymin),
-    ymax: Number(baseBounds?.ymax)
-  };
-  if (![b.xmin, b.xmax, b.ymin, b.ymax].every(Number.isFinite)) return baseBounds;
-
-  const maxAbsX = Math.max(Math.abs(b.xmin), Math.abs(b.xmax));
-  const maxAbsY = Math.max(Math.abs(b.ymin), Math.abs(b.ymax));
-  const loYX = Math.min(b.xmin, b.ymin);
-  const hiYX = Math.max(b.xmax, b.ymax);
-
-  // 你要求的“整体面积最大优先”规则：
-  // x、y 分别取绝对值较大的那一侧，再用相反数覆盖另一侧（即同时关于 x/y 轴对称）
-  if (mode === 'max_area') {
-    return {
-      xmin: Math.floor((-maxAbsX) * 2) / 2,
-      xmax: Math.ceil(maxAbsX * 2) / 2,
-      ymin: Math.floor((-maxAbsY) * 2) / 2,
-      ymax: Math.ceil(maxAbsY * 2) / 2
-    };
-  }
-
-  const candidates = [
-    // 关于 x 轴对称
-    { xmin: b.xmin, xmax: b.xmax, ymin: -maxAbsY, ymax: maxAbsY },
-    // 关于 y 轴对称
-    { xmin: -maxAbsX, xmax: maxAbsX, ymin: b.ymin, ymax: b.ymax },
-    // 关于 y = x 对称（x/y 同范围）
-    { xmin: loYX, xmax: hiYX, ymin: loYX, ymax: hiYX },
-    // 关于 y = -x 对称
-    (() => {
-      const xMin = Math.min(b.xmin, -b.ymax);
-      const xMax = Math.max(b.xmax, -b.ymin);
-      return { xmin: xMin, xmax: xMax, ymin: -xMax, ymax: -xMin };
-    })()
-  ];
-
-  let best = candidates[0];
-  let bestScore = scoreSymmetricBounds(best, mode);
-  for (let i = 1; i < candidates.length; i++) {
-    const c = candidates[i];
-    const s = scoreSymmetricBounds(c, mode);
-    let better = false;
-    for (let j = 0; j < s.length; j++) {
-      if (s[j] < bestScore[j] - 1e-9) { better = true; break; }
-      if (s[j] > bestScore[j] + 1e-9) break;
-    }
-    if (better) {
-      best = c;
-      bestScore = s;
-    }
-  }
-
-  return {
-    xmin: Math.floor(best.xmin * 2) / 2,
-    xmax: Math.ceil(best.xmax * 2) / 2,
-    ymin: Math.floor(best.ymin * 2) / 2,
-    ymax: Math.ceil(best.ymax * 2) / 2
-  };
-}
-
-function getClipBounds(bounds, clipPad = 0) {
-  const pad = Math.max(-3, Math.min(3, Number(clipPad) || 0));
-  let xmin = Number((bounds.xmin - pad).toFixed(2));
-  let xmax = Number((bounds.xmax + pad).toFixed(2));
-  let ymin = Number((bounds.ymin - pad).toFixed(2));
-  let ymax = Number((bounds.ymax + pad).toFixed(2));
-
-  // 兜底：避免 clip 退化或反转
-  if (!(xmax > xmin)) {
-    const cx = (Number(bounds.xmin) + Number(bounds.xmax)) / 2;
-    xmin = Number((cx - 0.25).toFixed(2));
-    xmax = Number((cx + 0.25).toFixed(2));
-  }
-  if (!(ymax > ymin)) {
-    const cy = (Number(bounds.ymin) + Number(bounds.ymax)) / 2;
-    ymin = Number((cy - 0.25).toFixed(2));
-    ymax = Number((cy + 0.25).toFixed(2));
-  }
-  return { xmin, xmax, ymin, ymax };
-}
-
-function replaceAutoClipBounds(out, bounds, clipPad = 0) {
-  const { xmin, xmax, ymin, ymax } = getClipBounds(bounds, clipPad);
-
-  const re = /(%\s*按坐标轴边界裁剪[^\n]*\n)(\s*)\\clip\s*\([^)]*\)\s*rectangle\s*\([^)]*\)\s*;/g;
-  return String(out || '').replace(
-    re,
-    (_m, comment, indent) => `${comment}${indent}\\clip (${xmin},${ymin}) rectangle (${xmax},${ymax});`
-  );
-}
-
-function alignFunctionDomainsToClip(out, bounds, clipPad = 0) {
-  const { xmin, xmax } = getClipBounds(bounds, clipPad);
-  const lines = String(out || '').split('\n');
-  const domainRe = /domain\s*=\s*(-?\d+(?:\.\d+)?)\s*:\s*(-?\d+(?:\.\d+)?)/i;
-  const inFuncPlot = (ln) => /\\draw\[/.test(ln) && /plot\s*\(\\x,\{/.test(ln);
-  const hasPotentialDiscontinuity = (expr) => {
-    const s = String(expr || '').toLowerCase();
-    if (!s) return false;
-    if (/\b(tan|cot|sec|csc|ln|log|sqrt|asin|acos)\s*\(/i.test(s)) return true;
-    if (s.includes('/')) return true;
-    return false;
-  };
-  const toNum = (v) => Number(Number(v).toFixed(2));
-
-  const mapped = lines.map((ln) => {
-    if (!inFuncPlot(ln)) return ln;
-    const m = ln.match(domainRe);
-    if (!m) return ln;
-    const exprMatch = ln.match(/plot\s*\(\\x,\{([\s\S]*?)\}\)\s*;/i);
-    const expr = exprMatch ? exprMatch[1] : '';
-    const conservative = hasPotentialDiscontinuity(expr);
-    const a = Number(m[1]);
-    const b = Number(m[2]);
-    if (!Number.isFinite(a) || !Number.isFinite(b)) return ln;
-    const forward = a <= b;
-    const lo = Math.min(a, b);
-    const hi = Math.max(a, b);
-    const nLo = conservative ? Math.max(lo, xmin) : xmin;
-    const nHi = conservative ? Math.min(hi, xmax) : xmax;
-    if (!(nHi > nLo)) return '';
-    return ln.replace(
-      domainRe,
-      forward
-        ? `domain=${toNum(nLo)}:${toNum(nHi)}`
-        : `domain=${toNum(nHi)}:${toNum(nLo)}`
-    );
-  });
-
-  return mapped.filter((ln) => ln !== '').join('\n');
-}
-
-function replaceAxisAndOrigin(out, bounds, options = {}) {
-  const showAxis = options.showAxis !== false;
-  const axisThickness = ALLOWED_TIKZ_THICKNESS.has(String(options.axisThickness || '').trim())
-    ? String(options.axisThickness).trim()
-    : 'semithick';
-  const pointRadiusPtRaw = Number(options.pointRadiusPt);
-  const pointRadiusPt = Number.isFinite(pointRadiusPtRaw)
-    ? Math.max(0.05, Math.min(10, pointRadiusPtRaw))
-    : 0.5;
-  const srcLines = String(out || '').split('\n');
-  const beginRe = /^\s*\\begin\{tikzpicture\}/;
-  const endRe = /^\s*\\end\{tikzpicture\}/;
-  const isAxisComment = (ln) => /^\s*%\s*坐标轴\s*$/.test(ln);
-  const isXAxis = (ln) => /\\draw\[[^\]]*->/.test(ln) && /\{\$x\$\}\s*;/.test(ln);
-  const isYAxis = (ln) => /\\draw\[[^\]]*->/.test(ln) && /\{\$y\$\}\s*;/.test(ln);
-  const isOrigin = (ln) => /\\node\s+at\s*\([^)]*\)\s*\{\$O\$\}\s*;/.test(ln);
-  const isAutoOriginPoint = (ln) => /%\s*axis-origin\s*$/.test(ln);
-  const isPointsComment = (ln) => /^\s*%\s*点\s*$/.test(ln);
-  const isPointLabelO = (ln) => /^(\s*\\fill\[[^\]]*\]\s*\([^)]+\)\s*circle\[radius=[^\]]+\]\s*)node\[[^\]]*\]\s*\{\$O\$\}\s*;/.test(ln);
-  const xLine = `    \\draw[->, ${axisThickness}] (${bounds.xmin},0) -- (${bounds.xmax},0) node[right] {$x$};`;
-  const yLine = `    \\draw[->, ${axisThickness}] (0,${bounds.ymin}) -- (0,${bounds.ymax}) node[above] {$y$};`;
-  const originPointLine = `\\fill[black] (0.00,0.00) circle[radius=${Number(pointRadiusPt.toFixed(3))}pt] node[above right, xshift=0pt, yshift=0pt] {$O$}; % axis-origin`;
-
-  const lines = [];
-  let beginIdx = -1;
-  let hasManualOriginPoint = false;
-  srcLines.forEach((ln) => {
-    if (isAxisComment(ln) || isXAxis(ln) || isYAxis(ln) || isOrigin(ln) || isAutoOriginPoint(ln)) return;
-    if (isPointLabelO(ln)) hasManualOriginPoint = true;
-    lines.push(ln);
-  });
-  lines.forEach((ln, idx) => {
-    if (beginRe.test(ln) && beginIdx < 0) beginIdx = idx;
-  });
-  if (!showAxis) return lines.join('\n');
-  const insertAt = beginIdx >= 0 ? beginIdx + 1 : 0;
-  const add = ['    % 坐标轴', xLine, yLine];
-  lines.splice(insertAt, 0, ...add);
-
-  if (!hasManualOriginPoint) {
-    let pIdx = -1;
-    let endIdx = -1;
-    lines.forEach((ln, idx) => {
-      if (isPointsComment(ln) && pIdx < 0) pIdx = idx;
-      if (endRe.test(ln) && endIdx < 0) endIdx = idx;
-    });
-    if (pIdx >= 0) {
-      lines.splice(pIdx + 1, 0, originPointLine);
-    } else if (endIdx >= 0) {
-      lines.splice(endIdx, 0, '% 点', originPointLine);
-    } else {
-      lines.push('% 点', originPointLine);
-    }
-  }
-
-  return lines.join('\n');
-}
-
-function estimateLabelTextWidthCm(text, fontPt = 12) {
-  const t = String(text || '').replace(/\\[A-Za-z]+/g, 'x');
-  const n = Math.max(1, t.length);
-  return Math.max(0.22, (fontPt / 12) * (0.09 * n + 0.12));
-}
-
 function readLabelMaxShiftPt() {
   try {
     const raw = Number(localStorage.getItem(STORAGE_TIKZ_OPT_LABEL_MAX_SHIFT_PT) || 12);
@@ -773,23 +485,6 @@ function readLabelMaxShiftPt() {
   }
 }
 
-function normalizeLabelOverride(item, maxShiftPt = readLabelMaxShiftPt()) {
-  if (!item || typeof item !== 'object') return null;
-  const position = LABEL_POSITION_OPTIONS.includes(String(item.position || '').trim())
-    ? String(item.position || '').trim()
-    : 'above right';
-  const xshift = Number(item.xshift);
-  const yshift = Number(item.yshift);
-  const clamp = Number.isFinite(Number(maxShiftPt))
-    ? Math.max(2, Math.min(50, Number(maxShiftPt)))
-    : 12;
-  return {
-    position,
-    xshift: Number.isFinite(xshift) ? Math.max(-clamp, Math.min(clamp, xshift)) : 0,
-    yshift: Number.isFinite(yshift) ? Math.max(-clamp, Math.min(clamp, yshift)) : 0
-  };
-}
-
 function readLabelOverrides() {
   try {
     const raw = localStorage.getItem(STORAGE_TIKZ_LABEL_OVERRIDES);
@@ -800,7 +495,7 @@ function readLabelOverrides() {
     Object.keys(parsed).forEach((k) => {
       const nk = String(k || '').trim();
       if (!nk) return;
-      const n = normalizeLabelOverride(parsed[k]);
+      const n = normalizeLabelOverride(parsed[k], readLabelMaxShiftPt());
       if (n) out[nk] = n;
     });
     return out;
@@ -814,7 +509,7 @@ function writeLabelOverrides(map) {
   Object.keys(map || {}).forEach((k) => {
     const nk = String(k || '').trim();
     if (!nk) return;
-    const n = normalizeLabelOverride(map[k]);
+    const n = normalizeLabelOverride(map[k], readLabelMaxShiftPt());
     if (n) out[nk] = n;
   });
   localStorage.setItem(STORAGE_TIKZ_LABEL_OVERRIDES, JSON.stringify(out));
@@ -917,161 +612,6 @@ function applyLabelOverridesToTikzCode(code, overrides = {}, labelFontPt = 12, l
   return mapped.join('\n');
 }
 
-function intersectsBox(a, b) {
-  return !(a.x2 < b.x1 || a.x1 > b.x2 || a.y2 < b.y1 || a.y1 > b.y2);
-}
-
-function optimizePointLabels(out, coordMap, allPoints, options = {}) {
-  const labelOffsetPt = Math.max(0, Math.min(8, Number(options.labelOffsetPt ?? 1)));
-  const labelFontPt = Math.max(8, Math.min(20, Number(options.labelFontPt ?? 12)));
-  const labelMaxShiftPt = Number.isFinite(Number(options.labelMaxShiftPt))
-    ? Math.max(2, Math.min(50, Number(options.labelMaxShiftPt)))
-    : readLabelMaxShiftPt();
-  const labelOverrides = (options.labelOverrides && typeof options.labelOverrides === 'object')
-    ? options.labelOverrides
-    : {};
-  const offsetCm = labelOffsetPt * 0.0353;
-  const lines = String(out || '').split('\n');
-  const assigned = [];
-
-  const centroid = allPoints.length
-    ? {
-        x: allPoints.reduce((s, p) => s + p.x, 0) / allPoints.length,
-        y: allPoints.reduce((s, p) => s + p.y, 0) / allPoints.length
-      }
-    : { x: 0, y: 0 };
-
-  const candidates = [
-    { key: 'above right', dx: 1, dy: 1 },
-    { key: 'above left', dx: -1, dy: 1 },
-    { key: 'below right', dx: 1, dy: -1 },
-    { key: 'below left', dx: -1, dy: -1 },
-    { key: 'above', dx: 0, dy: 1 },
-    { key: 'below', dx: 0, dy: -1 },
-    { key: 'right', dx: 1, dy: 0 },
-    { key: 'left', dx: -1, dy: 0 }
-  ];
-
-  const refToCoord = (ref) => {
-    const name = String(ref || '').trim();
-    const mNum = name.match(/^\(\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*\)$/);
-    if (mNum) return { x: Number(mNum[1]), y: Number(mNum[2]) };
-    const mLab = name.match(/^\(\s*([A-Za-z][A-Za-z0-9_]*)\s*\)$/);
-    if (mLab && coordMap[mLab[1]]) return coordMap[mLab[1]];
-    return null;
-  };
-
-  const pointLineRe = /^(\s*\\fill\[[^\]]*\]\s*)(\([^)]+\))(\s*circle\[radius=[^\]]+\]\s*)node\[[^\]]*\]\s*\{\$([^$]*)\$\}(;.*)$/;
-  for (let i = 0; i < lines.length; i++) {
-    const m = lines[i].match(pointLineRe);
-    if (!m) continue;
-    const prefix = m[1];
-    const ref = m[2];
-    const middle = m[3];
-    const label = m[4];
-    const suffix = m[5];
-    const p = refToCoord(ref);
-    if (!p) continue;
-    const forced = normalizeLabelOverride(labelOverrides[label], labelMaxShiftPt);
-    if (forced) {
-      const fontOpt = `font=\\fontsize{${labelFontPt}pt}{${Math.round(labelFontPt + 1)}pt}\\selectfont`;
-      const nodeOpts = `${forced.position}, xshift=${Number(forced.xshift.toFixed(2))}pt, yshift=${Number(forced.yshift.toFixed(2))}pt, ${fontOpt}`;
-      lines[i] = `${prefix}${ref}${middle}node[${nodeOpts}] {$${label}$}${suffix}`;
-      continue;
-    }
-
-    const w = estimateLabelTextWidthCm(label, labelFontPt);
-    const h = Math.max(0.16, 0.14 * (labelFontPt / 12));
-    let best = null;
-    let bestScore = Infinity;
-
-    candidates.forEach((c) => {
-      const cx = p.x + c.dx * (offsetCm + w * 0.35);
-      const cy = p.y + c.dy * (offsetCm + h * 0.55);
-      const box = { x1: cx - w / 2, x2: cx + w / 2, y1: cy - h / 2, y2: cy + h / 2 };
-      let score = 0;
-      assigned.forEach((b) => {
-        if (intersectsBox(box, b)) score += 800;
-      });
-      allPoints.forEach((pp) => {
-        if (pp === p) return;
-        const dx = Math.max(0, box.x1 - pp.x, pp.x - box.x2);
-        const dy = Math.max(0, box.y1 - pp.y, pp.y - box.y2);
-        const d = Math.hypot(dx, dy);
-        if (d < 0.18) score += (0.18 - d) * 350;
-      });
-      const outDx = p.x - centroid.x;
-      const outDy = p.y - centroid.y;
-      if (outDx * c.dx + outDy * c.dy < 0) score += 12;
-      if (score < bestScore) {
-        bestScore = score;
-        best = { c, box };
-      }
-    });
-    if (!best) continue;
-    assigned.push(best.box);
-
-    const sx = best.c.dx === 0 ? 0 : (best.c.dx * labelOffsetPt);
-    const sy = best.c.dy === 0 ? 0 : (best.c.dy * labelOffsetPt);
-    const fontOpt = `font=\\fontsize{${labelFontPt}pt}{${Math.round(labelFontPt + 1)}pt}\\selectfont`;
-    const nodeOpts = `${best.c.key}, xshift=${sx}pt, yshift=${sy}pt, ${fontOpt}`;
-    lines[i] = `${prefix}${ref}${middle}node[${nodeOpts}] {$${label}$}${suffix}`;
-  }
-
-  return lines.join('\n');
-}
-
-function optimizeTikzCodeRules(rawCode, prefs = {}) {
-  const code = String(rawCode || '');
-  if (!code.trim()) return code;
-  const { points, coordMap } = collectNumericPointsFromTikz(code);
-  const axisPad = Math.max(0.1, Math.min(5, Number(prefs.axisPad ?? 0.5)));
-  const clipPad = Math.max(-3, Math.min(3, Number(prefs.clipPad ?? 0)));
-  const symmetryEnabled = !!prefs.axisSymmetryEnabled;
-  const symmetryMode = ['area', 'max_area', 'min_height', 'min_width'].includes(String(prefs.axisSymmetryMode || '').toLowerCase())
-    ? String(prefs.axisSymmetryMode).toLowerCase()
-    : 'area';
-  let b = computeOptimizedAxisBounds(points, axisPad);
-  if (symmetryEnabled) {
-    b = selectSymmetricAxisBounds(b, symmetryMode);
-  }
-  const bboxW = Math.max(0.5, b.xmax - b.xmin);
-  const bboxH = Math.max(0.5, b.ymax - b.ymin);
-  const targetW = Math.max(4, Math.min(20, Number(prefs.targetWidthCm ?? 9)));
-  const targetH = Math.max(4, Math.min(20, Number(prefs.targetHeightCm ?? 9)));
-  const priority = ['fit', 'width', 'height'].includes(String(prefs.scalePriority || '').toLowerCase())
-    ? String(prefs.scalePriority).toLowerCase()
-    : 'fit';
-  let scale = Math.min(targetW / bboxW, targetH / bboxH);
-  if (priority === 'width') scale = targetW / bboxW;
-  if (priority === 'height') scale = targetH / bboxH;
-  scale = Math.max(0.5, Math.min(1.6, Number(scale.toFixed(2))));
-
-  let out = code;
-  out = out.replace(/\\begin\{tikzpicture\}\[([^\]]*)\]/, (m, opts) => {
-    const cleaned = String(opts || '')
-      .replace(/(^|,)\s*scale\s*=\s*[^,\]]+/i, '')
-      .replace(/^,\s*|\s*,\s*$/g, '')
-      .trim();
-    return `\\begin{tikzpicture}[scale=${scale}${cleaned ? `, ${cleaned}` : ''}]`;
-  });
-
-  out = replaceAxisAndOrigin(out, b, {
-    showAxis: prefs.showAxis !== false,
-    axisThickness: prefs.axisThickness || 'semithick',
-    pointRadiusPt: Number.isFinite(Number(prefs.pointRadiusPt)) ? Number(prefs.pointRadiusPt) : undefined
-  });
-  out = replaceAutoClipBounds(out, b, clipPad);
-  out = alignFunctionDomainsToClip(out, b, clipPad);
-  out = optimizePointLabels(out, coordMap, points, {
-    labelOffsetPt: prefs.labelOffsetPt ?? 1,
-    labelFontPt: prefs.labelFontPt ?? 12,
-    labelMaxShiftPt: prefs.labelMaxShiftPt ?? readLabelMaxShiftPt(),
-    labelOverrides: prefs.labelOverrides || {}
-  });
-  return out;
-}
-
 const ELEMENT_GROUPS = [
   { key: 'points', icon: '📍', title: '点' },
   { key: 'functions', icon: '📈', title: '函数' },
@@ -1142,7 +682,7 @@ function formatElementSummary(el = {}) {
   return el.type || 'object';
 }
 
-export default function NativeBoard({ onReadyChange }) {
+export default function NativeBoard({ onReadyChange, onProjectBridge, batchHistory, onBatchHistoryChange, getCommandScript }) {
   const getCenteredTikzWindowPos = () => {
     if (typeof window === 'undefined') return { x: 24, y: 24 };
     const vw = window.innerWidth;
@@ -1156,6 +696,8 @@ export default function NativeBoard({ onReadyChange }) {
   };
 
   const hostRef = useRef(null);
+  const fileInputRef = useRef(null);
+  const dragDepthRef = useRef(0);
   const tikzModalRef = useRef(null);
   const tikzPreviewHostRef = useRef(null);
   const tikzDragStateRef = useRef({
@@ -1176,12 +718,21 @@ export default function NativeBoard({ onReadyChange }) {
   const [elementsData, setElementsData] = useState(null);
   const [elementsRawXml, setElementsRawXml] = useState('');
   const [xmlLayerOpen, setXmlLayerOpen] = useState(false);
+  const [fileDragActive, setFileDragActive] = useState(false);
+  const [importedFileName, setImportedFileName] = useState('');
   const [tikzDebugOpen, setTikzDebugOpen] = useState(false);
   const [tikzDebugCode, setTikzDebugCode] = useState('');
   const [tikzPreviewContent, setTikzPreviewContent] = useState('');
   const [tikzPreviewSize, setTikzPreviewSize] = useState(null);
   const [tikzWindowPos, setTikzWindowPos] = useState(() => getCenteredTikzWindowPos());
   const [tikzPrefsOpen, setTikzPrefsOpen] = useState(false);
+  const [animationOpen, setAnimationOpen] = useState(false);
+  const [animationTargets, setAnimationTargets] = useState([]);
+  const [animationTarget, setAnimationTarget] = useState('');
+  const [animationFrames, setAnimationFrames] = useState(24);
+  const [animationFps, setAnimationFps] = useState(12);
+  const [animationFormat, setAnimationFormat] = useState('animate');
+  const [animationBusy, setAnimationBusy] = useState(false);
   const [labelOverrides, setLabelOverrides] = useState(() => readLabelOverrides());
   const [labelAdjustTarget, setLabelAdjustTarget] = useState('');
   const [labelAdjustPos, setLabelAdjustPos] = useState('above right');
@@ -1238,6 +789,14 @@ export default function NativeBoard({ onReadyChange }) {
   const [tikzLineExtendCfg, setTikzLineExtendCfg] = useState(() => Number(localStorage.getItem(STORAGE_TIKZ_LINE_EXTEND) || 0.25));
   const [tikzPointRadiusCfg, setTikzPointRadiusCfg] = useState(() => Number(localStorage.getItem(STORAGE_TIKZ_POINT_RADIUS) || 0.25));
   const [tikzPolygonFillCfg, setTikzPolygonFillCfg] = useState(() => localStorage.getItem(STORAGE_TIKZ_POLYGON_FILL) || 'black');
+  const [tikzInequalityFillCfg, setTikzInequalityFillCfg] = useState(() => localStorage.getItem(STORAGE_TIKZ_INEQUALITY_FILL) || 'opacity');
+  const [tikzInequalityOpacityCfg, setTikzInequalityOpacityCfg] = useState(() => Number(localStorage.getItem(STORAGE_TIKZ_INEQUALITY_OPACITY) || 0.2));
+  const [tikzLocusToleranceCfg, setTikzLocusToleranceCfg] = useState(() => Number(localStorage.getItem(STORAGE_TIKZ_LOCUS_TOLERANCE) ?? 0.01) || 0);
+  const [tikzTransformScopes, setTikzTransformScopes] = useState(() => localStorage.getItem(STORAGE_TIKZ_TRANSFORM_SCOPES) === 'on');
+  const [tikzParameterMacros, setTikzParameterMacros] = useState(() => localStorage.getItem(STORAGE_TIKZ_PARAMETER_MACROS) === 'on');
+  const [tikzBeamerStepsCfg, setTikzBeamerStepsCfg] = useState(() => localStorage.getItem(STORAGE_TIKZ_BEAMER_STEPS) || 'off');
+  const [tikzAxisModeCfg, setTikzAxisModeCfg] = useState(() => localStorage.getItem(STORAGE_TIKZ_AXIS_MODE) || 'tikz');
+  const [tikzGeometryStyleCfg, setTikzGeometryStyleCfg] = useState(() => localStorage.getItem(STORAGE_TIKZ_GEOMETRY_STYLE) || 'tikz');
   const [tikzAxisThicknessCfg, setTikzAxisThicknessCfg] = useState(() => localStorage.getItem(STORAGE_TIKZ_AXIS_THICKNESS) || 'semithick');
   const [tikzConicThicknessCfg, setTikzConicThicknessCfg] = useState(() => localStorage.getItem(STORAGE_TIKZ_CONIC_THICKNESS) || 'thick');
   const [tikzFunctionThicknessCfg, setTikzFunctionThicknessCfg] = useState(() => localStorage.getItem(STORAGE_TIKZ_FUNCTION_THICKNESS) || 'thick');
@@ -1259,6 +818,14 @@ export default function NativeBoard({ onReadyChange }) {
   const [optDraftLineExtend, setOptDraftLineExtend] = useState(tikzLineExtendCfg);
   const [optDraftPointRadius, setOptDraftPointRadius] = useState(tikzPointRadiusCfg);
   const [optDraftPolygonFill, setOptDraftPolygonFill] = useState(tikzPolygonFillCfg);
+  const [optDraftInequalityFill, setOptDraftInequalityFill] = useState(tikzInequalityFillCfg);
+  const [optDraftInequalityOpacity, setOptDraftInequalityOpacity] = useState(tikzInequalityOpacityCfg);
+  const [optDraftLocusTolerance, setOptDraftLocusTolerance] = useState(tikzLocusToleranceCfg);
+  const [optDraftTransformScopes, setOptDraftTransformScopes] = useState(tikzTransformScopes);
+  const [optDraftParameterMacros, setOptDraftParameterMacros] = useState(tikzParameterMacros);
+  const [optDraftBeamerSteps, setOptDraftBeamerSteps] = useState(tikzBeamerStepsCfg);
+  const [optDraftAxisMode, setOptDraftAxisMode] = useState(tikzAxisModeCfg);
+  const [optDraftGeometryStyle, setOptDraftGeometryStyle] = useState(tikzGeometryStyleCfg);
   const [optDraftAxisThickness, setOptDraftAxisThickness] = useState(tikzAxisThicknessCfg);
   const [optDraftConicThickness, setOptDraftConicThickness] = useState(tikzConicThicknessCfg);
   const [optDraftFunctionThickness, setOptDraftFunctionThickness] = useState(tikzFunctionThicknessCfg);
@@ -1280,7 +847,6 @@ export default function NativeBoard({ onReadyChange }) {
     const init = async () => {
       try {
         await ensureGGBScript();
-        await Promise.all([ensurePlainScript(PARSER_SCRIPT_URL), ensurePlainScript(TIKZ_SCRIPT_URL)]);
         if (cancelled) return;
 
         const ggbParams = {
@@ -1326,17 +892,19 @@ export default function NativeBoard({ onReadyChange }) {
     };
   }, [onReadyChange]);
 
-  const buildTikzFromBoard = (optOverrides = {}) => {
-    if (!(nativeApi && typeof nativeApi.getXML === 'function' && window.GGBParser && window.TikZGenerator)) {
-      throw new Error('当前环境未就绪：缺少原生画板或解析器');
+  // 生成未优化的 TikZ；genOverrides 覆盖生成器选项（动画逐帧用 tikz 模式）
+  const generateBoardTikz = (genOverrides = {}) => {
+    if (!(nativeApi && typeof nativeApi.getXML === 'function')) {
+      throw new Error('当前环境未就绪：缺少原生画板');
     }
     const xml = nativeApi.getXML();
-    const parser = new window.GGBParser(xml);
+    const parser = new GGBParser(xml, { applet: nativeApi });
     const parsed = parser.parse();
     const bounds = deriveTikZBoundsFromParsed(parsed, DEFAULT_TIKZ_BOUNDS);
     const tikzCfg = readTikzSettings();
-    const generator = new window.TikZGenerator({
-      outputMode: 'figure',
+    const generator = new TikZGenerator({
+      outputMode: tikzCfg.beamerSteps === 'off' ? 'figure' : 'beamer',
+      overlayGroups: tikzCfg.beamerSteps === 'blocks' ? scriptBlockLabels(getCommandScript?.() || '') : null,
       axis: tikzCfg.showAxis,
       grid: false,
       defaultStrokeColor: 'black',
@@ -1346,6 +914,13 @@ export default function NativeBoard({ onReadyChange }) {
       lineExtensionEnd: tikzCfg.lineExtend,
       pointRadiusPt: tikzCfg.pointRadiusPt,
       polygonFillColor: tikzCfg.polygonFillColor,
+      inequalityFillStyle: tikzCfg.inequalityFillStyle,
+      inequalityOpacity: tikzCfg.inequalityOpacity,
+      locusTolerance: tikzCfg.locusTolerance,
+      transformScopes: tikzCfg.transformScopes,
+      parameterMacros: tikzCfg.parameterMacros,
+      axisMode: tikzCfg.axisMode,
+      geometryStyle: tikzCfg.geometryStyle,
       axisThickness: tikzCfg.axisThickness,
       conicStrokeThickness: tikzCfg.conicThickness,
       functionStrokeThickness: tikzCfg.functionThickness,
@@ -1356,9 +931,14 @@ export default function NativeBoard({ onReadyChange }) {
       xmin: bounds.xmin,
       xmax: bounds.xmax,
       ymin: bounds.ymin,
-      ymax: bounds.ymax
+      ymax: bounds.ymax,
+      ...genOverrides
     });
-    const rawCode = generator.generate(parsed);
+    return generator.generate(parsed);
+  };
+
+  const optimizeBoardTikz = (rawCode, optOverrides = {}) => {
+    const tikzCfg = readTikzSettings();
     const optPrefs = {
       targetWidthCm: Number.isFinite(Number(optOverrides.targetWidthCm))
         ? Number(optOverrides.targetWidthCm)
@@ -1391,12 +971,15 @@ export default function NativeBoard({ onReadyChange }) {
       axisThickness: optOverrides.axisThickness || tikzCfg.axisThickness,
       pointRadiusPt: Number.isFinite(Number(optOverrides.pointRadiusPt))
         ? Number(optOverrides.pointRadiusPt)
-        : tikzCfg.pointRadiusPt
+        : tikzCfg.pointRadiusPt,
+      fixedAxisBounds: optOverrides.fixedAxisBounds || null
     };
     // 转译阶段默认执行规则优化（坐标轴/scale/标签）
     return optimizeTikzCodeRules(rawCode, optPrefs);
   };
 
+  const buildTikzFromBoard = (optOverrides = {}) => optimizeBoardTikz(generateBoardTikz(), optOverrides);
+
   const compileTikzPreview = (code) => {
     const text = String(code || '').trim();
     if (!text) {
@@ -1537,6 +1120,14 @@ export default function NativeBoard({ onReadyChange }) {
     setOptDraftLineExtend(tikzLineExtendCfg);
     setOptDraftPointRadius(tikzPointRadiusCfg);
     setOptDraftPolygonFill(tikzPolygonFillCfg);
+    setOptDraftInequalityFill(tikzInequalityFillCfg);
+    setOptDraftInequalityOpacity(tikzInequalityOpacityCfg);
+    setOptDraftLocusTolerance(tikzLocusToleranceCfg);
+    setOptDraftTransformScopes(tikzTransformScopes);
+    setOptDraftParameterMacros(tikzParameterMacros);
+    setOptDraftBeamerSteps(tikzBeamerStepsCfg);
+    setOptDraftAxisMode(tikzAxisModeCfg);
+    setOptDraftGeometryStyle(tikzGeometryStyleCfg);
     setOptDraftAxisThickness(tikzAxisThicknessCfg);
     setOptDraftConicThickness(tikzConicThicknessCfg);
     setOptDraftFunctionThickness(tikzFunctionThicknessCfg);
@@ -1571,6 +1162,14 @@ export default function NativeBoard({ onReadyChange }) {
       : 0.25;
     const pointRadiusPt = Math.max(0.05, Math.min(3, Number(optDraftPointRadius) || 0.25));
     const polygonFillColor = String(optDraftPolygonFill || 'black').trim() || 'black';
+    const inequalityFillStyle = INEQUALITY_FILL_VALUES.has(optDraftInequalityFill) ? optDraftInequalityFill : 'opacity';
+    const inequalityOpacity = Math.max(0.05, Math.min(1, Number(optDraftInequalityOpacity) || 0.2));
+    const locusTolerance = Math.max(0, Math.min(1, Number(optDraftLocusTolerance) || 0));
+    const transformScopes = !!optDraftTransformScopes;
+    const parameterMacros = !!optDraftParameterMacros;
+    const beamerSteps = BEAMER_STEP_VALUES.has(optDraftBeamerSteps) ? optDraftBeamerSteps : 'off';
+    const axisMode = optDraftAxisMode === 'pgfplots' ? 'pgfplots' : 'tikz';
+    const geometryStyle = optDraftGeometryStyle === 'tkz-euclide' ? 'tkz-euclide' : 'tikz';
     const axisThickness = ALLOWED_TIKZ_THICKNESS.has(String(optDraftAxisThickness || '').trim())
       ? String(optDraftAxisThickness).trim()
       : 'semithick';
@@ -1604,6 +1203,14 @@ export default function NativeBoard({ onReadyChange }) {
     setTikzLineExtendCfg(lineExtend);
     setTikzPointRadiusCfg(pointRadiusPt);
     setTikzPolygonFillCfg(polygonFillColor);
+    setTikzInequalityFillCfg(inequalityFillStyle);
+    setTikzInequalityOpacityCfg(inequalityOpacity);
+    setTikzLocusToleranceCfg(locusTolerance);
+    setTikzTransformScopes(transformScopes);
+    setTikzParameterMacros(parameterMacros);
+    setTikzBeamerStepsCfg(beamerSteps);
+    setTikzAxisModeCfg(axisMode);
+    setTikzGeometryStyleCfg(geometryStyle);
     setTikzAxisThicknessCfg(axisThickness);
     setTikzConicThicknessCfg(conicThickness);
     setTikzFunctionThicknessCfg(functionThickness);
@@ -1626,6 +1233,14 @@ export default function NativeBoard({ onReadyChange }) {
     localStorage.setItem(STORAGE_TIKZ_LINE_EXTEND, String(lineExtend));
     localStorage.setItem(STORAGE_TIKZ_POINT_RADIUS, String(pointRadiusPt));
     localStorage.setItem(STORAGE_TIKZ_POLYGON_FILL, polygonFillColor);
+    localStorage.setItem(STORAGE_TIKZ_INEQUALITY_FILL, inequalityFillStyle);
+    localStorage.setItem(STORAGE_TIKZ_INEQUALITY_OPACITY, String(inequalityOpacity));
+    localStorage.setItem(STORAGE_TIKZ_LOCUS_TOLERANCE, String(locusTolerance));
+    localStorage.setItem(STORAGE_TIKZ_TRANSFORM_SCOPES, transformScopes ? 'on' : 'off');
+    localStorage.setItem(STORAGE_TIKZ_PARAMETER_MACROS, parameterMacros ? 'on' : 'off');
+    localStorage.setItem(STORAGE_TIKZ_BEAMER_STEPS, beamerSteps);
+    localStorage.setItem(STORAGE_TIKZ_AXIS_MODE, axisMode);
+    localStorage.setItem(STORAGE_TIKZ_GEOMETRY_STYLE, geometryStyle);
     localStorage.setItem(STORAGE_TIKZ_AXIS_THICKNESS, axisThickness);
     localStorage.setItem(STORAGE_TIKZ_CONIC_THICKNESS, conicThickness);
     localStorage.setItem(STORAGE_TIKZ_FUNCTION_THICKNESS, functionThickness);
@@ -1657,7 +1272,7 @@ export default function NativeBoard({ onReadyChange }) {
             ...optPayload,
             labelOverrides: { ...(labelOverrides || {}), ...labelFromCode }
           });
-        } else if (nativeApi && typeof nativeApi.getXML === 'function' && window.GGBParser && window.TikZGenerator) {
+        } else if (nativeApi && typeof nativeApi.getXML === 'function') {
           refreshed = buildTikzFromBoard(optPayload);
         } else {
           const legacy = getLegacyWindow();
@@ -1684,7 +1299,7 @@ export default function NativeBoard({ onReadyChange }) {
   const openTikzDebugger = () => {
     try {
       let code = '';
-      if (nativeApi && typeof nativeApi.getXML === 'function' && window.GGBParser && window.TikZGenerator) {
+      if (nativeApi && typeof nativeApi.getXML === 'function') {
         code = buildTikzFromBoard();
       } else {
         const legacy = getLegacyWindow();
@@ -1811,7 +1426,7 @@ export default function NativeBoard({ onReadyChange }) {
 
   const exportTikz = async () => {
     try {
-      if (nativeApi && typeof nativeApi.getXML === 'function' && window.GGBParser && window.TikZGenerator) {
+      if (nativeApi && typeof nativeApi.getXML === 'function') {
         const code = buildTikzFromBoard();
         await navigator.clipboard.writeText(code);
         setActionStatus('已复制 TikZ 代码');
@@ -1834,6 +1449,68 @@ export default function NativeBoard({ onReadyChange }) {
     }
   };
 
+  const openAnimationExport = () => {
+    try {
+      if (!(nativeApi && typeof nativeApi.getXML === 'function')) {
+        setActionStatus('动画导出失败：画板未就绪');
+        return;
+      }
+      const parsed = new GGBParser(nativeApi.getXML()).parse();
+      const targets = listAnimationTargets(parsed.structured);
+      if (targets.length === 0) {
+        setActionStatus('画板中没有滑动条或路径上的点（Point(路径)），无法生成动画');
+        return;
+      }
+      setAnimationTargets(targets);
+      setAnimationTarget((prev) => (targets.some((t) => t.label === prev) ? prev : targets[0].label));
+      setAnimationOpen(true);
+    } catch (e) {
+      setActionStatus(`动画导出失败：${e.message}`);
+    }
+  };
+
+  const runAnimationExport = async () => {
+    const target = animationTargets.find((t) => t.label === animationTarget);
+    if (!target || !nativeApi) return;
+    const frames = Math.max(2, Math.min(120, Math.round(Number(animationFrames) || 24)));
+    const fps = Math.max(1, Math.min(60, Number(animationFps) || 12));
+    // 路径参数 0 与 1 是同一位置，不重复取终点
+    const values = sweepValues(target.min, target.max, frames, target.kind === 'path_point');
+    setAnimationBusy(true);
+    // 逐帧驱动画板是同步的，先让出一帧以便显示“生成中”
+    await new Promise((resolve) => setTimeout(resolve, 0));
+    try {
+      if (animationFormat === 'apng') {
+        const scale = Math.max(1, Math.min(4, Number(localStorage.getItem(STORAGE_EXPORT_SCALE) || 2)));
+        const pngs = captureAnimationFrames(nativeApi, target, values, () => (
+          base64ToBytes(nativeApi.getPNGBase64(scale, false, 300, false, false))
+        ));
+        const blob = new Blob([assembleApng(pngs, 1000 / fps)], { type: 'image/apng' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `geogebra-${target.label}-${Date.now()}.png`;
+        a.click();
+        URL.revokeObjectURL(url);
+        setActionStatus(`已下载 ${frames} 帧 APNG 动图`);
+      } else {
+        const rawFrames = captureAnimationFrames(nativeApi, target, values, () => (
+          generateBoardTikz({ outputMode: 'tikz', overlayGroups: null })
+        ));
+        // 各帧共用一套坐标轴范围，动画播放时坐标系不跳动
+        const fixedAxisBounds = unionAxisBounds(rawFrames, optAxisPad);
+        const code = buildAnimateInline(rawFrames.map((raw) => optimizeBoardTikz(raw, { fixedAxisBounds })), { fps });
+        await navigator.clipboard.writeText(code);
+        setActionStatus(`已复制 ${frames} 帧 animateinline 代码（需 \\usepackage{animate}）`);
+      }
+      setAnimationOpen(false);
+    } catch (e) {
+      setActionStatus(`动画导出失败：${e.message}`);
+    } finally {
+      setAnimationBusy(false);
+    }
+  };
+
   const exportImage = async () => {
     try {
       const mode = (localStorage.getItem(STORAGE_EXPORT_IMAGE_MODE) || 'file') === 'clipboard' ? 'clipboard' : 'file';
@@ -1875,6 +1552,113 @@ export default function NativeBoard({ onReadyChange }) {
     }
   };
 
+  const loadGeoGebraFile = async (file) => {
+    if (!file) return;
+    try {
+      if (!/\.(ggb|xml)$/i.test(file.name || '')) {
+        setActionStatus('仅支持打开 .ggb 或 .xml 文件');
+        return;
+      }
+      if (!nativeApi) {
+        setActionStatus('打开失败：画板未就绪');
+        return;
+      }
+      const bytes = new Uint8Array(await file.arrayBuffer());
+      // 先在本地解压校验，确保能取到 geogebra.xml 再交给画板
+      const xml = extractGeoGebraXml(bytes, file.name);
+      if (isZipBytes(bytes) && typeof nativeApi.setBase64 === 'function') {
+        // .ggb 整包载入，保留图片等附件
+        await new Promise((resolve) => nativeApi.setBase64(bytesToBase64(bytes), resolve));
+      } else if (typeof nativeApi.setXML === 'function') {
+        nativeApi.setXML(xml);
+      } else {
+        setActionStatus('打开失败：画板不支持载入文件');
+        return;
+      }
+      applyAxesVisibility(nativeApi, readShowAxes());
+      setImportedFileName(file.name);
+      setActionStatus(`已打开 ${file.name}`);
+    } catch (e) {
+      setActionStatus(`打开文件失败：${e.message}`);
+    }
+  };
+
+  // 项目存档：画板（getBase64）、TikZ 调试代码与标签微调交给 App 统一保存/恢复
+  const projectStateRef = useRef(null);
+  projectStateRef.current = { tikzDebugCode, labelOverrides };
+
+  useEffect(() => {
+    if (!onProjectBridge) return undefined;
+    onProjectBridge('board', {
+      collect: () => {
+        let board = '';
+        if (nativeApi && typeof nativeApi.getBase64 === 'function') {
+          board = nativeApi.getBase64() || '';
+        }
+        return {
+          board,
+          tikzCode: projectStateRef.current.tikzDebugCode,
+          labelOverrides: projectStateRef.current.labelOverrides
+        };
+      },
+      restore: async (project) => {
+        if (!nativeApi) throw new Error('画板未就绪');
+        if (project?.board && typeof nativeApi.setBase64 === 'function') {
+          await new Promise((resolve) => nativeApi.setBase64(project.board, resolve));
+        } else if (typeof nativeApi.reset === 'function') {
+          nativeApi.reset();
+        }
+        applyAxesVisibility(nativeApi, readShowAxes());
+        setTikzDebugCode(String(project?.tikzCode || ''));
+        setLabelOverrides(writeLabelOverrides(project?.labelOverrides || {}));
+      }
+    });
+    return () => onProjectBridge('board', null);
+  }, [onProjectBridge, nativeApi]);
+
+  const handleFileInputChange = (event) => {
+    const file = event.target.files?.[0];
+    // 重置以便再次选择同一文件
+    event.target.value = '';
+    loadGeoGebraFile(file);
+  };
+
+  const hasDraggedFiles = (event) => Array.from(event.dataTransfer?.types || []).includes('Files');
+
+  const handleBoardDragEnter = (event) => {
+    if (!hasDraggedFiles(event)) return;
+    event.preventDefault();
+    dragDepthRef.current += 1;
+    setFileDragActive(true);
+  };
+
+  const handleBoardDragOver = (event) => {
+    if (!hasDraggedFiles(event)) return;
+    event.preventDefault();
+    event.dataTransfer.dropEffect = 'copy';
+  };
+
+  const handleBoardDragLeave = (event) => {
+    if (!hasDraggedFiles(event)) return;
+    dragDepthRef.current = Math.max(0, dragDepthRef.current - 1);
+    if (dragDepthRef.current === 0) setFileDragActive(false);
+  };
+
+  const handleBoardDrop = (event) => {
+    if (!hasDraggedFiles(event)) return;
+    // 捕获阶段拦截，避免画板自身再处理一次拖入的文件
+    event.preventDefault();
+    event.stopPropagation();
+    dragDepthRef.current = 0;
+    setFileDragActive(false);
+    loadGeoGebraFile(event.dataTransfer.files?.[0]);
+  };
+
+  const openTikzDebuggerForImport = () => {
+    setImportedFileName('');
+    openTikzDebugger();
+  };
+
   const showBoardElements = () => {
     try {
       if (!nativeApi) {
@@ -1882,9 +1666,9 @@ export default function NativeBoard({ onReadyChange }) {
         return;
       }
 
-      if (typeof nativeApi.getXML === 'function' && window.GGBParser) {
+      if (typeof nativeApi.getXML === 'function') {
         const xml = nativeApi.getXML() || '';
-        const parser = new window.GGBParser(xml);
+        const parser = new GGBParser(xml);
         const parsed = parser.parse();
         const structured = parsed?.structured || buildFallbackStructured(nativeApi);
         setElementsRawXml(xml);
@@ -1939,6 +1723,31 @@ export default function NativeBoard({ onReadyChange }) {
     }
   };
 
+  // 批次撤销/重做：直接恢复执行前/后的 XML；若画板在此之后被改动过，先确认再覆盖
+  const confirmOverwriteLaterChanges = () => window.confirm('画板在该批次之后还有其他改动，继续将丢弃这些改动。是否继续？');
+
+  const undoBoardBatch = () => {
+    try {
+      const result = undoLastBatch(nativeApi, batchHistory, confirmOverwriteLaterChanges);
+      if (!result) return;
+      onBatchHistoryChange?.(result.history);
+      setActionStatus(`已撤销：${result.entry.label}`);
+    } catch (e) {
+      setActionStatus(`撤销失败：${e.message}`);
+    }
+  };
+
+  const redoBoardBatch = () => {
+    try {
+      const result = redoNextBatch(nativeApi, batchHistory, confirmOverwriteLaterChanges);
+      if (!result) return;
+      onBatchHistoryChange?.(result.history);
+      setActionStatus(`已重做：${result.entry.label}`);
+    } catch (e) {
+      setActionStatus(`重做失败：${e.message}`);
+    }
+  };
+
   const copyElementsJson = async () => {
     try {
       if (!elementsData) return;
@@ -2043,14 +1852,46 @@ export default function NativeBoard({ onReadyChange }) {
   }, [tikzPreviewContent]);
 
   return (
-    <section className="panel panel-right">
+    <section
+      className="panel panel-right"
+      onDragEnterCapture={handleBoardDragEnter}
+      onDragOverCapture={handleBoardDragOver}
+      onDragLeaveCapture={handleBoardDragLeave}
+      onDropCapture={handleBoardDrop}
+    >
       {toastVisible ? <div className="top-toast">❗ {toastText}</div> : null}
+      {fileDragActive ? <div className="board-drop-overlay">释放以打开 .ggb / .xml 文件</div> : null}
       <header className="panel-subheader">
         <h2>原生 GeoGebra 画板（React）</h2>
         <div className="board-head-actions">
+          <button className="btn btn-lite board-btn" onClick={() => fileInputRef.current?.click()}>打开 .ggb / .xml</button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept=".ggb,.xml"
+            hidden
+            onChange={handleFileInputChange}
+          />
+          <button
+            className="btn btn-lite board-btn"
+            onClick={undoBoardBatch}
+            disabled={!batchHistory?.past?.length}
+            title={batchHistory?.past?.length ? `撤销：${batchHistory.past[batchHistory.past.length - 1].label}` : '暂无可撤销的执行批次'}
+          >
+            ↶ 撤销批次
+          </button>
+          <button
+            className="btn btn-lite board-btn"
+            onClick={redoBoardBatch}
+            disabled={!batchHistory?.future?.length}
+            title={batchHistory?.future?.length ? `重做：${batchHistory.future[0].label}` : '暂无可重做的执行批次'}
+          >
+            重做批次 ↷
+          </button>
           <button className="btn btn-lite board-btn" onClick={clearBoard}>清空画板</button>
           <button className="btn btn-lite board-btn" onClick={showBoardElements}>画板元素</button>
           <button className="btn btn-lite board-btn" onClick={exportImage}>导出图片</button>
+          <button className="btn btn-lite board-btn" onClick={openAnimationExport}>导出动画</button>
           <button className="btn btn-lite board-btn" onClick={openTikzDebugger}>TikZ 调试</button>
           <button className="btn board-btn" onClick={exportTikz}>导出 TikZ</button>
           <a className="link" href={LEGACY_PAGE_URL} target="_blank" rel="noreferrer">旧版备用</a>
@@ -2064,6 +1905,67 @@ export default function NativeBoard({ onReadyChange }) {
         title="Legacy GeoGebra Fallback"
       />
 
+      {importedFileName ? (
+        <div className="settings-modal-overlay" onClick={() => setImportedFileName('')}>
+          <div className="settings-modal import-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="settings-modal-head">
+              <strong>📂 已打开 {importedFileName}</strong>
+              <button className="btn btn-lite" onClick={() => setImportedFileName('')}>关闭</button>
+            </div>
+            <span className="hint-text">文件已载入画板，可直接转换为 TikZ 并在调试器中微调。</span>
+            <div className="actions-row gap">
+              <button className="btn btn-lite" onClick={() => setImportedFileName('')}>稍后</button>
+              <button className="btn" onClick={openTikzDebuggerForImport}>打开 TikZ 调试</button>
+            </div>
+          </div>
+        </div>
+      ) : null}
+
+      {animationOpen ? (
+        <div className="settings-modal-overlay" onClick={() => !animationBusy && setAnimationOpen(false)}>
+          <div className="settings-modal animation-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="settings-modal-head">
+              <strong>🎞 导出动画</strong>
+              <button className="btn btn-lite" onClick={() => setAnimationOpen(false)} disabled={animationBusy}>关闭</button>
+            </div>
+            <div className="settings-grid">
+              <label>
+                驱动对象
+                <select value={animationTarget} onChange={(e) => setAnimationTarget(e.target.value)}>
+                  {animationTargets.map((t) => (
+                    <option key={t.label} value={t.label}>
+                      {t.kind === 'slider' ? `滑动条 ${t.label}：${t.min} → ${t.max}` : `点 ${t.label}：沿 ${t.path} 一周`}
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label>
+                输出格式
+                <select value={animationFormat} onChange={(e) => setAnimationFormat(e.target.value)}>
+                  <option value="animate">animateinline（LaTeX，复制代码）</option>
+                  <option value="apng">APNG 动图（下载）</option>
+                </select>
+              </label>
+              <label>
+                帧数
+                <input type="number" min="2" max="120" step="1" value={animationFrames} onChange={(e) => setAnimationFrames(e.target.value)} />
+              </label>
+              <label>
+                帧率（帧/秒）
+                <input type="number" min="1" max="60" step="1" value={animationFps} onChange={(e) => setAnimationFps(e.target.value)} />
+              </label>
+            </div>
+            <span className="hint-text">导出时会逐帧改动画板并在结束后恢复原值；LaTeX 各帧共用同一坐标范围。</span>
+            <div className="actions-row gap">
+              <button className="btn btn-lite" onClick={() => setAnimationOpen(false)} disabled={animationBusy}>取消</button>
+              <button className="btn" onClick={runAnimationExport} disabled={animationBusy || !animationTarget}>
+                {animationBusy ? '生成中...' : '生成'}
+              </button>
+            </div>
+          </div>
+        </div>
+      ) : null}
+
       {elementsOpen ? (
         <div className="settings-modal-overlay" onClick={() => setElementsOpen(false)}>
           <div className="settings-modal elements-modal" onClick={(e) => e.stopPropagation()}>
@@ -2491,6 +2393,97 @@ export default function NativeBoard({ onReadyChange }) {
                         placeholder="例如 black / blue!20 / none"
                       />
                     </label>
+                    <label>
+                      不等式区域填充
+                      <select
+                        value={optDraftInequalityFill}
+                        onChange={(e) => setOptDraftInequalityFill(String(e.target.value || 'opacity'))}
+                      >
+                        {INEQUALITY_FILL_OPTIONS.map((it) => (
+                          <option key={it.value} value={it.value}>{it.label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label>
+                      不等式填充透明度
+                      <input
+                        type="number"
+                        min="0.05"
+                        max="1"
+                        step="0.05"
+                        value={optDraftInequalityOpacity}
+                        disabled={optDraftInequalityFill !== 'opacity'}
+                        onChange={(e) => setOptDraftInequalityOpacity(e.target.value)}
+                      />
+                    </label>
+                    <label>
+                      轨迹化简容差
+                      <input
+                        type="number"
+                        min="0"
+                        max="1"
+                        step="0.005"
+                        value={optDraftLocusTolerance}
+                        onChange={(e) => setOptDraftLocusTolerance(e.target.value)}
+                        title="0 表示保留画板给出的全部轨迹点"
+                      />
+                    </label>
+                    <label>
+                      变换的像
+                      <select
+                        value={optDraftTransformScopes ? 'on' : 'off'}
+                        onChange={(e) => setOptDraftTransformScopes(e.target.value === 'on')}
+                        title="Reflect/Rotate/Translate/Dilate 的像：直接用坐标，或写成原对象 + rotate around/shift 等 scope"
+                      >
+                        <option value="off">按坐标</option>
+                        <option value="on">原对象 + 变换 scope</option>
+                      </select>
+                    </label>
+                    <label>
+                      滑动条与数值
+                      <select
+                        value={optDraftParameterMacros ? 'on' : 'off'}
+                        onChange={(e) => setOptDraftParameterMacros(e.target.value === 'on')}
+                        title="输出 \pgfmathsetmacro 参数宏，依赖滑动条的点与函数写成宏表达式，便于在 .tex 里调参"
+                      >
+                        <option value="off">代入当前值</option>
+                        <option value="on">\pgfmathsetmacro 参数宏</option>
+                      </select>
+                    </label>
+                    <label>
+                      分步展示（beamer）
+                      <select
+                        value={optDraftBeamerSteps}
+                        onChange={(e) => setOptDraftBeamerSteps(e.target.value)}
+                        title="导出为 beamer frame，对象按步包进 \visible<n->{…}，幻灯片里逐步显示作图过程"
+                      >
+                        {BEAMER_STEP_OPTIONS.map((it) => (
+                          <option key={it.value} value={it.value}>{it.label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    <label>
+                      坐标轴样式
+                      <select
+                        value={optDraftAxisMode}
+                        onChange={(e) => setOptDraftAxisMode(e.target.value)}
+                        title="pgfplots：输出 axis 环境，函数与参数曲线用 \addplot，几何对象仍用 \draw；预览可能不支持 pgfplots"
+                      >
+                        <option value="tikz">手绘 TikZ 坐标轴</option>
+                        <option value="pgfplots">pgfplots axis</option>
+                      </select>
+                    </label>
+                    <label>
+                      几何对象写法
+                      <select
+                        value={optDraftGeometryStyle}
+                        onChange={(e) => setOptDraftGeometryStyle(e.target.value)}
+                        title="tkz-euclide：\tkzDefPoint 定义点，线段/圆/多边形用 \tkzDraw…，垂线、角分线、切线、平行线保留 \tkzDefLine 等作图关系"
+                      >
+                        <option value="tikz">TikZ \draw</option>
+                        <option value="tkz-euclide">tkz-euclide 宏</option>
+                      </select>
+                    </label>
                     <label>
                       坐标轴线宽
                       <select
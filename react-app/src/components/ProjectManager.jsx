@@ -0,0 +1,427 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  deleteProject,
+  findStaleSessions,
+  isProjectEmpty,
+  listProjects,
+  loadProject,
+  normalizeProject,
+  parseProjectFile,
+  readRecoverySnapshot,
+  saveProject,
+  serializeProjectJson,
+  serializeProjectZip,
+  writeRecoverySnapshot
+} from '../lib/projectStore';
+
+// 本标签页是否正常关闭（sessionStorage，刷新与恢复标签页后仍在）
+const STORAGE_SESSION_OPEN = 'ggb_project_session_open';
+// 所有打开的标签页及其心跳时间（localStorage，跨标签页共享）
+const STORAGE_OPEN_SESSIONS = 'ggb_project_open_sessions';
+const AUTOSAVE_INTERVAL_MS = 5000;
+const SESSION_HEARTBEAT_MS = 5000;
+// 后台标签页的定时器可能被浏览器降到每分钟一次，超时阈值要留足余量
+const SESSION_STALE_MS = 90000;
+
+function readOpenSessions() {
+  try {
+    const data = JSON.parse(localStorage.getItem(STORAGE_OPEN_SESSIONS) || '{}');
+    return data && typeof data === 'object' ? data : {};
+  } catch {
+    return {};
+  }
+}
+
+function updateOpenSessions(update) {
+  const sessions = readOpenSessions();
+  update(sessions);
+  localStorage.setItem(STORAGE_OPEN_SESSIONS, JSON.stringify(sessions));
+}
+
+function formatTime(ts) {
+  if (!ts) return '-';
+  return new Date(ts).toLocaleString('zh-CN', { hour12: false });
+}
+
+function downloadBlob(data, type, fileName) {
+  const blob = new Blob([data], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function toFileBaseName(name) {
+  return String(name || 'project').replace(/[\\/:*?"<>|\s]+/g, '_').slice(0, 60) || 'project';
+}
+
+export default function ProjectManager({ open, onClose, bridgesRef, ggbReady }) {
+  const [projects, setProjects] = useState([]);
+  const [activeProject, setActiveProject] = useState(null);
+  const [nameDraft, setNameDraft] = useState('');
+  const [status, setStatus] = useState('');
+  const [lastAutosaveAt, setLastAutosaveAt] = useState(0);
+  const [recovery, setRecovery] = useState(null);
+  const importInputRef = useRef(null);
+  const activeProjectRef = useRef(null);
+  const lastFingerprintRef = useRef('');
+  // 崩溃恢复的提示处理完之前暂停自动保存，避免空白状态覆盖恢复快照
+  const [recoveryChecked, setRecoveryChecked] = useState(false);
+  const autosavingRef = useRef(false);
+
+  activeProjectRef.current = activeProject;
+
+  const bridgesReady = useCallback(
+    () => !!(ggbReady && bridgesRef.current.command && bridgesRef.current.board),
+    [ggbReady, bridgesRef]
+  );
+
+  const collectProject = useCallback(() => {
+    const { command, board } = bridgesRef.current;
+    const active = activeProjectRef.current;
+    return normalizeProject({
+      id: active?.id,
+      name: active?.name,
+      createdAt: active?.createdAt,
+      ...(command ? command.collect() : {}),
+      ...(board ? board.collect() : {})
+    });
+  }, [bridgesRef]);
+
+  const restoreProject = useCallback(async (project) => {
+    const { command, board } = bridgesRef.current;
+    if (!command || !board) throw new Error('画板未就绪');
+    await board.restore(project);
+    command.restore(project);
+    lastFingerprintRef.current = '';
+  }, [bridgesRef]);
+
+  const refreshProjects = useCallback(async () => {
+    try {
+      setProjects(await listProjects());
+    } catch (e) {
+      setStatus(`读取项目列表失败：${e.message}`);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (open) refreshProjects();
+  }, [open, refreshProjects]);
+
+  // 会话标记：页面正常关闭时清除。本标签页刷新后标记仍在，或有别的标签页心跳中断，说明上次是崩溃或强制结束；
+  // 其他仍打开的标签页心跳正常，不会误判
+  useEffect(() => {
+    const tabId = `t_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+    const stale = findStaleSessions(readOpenSessions(), Date.now(), SESSION_STALE_MS);
+    const crashed = sessionStorage.getItem(STORAGE_SESSION_OPEN) === '1' || stale.length > 0;
+    const markOpen = () => {
+      sessionStorage.setItem(STORAGE_SESSION_OPEN, '1');
+      updateOpenSessions((sessions) => {
+        sessions[tabId] = Date.now();
+      });
+    };
+    const markClosed = () => {
+      sessionStorage.removeItem(STORAGE_SESSION_OPEN);
+      updateOpenSessions((sessions) => {
+        delete sessions[tabId];
+      });
+    };
+    updateOpenSessions((sessions) => stale.forEach((id) => delete sessions[id]));
+    markOpen();
+    const heartbeat = setInterval(markOpen, SESSION_HEARTBEAT_MS);
+    window.addEventListener('pagehide', markClosed);
+    window.addEventListener('pageshow', markOpen);
+
+    if (!crashed) {
+      setRecoveryChecked(true);
+    } else {
+      readRecoverySnapshot()
+        .then((snapshot) => {
+          if (snapshot && !isProjectEmpty(snapshot)) {
+            setRecovery(snapshot);
+          } else {
+            setRecoveryChecked(true);
+          }
+        })
+        .catch(() => setRecoveryChecked(true));
+    }
+
+    return () => {
+      clearInterval(heartbeat);
+      window.removeEventListener('pagehide', markClosed);
+      window.removeEventListener('pageshow', markOpen);
+      markClosed();
+    };
+  }, []);
+
+  const runAutosave = useCallback(async () => {
+    if (autosavingRef.current || !bridgesReady()) return;
+    autosavingRef.current = true;
+    try {
+      const project = collectProject();
+      // 只比较内容字段，id 与时间戳不参与判断
+      const fingerprint = JSON.stringify([
+        project.board,
+        project.editor,
+        project.chatMessages,
+        project.conversationHistory,
+        project.tikzCode,
+        project.labelOverrides
+      ]);
+      if (fingerprint === lastFingerprintRef.current) return;
+      const active = activeProjectRef.current;
+      await writeRecoverySnapshot(project, active?.id || '');
+      if (active) {
+        setActiveProject(await saveProject(project));
+      }
+      lastFingerprintRef.current = fingerprint;
+      setLastAutosaveAt(Date.now());
+    } catch (e) {
+      setStatus(`自动保存失败：${e.message}`);
+    } finally {
+      autosavingRef.current = false;
+    }
+  }, [bridgesReady, collectProject]);
+
+  useEffect(() => {
+    if (!recoveryChecked) return undefined;
+    const timer = setInterval(runAutosave, AUTOSAVE_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [recoveryChecked, runAutosave]);
+
+  const applyRecovery = async () => {
+    if (!recovery) return;
+    try {
+      await restoreProject(recovery);
+      if (recovery.activeProjectId) {
+        setActiveProject(normalizeProject({ ...recovery, id: recovery.activeProjectId }));
+      }
+      setStatus(`已恢复 ${formatTime(recovery.savedAt)} 的自动保存`);
+      setRecovery(null);
+      setRecoveryChecked(true);
+    } catch (e) {
+      setStatus(`恢复失败：${e.message}`);
+    }
+  };
+
+  const dismissRecovery = () => {
+    setRecovery(null);
+    setRecoveryChecked(true);
+  };
+
+  const restoreLatestAutosave = async () => {
+    try {
+      const snapshot = await readRecoverySnapshot();
+      if (!snapshot || isProjectEmpty(snapshot)) {
+        setStatus('没有可恢复的自动保存');
+        return;
+      }
+      await restoreProject(snapshot);
+      setStatus(`已恢复 ${formatTime(snapshot.savedAt)} 的自动保存`);
+    } catch (e) {
+      setStatus(`恢复失败：${e.message}`);
+    }
+  };
+
+  const saveAsNewProject = async () => {
+    const name = nameDraft.trim();
+    if (!name) {
+      setStatus('请先填写项目名称');
+      return;
+    }
+    try {
+      if (!bridgesReady()) throw new Error('画板未就绪');
+      const saved = await saveProject({ ...collectProject(), id: '', createdAt: 0, name });
+      setActiveProject(saved);
+      setNameDraft('');
+      await refreshProjects();
+      setStatus(`已保存项目「${saved.name}」`);
+    } catch (e) {
+      setStatus(`保存失败：${e.message}`);
+    }
+  };
+
+  const saveActiveProject = async () => {
+    if (!activeProject) return;
+    try {
+      if (!bridgesReady()) throw new Error('画板未就绪');
+      const saved = await saveProject(collectProject());
+      setActiveProject(saved);
+      await refreshProjects();
+      setStatus(`已保存项目「${saved.name}」`);
+    } catch (e) {
+      setStatus(`保存失败：${e.message}`);
+    }
+  };
+
+  const openProject = async (id) => {
+    try {
+      const project = await loadProject(id);
+      await restoreProject(project);
+      setActiveProject(project);
+      setStatus(`已打开项目「${project.name}」`);
+    } catch (e) {
+      setStatus(`打开项目失败：${e.message}`);
+    }
+  };
+
+  const removeProject = async (item) => {
+    if (!window.confirm(`确定删除项目「${item.name}」吗？`)) return;
+    try {
+      await deleteProject(item.id);
+      if (activeProject?.id === item.id) setActiveProject(null);
+      await refreshProjects();
+      setStatus(`已删除项目「${item.name}」`);
+    } catch (e) {
+      setStatus(`删除失败：${e.message}`);
+    }
+  };
+
+  const closeActiveProject = () => {
+    setActiveProject(null);
+    setStatus('已脱离当前项目，后续改动只写入自动保存');
+  };
+
+  const exportCurrent = (format) => {
+    try {
+      if (!bridgesReady()) throw new Error('画板未就绪');
+      const project = collectProject();
+      const baseName = toFileBaseName(activeProject?.name || `ggb-project-${Date.now()}`);
+      if (format === 'zip') {
+        downloadBlob(serializeProjectZip(project), 'application/zip', `${baseName}.zip`);
+      } else {
+        downloadBlob(serializeProjectJson(project), 'application/json;charset=utf-8', `${baseName}.json`);
+      }
+      setStatus(`项目已导出为 ${format.toUpperCase()}`);
+    } catch (e) {
+      setStatus(`导出失败：${e.message}`);
+    }
+  };
+
+  const handleImportChange = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    try {
+      const project = parseProjectFile(new Uint8Array(await file.arrayBuffer()), file.name);
+      const saved = await saveProject(project);
+      await restoreProject(saved);
+      setActiveProject(saved);
+      await refreshProjects();
+      setStatus(`已导入项目「${saved.name}」`);
+    } catch (e) {
+      setStatus(`导入失败：${e.message}`);
+    }
+  };
+
+  return (
+    <>
+      {recovery ? (
+        <div className="settings-modal-overlay">
+          <div className="settings-modal import-modal">
+            <div className="settings-modal-head">
+              <strong>恢复未保存的工作</strong>
+            </div>
+            <div className="hint-text">
+              检测到上次页面未正常关闭。是否恢复 {formatTime(recovery.savedAt)} 的自动保存
+              {recovery.activeProjectId ? `（项目「${recovery.name}」）` : ''}？
+            </div>
+            {!ggbReady ? <div className="hint-text">画板加载中，就绪后即可恢复...</div> : null}
+            <div className="actions-row gap">
+              <button className="btn" onClick={applyRecovery} disabled={!ggbReady}>恢复</button>
+              <button className="btn btn-lite" onClick={dismissRecovery}>忽略</button>
+            </div>
+          </div>
+        </div>
+      ) : null}
+
+      {open ? (
+        <div className="settings-modal-overlay" onClick={onClose}>
+          <div className="settings-modal project-modal" onClick={(e) => e.stopPropagation()}>
+            <div className="settings-modal-head">
+              <strong>项目</strong>
+              <button className="btn btn-lite" onClick={onClose}>关闭</button>
+            </div>
+
+            <div className="settings-section">
+              <h4>当前工作</h4>
+              <div className="hint-text">
+                {activeProject
+                  ? `当前项目「${activeProject.name}」，每 ${AUTOSAVE_INTERVAL_MS / 1000} 秒自动保存`
+                  : '未关联项目，改动仅写入崩溃恢复用的自动保存'}
+                {lastAutosaveAt ? `；上次自动保存 ${formatTime(lastAutosaveAt)}` : ''}
+              </div>
+              <div className="form-grid">
+                <label>
+                  项目名称
+                  <input
+                    type="text"
+                    value={nameDraft}
+                    placeholder="例如：圆与切线"
+                    onChange={(e) => setNameDraft(e.target.value)}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') saveAsNewProject();
+                    }}
+                  />
+                </label>
+              </div>
+              <div className="actions-row gap wrap">
+                <button className="btn" onClick={saveAsNewProject}>另存为新项目</button>
+                {activeProject ? <button className="btn btn-lite" onClick={saveActiveProject}>保存</button> : null}
+                {activeProject ? <button className="btn btn-lite" onClick={closeActiveProject}>脱离项目</button> : null}
+                <button className="btn btn-lite" onClick={restoreLatestAutosave}>恢复最近自动保存</button>
+              </div>
+            </div>
+
+            <div className="settings-section">
+              <h4>已保存项目</h4>
+              <div className="prompt-list-container">
+                {projects.length === 0 ? (
+                  <div className="hint-text">还没有保存的项目</div>
+                ) : (
+                  projects.map((item) => (
+                    <div
+                      key={item.id}
+                      className={`prompt-list-item ${activeProject?.id === item.id ? 'active' : ''}`}
+                      onClick={() => openProject(item.id)}
+                    >
+                      <div className="prompt-list-info">
+                        <div className="prompt-list-name">{item.name}</div>
+                        <div className="prompt-list-desc">更新于 {formatTime(item.updatedAt)}</div>
+                      </div>
+                      <div className="prompt-list-actions" onClick={(e) => e.stopPropagation()}>
+                        <button className="btn-icon-small" onClick={() => removeProject(item)} title="删除">🗑️</button>
+                        {activeProject?.id === item.id ? <span className="prompt-list-check">✓</span> : null}
+                      </div>
+                    </div>
+                  ))
+                )}
+              </div>
+            </div>
+
+            <div className="settings-section">
+              <h4>导入 / 导出</h4>
+              <div className="hint-text">ZIP 中的 board.ggb 可直接用 GeoGebra 打开；导入后会保存为新项目。</div>
+              <div className="actions-row gap wrap">
+                <button className="btn btn-lite" onClick={() => exportCurrent('json')}>导出 JSON</button>
+                <button className="btn btn-lite" onClick={() => exportCurrent('zip')}>导出 ZIP</button>
+                <button className="btn btn-lite" onClick={() => importInputRef.current?.click()}>导入项目文件</button>
+                <input
+                  ref={importInputRef}
+                  type="file"
+                  accept=".json,.zip"
+                  hidden
+                  onChange={handleImportChange}
+                />
+              </div>
+            </div>
+
+            {status ? <div className="hint-text">{status}</div> : null}
+          </div>
+        </div>
+      ) : null}
+    </>
+  );
+}
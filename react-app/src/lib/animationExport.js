@@ -0,0 +1,175 @@
+// 动画导出：扫描滑动条或路径上的点，逐帧生成 TikZ（animate 宏包）或拼成 APNG 动图
+
+// 可驱动的对象：滑动条按自身区间扫描；Point(路径) 生成的点按路径参数 0→1 扫描
+export function listAnimationTargets(structured) {
+  const sliders = (structured?.numbers || [])
+    .filter((n) => n.isSlider && Number.isFinite(n.min) && Number.isFinite(n.max) && n.max > n.min)
+    .map((n) => ({ kind: 'slider', label: n.label, min: n.min, max: n.max }));
+  const pathPoints = (structured?.points || [])
+    .filter((p) => p.commandName === 'Point' && (p.sourceInputs || []).length === 1)
+    .map((p) => ({ kind: 'path_point', label: p.label, path: p.sourceInputs[0], min: 0, max: 1 }));
+  return [...sliders, ...pathPoints];
+}
+
+// 均分取值；closed 时终点与起点重合（闭合路径、周期参数），去掉终点避免重复帧
+export function sweepValues(min, max, frames, closed = false) {
+  const n = Math.max(2, Math.round(Number(frames) || 0));
+  const steps = closed ? n : n - 1;
+  return Array.from({ length: n }, (_, i) => min + ((max - min) * i) / steps);
+}
+
+// 依次把目标设到每个取值后调用 capture 取帧，结束后恢复原状态
+export function captureAnimationFrames(api, target, values, capture) {
+  const frames = [];
+  if (target.kind === 'slider') {
+    const original = api.getValue(target.label);
+    try {
+      values.forEach((v) => {
+        api.setValue(target.label, v);
+        frames.push(capture(v));
+      });
+    } finally {
+      api.setValue(target.label, original);
+    }
+    return frames;
+  }
+
+  // 路径上的点：借临时点 Point(路径, t) 求坐标，求完立即删除，避免它出现在帧里
+  const temp = `ggbAnimPos_${String(target.label).replace(/[^A-Za-z0-9]/g, '')}`;
+  const x0 = api.getXcoord(target.label);
+  const y0 = api.getYcoord(target.label);
+  try {
+    values.forEach((t) => {
+      let x = NaN;
+      let y = NaN;
+      try {
+        if (api.evalCommand(`${temp} = Point(${target.path}, ${t})`) === false) {
+          throw new Error(`无法在 ${target.path} 上取点`);
+        }
+        x = api.getXcoord(temp);
+        y = api.getYcoord(temp);
+      } finally {
+        api.deleteObject(temp);
+      }
+      api.setCoords(target.label, x, y);
+      frames.push(capture(t));
+    });
+  } finally {
+    api.setCoords(target.label, x0, y0);
+  }
+  return frames;
+}
+
+export function buildAnimateInline(frames, { fps = 12 } = {}) {
+  if (!frames.length) throw new Error('没有可用的动画帧');
+  const body = frames.map((f) => String(f).trim()).join('\n\\newframe\n');
+  return `% 需在导言区加入 \\usepackage{animate}
+\\begin{animateinline}[autoplay,loop,controls]{${fps}}
+${body}
+\\end{animateinline}
+`;
+}
+
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+
+let crcTable = null;
+function crc32(bytes) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      crcTable[n] = c >>> 0;
+    }
+  }
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function readPngChunks(bytes) {
+  if (!PNG_SIGNATURE.every((b, i) => bytes[i] === b)) throw new Error('帧数据不是 PNG 图片');
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const chunks = [];
+  let pos = 8;
+  while (pos + 8 <= bytes.length) {
+    const length = view.getUint32(pos);
+    const type = String.fromCharCode(...bytes.subarray(pos + 4, pos + 8));
+    chunks.push({ type, data: bytes.subarray(pos + 8, pos + 8 + length) });
+    pos += 12 + length;
+    if (type === 'IEND') break;
+  }
+  return chunks;
+}
+
+function makeChunk(type, data) {
+  const out = new Uint8Array(12 + data.length);
+  const view = new DataView(out.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) out[4 + i] = type.charCodeAt(i);
+  out.set(data, 8);
+  view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)));
+  return out;
+}
+
+function uint32s(...values) {
+  const out = new Uint8Array(values.length * 4);
+  const view = new DataView(out.buffer);
+  values.forEach((v, i) => view.setUint32(i * 4, v));
+  return out;
+}
+
+/**
+ * 多张同尺寸 PNG 拼成循环播放的 APNG：沿用首帧的 IHDR 与辅助块，
+ * 首帧 IDAT 原样保留，其余帧的 IDAT 改写为带序号的 fdAT，无需解码像素
+ */
+export function assembleApng(pngFrames, delayMs = 100) {
+  if (!pngFrames.length) throw new Error('没有可用的动画帧');
+  const frames = pngFrames.map(readPngChunks);
+  const ihdr = frames[0].find((c) => c.type === 'IHDR');
+  if (!ihdr) throw new Error('首帧缺少 IHDR');
+  const sameHeader = (c) => c && c.data.length === ihdr.data.length && c.data.every((b, i) => b === ihdr.data[i]);
+  if (!frames.every((chunks) => sameHeader(chunks.find((c) => c.type === 'IHDR')))) {
+    throw new Error('各帧图片尺寸或格式不一致');
+  }
+
+  const ihdrView = new DataView(ihdr.data.buffer, ihdr.data.byteOffset, ihdr.data.byteLength);
+  const width = ihdrView.getUint32(0);
+  const height = ihdrView.getUint32(4);
+  const delay = Math.max(1, Math.min(65535, Math.round(delayMs)));
+
+  const parts = [new Uint8Array(PNG_SIGNATURE), makeChunk('IHDR', ihdr.data), makeChunk('acTL', uint32s(frames.length, 0))];
+  frames[0]
+    .filter((c) => !['IHDR', 'IDAT', 'IEND', 'acTL', 'fcTL', 'fdAT'].includes(c.type))
+    .forEach((c) => parts.push(makeChunk(c.type, c.data)));
+
+  let seq = 0;
+  frames.forEach((chunks, index) => {
+    // fcTL：序号、宽高、偏移、延时（delay/1000 秒）、dispose=none、blend=source
+    const fctl = new Uint8Array(26);
+    fctl.set(uint32s(seq++, width, height, 0, 0), 0);
+    const view = new DataView(fctl.buffer);
+    view.setUint16(20, delay);
+    view.setUint16(22, 1000);
+    parts.push(makeChunk('fcTL', fctl));
+    chunks.filter((c) => c.type === 'IDAT').forEach((c) => {
+      if (index === 0) {
+        parts.push(makeChunk('IDAT', c.data));
+        return;
+      }
+      const data = new Uint8Array(4 + c.data.length);
+      data.set(uint32s(seq++), 0);
+      data.set(c.data, 4);
+      parts.push(makeChunk('fdAT', data));
+    });
+  });
+  parts.push(makeChunk('IEND', new Uint8Array(0)));
+
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let pos = 0;
+  parts.forEach((p) => {
+    out.set(p, pos);
+    pos += p.length;
+  });
+  return out;
+}
@@ -0,0 +1,134 @@
+// 自动修复：执行时收集 GeoGebra 报错、整理静态校验结果、组装修复请求，并对比每轮脚本差异
+
+// 把签名校验结果拆成「未定义引用」（按行合并）与其余语法/签名错误
+export function splitScriptDiagnostics(diagnostics) {
+  const undefinedRefs = [];
+  const signatureErrors = [];
+  (diagnostics || []).forEach((d) => {
+    if (d.code !== 'undefined') {
+      signatureErrors.push(d);
+      return;
+    }
+    const existing = undefinedRefs.find((x) => x.lineNo === d.lineNo);
+    if (existing) {
+      if (!existing.names.includes(d.name)) existing.names.push(d.name);
+      return;
+    }
+    undefinedRefs.push({ lineNo: d.lineNo, line: d.line, names: [d.name] });
+  });
+  return { undefinedRefs, signatureErrors };
+}
+
+function readErrorEventMessage(event) {
+  if (Array.isArray(event)) return String(event[2] || event[1] || '');
+  return String(event?.error || event?.message || event?.argument || '');
+}
+
+// 逐行执行：evalCommand 返回 false、抛异常或触发 error 事件都记为失败
+export function evalCommandsWithErrors(api, lines) {
+  const errors = [];
+  const listener = (event) => {
+    const type = Array.isArray(event) ? event[0] : event?.type;
+    if (type === 'error') errors.push(readErrorEventMessage(event));
+  };
+  const canListen = typeof api.registerClientListener === 'function';
+  if (canListen) api.registerClientListener(listener);
+  if (typeof api.setErrorDialogsActive === 'function') api.setErrorDialogsActive(false);
+
+  const failures = [];
+  let ok = 0;
+  try {
+    (lines || []).forEach((line, idx) => {
+      const before = errors.length;
+      let success = false;
+      let thrown = '';
+      try {
+        success = api.evalCommand(line) !== false;
+      } catch (e) {
+        thrown = e.message;
+      }
+      const messages = errors.slice(before).filter(Boolean);
+      if (success && messages.length === 0) {
+        ok++;
+        return;
+      }
+      failures.push({ lineNo: idx + 1, line, error: thrown || messages.join('；') || 'evalCommand 返回 false' });
+    });
+  } finally {
+    if (canListen && typeof api.unregisterClientListener === 'function') api.unregisterClientListener(listener);
+    if (typeof api.setErrorDialogsActive === 'function') api.setErrorDialogsActive(true);
+  }
+  return { ok, fail: failures.length, failures };
+}
+
+export function countRepairIssues({ failures = [], invalid = [], undefinedRefs = [], signatureErrors = [] }) {
+  return failures.length + invalid.length + undefinedRefs.length + signatureErrors.length;
+}
+
+export function describeRepairIssues({ failures = [], invalid = [], undefinedRefs = [], signatureErrors = [] }) {
+  const parts = [];
+  if (failures.length) {
+    parts.push('执行失败：');
+    failures.forEach((x) => parts.push(`- 第${x.lineNo}行 \`${x.line}\`：${x.error}`));
+  }
+  if (invalid.length) {
+    parts.push('白名单违规：');
+    invalid.forEach((x) => {
+      const reason = x.reason === 'reserved_builtin' ? '内置对象不可重定义' : '命令不在白名单中';
+      parts.push(`- 第${x.lineNo}行 \`${x.line}\`：${x.name}（${reason}）`);
+    });
+  }
+  if (undefinedRefs.length) {
+    parts.push('未定义引用：');
+    undefinedRefs.forEach((x) => parts.push(`- 第${x.lineNo}行 \`${x.line}\`：${x.names.join(', ')}`));
+  }
+  if (signatureErrors.length) {
+    parts.push('语法/签名错误：');
+    signatureErrors.forEach((x) => parts.push(`- 第${x.lineNo}行第${x.column}列 \`${x.line}\`：${x.message}`));
+  }
+  return parts.join('\n');
+}
+
+// plan 为 true 时（JSON 作图计划模式）要求模型按原格式重交完整计划
+export function buildRepairMessage({ round, maxRounds, lines, plan = false, ...issues }) {
+  return [
+    `【自动修复 第 ${round}/${maxRounds} 轮】上一轮命令在画板执行后存在以下问题：`,
+    describeRepairIssues(issues),
+    '',
+    '上一轮命令：',
+    (lines || []).join('\n'),
+    '',
+    plan
+      ? '请输出修正后的完整 JSON 作图计划（替换上一轮全部步骤），结构与上一轮相同，只输出 JSON。'
+      : '请输出修正后的完整命令脚本（替换上一轮全部命令），仍然只输出命令、每行一条，不要解释。'
+  ].join('\n');
+}
+
+// 基于 LCS 的逐行差异，type 为 same / add / del
+export function diffLines(before, after) {
+  const a = before || [];
+  const b = after || [];
+  const dp = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      dp[i][j] = a[i] === b[j] ? dp[i + 1][j + 1] + 1 : Math.max(dp[i + 1][j], dp[i][j + 1]);
+    }
+  }
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      out.push({ type: 'same', text: a[i] });
+      i++;
+      j++;
+    } else if (dp[i + 1][j] >= dp[i][j + 1]) {
+      out.push({ type: 'del', text: a[i++] });
+    } else {
+      out.push({ type: 'add', text: b[j++] });
+    }
+  }
+  while (i < a.length) out.push({ type: 'del', text: a[i++] });
+  while (j < b.length) out.push({ type: 'add', text: b[j++] });
+  return out;
+}
@@ -0,0 +1,66 @@
+// 批次执行历史：每次执行命令记录执行前后的画板 XML，供画板工具栏撤销/重做
+export const MAX_BATCH_HISTORY = 30;
+
+export const EMPTY_BATCH_HISTORY = { past: [], future: [] };
+
+export function pushBatch(history, entry) {
+  return {
+    past: [...(history?.past || []), entry].slice(-MAX_BATCH_HISTORY),
+    future: []
+  };
+}
+
+export function undoBatch(history) {
+  const past = history?.past || [];
+  if (past.length === 0) return history;
+  return {
+    past: past.slice(0, -1),
+    future: [past[past.length - 1], ...(history.future || [])]
+  };
+}
+
+export function redoBatch(history) {
+  const future = history?.future || [];
+  if (future.length === 0) return history;
+  return {
+    past: [...(history.past || []), future[0]],
+    future: future.slice(1)
+  };
+}
+
+// 只比较 <construction> 部分，平移/缩放视图不算作画板改动
+export function constructionOf(xml) {
+  const text = String(xml || '');
+  const m = text.match(/<construction[\s\S]*<\/construction>/);
+  return m ? m[0] : text;
+}
+
+/**
+ * 把画板恢复为 xml。给出 expectedXml 时先核对当前画板：不一致说明该批次之后还有别的改动，
+ * 由 confirmOverwrite() 决定是否丢弃；返回是否已恢复
+ */
+export function restoreBatchXml(api, xml, expectedXml, confirmOverwrite = () => true) {
+  if (!api || typeof api.setXML !== 'function' || typeof api.getXML !== 'function') {
+    throw new Error('画板未就绪');
+  }
+  if (expectedXml !== undefined && constructionOf(api.getXML()) !== constructionOf(expectedXml) && !confirmOverwrite()) {
+    return false;
+  }
+  api.setXML(xml);
+  return true;
+}
+
+// 撤销最近一批：恢复执行前的 XML，返回 { history, entry }；没有可撤销的批次或用户取消时返回 null
+export function undoLastBatch(api, history, confirmOverwrite) {
+  const past = history?.past || [];
+  const entry = past[past.length - 1];
+  if (!entry || !restoreBatchXml(api, entry.before, entry.after, confirmOverwrite)) return null;
+  return { history: undoBatch(history), entry };
+}
+
+// 重做下一批：恢复执行后的 XML，返回值同 undoLastBatch
+export function redoNextBatch(api, history, confirmOverwrite) {
+  const entry = history?.future?.[0];
+  if (!entry || !restoreBatchXml(api, entry.after, entry.before, confirmOverwrite)) return null;
+  return { history: redoBatch(history), entry };
+}
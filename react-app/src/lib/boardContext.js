@@ -0,0 +1,100 @@
+// 画板上下文：把原生画板上已有的对象整理成提示词里的 {{CURRENT_OBJECTS}} 与 {{COMMAND_HISTORY}}，
+// 让模型在增量作图时引用已有标签，而不是重新定义一遍
+
+export const EMPTY_BOARD_TEXT = '（画布为空）';
+
+export const BOARD_CONTEXT_LIMITS = {
+  maxObjects: 60,
+  maxHistory: 20,
+  maxLineChars: 160,
+  maxChars: 3000
+};
+
+function callApi(api, method, ...args) {
+  if (!api || typeof api[method] !== 'function') return undefined;
+  try {
+    return api[method](...args);
+  } catch {
+    return undefined;
+  }
+}
+
+function formatNumber(v) {
+  return String(Number(Number(v).toFixed(4)));
+}
+
+// 自由对象取数值串（GeoGebra 返回的通常已带 "a = " 前缀），依赖对象取定义命令
+function definitionOf(obj) {
+  if (obj.command) return `${obj.label} = ${obj.command}`;
+  if (obj.coords) return `${obj.label} = (${obj.coords.map(formatNumber).join(', ')})`;
+  const value = String(obj.value || '').trim();
+  if (!value) return obj.label;
+  return /^[^=:]+[=:]/.test(value) ? value : `${obj.label} = ${value}`;
+}
+
+function clipLine(line, maxLineChars) {
+  return line.length > maxLineChars ? `${line.slice(0, maxLineChars - 1)}…` : line;
+}
+
+// 按字符上限保留末尾（最新）的若干行，较早的行用一句说明代替
+function fitLines(lines, maxChars, omittedBefore) {
+  const kept = [];
+  let size = 0;
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (size + lines[i].length + 1 > maxChars && kept.length) break;
+    kept.unshift(lines[i]);
+    size += lines[i].length + 1;
+  }
+  const omitted = omittedBefore + lines.length - kept.length;
+  return omitted > 0 ? [`……另有 ${omitted} 个较早的对象未列出`, ...kept] : kept;
+}
+
+/**
+ * 按构造顺序读取画板对象：标签、类型、定义命令、自由点坐标与可见性
+ */
+export function readBoardObjects(api) {
+  const names = callApi(api, 'getAllObjectNames') || [];
+  return names.map((label) => {
+    const type = String(callApi(api, 'getObjectType', label) || '');
+    const command = String(callApi(api, 'getCommandString', label, false) || '').trim();
+    const free = !command;
+    const x = Number(callApi(api, 'getXcoord', label));
+    const y = Number(callApi(api, 'getYcoord', label));
+    return {
+      label,
+      type,
+      command,
+      free,
+      coords: free && type === 'point' && Number.isFinite(x) && Number.isFinite(y) ? [x, y] : null,
+      value: free ? String(callApi(api, 'getValueString', label, false) || '') : '',
+      visible: callApi(api, 'getVisible', label) !== false
+    };
+  });
+}
+
+/**
+ * 生成两段上下文文本：
+ * objects —— 每个对象一行「标签 (类型) 定义」，自由点给出坐标，隐藏对象加注；
+ * history —— 最近 maxHistory 条可直接执行的定义命令，按构造顺序排列
+ */
+export function buildBoardContext(api, limits = {}) {
+  const { maxObjects, maxHistory, maxLineChars, maxChars } = { ...BOARD_CONTEXT_LIMITS, ...limits };
+  const objects = readBoardObjects(api);
+  if (!objects.length) {
+    return { objects: EMPTY_BOARD_TEXT, history: EMPTY_BOARD_TEXT, objectCount: 0 };
+  }
+
+  const recent = objects.slice(-maxObjects);
+  const objectLines = recent.map((obj) => {
+    const kind = obj.type ? ` (${obj.type}${obj.free ? '，自由' : ''})` : '';
+    const note = obj.visible ? '' : '  -- 隐藏';
+    return clipLine(`${obj.label}${kind}: ${definitionOf(obj)}${note}`, maxLineChars);
+  });
+  const historyLines = objects.slice(-maxHistory).map((obj) => clipLine(definitionOf(obj), maxLineChars));
+
+  return {
+    objects: fitLines(objectLines, maxChars, objects.length - recent.length).join('\n'),
+    history: fitLines(historyLines, maxChars, 0).join('\n'),
+    objectCount: objects.length
+  };
+}
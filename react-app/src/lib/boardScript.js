@@ -0,0 +1,226 @@
+// 画板 XML -> 可重放的命令脚本：按构造顺序还原自由对象、带标签的命令与多输出命令，
+// 样式与可见性用 SetColor / SetVisibleInView 等命令放在末尾，保证“读取 → 清空 → 执行”后画板一致
+
+// 重放时需要、但不属于作图白名单的命令（滑动条、赋值与样式）
+export const GGB_SCRIPT_COMMANDS = new Set([
+  'Slider', 'SetValue', 'SetCoords', 'SetColor', 'SetVisibleInView', 'ShowLabel', 'SetLabelMode', 'SetCaption',
+  'SetLineThickness', 'SetLineStyle', 'SetPointSize', 'SetPointStyle', 'SetFilling'
+]);
+
+export const STYLE_SECTION_TITLE = '-- 样式与可见性';
+
+// XML lineStyle 的 type -> SetLineStyle 编号（实线、长虚线、短虚线、点线、点划线）
+const LINE_STYLE_CODES = { 0: 0, 15: 1, 10: 2, 20: 3, 30: 4 };
+
+const NUMBER_TYPES = new Set(['numeric', 'angle', 'boolean']);
+const FILLABLE_TYPES = new Set(['polygon', 'conic', 'conicpart', 'angle', 'implicitpoly', 'functionnvar']);
+const POINT_TYPES = new Set(['point', 'point3d']);
+
+function formatNumber(v) {
+  return String(Number(Number(v).toPrecision(12)));
+}
+
+function attr(el, selector, name) {
+  const node = el.querySelector(selector);
+  return node ? node.getAttribute(name) : null;
+}
+
+function toHex(v) {
+  return Math.max(0, Math.min(255, parseInt(v || '0', 10) || 0)).toString(16).padStart(2, '0').toUpperCase();
+}
+
+function quote(text) {
+  return `"${String(text).replace(/"/g, '\\"')}"`;
+}
+
+// 命令的参数与输出都按 a0, a1, ... 顺序存放
+function indexedAttrs(node) {
+  const out = [];
+  if (!node) return out;
+  for (let i = 0; ; i++) {
+    const v = node.getAttribute(`a${i}`);
+    if (v === null) break;
+    out.push(v);
+  }
+  return out;
+}
+
+// 可用最后一个参数指定第几个输出的命令：Intersect(c, l, 2)
+const INDEXED_OUTPUT_COMMANDS = new Set(['Intersect']);
+
+function commandLine(cmd) {
+  const name = cmd.getAttribute('name');
+  const args = indexedAttrs(cmd.querySelector('input'));
+  const outputs = indexedAttrs(cmd.querySelector('output'));
+  const labels = outputs.filter(Boolean);
+  const call = `${name}(${args.join(', ')})`;
+  if (!labels.length) return { lines: [call], labels };
+  if (outputs.length === 1) return { lines: [`${labels[0]} = ${call}`], labels };
+  // 多输出命令（交点、多边形及其边等）用 {P, Q} = ... 一次给全部输出命名；
+  // 这种写法按顺序分配名称，中间有未命名的输出时后面的名称会错位
+  const lastNamed = outputs.reduce((last, label, idx) => (label ? idx : last), -1);
+  if (outputs.slice(0, lastNamed).every(Boolean)) return { lines: [`{${labels.join(', ')}} = ${call}`], labels };
+  if (INDEXED_OUTPUT_COMMANDS.has(name) && args.length === 2) {
+    const lines = [];
+    outputs.forEach((label, idx) => {
+      if (label) lines.push(`${label} = ${name}(${args.join(', ')}, ${idx + 1})`);
+    });
+    return { lines, labels };
+  }
+  return {
+    lines: [`{${labels.join(', ')}} = ${call}`, `-- ${call} 有未命名的输出，${labels.join('、')} 可能对应到别的输出`],
+    labels
+  };
+}
+
+// 直接输入的表达式：函数自带 f(x) = 头部，方程用 "标签: 方程"，其余用 "标签 = 表达式"
+function expressionLine(label, exp) {
+  const text = String(exp || '').trim();
+  const escaped = label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  if (new RegExp(`^${escaped}\\s*\\([^)]*\\)\\s*=`).test(text)) return text;
+  if (!/^"/.test(text) && /[^<>!=:]=[^=]/.test(text)) return `${label}: ${text}`;
+  return `${label} = ${text}`;
+}
+
+// 大写标签的 (x, y) 是点、小写是向量；与标签大小写不一致时改用 Point / Vector 显式构造
+function freeElementLines(el, label, type) {
+  const lines = [];
+  if (POINT_TYPES.has(type) || type === 'vector') {
+    const coords = el.querySelector('coords');
+    if (!coords) return null;
+    const z = Number(coords.getAttribute('z') || 1);
+    const x = Number(coords.getAttribute('x')) / (type === 'vector' || !z ? 1 : z);
+    const y = Number(coords.getAttribute('y')) / (type === 'vector' || !z ? 1 : z);
+    const pair = `${formatNumber(x)}, ${formatNumber(y)}`;
+    const upper = /^[A-Z]/.test(label);
+    if (type === 'vector') lines.push(upper ? `${label} = Vector((${pair}))` : `${label} = (${pair})`);
+    else lines.push(upper || !/^[a-z]/.test(label) ? `${label} = (${pair})` : `${label} = Point({${pair}})`);
+    return lines;
+  }
+  const value = attr(el, 'value', 'val');
+  if (value === null) return null;
+  if (type === 'boolean') return [`${label} = ${value === 'true'}`];
+  const isAngle = type === 'angle';
+  const show = (v) => (isAngle ? `${formatNumber((Number(v) * 180) / Math.PI)}°` : formatNumber(v));
+  const slider = el.querySelector('slider');
+  if (slider && slider.getAttribute('min') !== null && slider.getAttribute('max') !== null) {
+    const step = attr(el, 'animation', 'step');
+    const args = [show(slider.getAttribute('min')), show(slider.getAttribute('max'))];
+    if (step !== null) args.push(show(step));
+    lines.push(`${label} = Slider(${args.join(', ')})`);
+    lines.push(`SetValue(${label}, ${show(value)})`);
+    return lines;
+  }
+  return [`${label} = ${show(value)}`];
+}
+
+// 点在路径上时 Point(c) 只决定所在路径，用 SetCoords 还原拖动后的位置；文本同样还原摆放位置
+function positionLine(el, label, type, command) {
+  if (POINT_TYPES.has(type) && command?.getAttribute('name') === 'Point' && indexedAttrs(command.querySelector('input')).length === 1) {
+    const coords = el.querySelector('coords');
+    const z = Number(coords?.getAttribute('z') || 1);
+    if (!coords || !z) return null;
+    return `SetCoords(${label}, ${formatNumber(Number(coords.getAttribute('x')) / z)}, ${formatNumber(Number(coords.getAttribute('y')) / z)})`;
+  }
+  if (type === 'text') {
+    const start = el.querySelector('startPoint');
+    if (!start || start.getAttribute('x') === null || start.getAttribute('exp') !== null) return null;
+    return `SetCoords(${label}, ${formatNumber(start.getAttribute('x'))}, ${formatNumber(start.getAttribute('y'))})`;
+  }
+  return null;
+}
+
+function styleLines(el, label, type, isSlider) {
+  const lines = [];
+  const showObject = attr(el, 'show', 'object');
+  const showLabel = attr(el, 'show', 'label');
+  const isNumber = NUMBER_TYPES.has(type) && type !== 'angle';
+  // 普通数值默认不显示，滑动条与几何对象默认显示；只在与默认不同时写出
+  const visible = showObject === null ? !isNumber || isSlider : showObject !== 'false';
+  if (visible !== (!isNumber || isSlider)) lines.push(`SetVisibleInView(${label}, 1, ${visible})`);
+  if (isNumber) return lines;
+
+  const color = el.querySelector('objColor');
+  if (color) {
+    lines.push(`SetColor(${label}, "#${toHex(color.getAttribute('r'))}${toHex(color.getAttribute('g'))}${toHex(color.getAttribute('b'))}")`);
+    const alpha = Number(color.getAttribute('alpha'));
+    if (FILLABLE_TYPES.has(type) && Number.isFinite(alpha)) lines.push(`SetFilling(${label}, ${formatNumber(alpha)})`);
+  }
+  if (showLabel !== null && type !== 'text') lines.push(`ShowLabel(${label}, ${showLabel !== 'false'})`);
+  const caption = attr(el, 'caption', 'val');
+  if (caption) lines.push(`SetCaption(${label}, ${quote(caption)})`);
+  const labelMode = attr(el, 'labelMode', 'val');
+  if (labelMode !== null && labelMode !== '0' && type !== 'text') lines.push(`SetLabelMode(${label}, ${labelMode})`);
+
+  const thickness = attr(el, 'lineStyle', 'thickness');
+  if (thickness !== null && !POINT_TYPES.has(type)) lines.push(`SetLineThickness(${label}, ${thickness})`);
+  const lineType = LINE_STYLE_CODES[attr(el, 'lineStyle', 'type')];
+  if (lineType) lines.push(`SetLineStyle(${label}, ${lineType})`);
+  if (POINT_TYPES.has(type)) {
+    const size = attr(el, 'pointSize', 'val');
+    if (size !== null) lines.push(`SetPointSize(${label}, ${size})`);
+    const pointStyle = attr(el, 'pointStyle', 'val');
+    if (pointStyle !== null && pointStyle !== '0' && pointStyle !== '-1') lines.push(`SetPointStyle(${label}, ${pointStyle})`);
+  }
+  return lines;
+}
+
+/**
+ * 把 GeoGebra XML 的 <construction> 还原为命令脚本。
+ * 返回 { lines, styleLines, skipped }：lines 按构造（依赖）顺序排列，可直接逐行执行；
+ * styleLines 为样式与可见性命令；skipped 为无法还原定义的对象标签
+ */
+export function constructionToScript(xmlString) {
+  const doc = new DOMParser().parseFromString(String(xmlString || ''), 'text/xml');
+  const construction = doc.querySelector('construction');
+  const result = { lines: [], styleLines: [], skipped: [] };
+  if (!construction) return result;
+
+  const defined = new Set();
+  const commandOf = {};
+  Array.from(construction.children).forEach((node) => {
+    const tag = node.tagName;
+    if (tag === 'command') {
+      const { lines, labels } = commandLine(node);
+      result.lines.push(...lines);
+      labels.forEach((label) => {
+        defined.add(label);
+        commandOf[label] = node;
+      });
+      return;
+    }
+    if (tag === 'expression') {
+      const label = node.getAttribute('label');
+      if (!label) return;
+      result.lines.push(expressionLine(label, node.getAttribute('exp')));
+      defined.add(label);
+      return;
+    }
+    if (tag !== 'element') return;
+
+    const label = node.getAttribute('label');
+    const type = node.getAttribute('type');
+    if (!label) return;
+    const isSlider = !!node.querySelector('slider');
+    if (!defined.has(label)) {
+      const free = freeElementLines(node, label, type);
+      if (!free) {
+        result.lines.push(`-- ${label}（${type}）的定义未能还原`);
+        result.skipped.push(label);
+        return;
+      }
+      result.lines.push(...free);
+      defined.add(label);
+    }
+    const position = positionLine(node, label, type, commandOf[label]);
+    if (position) result.lines.push(position);
+    result.styleLines.push(...styleLines(node, label, type, isSlider));
+  });
+  return result;
+}
+
+// 编辑器用的完整脚本：定义在前，样式段以注释行隔开
+export function formatBoardScript({ lines, styleLines }) {
+  if (!styleLines.length) return lines.join('\n');
+  return [...lines, '', STYLE_SECTION_TITLE, ...styleLines].join('\n');
+}
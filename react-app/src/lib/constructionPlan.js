@@ -0,0 +1,119 @@
+// 结构化输出模式：模型返回 JSON 作图计划 {steps, assumptions, notes}，
+// 校验后渲染为带说明的步骤列表，再编译为逐行 GeoGebra 命令
+import { checkCommandScript, GGB_COMMAND_SIGNATURES } from './ggbSignatures.js';
+
+export const CONSTRUCTION_PLAN_SCHEMA = {
+  type: 'object',
+  properties: {
+    steps: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          label: { type: 'string' },
+          command: { type: 'string' },
+          args: { type: 'array', items: { type: 'string' } },
+          purpose: { type: 'string' }
+        },
+        required: ['label', 'command', 'args', 'purpose'],
+        additionalProperties: false
+      }
+    },
+    assumptions: { type: 'array', items: { type: 'string' } },
+    notes: { type: 'string' }
+  },
+  required: ['steps', 'assumptions', 'notes'],
+  additionalProperties: false
+};
+
+// 追加在系统提示词之后；json_object 模式要求提示词里出现 JSON 字样，不支持结构化输出的服务商也靠它约束格式
+export const PLAN_OUTPUT_INSTRUCTIONS = `【输出格式：JSON 作图计划】
+本轮不再逐行输出命令，改为只输出一个 JSON 对象（不要 Markdown 代码块，不要其他文字），结构如下：
+{"steps":[{"label":"A","command":"","args":["(0, 0)"],"purpose":"三角形顶点"},{"label":"c","command":"Circle","args":["A","B","C"],"purpose":"外接圆"}],"assumptions":["题目未给坐标，取 A(0, 0)"],"notes":""}
+1. steps 按执行顺序排列；command 只能是白名单内的命令名，args 为参数字符串数组，顺序与签名一致
+2. 自由点、数值、方程与函数：command 写空字符串，表达式放在 args[0]，如 "(1, 2)"、"3"、"x^2 + y^2 = 4"；函数的 label 写成 "f(x)"
+3. 一条命令有多个输出（如两个交点）时 label 写成 "P, Q"；不需要命名时 label 写空字符串
+4. purpose 用中文简述这一步在题目中的作用
+5. assumptions 列出题目未给定、由你自行假设的条件（坐标、长度、位置关系）；notes 写其他说明，没有则为空字符串`;
+
+// 服务商声明的结构化输出能力 -> 请求体里的 response_format
+export function planResponseFormat(capability) {
+  if (capability === 'json_schema') {
+    return { type: 'json_schema', json_schema: { name: 'construction_plan', strict: true, schema: CONSTRUCTION_PLAN_SCHEMA } };
+  }
+  if (capability === 'json_object') return { type: 'json_object' };
+  return null;
+}
+
+function toStringList(value) {
+  if (Array.isArray(value)) return value.map((v) => String(v ?? '').trim()).filter(Boolean);
+  const text = String(value ?? '').trim();
+  return text ? [text] : [];
+}
+
+// 模型输出 -> 作图计划；容忍代码围栏与 JSON 前后的多余文字
+export function parseConstructionPlan(text) {
+  const raw = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  let data = null;
+  try {
+    data = JSON.parse(raw);
+  } catch {
+    const start = raw.indexOf('{');
+    const end = raw.lastIndexOf('}');
+    if (start < 0 || end <= start) throw new Error('模型输出不是 JSON 作图计划');
+    try {
+      data = JSON.parse(raw.slice(start, end + 1));
+    } catch (e) {
+      throw new Error(`作图计划 JSON 解析失败：${e.message}`);
+    }
+  }
+  if (!data || !Array.isArray(data.steps)) throw new Error('作图计划缺少 steps 数组');
+  return {
+    steps: data.steps
+      .filter((step) => step && typeof step === 'object')
+      .map((step) => ({
+        label: String(step.label ?? '').trim(),
+        command: String(step.command ?? '').trim(),
+        args: Array.isArray(step.args) ? step.args.map((a) => String(a ?? '').trim()) : toStringList(step.args),
+        purpose: String(step.purpose ?? '').trim()
+      })),
+    assumptions: toStringList(data.assumptions),
+    notes: toStringList(data.notes).join('\n')
+  };
+}
+
+// 单步编译为一行命令；多输出用 {P, Q} = ...，无命令的步骤按表达式或方程定义
+export function compilePlanStep(step) {
+  const labels = String(step.label || '').replace(/^\{|\}$/g, '').split(',').map((s) => s.trim()).filter(Boolean);
+  const head = labels.length > 1 ? `{${labels.join(', ')}}` : labels[0] || '';
+  const args = (step.args || []).filter((a) => a !== '').join(', ');
+  let line = '';
+  if (step.command) {
+    const call = `${step.command}(${args})`;
+    line = head ? `${head} = ${call}` : call;
+  } else if (!head) {
+    line = args;
+  } else {
+    line = /[^<>!=:]=[^=]/.test(args) ? `${head}: ${args}` : `${head} = ${args}`;
+  }
+  return line.replace(/\s*\n\s*/g, ' ');
+}
+
+export function compileConstructionPlan(plan) {
+  return (plan?.steps || []).map(compilePlanStep).filter(Boolean);
+}
+
+/**
+ * 按签名表逐步校验：knownKinds 为画板已有对象（标签 -> 种类）。
+ * 返回的步骤带 line（编译结果）与 issues（中文问题描述，空数组表示通过）
+ */
+export function validateConstructionPlan(plan, knownKinds = {}) {
+  const lines = (plan?.steps || []).map(compilePlanStep);
+  const diagnostics = checkCommandScript(lines.join('\n'), knownKinds);
+  return (plan?.steps || []).map((step, i) => {
+    const issues = diagnostics.filter((d) => d.lineNo === i + 1).map((d) => d.message);
+    if (!lines[i]) issues.push('步骤为空，将被跳过');
+    else if (step.command && !GGB_COMMAND_SIGNATURES[step.command]) issues.unshift(`${step.command} 不在命令签名表中`);
+    return { ...step, line: lines[i], issues };
+  });
+}
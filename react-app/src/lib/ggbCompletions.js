@@ -26,7 +26,21 @@ export const GGB_COMMAND_COMPLETIONS = [
   { name: 'CircumcircleArc', insertText: 'CircumcircleArc(, , )', detail: 'CircumcircleArc(A, B, C)' },
   { name: 'CircumcircleSector', insertText: 'CircumcircleSector(, , )', detail: 'CircumcircleSector(A, B, C)' },
   { name: 'Midpoint', insertText: 'Midpoint(, )', detail: 'Midpoint(A, B)' },
-  { name: 'Center', insertText: 'Center()', detail: 'Center(conic)' }
+  { name: 'Center', insertText: 'Center()', detail: 'Center(conic)' },
+  { name: 'Curve', insertText: 'Curve(, , t, , )', detail: 'Curve(x(t), y(t), t, start, end)' },
+  { name: 'Locus', insertText: 'Locus(, )', detail: 'Locus(P, A)' },
+  { name: 'Reflect', insertText: 'Reflect(, )', detail: 'Reflect(object, point | line)' },
+  { name: 'Rotate', insertText: 'Rotate(, , )', detail: 'Rotate(object, angle, center)' },
+  { name: 'Translate', insertText: 'Translate(, )', detail: 'Translate(object, vector)' },
+  { name: 'Dilate', insertText: 'Dilate(, , )', detail: 'Dilate(object, factor, center)' },
+  { name: 'Sequence', insertText: 'Sequence(, k, , )', detail: 'Sequence(expression, k, from, to)' },
+  { name: 'Zip', insertText: 'Zip(, P, )', detail: 'Zip(expression, var1, list1, var2, list2, ...)' },
+  { name: 'Sum', insertText: 'Sum(, k, , )', detail: 'Sum(list) | Sum(expression, k, from, to)' },
+  { name: 'Product', insertText: 'Product(, k, , )', detail: 'Product(list) | Product(expression, k, from, to)' },
+  { name: 'IterationList', insertText: 'IterationList(, x, {}, )', detail: 'IterationList(expression, vars..., {start values}, n)' },
+  { name: 'Iteration', insertText: 'Iteration(, x, {}, )', detail: 'Iteration(expression, vars..., {start values}, n)' },
+  { name: 'KeepIf', insertText: 'KeepIf(, x, )', detail: 'KeepIf(condition, x, list)' },
+  { name: 'CountIf', insertText: 'CountIf(, x, )', detail: 'CountIf(condition, x, list)' }
 ];
 
 export function searchGGBCompletions(prefix, limit = 10) {
@@ -0,0 +1,45 @@
+import { strFromU8, unzipSync } from 'fflate';
+
+const GGB_MAIN_XML = 'geogebra.xml';
+
+// .ggb 为 zip 包（以 PK 开头），纯 XML 导出则直接是文本
+export function isZipBytes(bytes) {
+  return !!bytes && bytes.length >= 2 && bytes[0] === 0x50 && bytes[1] === 0x4b;
+}
+
+export function extractGeoGebraXml(bytes, fileName = '') {
+  const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  if (!isZipBytes(data)) {
+    const xml = strFromU8(data);
+    if (!/<geogebra[\s>]/.test(xml)) {
+      throw new Error(`${fileName || '文件'} 不是有效的 GeoGebra 文件`);
+    }
+    return xml;
+  }
+  let files = null;
+  try {
+    files = unzipSync(data, { filter: (file) => file.name === GGB_MAIN_XML });
+  } catch (e) {
+    throw new Error(`${fileName || '文件'} 解压失败：${e.message}`);
+  }
+  if (!files[GGB_MAIN_XML]) {
+    throw new Error(`${fileName || '文件'} 中未找到 ${GGB_MAIN_XML}`);
+  }
+  return strFromU8(files[GGB_MAIN_XML]);
+}
+
+export function bytesToBase64(bytes) {
+  let bin = '';
+  const chunk = 0x8000;
+  for (let i = 0; i < bytes.length; i += chunk) {
+    bin += String.fromCharCode.apply(null, bytes.subarray(i, i + chunk));
+  }
+  return btoa(bin);
+}
+
+export function base64ToBytes(base64) {
+  const bin = atob(String(base64 || '').replace(/^data:[^,]*,/, ''));
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
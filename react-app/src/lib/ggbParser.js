@@ -2,8 +2,26 @@
  * GeoGebra XML 解析器 (优化版)
  */
 
-class GGBParser {
-    constructor(xmlString) {
+import { compileSafeExpression } from './safeExpression.js';
+
+// 几何变换命令（Mirror 为 Reflect 的旧名）
+const TRANSFORM_COMMANDS = new Set(['Reflect', 'Mirror', 'Rotate', 'Translate', 'Dilate']);
+
+// 轨迹采样时在画板上建的临时列表，画板监听据此忽略它的增删
+const LOCUS_SAMPLE_PREFIX = 'ggbLocusPts_';
+
+export function isLocusSampleObject(name) {
+    return typeof name === 'string' && name.startsWith(LOCUS_SAMPLE_PREFIX);
+}
+
+export class GGBParser {
+    /**
+     * @param {string} xmlString - getXML() 或 .ggb 内的 geogebra.xml
+     * @param {Object} [options]
+     * @param {Object} [options.applet] - 画板 API；XML 不含轨迹点，有画板时借它采样 Locus
+     */
+    constructor(xmlString, options = {}) {
+        this.applet = options.applet || null;
         this.parser = new DOMParser();
         this.doc = this.parser.parseFromString(xmlString, 'text/xml');
         this.construction = this.doc.querySelector('construction');
@@ -35,10 +53,18 @@ class GGBParser {
             angles: [],
             conics: [],
             conicparts: [],
+            curves: [],
+            loci: [],
+            implicits: [],
+            inequalities: [],
+            texts: [],
+            numbers: [],
             others: []
         };
 
         const stats = { total: 0, visible: 0, byType: {} };
+        // 构造顺序：同一命令的多个输出（多边形及其边）共用 commandKey
+        const constructionOrder = [];
 
         this.construction.querySelectorAll('element').forEach(el => {
             const type = el.getAttribute('type');
@@ -51,13 +77,19 @@ class GGBParser {
 
             const cmd = this.cmdMap[label];
             const style = this.parseStyle(el);
+            constructionOrder.push({ label, type, commandKey: (cmd && cmd.outputs && cmd.outputs[0]) || label });
 
             switch (type) {
                 case 'point':
                     result.points.push(this.parsePoint(el, label, visible, style));
                     break;
                 case 'function':
-                    result.functions.push(this.parseFunction(el, label, visible, style));
+                    // x > 2 这类一元不等式也以 function 保存
+                    if (/[<>≤≥]/.test(this.expMap[label]?.exp || '')) {
+                        result.inequalities.push(this.parseImplicit(el, label, visible, style, cmd));
+                    } else {
+                        result.functions.push(this.parseFunction(el, label, visible, style));
+                    }
                     break;
                 case 'segment':
                     result.segments.push(this.parseSegment(el, label, visible, style, cmd));
@@ -85,17 +117,43 @@ class GGBParser {
                 case 'conicpart':
                     result.conicparts.push(this.parseConicPart(el, label, visible, style, cmd));
                     break;
+                case 'implicitpoly':
+                    result.implicits.push(this.parseImplicit(el, label, visible, style, cmd));
+                    break;
+                case 'functionnvar': {
+                    const implicit = this.parseImplicit(el, label, visible, style, cmd);
+                    if (implicit.relation && implicit.relation !== '=') {
+                        result.inequalities.push(implicit);
+                    } else {
+                        result.others.push({ type, label, visible, style, cmd, rawXML: el.outerHTML });
+                    }
+                    break;
+                }
+                case 'curvecartesian':
+                    result.curves.push(this.parseCurve(el, label, visible, style, cmd));
+                    break;
+                case 'locus':
+                    result.loci.push(this.parseLocus(el, label, visible, style, cmd));
+                    break;
+                case 'text':
+                    result.texts.push(this.parseText(el, label, visible, style, cmd));
+                    break;
+                case 'numeric':
+                    result.numbers.push(this.parseNumeric(el, label, visible, style, cmd));
+                    break;
                 default:
                     result.others.push({ type, label, visible, style, cmd, rawXML: el.outerHTML });
             }
         });
 
+        this.attachTransforms(result);
         const semantics = this.buildSemantics(result);
 
         return {
-            elements: [...result.points, ...result.functions, ...result.segments, ...result.polygons, ...result.vectors, ...result.lines, ...result.rays, ...result.angles, ...result.conics, ...result.conicparts, ...result.others],
+            elements: [...result.points, ...result.functions, ...result.segments, ...result.polygons, ...result.vectors, ...result.lines, ...result.rays, ...result.angles, ...result.conics, ...result.conicparts, ...result.curves, ...result.loci, ...result.implicits, ...result.inequalities, ...result.texts, ...result.others],
             structured: result,
             semantics,
+            constructionOrder,
             expMap: this.expMap,
             cmdMap: this.cmdMap,
             stats,
@@ -342,15 +400,177 @@ class GGBParser {
             if (name === 'Center') {
                 return { ...base, sourceType: 'center_point' };
             }
+            if (TRANSFORM_COMMANDS.has(name)) {
+                return { ...base, sourceType: 'transformed_point', sourceObjects: inputLabels.slice(0, 1) };
+            }
             return { ...base, sourceType: 'derived_point' };
         }
 
+        const paramRefs = exp ? this.findNumericRefs(exp.exp) : [];
+        if (paramRefs.length) {
+            return { ...base, sourceType: 'parametric_point', sourceObjects: paramRefs };
+        }
         if (exp && exp.exp && this.isCoordinate(exp.exp)) {
             return { ...base, sourceType: 'free_point_expression' };
         }
         return { ...base, sourceType: 'free_point_coords' };
     }
 
+    /**
+     * 几何变换的像：记录来源对象与映射参数（角度统一为度）
+     * 参数无法求值（如依赖滑动条表达式）时 resolved=false，导出只用像自身的坐标
+     */
+    parseTransform(cmd) {
+        if (!cmd || !TRANSFORM_COMMANDS.has(cmd.name) || (cmd.inputs || []).length < 2) return null;
+        const [objIn, argIn, centerIn] = cmd.inputs;
+        const kind = cmd.name === 'Mirror' ? 'reflect' : cmd.name.toLowerCase();
+        const t = { kind, command: cmd.name, source: objIn.value, args: cmd.inputs.slice(1).map(i => i.value), resolved: false };
+        const center = centerIn ? this.normalizeInputPoint(centerIn) : { label: null, coord: { x: 0, y: 0 } };
+
+        if (kind === 'rotate' || kind === 'dilate') {
+            const value = kind === 'rotate' ? this.resolveAngleDeg(argIn.value) : this.resolveNumberInput(argIn.value);
+            t[kind === 'rotate' ? 'angleDeg' : 'factor'] = value;
+            t.centerLabel = center.label;
+            t.center = center.coord;
+            t.resolved = Number.isFinite(value) && !!center.coord;
+        } else if (kind === 'translate') {
+            // Translate(向量, 起点) 只是把向量平移到起点，不算点的映射
+            const vector = this.getElementType(argIn.value) === 'point' ? null : this.resolveVectorInput(argIn);
+            t.vectorLabel = argIn.isCoordinate ? null : argIn.value;
+            t.vector = vector;
+            t.resolved = !!vector;
+        } else {
+            const mirrorType = this.getElementType(argIn.value);
+            t.mirrorLabel = argIn.value;
+            if (argIn.isCoordinate || mirrorType === 'point') {
+                t.mirrorType = 'point';
+                t.center = this.normalizeInputPoint(argIn).coord;
+                t.resolved = !!t.center;
+            } else {
+                const line = this.resolveLineInput(argIn.value);
+                t.mirrorType = 'line';
+                if (line) {
+                    t.linePoint = line.point;
+                    t.lineAngleDeg = line.angleDeg;
+                    t.resolved = true;
+                }
+            }
+        }
+        return t;
+    }
+
+    // 角度参数：带 ° 按度；角/数值对象与无单位表达式按弧度
+    resolveAngleDeg(str) {
+        const text = String(str || '').trim();
+        if (text.endsWith('°')) {
+            const deg = this.evalConstant(text.slice(0, -1));
+            return deg === null ? null : deg;
+        }
+        const rad = this.resolveNumberInput(text);
+        return rad === null ? null : rad * 180 / Math.PI;
+    }
+
+    resolveNumberInput(str) {
+        const text = String(str || '').trim();
+        const el = this.elementMap[text];
+        const valueEl = el ? el.querySelector('value') : null;
+        if (valueEl) {
+            const v = parseFloat(valueEl.getAttribute('val'));
+            return Number.isFinite(v) ? v : null;
+        }
+        return this.evalConstant(text);
+    }
+
+    resolveVectorInput(input) {
+        if (input.isCoordinate) return input.coord;
+        const el = this.elementMap[input.value];
+        const coords = el && el.getAttribute('type') === 'vector' ? el.querySelector('coords') : null;
+        if (!coords) return null;
+        const x = parseFloat(coords.getAttribute('x'));
+        const y = parseFloat(coords.getAttribute('y'));
+        return Number.isFinite(x) && Number.isFinite(y) ? { x, y } : null;
+    }
+
+    // 直线/线段/射线的 coords 是 ax + by + c = 0；返回线上一点与方向角
+    resolveLineInput(label) {
+        let abc = null;
+        if (label === 'xAxis') abc = [0, 1, 0];
+        else if (label === 'yAxis') abc = [1, 0, 0];
+        else {
+            const el = this.elementMap[label];
+            const coords = el && ['line', 'segment', 'ray'].includes(el.getAttribute('type')) ? el.querySelector('coords') : null;
+            if (coords) abc = ['x', 'y', 'z'].map(k => parseFloat(coords.getAttribute(k)));
+        }
+        if (!abc || abc.some(v => !Number.isFinite(v))) return null;
+        const [a, b, c] = abc;
+        const n2 = a * a + b * b;
+        if (n2 < 1e-12) return null;
+        return {
+            point: { x: -a * c / n2, y: -b * c / n2 },
+            angleDeg: Math.atan2(-a, b) * 180 / Math.PI
+        };
+    }
+
+    applyTransform(t, p) {
+        if (!t || !t.resolved || !p) return null;
+        const { x, y } = p;
+        if (t.kind === 'translate') return { x: x + t.vector.x, y: y + t.vector.y };
+        if (t.kind === 'dilate') return { x: t.center.x + t.factor * (x - t.center.x), y: t.center.y + t.factor * (y - t.center.y) };
+        if (t.kind === 'rotate') {
+            const r = t.angleDeg * Math.PI / 180;
+            const dx = x - t.center.x;
+            const dy = y - t.center.y;
+            return { x: t.center.x + dx * Math.cos(r) - dy * Math.sin(r), y: t.center.y + dx * Math.sin(r) + dy * Math.cos(r) };
+        }
+        if (t.mirrorType === 'point') return { x: 2 * t.center.x - x, y: 2 * t.center.y - y };
+        const r = t.lineAngleDeg * Math.PI / 180;
+        const ux = Math.cos(r);
+        const uy = Math.sin(r);
+        const dx = x - t.linePoint.x;
+        const dy = y - t.linePoint.y;
+        const dot = dx * ux + dy * uy;
+        return { x: t.linePoint.x + 2 * dot * ux - dx, y: t.linePoint.y + 2 * dot * uy - dy };
+    }
+
+    /**
+     * 给变换得到的对象挂上 transform；线段/向量的像 XML 里没有端点，由来源对象端点映射得到。
+     * 多边形的像连带输出的顶点和边各自以原多边形的对应顶点/边为来源，原多边形记在 sourcePolygon
+     */
+    attachTransforms(result) {
+        const kinds = ['points', 'segments', 'polygons', 'vectors', 'lines', 'rays', 'conics', 'conicparts'];
+        const byLabel = {};
+        kinds.forEach(k => (result[k] || []).forEach(obj => { byLabel[obj.label] = obj; }));
+        kinds.forEach(k => (result[k] || []).forEach(obj => {
+            const cmd = this.cmdMap[obj.label];
+            const t = this.parseTransform(cmd);
+            if (!t) return;
+            obj.transform = t;
+            const srcPolygon = byLabel[t.source];
+            if (srcPolygon && srcPolygon.type === 'polygon' && (k === 'points' || k === 'segments')) {
+                const type = k === 'points' ? 'point' : 'segment';
+                const index = cmd.outputs.filter(l => this.getElementType(l) === type).indexOf(obj.label);
+                const preimages = k === 'points' ? (srcPolygon.vertices || []).map(v => v.label) : srcPolygon.edgeLabels || [];
+                if (preimages[index]) {
+                    t.sourcePolygon = t.source;
+                    t.source = preimages[index];
+                }
+            }
+            if (k === 'segments' && this.getElementType(cmd.outputs[0]) === 'polygon') {
+                obj.fromPolygon = true;
+                obj.polygonLabel = cmd.outputs[0];
+                return;
+            }
+            const src = byLabel[t.source];
+            if (!src || (k !== 'segments' && k !== 'vectors')) return;
+            const start = src.startCoord || this.resolvePointByLabel(src.startLabel);
+            const end = src.endCoord || this.resolvePointByLabel(src.endLabel);
+            const imgStart = this.applyTransform(t, start);
+            const imgEnd = this.applyTransform(t, end);
+            if (imgStart && !obj.startCoord) obj.startCoord = imgStart;
+            if (imgEnd && !obj.endCoord) obj.endCoord = imgEnd;
+        }));
+    }
+
     parseStyle(el) {
         const style = {};
         const objColor = el.querySelector('objColor');
@@ -375,6 +595,14 @@ class GGBParser {
         const pointSize = el.querySelector('pointSize');
         if (pointSize) style.pointSize = parseInt(pointSize.getAttribute('val') || '5');
 
+        // 标题（caption）只在标签模式为"标题"(3)或"标题与数值"(9)时代替名称显示，导出也照此处理；
+        // 其余模式下对象即使设过标题，画板上显示的仍是名称
+        const labelMode = el.querySelector('labelMode')?.getAttribute('val');
+        const caption = el.querySelector('caption');
+        if (caption && caption.getAttribute('val') && (labelMode === '3' || labelMode === '9')) {
+            style.caption = caption.getAttribute('val');
+        }
+
         return style;
     }
 
@@ -401,7 +629,7 @@ class GGBParser {
                 y = rawY;
             }
         }
-        return {
+        const res = {
             type: 'point',
             label,
             visible,
@@ -412,17 +640,324 @@ class GGBParser {
             ...source,
             ...style
         };
+        const paramRefs = this.findNumericRefs(res.exp);
+        if (paramRefs.length) res.paramRefs = paramRefs;
+        return res;
     }
 
     parseFunction(el, label, visible, style) {
         const exp = this.expMap[label];
-        return {
+        const res = {
             type: 'function',
             label,
             visible,
             exp: exp ? exp.exp : null,
             ...style
         };
+        const paramRefs = this.findNumericRefs(res.exp);
+        if (paramRefs.length) res.paramRefs = paramRefs;
+        return res;
+    }
+
+    /**
+     * 自由数值 / 滑动条：value 为当前值，滑动条另记区间与步长；
+     * 由其他数值算出的（b = 2a）保留表达式与依赖，命令生成的（Distance 等）只作结果值
+     */
+    parseNumeric(el, label, visible, style, cmd) {
+        const num = (v) => {
+            const n = parseFloat(v);
+            return Number.isFinite(n) ? n : null;
+        };
+        const valueEl = el.querySelector('value');
+        const sliderEl = el.querySelector('slider');
+        const animationEl = el.querySelector('animation');
+        const exp = this.expMap[label];
+        const res = {
+            type: 'numeric',
+            label,
+            visible,
+            value: num(valueEl ? valueEl.getAttribute('val') : null),
+            isSlider: !!sliderEl,
+            free: !cmd,
+            ...style
+        };
+        if (sliderEl) {
+            res.min = num(sliderEl.getAttribute('min'));
+            res.max = num(sliderEl.getAttribute('max'));
+            res.step = num(animationEl ? animationEl.getAttribute('step') : null);
+        }
+        if (exp && exp.exp && this.evalConstant(exp.exp) === null) {
+            res.exp = exp.exp;
+            res.dependsOn = this.findNumericRefs(exp.exp);
+        }
+        return res;
+    }
+
+    // 表达式里引用到的数值对象（滑动条/自由数）名称，保序去重
+    findNumericRefs(text) {
+        const names = String(text || '').match(/[A-Za-zα-ωΑ-Ω][A-Za-z0-9α-ωΑ-Ω]*(?:_\{[^}]*\}|_[A-Za-z0-9])?/g) || [];
+        return [...new Set(names)].filter(n => this.getElementType(n) === 'numeric');
+    }
+
+    /**
+     * 参数曲线 Curve(x(t), y(t), t, a, b)：保留表达式原文，参数区间尽量求出数值
+     */
+    parseCurve(el, label, visible, style, cmd) {
+        const res = { type: 'curve', label, visible, xExp: null, yExp: null, param: 't', tMin: null, tMax: null, ...style };
+        if (!cmd || cmd.name !== 'Curve' || cmd.inputs.length < 5) return res;
+        const [xIn, yIn, paramIn, minIn, maxIn] = cmd.inputs;
+        res.xExp = xIn.value;
+        res.yExp = yIn.value;
+        res.param = paramIn.value;
+        res.tMinExp = minIn.value;
+        res.tMaxExp = maxIn.value;
+        res.tMin = this.evalConstant(minIn.value);
+        res.tMax = this.evalConstant(maxIn.value);
+        return res;
+    }
+
+    /**
+     * 轨迹 Locus(P, A)：XML 只存命令，点列须由画板现算；断开处（无定义点或跳跃）拆成多段
+     */
+    parseLocus(el, label, visible, style, cmd) {
+        const samples = this.sampleLocusPoints(label);
+        return {
+            type: 'locus',
+            label,
+            visible,
+            commandName: cmd ? cmd.name : null,
+            sourceInputs: cmd ? (cmd.inputs || []).map(i => i.value) : [],
+            pieces: this.splitLocusPieces(samples),
+            ...style
+        };
+    }
+
+    // 临时对象名：标签逐字符编码为十六进制码位（以 x 分隔），非 ASCII 标签也不会撞名；
+    // 画板上已有同名对象时追加 n1、n2…，绝不覆盖或删除用户的对象
+    locusSampleName(api, label) {
+        const base = `${LOCUS_SAMPLE_PREFIX}${Array.from(String(label), ch => ch.codePointAt(0).toString(16)).join('x')}`;
+        let name = base;
+        for (let i = 1; api.exists(name); i++) name = `${base}n${i}`;
+        return name;
+    }
+
+    // 临时列表 {n, x1..xn, y1..yn} 只含数值，用 getListValue 逐个读出，不依赖随语言变化的 getValueString；读完即删。
+    // evalCommand / deleteObject 不记撤销点（撤销点只由用户操作或 setUndoPoint 产生），这里同步建删且不调用 setUndoPoint，
+    // 临时列表进不了撤销历史，导出不改变用户的构造记录
+    sampleLocusPoints(label, maxPoints = 2000) {
+        const api = this.applet;
+        if (!api || !['evalCommand', 'getListValue', 'exists', 'deleteObject'].every(fn => typeof api[fn] === 'function')) return [];
+        const tmp = this.locusSampleName(api, label);
+        const pts = `First(${label}, ${maxPoints})`;
+        try {
+            if (!api.evalCommand(`${tmp} = Join({Length(${pts})}, x(${pts}), y(${pts}))`)) return [];
+            const count = Number(api.getListValue(tmp, 1));
+            if (!Number.isInteger(count) || count <= 0) return [];
+            const samples = [];
+            // 无定义点的坐标为 NaN，保留为 null 作为断点
+            for (let i = 1; i <= count; i++) {
+                const x = Number(api.getListValue(tmp, 1 + i));
+                const y = Number(api.getListValue(tmp, 1 + count + i));
+                samples.push(Number.isFinite(x) && Number.isFinite(y) ? { x, y } : null);
+            }
+            return samples;
+        } catch {
+            return [];
+        } finally {
+            try {
+                api.deleteObject(tmp);
+            } catch {
+                // 临时对象删除失败不影响解析
+            }
+        }
+    }
+
+    // 步长超过中位步长 10 倍视为轨迹断开（GeoGebra 在无定义区间两侧直接跳过）
+    splitLocusPieces(samples) {
+        const steps = [];
+        for (let i = 1; i < samples.length; i++) {
+            const a = samples[i - 1];
+            const b = samples[i];
+            if (a && b) steps.push(Math.hypot(b.x - a.x, b.y - a.y));
+        }
+        const sorted = steps.filter(d => d > 1e-9).sort((m, n) => m - n);
+        const median = sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+        const pieces = [];
+        let current = [];
+        samples.forEach(p => {
+            const prev = current[current.length - 1];
+            const jump = p && prev && median > 0 && Math.hypot(p.x - prev.x, p.y - prev.y) > 10 * median;
+            if (!p || jump) {
+                if (current.length > 1) pieces.push(current);
+                current = p ? [p] : [];
+                return;
+            }
+            current.push(p);
+        });
+        if (current.length > 1) pieces.push(current);
+        return pieces;
+    }
+
+    /**
+     * 隐式曲线 / 不等式：拆成 lhs 关系符 rhs，导出时对 lhs - rhs 采样
+     * 无 expression 的隐式多项式（命令生成）按 coefficients[i][j]·x^i·y^j 还原方程
+     */
+    parseImplicit(el, label, visible, style, cmd) {
+        let equation = String(this.expMap[label]?.exp || '');
+        if (!equation) {
+            const coeffEl = el.querySelector('coefficients');
+            try {
+                const rows = JSON.parse(coeffEl ? coeffEl.getAttribute('data') : '[]');
+                const terms = [];
+                rows.forEach((row, i) => (row || []).forEach((c, j) => {
+                    if (!Number(c)) return;
+                    terms.push([String(c), i ? `x^${i}` : '', j ? `y^${j}` : ''].filter(Boolean).join('*'));
+                }));
+                if (terms.length) equation = `${terms.join(' + ')} = 0`;
+            } catch {
+                equation = '';
+            }
+        }
+        // 去掉 a(x, y) = / f(x) = 这类定义头
+        equation = equation.replace(/^\s*[A-Za-z][A-Za-z0-9_]*\s*\(\s*x\s*(?:,\s*y\s*)?\)\s*[:=]\s*(?=.*[<>≤≥=])/, '');
+        const split = this.splitRelation(equation);
+        return {
+            type: 'implicit',
+            label,
+            visible,
+            equation,
+            lhs: split ? split.lhs : null,
+            rhs: split ? split.rhs : null,
+            relation: split ? split.relation : null,
+            commandName: cmd ? cmd.name : null,
+            ...style
+        };
+    }
+
+    // 在括号外找第一个关系符：= < > <= >= ≤ ≥
+    splitRelation(equation) {
+        const src = String(equation || '');
+        let depth = 0;
+        for (let i = 0; i < src.length; i++) {
+            const ch = src[i];
+            if (ch === '(' || ch === '[' || ch === '{') depth++;
+            else if (ch === ')' || ch === ']' || ch === '}') depth--;
+            if (depth !== 0 || !'=<>≤≥'.includes(ch)) continue;
+            let relation = ch === '≤' ? '<=' : ch === '≥' ? '>=' : ch;
+            let end = i + 1;
+            if ((ch === '<' || ch === '>') && src[i + 1] === '=') {
+                relation += '=';
+                end++;
+            }
+            const lhs = src.slice(0, i).trim();
+            const rhs = src.slice(end).trim();
+            return lhs && rhs ? { lhs, rhs, relation } : null;
+        }
+        return null;
+    }
+
+    // 只含数字、π 与四则运算的常量表达式求值（如 2π、-pi/2），其余返回 null
+    evalConstant(str) {
+        const src = String(str || '')
+            .replace(/π/g, 'pi')
+            .replace(/(\d)\s*(?=pi\b|\()/g, '$1*');
+        if (!src.trim() || !/^[0-9+\-*/().\s]*$/.test(src.replace(/\bpi\b/g, ''))) return null;
+        try {
+            const value = compileSafeExpression(src.replace(/\bpi\b/g, 'Math.PI'))();
+            return Number.isFinite(value) ? value : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * 文本对象：内容来自 expression（"..." 字符串）或 Text["...", A] 命令
+     * placement: world（坐标系位置）| point（跟随某点）| absolute（屏幕绝对位置，按视图换算成坐标）
+     */
+    parseText(el, label, visible, style, cmd) {
+        const res = { type: 'text', label, visible, text: '', dynamic: false, isLaTeX: false, placement: 'world', x: null, y: null, ...style };
+        const unquote = (str) => {
+            const m = String(str || '').trim().match(/^"([^"]*)"$/);
+            return m ? m[1] : null;
+        };
+
+        const exp = this.expMap[label];
+        let source = exp ? exp.exp : null;
+        let anchorLabel = null;
+        if (!source && cmd && cmd.name === 'Text' && cmd.inputs.length > 0) {
+            source = cmd.inputs[0].value;
+            if (cmd.inputs[1]) {
+                if (cmd.inputs[1].coord) {
+                    res.x = cmd.inputs[1].coord.x;
+                    res.y = cmd.inputs[1].coord.y;
+                } else {
+                    anchorLabel = cmd.inputs[1].value;
+                }
+            }
+        }
+        const literal = unquote(source);
+        if (literal !== null) {
+            res.text = literal;
+        } else {
+            // 拼接/依赖数值的动态文本，XML 里没有计算结果
+            res.text = source || '';
+            res.dynamic = true;
+        }
+
+        const isLaTeX = el.querySelector('isLaTeX');
+        res.isLaTeX = !!isLaTeX && isLaTeX.getAttribute('val') === 'true';
+
+        const font = el.querySelector('font');
+        const fontStyle = font ? parseInt(font.getAttribute('style') || '0') : 0;
+        if (fontStyle) res.fontStyle = fontStyle; // 1 粗体 / 2 斜体 / 3 粗斜体
+
+        const startPoint = el.querySelector('startPoint');
+        if (startPoint && startPoint.getAttribute('exp')) {
+            anchorLabel = startPoint.getAttribute('exp');
+        } else if (startPoint) {
+            const x = parseFloat(startPoint.getAttribute('x'));
+            const y = parseFloat(startPoint.getAttribute('y'));
+            const z = parseFloat(startPoint.getAttribute('z') || '1');
+            if (Number.isFinite(x) && Number.isFinite(y)) {
+                res.x = Number.isFinite(z) && Math.abs(z) > 1e-12 ? x / z : x;
+                res.y = Number.isFinite(z) && Math.abs(z) > 1e-12 ? y / z : y;
+            }
+        }
+
+        if (anchorLabel) {
+            const anchor = this.resolvePointByLabel(anchorLabel);
+            res.placement = 'point';
+            res.anchorLabel = anchorLabel;
+            if (anchor) {
+                res.x = anchor.x;
+                res.y = anchor.y;
+            }
+        }
+
+        const screen = el.querySelector('absoluteScreenLocation');
+        if (screen) {
+            const world = this.screenToWorld(parseFloat(screen.getAttribute('x')), parseFloat(screen.getAttribute('y')));
+            res.placement = 'absolute';
+            res.screenX = parseFloat(screen.getAttribute('x'));
+            res.screenY = parseFloat(screen.getAttribute('y'));
+            if (world) {
+                res.x = world.x;
+                res.y = world.y;
+            }
+        }
+        return res;
+    }
+
+    // 屏幕像素 -> 坐标系，依据第一个绘图区的 coordSystem
+    screenToWorld(px, py) {
+        const cs = this.doc.querySelector('euclidianView coordSystem');
+        if (!cs || !Number.isFinite(px) || !Number.isFinite(py)) return null;
+        const xZero = parseFloat(cs.getAttribute('xZero'));
+        const yZero = parseFloat(cs.getAttribute('yZero'));
+        const scale = parseFloat(cs.getAttribute('scale'));
+        const yscale = parseFloat(cs.getAttribute('yscale') || cs.getAttribute('scale'));
+        if (![xZero, yZero, scale, yscale].every(Number.isFinite) || scale === 0 || yscale === 0) return null;
+        return { x: (px - xZero) / scale, y: (yZero - py) / yscale };
     }
 
     parseSegment(el, label, visible, style, cmd) {
@@ -465,7 +1000,16 @@ class GGBParser {
             res.commandInputs = (cmd.inputs || []).map(i => i.value);
             res.commandOutputs = cmd.outputs || [];
             res.edgeLabels = (cmd.outputs || []).slice(1).filter(Boolean);
-            res.vertices = this.extractPolygonVertices(cmd);
+            if (TRANSFORM_COMMANDS.has(cmd.name)) {
+                // 像的顶点按输出顺序与原多边形一一对应，输入里的中心/镜面不是顶点
+                res.edgeLabels = res.edgeLabels.filter(l => this.getElementType(l) === 'segment');
+                res.vertices = (cmd.outputs || [])
+                    .filter(l => this.getElementType(l) === 'point')
+                    .map(l => ({ label: l, coord: this.resolvePointByLabel(l) }))
+                    .filter(v => v.coord);
+            } else {
+                res.vertices = this.extractPolygonVertices(cmd);
+            }
         }
         return res;
     }
@@ -719,7 +1263,10 @@ class GGBParser {
         }
         res.commandName = cmd.name;
         res.commandInputs = (cmd.inputs || []).map(i => i.value);
-        res.conicType = this.normalizeConicTypeByCommand(cmd.name);
+        // 变换得到的圆锥曲线与原曲线同类，按矩阵判定
+        res.conicType = TRANSFORM_COMMANDS.has(cmd.name) && res.matrix
+            ? this.inferConicTypeFromMatrix(res.matrix)
+            : this.normalizeConicTypeByCommand(cmd.name);
 
         const ins = cmd.inputs || [];
         if (cmd.name === 'Circle') {
@@ -1118,6 +1665,13 @@ class GGBParser {
             });
         });
 
+        const transformRelations = [];
+        ['points', 'segments', 'polygons', 'vectors', 'lines', 'rays', 'conics', 'conicparts'].forEach(k => {
+            (result[k] || []).forEach(obj => {
+                if (obj.transform) transformRelations.push({ label: obj.label, type: obj.type, ...obj.transform });
+            });
+        });
+
         const pointRelations = (result.points || []).map(p => ({
             label: p.label,
             sourceType: p.sourceType || null,
@@ -1139,18 +1693,8 @@ class GGBParser {
             lineRelations,
             conicRelations,
             pointRelations,
+            transformRelations,
             unresolved
         };
     }
 }
-
-
-// 导出（浏览器环境）
-if (typeof window !== 'undefined') {
-    window.GGBParser = GGBParser;
-}
-
-// 导出（Node.js 环境）
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = GGBParser;
-}
@@ -0,0 +1,697 @@
+// GeoGebra 命令签名校验：词法/语法分析 + 签名表，按对象种类检查参数个数与类型，错误定位到行列
+// 签名与 public/prompts/default-prompt.txt 的「命令签名速查」保持一致
+
+export const KIND_LABELS = {
+  point: '点',
+  vector: '向量',
+  line: '直线',
+  segment: '线段',
+  ray: '射线',
+  conic: '圆锥曲线',
+  arc: '弧/扇形',
+  polygon: '多边形',
+  curve: '曲线',
+  locus: '轨迹',
+  number: '数值',
+  function: '函数',
+  list: '列表',
+  text: '文本',
+  boolean: '布尔值',
+  any: '对象'
+};
+
+// 参数种类 -> 可接受的对象种类；any 表示种类未知，任何参数位置都放行
+const PARAM_ACCEPTS = {
+  point: ['point'],
+  vector: ['vector'],
+  line: ['line', 'segment', 'ray'],
+  segment: ['segment'],
+  // 半圆、圆弧、扇形在 GeoGebra 里也是圆锥曲线（的一部分），Center、Tangent 等照样接受
+  conic: ['conic', 'arc'],
+  polygon: ['polygon'],
+  number: ['number'],
+  function: ['function'],
+  list: ['list'],
+  path: ['line', 'segment', 'ray', 'conic', 'arc', 'polygon', 'function', 'curve', 'locus'],
+  expression: ['number', 'function'],
+  variable: ['number'],
+  object: null
+};
+
+const PARAM_LABELS = {
+  point: 'Point',
+  vector: 'Vector',
+  line: 'Line',
+  segment: 'Segment',
+  conic: 'Conic',
+  polygon: 'Polygon',
+  number: 'Number',
+  function: 'Function',
+  list: 'List',
+  path: 'Path',
+  expression: 'Expression',
+  variable: 'Variable',
+  object: 'Object'
+};
+
+const THREE_POINTS = ['point', 'point', 'point'];
+
+// params 末项以 ... 结尾表示可变参数（至少出现一次）；min 为可变参数时的最少参数个数
+// returns 为 same 时结果与第一个参数同种类（几何变换的像）
+export const GGB_COMMAND_SIGNATURES = {
+  Point: { returns: 'point', overloads: [['path'], ['path', 'number'], ['point', 'vector'], ['list']] },
+  Intersect: { returns: 'point', overloads: [['object', 'object'], ['object', 'object', 'number'], ['object', 'object', 'point']] },
+  Segment: { returns: 'segment', overloads: [['point', 'point'], ['point', 'number']] },
+  Line: { returns: 'line', overloads: [['point', 'point'], ['point', 'line'], ['point', 'vector']] },
+  Ray: { returns: 'ray', overloads: [['point', 'point'], ['point', 'vector']] },
+  Vector: { returns: 'vector', overloads: [['point', 'point'], ['point']] },
+  Polygon: { returns: 'polygon', overloads: [['point...'], ['point', 'point', 'number'], ['list']], min: 3 },
+  RegularPolygon: { returns: 'polygon', overloads: [['point', 'point', 'number']] },
+  RigidPolygon: { returns: 'polygon', overloads: [['polygon'], ['point...']], min: 3 },
+  VectorPolygon: { returns: 'polygon', overloads: [['point...']], min: 3 },
+  Circle: { returns: 'conic', overloads: [['point', 'number'], ['point', 'segment'], ['point', 'point'], THREE_POINTS] },
+  Incircle: { returns: 'conic', overloads: [THREE_POINTS] },
+  Ellipse: { returns: 'conic', overloads: [THREE_POINTS, ['point', 'point', 'number']] },
+  Hyperbola: { returns: 'conic', overloads: [THREE_POINTS, ['point', 'point', 'number']] },
+  Parabola: { returns: 'conic', overloads: [['point', 'line']] },
+  Tangent: {
+    returns: 'line',
+    overloads: [['point', 'conic'], ['line', 'conic'], ['point', 'function'], ['number', 'function'], ['conic', 'conic']]
+  },
+  OrthogonalLine: { returns: 'line', overloads: [['point', 'line'], ['point', 'vector']] },
+  PerpendicularLine: { returns: 'line', overloads: [['point', 'line'], ['point', 'vector']] },
+  PerpendicularBisector: { returns: 'line', overloads: [['segment'], ['point', 'point']] },
+  AngularBisector: { returns: 'line', overloads: [['line', 'line'], THREE_POINTS] },
+  Semicircle: { returns: 'arc', overloads: [['point', 'point']] },
+  CircleArc: { returns: 'arc', overloads: [THREE_POINTS] },
+  CircleSector: { returns: 'arc', overloads: [THREE_POINTS] },
+  CircumcircleArc: { returns: 'arc', overloads: [THREE_POINTS] },
+  CircumcircleSector: { returns: 'arc', overloads: [THREE_POINTS] },
+  Midpoint: { returns: 'point', overloads: [['segment'], ['point', 'point'], ['conic']] },
+  Center: { returns: 'point', overloads: [['conic']] },
+  Curve: { returns: 'curve', overloads: [['expression', 'expression', 'variable', 'number', 'number']] },
+  Locus: { returns: 'locus', overloads: [['point', 'point'], ['point', 'number']] },
+  Reflect: { returns: 'same', overloads: [['object', 'point'], ['object', 'line']] },
+  Rotate: { returns: 'same', overloads: [['object', 'number'], ['object', 'number', 'point']] },
+  Translate: { returns: 'same', overloads: [['object', 'vector'], ['vector', 'point']] },
+  Dilate: { returns: 'same', overloads: [['object', 'number'], ['object', 'number', 'point']] },
+  Sequence: { returns: 'list', overloads: [['number'], ['object', 'variable', 'number', 'number'], ['object', 'variable', 'number', 'number', 'number']] },
+  Zip: {
+    returns: 'list',
+    overloads: [['object', 'variable', 'list'], ['object', 'variable', 'list', 'variable', 'list'], ['object', 'variable', 'list', 'variable', 'list', 'variable', 'list']]
+  },
+  Sum: { returns: 'any', overloads: [['list'], ['list', 'number'], ['object', 'variable', 'number', 'number']] },
+  Product: { returns: 'any', overloads: [['list'], ['list', 'number'], ['object', 'variable', 'number', 'number']] },
+  IterationList: {
+    returns: 'list',
+    overloads: [['function', 'number', 'number'], ['object', 'variable', 'list', 'number'], ['object', 'variable', 'variable', 'list', 'number']]
+  },
+  Iteration: {
+    returns: 'any',
+    overloads: [['function', 'number', 'number'], ['object', 'variable', 'list', 'number'], ['object', 'variable', 'variable', 'list', 'number']]
+  },
+  KeepIf: { returns: 'list', overloads: [['object', 'list'], ['object', 'variable', 'list']] },
+  CountIf: { returns: 'number', overloads: [['object', 'list'], ['object', 'variable', 'list']] }
+};
+
+const NUMBER_VARIABLE = 'number';
+// 遍历列表的命令（Zip、KeepIf 等）自变量取列表元素，种类未知
+const ELEMENT_VARIABLE = 'any';
+
+// 带自变量的命令：按参数个数返回 { 下标: 自变量种类 }，其余参数里这些名字按局部变量处理
+const BOUND_VARIABLE_ARGS = {
+  Curve: (count) => (count === 5 ? { 2: NUMBER_VARIABLE } : {}),
+  Sequence: (count) => (count >= 4 ? { 1: NUMBER_VARIABLE } : {}),
+  Sum: (count) => (count === 4 ? { 1: NUMBER_VARIABLE } : {}),
+  Product: (count) => (count === 4 ? { 1: NUMBER_VARIABLE } : {}),
+  KeepIf: (count) => (count === 3 ? { 1: ELEMENT_VARIABLE } : {}),
+  CountIf: (count) => (count === 3 ? { 1: ELEMENT_VARIABLE } : {}),
+  // Zip(表达式, 变量1, 列表1, 变量2, 列表2, ...)
+  Zip: (count) => {
+    const out = {};
+    for (let i = 1; i + 1 < count; i += 2) out[i] = ELEMENT_VARIABLE;
+    return out;
+  },
+  // IterationList(表达式, 变量1, 变量2, ..., 初值列表, 次数)
+  IterationList: (count) => {
+    const out = {};
+    for (let i = 1; i < count - 2; i++) out[i] = ELEMENT_VARIABLE;
+    return out;
+  }
+};
+BOUND_VARIABLE_ARGS.Iteration = BOUND_VARIABLE_ARGS.IterationList;
+
+const COMMAND_ALIASES = { AngleBisector: 'AngularBisector' };
+
+const MATH_FUNCTIONS = new Set([
+  'sin', 'cos', 'tan', 'asin', 'acos', 'atan', 'sqrt', 'abs',
+  'ln', 'log', 'exp', 'floor', 'ceil', 'round', 'min', 'max',
+  'sinh', 'cosh', 'tanh', 'sec', 'csc', 'cot'
+]);
+
+const BUILTIN_KINDS = {
+  xAxis: 'line',
+  yAxis: 'line',
+  pi: 'number',
+  'π': 'number',
+  e: 'number',
+  true: 'boolean',
+  false: 'boolean',
+  infinity: 'number'
+};
+
+// 画板 getObjectType 返回值 -> 对象种类
+const BOARD_TYPE_KINDS = {
+  point: 'point',
+  vector: 'vector',
+  line: 'line',
+  segment: 'segment',
+  ray: 'ray',
+  circle: 'conic',
+  conic: 'conic',
+  ellipse: 'conic',
+  hyperbola: 'conic',
+  parabola: 'conic',
+  arc: 'arc',
+  sector: 'arc',
+  conicpart: 'arc',
+  semicircle: 'arc',
+  polygon: 'polygon',
+  triangle: 'polygon',
+  quadrilateral: 'polygon',
+  pentagon: 'polygon',
+  hexagon: 'polygon',
+  numeric: 'number',
+  angle: 'number',
+  slider: 'number',
+  function: 'function',
+  curvecartesian: 'curve',
+  locus: 'locus',
+  list: 'list',
+  text: 'text',
+  boolean: 'boolean'
+};
+
+export function kindFromBoardType(type) {
+  return BOARD_TYPE_KINDS[String(type || '').toLowerCase()] || 'any';
+}
+
+export function formatSignature(name, params) {
+  const parts = params.map((p) => (p.endsWith('...') ? `${PARAM_LABELS[p.slice(0, -3)]}, ...` : PARAM_LABELS[p]));
+  return `${name}(${parts.join(', ')})`;
+}
+
+export function describeSignatures(name) {
+  const sig = GGB_COMMAND_SIGNATURES[name];
+  if (!sig) return '';
+  return sig.overloads.map((params) => formatSignature(name, params)).join(' | ');
+}
+
+// ---------- 词法分析 ----------
+
+const LABEL_PATTERN = /[A-Za-zÀ-ɏͰ-Ͽ](?:[A-Za-z0-9À-ɏͰ-Ͽ]|_(?!\{))*(?:_\{[^}]*\})?'*/y;
+const NUMBER_PATTERN = /(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?/y;
+const SUPERSCRIPT_PATTERN = /⁻?[⁰¹²³⁴⁵⁶⁷⁸⁹]+/y;
+const SUPERSCRIPT_DIGITS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+const OPERATORS = [':=', '==', '!=', '<=', '>=', '&&', '||', '+', '-', '*', '/', '^', '=', '<', '>', ':', ',', '(', ')', '{', '}', '[', ']', '°', '!', '≤', '≥', '≠', '∧', '∨'];
+
+class CheckError extends Error {
+  constructor(message, index, length = 1) {
+    super(message);
+    this.index = index;
+    this.length = length;
+  }
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const ch = text[i];
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === '"') {
+      const end = text.indexOf('"', i + 1);
+      if (end < 0) throw new CheckError('字符串缺少结束引号', i);
+      tokens.push({ type: 'string', value: text.slice(i, end + 1), index: i });
+      i = end + 1;
+      continue;
+    }
+    NUMBER_PATTERN.lastIndex = i;
+    const num = NUMBER_PATTERN.exec(text);
+    if (num) {
+      tokens.push({ type: 'number', value: num[0], index: i });
+      i += num[0].length;
+      continue;
+    }
+    // GeoGebra 自己写出的 x² 等上标指数，按 ^2 处理
+    SUPERSCRIPT_PATTERN.lastIndex = i;
+    const sup = SUPERSCRIPT_PATTERN.exec(text);
+    if (sup) {
+      const digits = [...sup[0]].map((c) => (c === '⁻' ? '-' : SUPERSCRIPT_DIGITS.indexOf(c))).join('');
+      tokens.push({ type: 'op', value: '^', index: i });
+      if (digits.startsWith('-')) tokens.push({ type: 'op', value: '-', index: i });
+      tokens.push({ type: 'number', value: digits.replace('-', ''), index: i });
+      i += sup[0].length;
+      continue;
+    }
+    LABEL_PATTERN.lastIndex = i;
+    const label = LABEL_PATTERN.exec(text);
+    if (label) {
+      tokens.push({ type: 'ident', value: label[0], index: i });
+      i += label[0].length;
+      continue;
+    }
+    const op = OPERATORS.find((candidate) => text.startsWith(candidate, i));
+    if (!op) throw new CheckError(`无法识别的字符 "${ch}"`, i);
+    tokens.push({ type: 'op', value: op, index: i });
+    i += op.length;
+  }
+  tokens.push({ type: 'eof', value: '', index: text.length });
+  return tokens;
+}
+
+// ---------- 语法分析 ----------
+
+const BINARY_PRECEDENCE = {
+  '||': 1, '∨': 1,
+  '&&': 2, '∧': 2,
+  '==': 3, '!=': 3, '≠': 3, '=': 3, '<': 3, '>': 3, '<=': 3, '>=': 3, '≤': 3, '≥': 3,
+  '+': 4, '-': 4,
+  '*': 5, '/': 5,
+  '^': 7
+};
+
+class Parser {
+  constructor(tokens) {
+    this.tokens = tokens;
+    this.pos = 0;
+  }
+
+  peek(offset = 0) {
+    return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+  }
+
+  next() {
+    const token = this.peek();
+    this.pos++;
+    return token;
+  }
+
+  isOp(value, offset = 0) {
+    const token = this.peek(offset);
+    return token.type === 'op' && token.value === value;
+  }
+
+  expectOp(value, openToken) {
+    const token = this.peek();
+    if (token.type === 'op' && token.value === value) return this.next();
+    if (openToken) {
+      throw new CheckError(`"${openToken.value}" 缺少对应的 "${value}"`, openToken.index);
+    }
+    throw new CheckError(`此处应为 "${value}"`, token.index);
+  }
+
+  // 语句：[标签 = | 标签(自变量) = | 标签 :] 表达式
+  parseStatement() {
+    const definition = this.parseDefinitionHead();
+    const expr = this.parseExpression(0);
+    const rest = this.peek();
+    if (rest.type !== 'eof') {
+      throw new CheckError(`多余的内容 "${rest.value}"`, rest.index, rest.value.length);
+    }
+    return { ...definition, expr };
+  }
+
+  parseDefinitionHead() {
+    const head = this.peek();
+    if (this.isOp('{')) return this.parseLabelListHead();
+    // y = 2x + 1 之类以坐标变量开头的是方程，不是定义
+    if (head.type !== 'ident' || ['x', 'y', 'z'].includes(head.value)) return { label: null, params: [] };
+    if (this.isOp('=', 1) || this.isOp(':=', 1) || this.isOp(':', 1)) {
+      this.pos += 2;
+      return { label: head, params: [] };
+    }
+    if (!this.isOp('(', 1)) return { label: null, params: [] };
+    // f(x) = ... / f(x, y) = ...：括号内只能是标识符
+    let offset = 2;
+    const params = [];
+    for (;;) {
+      const token = this.peek(offset);
+      if (token.type !== 'ident') return { label: null, params: [] };
+      params.push(token.value);
+      offset++;
+      if (this.isOp(',', offset)) {
+        offset++;
+        continue;
+      }
+      if (this.isOp(')', offset) && (this.isOp('=', offset + 1) || this.isOp(':=', offset + 1))) {
+        this.pos += offset + 2;
+        return { label: head, params };
+      }
+      return { label: null, params: [] };
+    }
+  }
+
+  // {P, Q} = Intersect(c, l)：多输出命令一次命名全部输出，不符合该形式时按列表表达式解析
+  parseLabelListHead() {
+    const labels = [];
+    let offset = 1;
+    for (;;) {
+      const token = this.peek(offset);
+      if (token.type !== 'ident') return { label: null, params: [] };
+      labels.push(token);
+      offset++;
+      if (this.isOp(',', offset)) {
+        offset++;
+        continue;
+      }
+      if (this.isOp('}', offset) && this.isOp('=', offset + 1)) {
+        this.pos += offset + 2;
+        return { label: labels[0], labels, params: [] };
+      }
+      return { label: null, params: [] };
+    }
+  }
+
+  parseExpression(minPrecedence) {
+    let left = this.parseUnary();
+    for (;;) {
+      const token = this.peek();
+      const precedence = token.type === 'op' ? BINARY_PRECEDENCE[token.value] : undefined;
+      if (precedence === undefined || precedence < minPrecedence) break;
+      this.next();
+      // ^ 右结合
+      const right = this.parseExpression(token.value === '^' ? precedence : precedence + 1);
+      left = { type: 'binary', op: token.value, left, right, index: left.index };
+    }
+    return left;
+  }
+
+  parseUnary() {
+    if (this.isOp('-') || this.isOp('+') || this.isOp('!')) {
+      const token = this.next();
+      return { type: 'unary', op: token.value, arg: this.parseUnary(), index: token.index };
+    }
+    return this.parsePostfix(this.parsePrimary());
+  }
+
+  parsePostfix(node) {
+    let current = node;
+    while (this.isOp('°') || this.isOp('!')) {
+      const token = this.next();
+      current = { type: 'unary', op: token.value, arg: current, index: current.index, postfix: true };
+    }
+    // 隐式乘法：2x、2(a+b)、3 sin(x)，以及 GeoGebra 自己写出的 a x、3x y
+    const token = this.peek();
+    const startsOperand = token.type === 'number' || token.type === 'ident' || (token.type === 'op' && token.value === '(');
+    if ((startsOperand && (current.type === 'number' || current.type === 'group')) || (token.type === 'ident' && current.type === 'ident')) {
+      const right = this.parseUnary();
+      return { type: 'binary', op: '*', left: current, right, index: current.index };
+    }
+    return current;
+  }
+
+  parseArguments(openToken, closeValue) {
+    const args = [];
+    if (this.isOp(closeValue)) {
+      this.next();
+      return args;
+    }
+    for (;;) {
+      const token = this.peek();
+      if (token.type === 'eof') throw new CheckError(`"${openToken.value}" 缺少对应的 "${closeValue}"`, openToken.index);
+      if (token.type === 'op' && (token.value === ',' || token.value === closeValue)) {
+        throw new CheckError('缺少参数', token.index);
+      }
+      args.push(this.parseExpression(0));
+      if (this.isOp(',')) {
+        this.next();
+        continue;
+      }
+      this.expectOp(closeValue, openToken);
+      return args;
+    }
+  }
+
+  parsePrimary() {
+    const token = this.next();
+    if (token.type === 'number') return { type: 'number', value: token.value, index: token.index };
+    if (token.type === 'string') return { type: 'string', value: token.value, index: token.index };
+    if (token.type === 'ident') {
+      if (this.isOp('(') || this.isOp('[')) {
+        const open = this.next();
+        const args = this.parseArguments(open, open.value === '(' ? ')' : ']');
+        return { type: 'call', name: token.value, args, index: token.index, length: token.value.length };
+      }
+      return { type: 'ident', name: token.value, index: token.index, length: token.value.length };
+    }
+    if (token.type === 'op' && token.value === '(') {
+      const items = this.parseArguments(token, ')');
+      if (items.length === 0) throw new CheckError('空括号', token.index, 2);
+      if (items.length === 1) return { type: 'group', expr: items[0], index: token.index };
+      return { type: 'tuple', items, index: token.index };
+    }
+    if (token.type === 'op' && token.value === '{') {
+      return { type: 'list', items: this.parseArguments(token, '}'), index: token.index };
+    }
+    if (token.type === 'eof') throw new CheckError('表达式不完整', token.index);
+    throw new CheckError(`意外的 "${token.value}"`, token.index, token.value.length);
+  }
+}
+
+// ---------- 种类推断与签名匹配 ----------
+
+function acceptsKind(param, kind) {
+  if (kind === 'any') return true;
+  const accepted = PARAM_ACCEPTS[param];
+  return !accepted || accepted.includes(kind);
+}
+
+function matchOverload(params, argKinds, min) {
+  const variadic = params.length > 0 && params[params.length - 1].endsWith('...');
+  if (!variadic) {
+    return params.length === argKinds.length && params.every((p, i) => acceptsKind(p, argKinds[i]));
+  }
+  const fixed = params.slice(0, -1);
+  const rest = params[params.length - 1].slice(0, -3);
+  if (argKinds.length < Math.max(fixed.length + 1, min || 0)) return false;
+  return argKinds.every((kind, i) => acceptsKind(i < fixed.length ? fixed[i] : rest, kind));
+}
+
+function arityRange(sig) {
+  let lo = Infinity;
+  let hi = 0;
+  sig.overloads.forEach((params) => {
+    if (params.length > 0 && params[params.length - 1].endsWith('...')) {
+      lo = Math.min(lo, Math.max(params.length, sig.min || 0));
+      hi = Infinity;
+    } else {
+      lo = Math.min(lo, params.length);
+      hi = Math.max(hi, params.length);
+    }
+  });
+  return { lo, hi };
+}
+
+function combineArithmeticKinds(op, left, right) {
+  if (left === 'any' || right === 'any') return 'any';
+  if (['==', '!=', '≠', '<', '>', '<=', '>=', '≤', '≥', '&&', '||', '∧', '∨'].includes(op)) return 'boolean';
+  if (left === 'function' || right === 'function') return 'function';
+  if (op === '+' || op === '-') {
+    if (left === 'point' || right === 'point') return 'point';
+    if (left === 'vector' || right === 'vector') return 'vector';
+  }
+  if (op === '*' || op === '/') {
+    if (left === 'vector' && right === 'vector') return 'number';
+    if (left === 'point' || right === 'point') return 'point';
+    if (left === 'vector' || right === 'vector') return 'vector';
+  }
+  return 'number';
+}
+
+function createInferrer(kinds, locals, errors) {
+  const infer = (node) => {
+    switch (node.type) {
+      case 'number':
+        return 'number';
+      case 'string':
+        return 'text';
+      case 'group':
+        return infer(node.expr);
+      case 'tuple':
+        node.items.forEach(infer);
+        return 'point';
+      case 'list':
+        node.items.forEach(infer);
+        return 'list';
+      case 'unary': {
+        const kind = infer(node.arg);
+        if (node.op === '!' && !node.postfix) return 'boolean';
+        return node.op === '°' || node.op === '!' ? 'number' : kind;
+      }
+      case 'binary': {
+        const left = infer(node.left);
+        const right = infer(node.right);
+        // 含 x / y 的方程视为曲线（直线或圆锥），具体种类交给 GeoGebra 判定
+        if (node.op === '=') return 'any';
+        return combineArithmeticKinds(node.op, left, right);
+      }
+      case 'ident': {
+        if (locals.has(node.name)) return locals.get(node.name);
+        if (kinds.has(node.name)) return kinds.get(node.name);
+        if (Object.prototype.hasOwnProperty.call(BUILTIN_KINDS, node.name)) return BUILTIN_KINDS[node.name];
+        if (node.name === 'x' || node.name === 'y' || node.name === 'z') return 'function';
+        errors.push({ code: 'undefined', name: node.name, message: `未定义的对象 ${node.name}`, index: node.index, length: node.length });
+        return 'any';
+      }
+      case 'call':
+        return inferCall(node);
+      default:
+        return 'any';
+    }
+  };
+
+  const inferCall = (node) => {
+    const name = COMMAND_ALIASES[node.name] || node.name;
+    const boundKinds = BOUND_VARIABLE_ARGS[name] ? BOUND_VARIABLE_ARGS[name](node.args.length) : {};
+    const bound = Object.entries(boundKinds)
+      .map(([i, kind]) => ({ arg: node.args[i], kind }))
+      .filter(({ arg }) => arg && arg.type === 'ident');
+    // 嵌套命令可能复用外层的自变量名，求值完恢复外层的种类
+    const outer = bound.map(({ arg }) => [arg.name, locals.get(arg.name)]);
+    bound.forEach(({ arg, kind }) => locals.set(arg.name, kind));
+    const argKinds = node.args.map(infer);
+    outer.forEach(([varName, kind]) => (kind === undefined ? locals.delete(varName) : locals.set(varName, kind)));
+    const sig = GGB_COMMAND_SIGNATURES[name];
+    if (sig) {
+      const returns = sig.returns === 'same' ? (argKinds[0] || 'any') : sig.returns;
+      if (sig.overloads.some((params) => matchOverload(params, argKinds, sig.min))) return returns;
+      const usage = describeSignatures(name);
+      const sameArity = sig.overloads.filter((params) => matchOverloadArity(params, argKinds.length, sig.min));
+      if (sameArity.length === 0) {
+        const { lo, hi } = arityRange(sig);
+        const expected = lo === hi ? `需要 ${lo} 个参数` : '参数个数不匹配';
+        errors.push({
+          code: 'arity',
+          name,
+          message: `${name} ${expected}，实际 ${argKinds.length} 个；可用签名：${usage}`,
+          index: node.index,
+          length: node.length
+        });
+        return returns;
+      }
+      // 个数对得上但种类不符：定位到第一个与所有同长度签名都冲突的参数
+      const badIdx = argKinds.findIndex((kind, i) => sameArity.every((params) => !acceptsKind(paramAt(params, i), kind)));
+      const target = badIdx >= 0 ? node.args[badIdx] : node;
+      const argDesc = badIdx >= 0 ? `第 ${badIdx + 1} 个参数是${KIND_LABELS[argKinds[badIdx]] || argKinds[badIdx]}` : '参数类型组合不匹配';
+      errors.push({
+        code: 'kind',
+        name,
+        message: `${name} ${argDesc}；可用签名：${usage}`,
+        index: target.index,
+        length: target.length || 1
+      });
+      return returns;
+    }
+    if (MATH_FUNCTIONS.has(node.name.toLowerCase())) {
+      return argKinds.includes('function') ? 'function' : (argKinds.includes('any') ? 'any' : 'number');
+    }
+    // 已定义的函数求值，如 f(2)
+    if (kinds.get(node.name) === 'function') return 'number';
+    // 白名单外的命令由白名单校验负责提示，这里不重复报错
+    return 'any';
+  };
+
+  return infer;
+}
+
+function paramAt(params, i) {
+  const last = params[params.length - 1];
+  if (last && last.endsWith('...') && i >= params.length - 1) return last.slice(0, -3);
+  return params[i];
+}
+
+function matchOverloadArity(params, count, min) {
+  const last = params[params.length - 1];
+  if (last && last.endsWith('...')) return count >= Math.max(params.length, min || 0);
+  return params.length === count;
+}
+
+function isCommentLine(line) {
+  return !line || line.startsWith('//') || line.startsWith('#') || line.startsWith('--') || line.startsWith('```');
+}
+
+// 检查整段脚本：knownKinds 为画板已有对象（标签 -> 种类）；行号/列号均从 1 开始，对应编辑器中的原始位置
+export function checkCommandScript(text, knownKinds = {}) {
+  const kinds = new Map(knownKinds instanceof Map ? knownKinds : Object.entries(knownKinds || {}));
+  const diagnostics = [];
+  String(text || '').split('\n').forEach((rawLine, idx) => {
+    const trimmed = rawLine.trim();
+    if (isCommentLine(trimmed)) return;
+    const offset = rawLine.indexOf(trimmed);
+    const report = (err) => {
+      diagnostics.push({
+        lineNo: idx + 1,
+        column: offset + err.index + 1,
+        length: err.length || 1,
+        code: err.code || 'syntax',
+        name: err.name || '',
+        line: trimmed,
+        message: err.message
+      });
+    };
+
+    let statement = null;
+    try {
+      statement = new Parser(tokenize(trimmed)).parseStatement();
+    } catch (e) {
+      if (!(e instanceof CheckError)) throw e;
+      report({ code: 'syntax', message: `语法错误：${e.message}`, index: e.index, length: e.length });
+      return;
+    }
+
+    const errors = [];
+    const locals = new Map(statement.params.map((param) => [param, 'number']));
+    const kind = createInferrer(kinds, locals, errors)(statement.expr);
+    errors.forEach(report);
+    if (statement.label) {
+      // 与 GeoGebra 一致：小写标签的 (x, y) 是向量
+      const tupleKind = kind === 'point' && statement.expr.type === 'tuple' && /^[a-z]/.test(statement.label.value) ? 'vector' : kind;
+      kinds.set(statement.label.value, statement.params.length > 0 ? 'function' : tupleKind);
+    }
+    // 多输出命令的其余输出种类不一定相同（如多边形的边），不做种类判断
+    (statement.labels || []).slice(1).forEach((token) => kinds.set(token.value, 'any'));
+  });
+  return diagnostics;
+}
+
+// 按空行把脚本分段，返回每段定义的对象名（无名命令与语法错误行跳过），供 beamer 分步导出
+export function scriptBlockLabels(text) {
+  const blocks = [];
+  let current = [];
+  String(text || '').split('\n').forEach((rawLine) => {
+    const trimmed = rawLine.trim();
+    if (!trimmed) {
+      if (current.length) blocks.push(current);
+      current = [];
+      return;
+    }
+    if (isCommentLine(trimmed)) return;
+    try {
+      const statement = new Parser(tokenize(trimmed)).parseStatement();
+      if (statement.labels) current.push(...statement.labels.map((token) => token.value));
+      else if (statement.label) current.push(statement.label.value);
+    } catch (e) {
+      if (!(e instanceof CheckError)) throw e;
+    }
+  });
+  if (current.length) blocks.push(current);
+  return blocks;
+}
+
+export function formatDiagnostic(d) {
+  return `第${d.lineNo}行第${d.column}列：${d.message}`;
+}
@@ -0,0 +1,47 @@
+import { GGBParser } from './ggbParser.js';
+import { TikZGenerator } from './tikzGenerator.js';
+import { DEFAULT_TIKZ_BOUNDS, deriveTikZBoundsFromParsed, optimizeTikzCodeRules } from './tikzOptimize.js';
+
+// 与画板转译偏好（readTikzSettings）的默认值保持一致
+export const DEFAULT_GENERATOR_OPTIONS = {
+  outputMode: 'figure',
+  axis: true,
+  grid: false,
+  defaultStrokeColor: 'black',
+  defaultStrokeThickness: 'thick',
+  defaultPointColor: 'black',
+  lineExtensionStart: 0.25,
+  lineExtensionEnd: 0.25,
+  pointRadiusPt: 0.25,
+  polygonFillColor: 'black',
+  inequalityFillStyle: 'opacity',
+  inequalityOpacity: 0.2,
+  locusTolerance: 0.01,
+  transformScopes: false,
+  parameterMacros: false,
+  axisMode: 'tikz',
+  geometryStyle: 'tikz',
+  axisThickness: 'semithick',
+  conicStrokeThickness: 'thick',
+  functionStrokeThickness: 'thick',
+  lineStrokeThickness: 'semithick',
+  segmentStrokeThickness: 'thick',
+  polygonStrokeThickness: 'thick',
+  lineLineAngleSelector: 'auto'
+};
+
+// 完整转译流程：parse -> generate -> optimizeTikzCodeRules（不读 localStorage，供命令行与回归测试使用）
+export function convertGeoGebraXml(xml, { generatorOptions = {}, optimize = true, optimizePrefs = {} } = {}) {
+  const parsed = new GGBParser(xml).parse();
+  const bounds = deriveTikZBoundsFromParsed(parsed, DEFAULT_TIKZ_BOUNDS);
+  const options = { ...DEFAULT_GENERATOR_OPTIONS, ...bounds, ...generatorOptions };
+  const rawCode = new TikZGenerator(options).generate(parsed);
+  if (!optimize) return { parsed, rawCode, code: rawCode };
+  const code = optimizeTikzCodeRules(rawCode, {
+    showAxis: options.axis,
+    axisThickness: options.axisThickness,
+    pointRadiusPt: options.pointRadiusPt,
+    ...optimizePrefs
+  });
+  return { parsed, rawCode, code };
+}
@@ -0,0 +1,10 @@
+// 兼容层：旧版页面（legacy-index.html 等）仍通过全局变量使用解析器/生成器
+import { GGBParser } from './ggbParser.js';
+import { TikZGenerator } from './tikzGenerator.js';
+
+if (typeof window !== 'undefined') {
+  window.GGBParser = GGBParser;
+  window.TikZGenerator = TikZGenerator;
+}
+
+export { GGBParser, TikZGenerator };
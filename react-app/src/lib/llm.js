@@ -1,123 +1,151 @@
-export function normalizeArkInputContent(messageContent) {
-  if (Array.isArray(messageContent)) {
-    return messageContent
-      .map((part) => {
-        if (!part || typeof part !== 'object') return null;
-        if (part.type === 'text') {
-          const text = String(part.text || '').trim();
-          return text ? { type: 'input_text', text } : null;
-        }
-        if (part.type === 'image_url') {
-          const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
-          return url ? { type: 'input_image', image_url: url } : null;
-        }
-        return null;
-      })
-      .filter(Boolean);
-  }
-  const text = String(messageContent || '').trim();
-  return text ? [{ type: 'input_text', text }] : [];
+import { getLlmAdapter, resolveAdapterKey } from './llmAdapters.js';
+
+export { normalizeArkInputContent } from './llmAdapters.js';
+
+// adapterKey 为服务商声明的接口类型（见 llmAdapters.js），未声明时按 providerKey 推断
+export function buildCompletionRequests(providerKey, apiBase, model, messages, temperature = 0.3, maxTokens = 2000, stream = false, responseFormat = null, adapterKey = '') {
+  return getLlmAdapter(resolveAdapterKey(providerKey, adapterKey))
+    .buildRequests({ apiBase, model, messages, temperature, maxTokens, stream, responseFormat });
 }
 
-export function buildCompletionRequests(providerKey, apiBase, model, messages, temperature = 0.3, maxTokens = 2000) {
-  if (providerKey === 'doubao') {
-    const safeMessages = Array.isArray(messages) ? messages : [];
-    const instructions = safeMessages
-      .filter((msg) => msg && msg.role === 'system')
-      .map((msg) => (typeof msg.content === 'string' ? msg.content.trim() : ''))
-      .filter(Boolean)
-      .join('\n\n');
-
-    const input = safeMessages
-      .filter((msg) => msg && msg.role !== 'system')
-      .map((msg) => ({
-        role: msg.role === 'assistant' ? 'assistant' : 'user',
-        content: normalizeArkInputContent(msg.content)
-      }))
-      .filter((msg) => Array.isArray(msg.content) && msg.content.length > 0);
-
-    return [
-      {
-        label: 'responses',
-        url: `${apiBase}/responses`,
-        body: {
-          model,
-          input,
-          temperature,
-          max_output_tokens: maxTokens,
-          ...(instructions ? { instructions } : {})
-        }
-      },
-      {
-        label: 'chat_completions_fallback',
-        url: `${apiBase}/chat/completions`,
-        body: {
-          model,
-          messages: safeMessages,
-          temperature,
-          max_tokens: maxTokens
-        }
-      }
-    ];
-  }
+export function extractAssistantText(providerKey, data, adapterKey = '') {
+  return getLlmAdapter(resolveAdapterKey(providerKey, adapterKey)).extractText(data);
+}
 
-  return [
-    {
-      label: 'chat_completions',
-      url: `${apiBase}/chat/completions`,
-      body: {
-        model,
-        messages,
-        temperature,
-        max_tokens: maxTokens
+// 逐个读取 SSE 事件（以空行分隔），把 data: 行拼接后交给 onData；[DONE] 表示结束
+export async function readSSEStream(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const flushEvent = (block) => {
+    const data = block
+      .split(/\r?\n/)
+      .filter((line) => line.startsWith('data:'))
+      .map((line) => line.slice(5).replace(/^ /, ''))
+      .join('\n');
+    if (!data) return false;
+    if (data.trim() === '[DONE]') return true;
+    let payload = null;
+    try {
+      payload = JSON.parse(data);
+    } catch {
+      return false;
+    }
+    onData(payload);
+    return false;
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+    const blocks = buffer.split(/\r?\n\r?\n/);
+    buffer = done ? '' : blocks.pop();
+    for (const block of blocks) {
+      if (flushEvent(block)) {
+        reader.cancel().catch(() => {});
+        return;
       }
     }
-  ];
+    if (done) return;
+  }
 }
 
-export function extractAssistantText(providerKey, data) {
-  if (providerKey === 'doubao') {
-    if (typeof data?.output_text === 'string' && data.output_text.trim()) {
-      return data.output_text.trim();
-    }
-    if (Array.isArray(data?.output)) {
-      const texts = [];
-      data.output.forEach((item) => {
-        if (!item) return;
-        if (Array.isArray(item.content)) {
-          item.content.forEach((part) => {
-            const t = part?.text || part?.output_text || '';
-            if (typeof t === 'string' && t.trim()) texts.push(t.trim());
-          });
-        } else if (typeof item.text === 'string' && item.text.trim()) {
-          texts.push(item.text.trim());
-        }
-      });
-      if (texts.length > 0) return texts.join('\n');
+// Ollama 原生接口的流式响应：每行一个 JSON 对象，最后一行带 done: true
+export async function readNDJSONStream(response, onData) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  const flushLine = (line) => {
+    if (!line.trim()) return;
+    let payload = null;
+    try {
+      payload = JSON.parse(line);
+    } catch {
+      return;
     }
+    onData(payload);
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    buffer += decoder.decode(value || new Uint8Array(), { stream: !done });
+    const lines = buffer.split(/\r?\n/);
+    buffer = done ? '' : lines.pop();
+    lines.forEach(flushLine);
+    if (done) return;
   }
+}
+
+function isStreamContentType(contentType) {
+  return contentType.includes('text/event-stream') || contentType.includes('application/x-ndjson');
+}
 
-  const text = data?.choices?.[0]?.message?.content;
-  if (typeof text === 'string' && text.trim()) {
-    return text.trim();
+// 从单个流式事件中取出增量：content 为正文，reasoning 为推理模型的思考过程，final 为事件里附带的完整响应
+async function readStreamedCompletion(adapter, req, response, onDelta) {
+  let content = '';
+  let reasoning = '';
+  let completed = null;
+  const readStream = String(response.headers.get('content-type') || '').includes('ndjson') ? readNDJSONStream : readSSEStream;
+  await readStream(response, (event) => {
+    const delta = adapter.extractStreamDelta(event, req.label);
+    if (delta.final) completed = delta.final;
+    if (!delta.content && !delta.reasoning) return;
+    content += delta.content || '';
+    reasoning += delta.reasoning || '';
+    onDelta?.({ content, reasoning, via: req.label });
+  });
+  // 个别网关只在 response.completed 中给出完整输出
+  if (!content.trim() && completed) {
+    content = adapter.extractText(completed, req.label);
   }
-  throw new Error('未能从响应中解析出模型输出');
+  return { content: content.trim(), reasoning: reasoning.trim() };
 }
 
-export async function requestWithFallback({ providerKey, apiBase, apiKey, model, messages }) {
-  const requests = buildCompletionRequests(providerKey, apiBase, model, messages, 0.3, 2000);
+function isAbortError(e) {
+  return e?.name === 'AbortError';
+}
+
+export async function requestWithFallback({ providerKey, adapter: adapterKey = '', apiBase, apiKey, model, messages, stream = false, responseFormat = null, signal, onDelta }) {
+  const adapter = getLlmAdapter(resolveAdapterKey(providerKey, adapterKey));
+  const requests = adapter.buildRequests({ apiBase, model, messages, temperature: 0.3, maxTokens: 2000, stream, responseFormat });
   const errors = [];
+  // 上一个请求的失败（状态码与错误信息），带 retryOn 的请求只在它认可的失败之后发出
+  let lastFailure = null;
 
   for (const req of requests) {
+    if (req.retryOn && !(lastFailure && req.retryOn(lastFailure))) continue;
     const response = await fetch(req.url, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
-        Authorization: `Bearer ${apiKey}`
+        ...adapter.authHeaders(apiKey)
       },
-      body: JSON.stringify(req.body)
+      body: JSON.stringify(req.body),
+      signal
     });
 
+    const contentType = String(response.headers.get('content-type') || '');
+    if (response.ok && stream && isStreamContentType(contentType)) {
+      let streamed = false;
+      try {
+        const result = await readStreamedCompletion(adapter, req, response, (delta) => {
+          streamed = true;
+          onDelta?.(delta);
+        });
+        if (result.content) return { ...result, raw: null, via: req.label };
+        errors.push(`${req.label}: 空响应`);
+        lastFailure = { status: response.status, message: '空响应' };
+      } catch (e) {
+        // 已输出部分内容时不再切换通道，避免重复内容
+        if (isAbortError(e) || streamed) throw e;
+        errors.push(`${req.label}: ${e.message}`);
+        lastFailure = { status: response.status, message: e.message };
+      }
+      continue;
+    }
+
     const raw = await response.text();
     let data = {};
     try {
@@ -127,17 +155,21 @@ export async function requestWithFallback({ providerKey, apiBase, apiKey, model,
     }
 
     if (!response.ok) {
-      const msg = data?.error?.message || data?.message || raw || `HTTP ${response.status}`;
+      // Ollama 的 error 是字符串
+      const msg = (typeof data?.error === 'string' ? data.error : data?.error?.message) || data?.message || raw || `HTTP ${response.status}`;
       errors.push(`${req.label}: ${msg}`);
+      lastFailure = { status: response.status, message: msg };
       continue;
     }
 
     try {
-      const content = extractAssistantText(providerKey, data);
+      const content = adapter.extractText(data, req.label);
       if (content) return { content, raw: data, via: req.label };
       errors.push(`${req.label}: 空响应`);
+      lastFailure = { status: response.status, message: '空响应' };
     } catch (e) {
       errors.push(`${req.label}: ${e.message}`);
+      lastFailure = { status: response.status, message: e.message };
     }
   }
 
@@ -0,0 +1,435 @@
+// 模型接口适配层：每个适配器负责把统一的 OpenAI 风格 messages 映射为各家请求体，
+// 并从响应 / 流式事件中取回正文与思考过程。自定义服务商按 adapter 字段选择
+
+export function normalizeArkInputContent(messageContent) {
+  if (Array.isArray(messageContent)) {
+    return messageContent
+      .map((part) => {
+        if (!part || typeof part !== 'object') return null;
+        if (part.type === 'text') {
+          const text = String(part.text || '').trim();
+          return text ? { type: 'input_text', text } : null;
+        }
+        if (part.type === 'image_url') {
+          const url = typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+          return url ? { type: 'input_image', image_url: url } : null;
+        }
+        return null;
+      })
+      .filter(Boolean);
+  }
+  const text = String(messageContent || '').trim();
+  return text ? [{ type: 'input_text', text }] : [];
+}
+
+function splitSystemMessages(messages) {
+  const safeMessages = Array.isArray(messages) ? messages : [];
+  const system = safeMessages
+    .filter((msg) => msg && msg.role === 'system')
+    .map((msg) => (typeof msg.content === 'string' ? msg.content.trim() : ''))
+    .filter(Boolean)
+    .join('\n\n');
+  return { system, rest: safeMessages.filter((msg) => msg && msg.role !== 'system') };
+}
+
+// data:image/png;base64,xxxx -> { mediaType, data }；非 data URL 返回 null
+function parseDataUrl(url) {
+  const m = String(url || '').match(/^data:([^;,]+);base64,(.*)$/s);
+  return m ? { mediaType: m[1], data: m[2] } : null;
+}
+
+function imageUrlOf(part) {
+  return typeof part.image_url === 'string' ? part.image_url : part.image_url?.url;
+}
+
+// 统一的文本 / 图片分片：mapText、mapImage 各自产出目标格式，无法表示的部分跳过
+function mapContentParts(content, mapText, mapImage) {
+  if (!Array.isArray(content)) {
+    const text = String(content || '');
+    return text ? [mapText(text)] : [];
+  }
+  return content
+    .map((part) => {
+      if (!part || typeof part !== 'object') return null;
+      if (part.type === 'text') return part.text ? mapText(String(part.text)) : null;
+      if (part.type === 'image_url') return mapImage(imageUrlOf(part));
+      return null;
+    })
+    .filter(Boolean);
+}
+
+function openaiStreamDelta(event) {
+  if (event?.error) {
+    throw new Error(event.error.message || '流式响应失败');
+  }
+  const delta = event?.choices?.[0]?.delta || {};
+  return {
+    content: typeof delta.content === 'string' ? delta.content : '',
+    reasoning: typeof delta.reasoning_content === 'string' ? delta.reasoning_content : ''
+  };
+}
+
+function isResponseFormatRejection(failure) {
+  return failure?.status === 400 && /response.?format|json.?schema|json.?object|structured/i.test(String(failure.message || ''));
+}
+
+function openaiText(data) {
+  const text = data?.choices?.[0]?.message?.content;
+  if (typeof text === 'string' && text.trim()) {
+    return text.trim();
+  }
+  throw new Error('未能从响应中解析出模型输出');
+}
+
+const openaiAdapter = {
+  name: 'OpenAI 兼容（/chat/completions）',
+  // 本地服务（llama.cpp、LM Studio 等）可不设密钥，此时不带 Authorization
+  authHeaders: (apiKey) => (apiKey ? { Authorization: `Bearer ${apiKey}` } : {}),
+  buildRequests({ apiBase, model, messages, temperature, maxTokens, stream, responseFormat }) {
+    const requests = [
+      {
+        label: 'chat_completions',
+        url: `${apiBase}/chat/completions`,
+        body: {
+          model,
+          messages,
+          temperature,
+          max_tokens: maxTokens,
+          ...(responseFormat ? { response_format: responseFormat } : {}),
+          ...(stream ? { stream: true } : {})
+        }
+      }
+    ];
+    // 部分模型（如推理模型）不接受 response_format：只在首个请求因该字段被 400 拒绝时去掉它重试，格式改由提示词约束；
+    // 鉴权、限流、服务端错误等不重试，免得重复计费
+    if (responseFormat) {
+      requests.push({
+        ...requests[0],
+        label: 'chat_completions_plain',
+        body: { ...requests[0].body, response_format: undefined },
+        retryOn: isResponseFormatRejection
+      });
+    }
+    return requests;
+  },
+  extractText: openaiText,
+  extractStreamDelta: openaiStreamDelta
+};
+
+// 豆包（火山方舟）：优先 /responses，失败回退 /chat/completions
+const arkAdapter = {
+  name: '火山方舟（/responses）',
+  authHeaders: openaiAdapter.authHeaders,
+  buildRequests({ apiBase, model, messages, temperature, maxTokens, stream, responseFormat }) {
+    const streamField = stream ? { stream: true } : {};
+    const safeMessages = Array.isArray(messages) ? messages : [];
+    const { system: instructions, rest } = splitSystemMessages(safeMessages);
+    const input = rest
+      .map((msg) => ({
+        role: msg.role === 'assistant' ? 'assistant' : 'user',
+        content: normalizeArkInputContent(msg.content)
+      }))
+      .filter((msg) => Array.isArray(msg.content) && msg.content.length > 0);
+
+    return [
+      {
+        label: 'responses',
+        url: `${apiBase}/responses`,
+        body: {
+          model,
+          input,
+          temperature,
+          max_output_tokens: maxTokens,
+          ...(instructions ? { instructions } : {}),
+          ...(responseFormat ? { text: { format: responseFormat.json_schema ? { type: 'json_schema', ...responseFormat.json_schema } : responseFormat } } : {}),
+          ...streamField
+        }
+      },
+      {
+        label: 'chat_completions_fallback',
+        url: `${apiBase}/chat/completions`,
+        body: {
+          model,
+          messages: safeMessages,
+          temperature,
+          max_tokens: maxTokens,
+          ...(responseFormat ? { response_format: responseFormat } : {}),
+          ...streamField
+        }
+      }
+    ];
+  },
+  extractText(data) {
+    if (typeof data?.output_text === 'string' && data.output_text.trim()) {
+      return data.output_text.trim();
+    }
+    if (Array.isArray(data?.output)) {
+      const texts = [];
+      data.output.forEach((item) => {
+        if (!item) return;
+        if (Array.isArray(item.content)) {
+          item.content.forEach((part) => {
+            const t = part?.text || part?.output_text || '';
+            if (typeof t === 'string' && t.trim()) texts.push(t.trim());
+          });
+        } else if (typeof item.text === 'string' && item.text.trim()) {
+          texts.push(item.text.trim());
+        }
+      });
+      if (texts.length > 0) return texts.join('\n');
+    }
+    return openaiText(data);
+  },
+  extractStreamDelta(event, label) {
+    if (label !== 'responses') return openaiStreamDelta(event);
+    const type = String(event?.type || '');
+    if (type === 'response.output_text.delta') return { content: String(event.delta || '') };
+    if (type === 'response.reasoning_summary_text.delta') return { reasoning: String(event.delta || '') };
+    // 个别网关只在 response.completed 中给出完整输出
+    if (type === 'response.completed') return { final: event.response || null };
+    if (type === 'response.failed' || type === 'error') {
+      throw new Error(event?.response?.error?.message || event?.error?.message || event?.message || '流式响应失败');
+    }
+    return {};
+  }
+};
+
+// Messages API 没有 response_format：改为强制调用一个以 JSON schema 为 input_schema 的工具，工具参数即输出
+function anthropicOutputTool(responseFormat) {
+  const name = responseFormat.json_schema?.name || 'json_output';
+  const inputSchema = responseFormat.json_schema?.schema || { type: 'object' };
+  return {
+    tools: [{ name, description: '按要求的 JSON 结构提交结果', input_schema: inputSchema }],
+    tool_choice: { type: 'tool', name }
+  };
+}
+
+// Anthropic Messages：system 单独成字段，图片为 base64 image 块，密钥走 x-api-key
+const anthropicAdapter = {
+  name: 'Anthropic Messages',
+  defaultBaseUrl: 'https://api.anthropic.com/v1',
+  structuredOutput: 'json_schema',
+  authHeaders: (apiKey) => ({
+    'x-api-key': apiKey,
+    'anthropic-version': '2023-06-01',
+    // 浏览器直连（BYOK）需要显式声明
+    'anthropic-dangerous-direct-browser-access': 'true'
+  }),
+  buildRequests({ apiBase, model, messages, temperature, maxTokens, stream, responseFormat }) {
+    const { system, rest } = splitSystemMessages(messages);
+    const mapped = rest
+      .map((msg) => ({
+        role: msg.role === 'assistant' ? 'assistant' : 'user',
+        content: mapContentParts(
+          msg.content,
+          (text) => ({ type: 'text', text }),
+          (url) => {
+            const inline = parseDataUrl(url);
+            if (inline) return { type: 'image', source: { type: 'base64', media_type: inline.mediaType, data: inline.data } };
+            return url ? { type: 'image', source: { type: 'url', url } } : null;
+          }
+        )
+      }))
+      .filter((msg) => msg.content.length > 0);
+    return [
+      {
+        label: 'messages',
+        url: `${apiBase}/messages`,
+        body: {
+          model,
+          max_tokens: maxTokens,
+          temperature,
+          ...(system ? { system } : {}),
+          messages: mapped,
+          ...(responseFormat ? anthropicOutputTool(responseFormat) : {}),
+          ...(stream ? { stream: true } : {})
+        }
+      }
+    ];
+  },
+  extractText(data) {
+    const blocks = Array.isArray(data?.content) ? data.content : [];
+    // 强制工具调用时结构化结果在 tool_use 的 input 里
+    const toolUse = blocks.find((block) => block?.type === 'tool_use' && block.input);
+    if (toolUse) return JSON.stringify(toolUse.input);
+    const text = blocks
+      .filter((block) => block?.type === 'text')
+      .map((block) => block.text || '')
+      .join('')
+      .trim();
+    if (text) return text;
+    throw new Error('未能从响应中解析出模型输出');
+  },
+  extractStreamDelta(event) {
+    if (event?.type === 'error') {
+      throw new Error(event.error?.message || '流式响应失败');
+    }
+    if (event?.type !== 'content_block_delta') return {};
+    const delta = event.delta || {};
+    if (delta.type === 'text_delta') return { content: String(delta.text || '') };
+    if (delta.type === 'input_json_delta') return { content: String(delta.partial_json || '') };
+    if (delta.type === 'thinking_delta') return { reasoning: String(delta.thinking || '') };
+    return {};
+  }
+};
+
+function geminiModelPath(model) {
+  const id = String(model || '');
+  return id.startsWith('models/') ? id : `models/${id}`;
+}
+
+function geminiParts(data) {
+  const candidate = data?.candidates?.[0];
+  if (!candidate && data?.promptFeedback?.blockReason) {
+    throw new Error(`请求被拦截：${data.promptFeedback.blockReason}`);
+  }
+  return Array.isArray(candidate?.content?.parts) ? candidate.content.parts : [];
+}
+
+// Gemini generateContent：assistant 映射为 model，图片为 inline_data，密钥走 x-goog-api-key（不写 URL 参数）
+const geminiAdapter = {
+  name: 'Google Gemini（generateContent）',
+  defaultBaseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+  structuredOutput: 'json_object',
+  authHeaders: (apiKey) => ({ 'x-goog-api-key': apiKey }),
+  buildRequests({ apiBase, model, messages, temperature, maxTokens, stream, responseFormat }) {
+    const { system, rest } = splitSystemMessages(messages);
+    const contents = rest
+      .map((msg) => ({
+        role: msg.role === 'assistant' ? 'model' : 'user',
+        parts: mapContentParts(
+          msg.content,
+          (text) => ({ text }),
+          (url) => {
+            const inline = parseDataUrl(url);
+            return inline ? { inline_data: { mime_type: inline.mediaType, data: inline.data } } : null;
+          }
+        )
+      }))
+      .filter((msg) => msg.parts.length > 0);
+    const method = stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+    return [
+      {
+        label: 'generate_content',
+        url: `${apiBase}/${geminiModelPath(model)}:${method}`,
+        body: {
+          contents,
+          ...(system ? { systemInstruction: { parts: [{ text: system }] } } : {}),
+          generationConfig: {
+            temperature,
+            maxOutputTokens: maxTokens,
+            ...(responseFormat ? { responseMimeType: 'application/json' } : {})
+          }
+        }
+      }
+    ];
+  },
+  extractText(data) {
+    const text = geminiParts(data)
+      .filter((part) => !part.thought)
+      .map((part) => part.text || '')
+      .join('')
+      .trim();
+    if (text) return text;
+    throw new Error('未能从响应中解析出模型输出');
+  },
+  extractStreamDelta(event) {
+    if (event?.error) {
+      throw new Error(event.error.message || '流式响应失败');
+    }
+    const parts = geminiParts(event);
+    return {
+      content: parts.filter((part) => !part.thought).map((part) => part.text || '').join(''),
+      reasoning: parts.filter((part) => part.thought).map((part) => part.text || '').join('')
+    };
+  }
+};
+
+// Ollama 原生 /api/chat：文本拼为 content，图片去掉 data URL 前缀放进 images；流式响应为 NDJSON
+const ollamaAdapter = {
+  name: 'Ollama（/api/chat）',
+  defaultBaseUrl: 'http://localhost:11434',
+  structuredOutput: 'json_object',
+  // 经反向代理加了鉴权时才需要密钥
+  authHeaders: openaiAdapter.authHeaders,
+  buildRequests({ apiBase, model, messages, temperature, maxTokens, stream, responseFormat }) {
+    const mapped = (Array.isArray(messages) ? messages : [])
+      .filter(Boolean)
+      .map((msg) => {
+        const parts = mapContentParts(
+          msg.content,
+          (text) => ({ text }),
+          (url) => {
+            const inline = parseDataUrl(url);
+            return inline ? { image: inline.data } : null;
+          }
+        );
+        const images = parts.filter((part) => part.image).map((part) => part.image);
+        return {
+          role: ['system', 'assistant'].includes(msg.role) ? msg.role : 'user',
+          content: parts.filter((part) => part.text).map((part) => part.text).join('\n'),
+          ...(images.length ? { images } : {})
+        };
+      })
+      .filter((msg) => msg.content || msg.images);
+    return [
+      {
+        label: 'ollama_chat',
+        url: `${apiBase}/api/chat`,
+        body: {
+          model,
+          messages: mapped,
+          stream: !!stream,
+          options: { temperature, num_predict: maxTokens },
+          ...(responseFormat ? { format: responseFormat.json_schema ? responseFormat.json_schema.schema : 'json' } : {})
+        }
+      }
+    ];
+  },
+  extractText(data) {
+    const text = String(data?.message?.content || '').trim();
+    if (text) return text;
+    throw new Error('未能从响应中解析出模型输出');
+  },
+  extractStreamDelta(event) {
+    if (event?.error) {
+      throw new Error(typeof event.error === 'string' ? event.error : event.error.message || '流式响应失败');
+    }
+    return {
+      content: String(event?.message?.content || ''),
+      reasoning: String(event?.message?.thinking || '')
+    };
+  }
+};
+
+const LLM_ADAPTERS = {
+  openai: openaiAdapter,
+  ark: arkAdapter,
+  anthropic: anthropicAdapter,
+  gemini: geminiAdapter,
+  ollama: ollamaAdapter
+};
+
+// 自定义服务商可选的接口类型（ark 仅供内置豆包使用）
+export const CUSTOM_PROVIDER_ADAPTERS = ['openai', 'anthropic', 'gemini', 'ollama'];
+
+/**
+ * 注册或替换适配器：需提供 name、authHeaders(apiKey)、buildRequests(ctx)、
+ * extractText(data, label) 与 extractStreamDelta(event, label)
+ */
+export function registerLlmAdapter(key, adapter) {
+  const required = ['authHeaders', 'buildRequests', 'extractText', 'extractStreamDelta'];
+  const missing = required.filter((name) => typeof adapter?.[name] !== 'function');
+  if (!key || missing.length) throw new Error(`适配器 ${key || '（未命名）'} 缺少 ${missing.join(', ') || '标识'}`);
+  LLM_ADAPTERS[key] = adapter;
+}
+
+// 未声明 adapter 的服务商：豆包走方舟接口，其余按 OpenAI 兼容处理
+export function resolveAdapterKey(providerKey, adapterKey) {
+  if (adapterKey && LLM_ADAPTERS[adapterKey]) return adapterKey;
+  return providerKey === 'doubao' ? 'ark' : 'openai';
+}
+
+export function getLlmAdapter(key) {
+  return LLM_ADAPTERS[key] || openaiAdapter;
+}
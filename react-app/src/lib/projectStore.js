@@ -0,0 +1,186 @@
+import { strFromU8, strToU8, unzipSync, zipSync } from 'fflate';
+import { bytesToBase64, isZipBytes } from './ggbFile.js';
+
+const DB_NAME = 'ggb_projects';
+const DB_VERSION = 1;
+const STORE_PROJECTS = 'projects';
+const STORE_RECOVERY = 'recovery';
+const RECOVERY_KEY = 'current';
+const PROJECT_FORMAT = 'ggb-tikz-project';
+const PROJECT_FORMAT_VERSION = 1;
+const ZIP_PROJECT_JSON = 'project.json';
+const ZIP_BOARD_GGB = 'board.ggb';
+
+let dbPromise = null;
+
+function openDb() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('当前浏览器不支持 IndexedDB'));
+      return;
+    }
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const db = req.result;
+      if (!db.objectStoreNames.contains(STORE_PROJECTS)) {
+        db.createObjectStore(STORE_PROJECTS, { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains(STORE_RECOVERY)) {
+        db.createObjectStore(STORE_RECOVERY);
+      }
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error || new Error('打开项目数据库失败'));
+  });
+  // 打开失败时允许下次重试
+  dbPromise.catch(() => {
+    dbPromise = null;
+  });
+  return dbPromise;
+}
+
+async function runStore(storeName, mode, action) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const req = action(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(req ? req.result : undefined);
+    tx.onerror = () => reject(tx.error || new Error('项目数据库读写失败'));
+    tx.onabort = () => reject(tx.error || new Error('项目数据库事务已中止'));
+  });
+}
+
+function createProjectId() {
+  return `p_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+// 统一项目结构，缺失字段补默认值，兼容旧数据和外部导入的文件
+export function normalizeProject(raw = {}) {
+  const now = Date.now();
+  const labelOverrides = raw.labelOverrides && typeof raw.labelOverrides === 'object' ? raw.labelOverrides : {};
+  return {
+    id: String(raw.id || '').trim() || createProjectId(),
+    name: String(raw.name || '').trim() || '未命名项目',
+    createdAt: Number(raw.createdAt) || now,
+    updatedAt: Number(raw.updatedAt) || now,
+    board: String(raw.board || ''),
+    editor: String(raw.editor || ''),
+    chatMessages: Array.isArray(raw.chatMessages) ? raw.chatMessages : [],
+    conversationHistory: Array.isArray(raw.conversationHistory) ? raw.conversationHistory : [],
+    tikzCode: String(raw.tikzCode || ''),
+    labelOverrides
+  };
+}
+
+export function isProjectEmpty(project) {
+  if (!project) return true;
+  return !project.board
+    && !String(project.editor || '').trim()
+    && !(project.chatMessages || []).length
+    && !String(project.tikzCode || '').trim();
+}
+
+export async function listProjects() {
+  const rows = await runStore(STORE_PROJECTS, 'readonly', (store) => store.getAll());
+  return (rows || [])
+    .map((row) => ({ id: row.id, name: row.name, createdAt: row.createdAt, updatedAt: row.updatedAt }))
+    .sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+export async function loadProject(id) {
+  const row = await runStore(STORE_PROJECTS, 'readonly', (store) => store.get(id));
+  if (!row) throw new Error('项目不存在或已被删除');
+  return normalizeProject(row);
+}
+
+export async function saveProject(project) {
+  const row = normalizeProject({ ...project, updatedAt: Date.now() });
+  await runStore(STORE_PROJECTS, 'readwrite', (store) => store.put(row));
+  return row;
+}
+
+export async function deleteProject(id) {
+  await runStore(STORE_PROJECTS, 'readwrite', (store) => store.delete(id));
+}
+
+// 多标签页会话：sessions 为 { 标签页 id: 最近心跳时间 }，正常关闭的标签页会删掉自己的记录。
+// 心跳超过 staleMs 未更新的记录来自崩溃或被强制结束的标签页，其余属于仍打开的其他标签页
+export function findStaleSessions(sessions, now, staleMs) {
+  return Object.entries(sessions || {})
+    .filter(([, beat]) => !(Number(beat) > now - staleMs))
+    .map(([id]) => id);
+}
+
+// 崩溃恢复快照：自动保存总会写入，是否提示恢复由调用方根据会话标记决定
+export async function readRecoverySnapshot() {
+  const row = await runStore(STORE_RECOVERY, 'readonly', (store) => store.get(RECOVERY_KEY));
+  return row ? { ...normalizeProject(row.project), activeProjectId: row.activeProjectId || '', savedAt: row.savedAt || 0 } : null;
+}
+
+export async function writeRecoverySnapshot(project, activeProjectId = '') {
+  const row = { project: normalizeProject(project), activeProjectId, savedAt: Date.now() };
+  await runStore(STORE_RECOVERY, 'readwrite', (store) => store.put(row, RECOVERY_KEY));
+  return row;
+}
+
+function base64ToBytes(base64) {
+  const bin = atob(base64);
+  const bytes = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i += 1) bytes[i] = bin.charCodeAt(i);
+  return bytes;
+}
+
+function toProjectFilePayload(project) {
+  const { id, ...rest } = normalizeProject(project);
+  return { format: PROJECT_FORMAT, version: PROJECT_FORMAT_VERSION, ...rest };
+}
+
+export function serializeProjectJson(project) {
+  return JSON.stringify(toProjectFilePayload(project), null, 2);
+}
+
+// zip 内画板单独存为 board.ggb，可直接用 GeoGebra 打开
+export function serializeProjectZip(project) {
+  const { board, ...rest } = toProjectFilePayload(project);
+  const files = { [ZIP_PROJECT_JSON]: strToU8(JSON.stringify(rest, null, 2)) };
+  if (board) files[ZIP_BOARD_GGB] = base64ToBytes(board);
+  return zipSync(files, { level: 6 });
+}
+
+function parseProjectPayload(text, fileName) {
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${fileName || '文件'} 不是有效的项目 JSON：${e.message}`);
+  }
+  if (!data || data.format !== PROJECT_FORMAT) {
+    throw new Error(`${fileName || '文件'} 不是本工具导出的项目文件`);
+  }
+  if (Number(data.version) > PROJECT_FORMAT_VERSION) {
+    throw new Error(`${fileName || '文件'} 的项目格式版本过新（v${data.version}）`);
+  }
+  return data;
+}
+
+// 导入时总是生成新 id，避免覆盖本地已有项目
+export function parseProjectFile(bytes, fileName = '') {
+  const data = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  if (!isZipBytes(data)) {
+    const payload = parseProjectPayload(strFromU8(data), fileName);
+    return normalizeProject({ ...payload, id: '' });
+  }
+  let files = null;
+  try {
+    files = unzipSync(data);
+  } catch (e) {
+    throw new Error(`${fileName || '文件'} 解压失败：${e.message}`);
+  }
+  if (!files[ZIP_PROJECT_JSON]) {
+    throw new Error(`${fileName || '文件'} 中未找到 ${ZIP_PROJECT_JSON}`);
+  }
+  const payload = parseProjectPayload(strFromU8(files[ZIP_PROJECT_JSON]), fileName);
+  const board = files[ZIP_BOARD_GGB] ? bytesToBase64(files[ZIP_BOARD_GGB]) : payload.board;
+  return normalizeProject({ ...payload, board, id: '' });
+}
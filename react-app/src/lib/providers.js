@@ -1,9 +1,15 @@
+import { CUSTOM_PROVIDER_ADAPTERS } from './llmAdapters.js';
+
 const STORAGE_CUSTOM_PROVIDERS = 'ggb_custom_providers';
 
+// adapter：接口类型（见 llmAdapters.js），未声明时为 OpenAI 兼容
+// structuredOutput：支持的 response_format 类型（json_schema / json_object），未声明时 JSON 计划只靠提示词约束
+// keyOptional：本地服务，不填 API Key 也可拉取模型与发送
 export const API_PROVIDERS = {
   openai: {
     name: 'OpenAI',
     baseUrl: 'https://api.openai.com/v1',
+    structuredOutput: 'json_schema',
     modelsEndpoint: '/models',
     defaultModels: [
       { id: 'gpt-4o', name: 'gpt-4o' },
@@ -13,6 +19,7 @@ export const API_PROVIDERS = {
   deepseek: {
     name: 'DeepSeek',
     baseUrl: 'https://api.deepseek.com/v1',
+    structuredOutput: 'json_object',
     modelsEndpoint: '/models',
     defaultModels: [
       { id: 'deepseek-chat', name: 'deepseek-chat' },
@@ -22,6 +29,7 @@ export const API_PROVIDERS = {
   siliconflow: {
     name: '硅基流动',
     baseUrl: 'https://api.siliconflow.cn/v1',
+    structuredOutput: 'json_object',
     modelsEndpoint: '/models',
     defaultModels: [
       { id: 'deepseek-ai/DeepSeek-V3', name: 'deepseek-ai/DeepSeek-V3' },
@@ -31,6 +39,8 @@ export const API_PROVIDERS = {
   doubao: {
     name: '豆包',
     baseUrl: 'https://ark.cn-beijing.volces.com/api/v3',
+    adapter: 'ark',
+    structuredOutput: 'json_object',
     skipModelFetch: true,
     defaultModels: [
       { id: 'doubao-seed-2-0-pro-250415', name: 'doubao-seed-2-0-pro-250415 (示例)' },
@@ -40,6 +50,7 @@ export const API_PROVIDERS = {
   qwen: {
     name: '通义千问',
     baseUrl: 'https://dashscope.aliyuncs.com/compatible-mode/v1',
+    structuredOutput: 'json_object',
     modelsEndpoint: '/models',
     defaultModels: [
       { id: 'qwen-plus', name: 'qwen-plus' },
@@ -49,14 +60,46 @@ export const API_PROVIDERS = {
   kimi: {
     name: 'Kimi',
     baseUrl: 'https://api.moonshot.cn/v1',
+    structuredOutput: 'json_object',
     modelsEndpoint: '/models',
     defaultModels: [
       { id: 'moonshot-v1-8k', name: 'moonshot-v1-8k' },
       { id: 'moonshot-v1-32k', name: 'moonshot-v1-32k' }
     ]
+  },
+  local: {
+    name: '本地 OpenAI 兼容',
+    baseUrl: 'http://localhost:8080/v1',
+    keyOptional: true,
+    modelsEndpoint: '/models',
+    defaultModels: []
+  },
+  ollama: {
+    name: 'Ollama',
+    baseUrl: 'http://localhost:11434',
+    adapter: 'ollama',
+    keyOptional: true,
+    modelsEndpoint: '/api/tags',
+    defaultModels: []
   }
 };
 
+// 常见本地视觉模型的命名：llava、qwen2.5vl、minicpm-v、llama3.2-vision 等
+const VISION_MODEL_PATTERN = /llava|vision|vl(?![a-z])|minicpm-v|moondream|gemma3|llama4|pixtral/i;
+
+/**
+ * 模型列表条目是否支持图片输入：优先看 Ollama 给出的 capabilities 与 details.families
+ * （clip、mllama 为视觉编码器），其次按模型名判断。返回 true / false，无法判断时为 undefined
+ */
+export function detectVisionModel(item) {
+  const entry = typeof item === 'string' ? { id: item } : item || {};
+  if (Array.isArray(entry.capabilities)) return entry.capabilities.includes('vision');
+  const families = entry.details?.families;
+  if (Array.isArray(families) && families.some((f) => /clip|mllama/i.test(String(f)))) return true;
+  if (VISION_MODEL_PATTERN.test(String(entry.id || entry.model || entry.name || ''))) return true;
+  return Array.isArray(families) ? false : undefined;
+}
+
 function safeParseCustomProviders() {
   try {
     const data = JSON.parse(localStorage.getItem(STORAGE_CUSTOM_PROVIDERS) || '{}');
@@ -73,7 +116,9 @@ function normalizeProviderPayload(payload = {}) {
   const modelsEndpoint = String(payload.modelsEndpoint || '').trim();
   const skipModelFetch = !!payload.skipModelFetch;
   const defaultModels = Array.isArray(payload.defaultModels) ? payload.defaultModels : [];
-  return { name, baseUrl, modelsEndpoint, skipModelFetch, defaultModels };
+  const adapter = CUSTOM_PROVIDER_ADAPTERS.includes(payload.adapter) ? payload.adapter : 'openai';
+  const keyOptional = !!payload.keyOptional;
+  return { name, baseUrl, modelsEndpoint, skipModelFetch, defaultModels, adapter, keyOptional };
 }
 
 export function getProviderMap() {
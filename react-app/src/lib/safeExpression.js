@@ -0,0 +1,160 @@
+// 采样求值用的安全表达式：只接受数字、给定的变量、+ - * / % ** 与括号，以及固定的 Math 函数和常量。
+// 表达式来自打开的文件，不能交给 new Function；其余标识符一律视为无法求值
+
+const MATH_FUNCTIONS = {
+  'Math.sin': Math.sin,
+  'Math.cos': Math.cos,
+  'Math.tan': Math.tan,
+  'Math.asin': Math.asin,
+  'Math.acos': Math.acos,
+  'Math.atan': Math.atan,
+  'Math.atan2': Math.atan2,
+  'Math.sinh': Math.sinh,
+  'Math.cosh': Math.cosh,
+  'Math.tanh': Math.tanh,
+  'Math.abs': Math.abs,
+  'Math.exp': Math.exp,
+  'Math.log': Math.log,
+  'Math.log10': Math.log10,
+  'Math.log2': Math.log2,
+  'Math.sqrt': Math.sqrt,
+  'Math.cbrt': Math.cbrt,
+  'Math.floor': Math.floor,
+  'Math.ceil': Math.ceil,
+  'Math.round': Math.round,
+  'Math.sign': Math.sign,
+  'Math.min': Math.min,
+  'Math.max': Math.max,
+  'Math.pow': Math.pow,
+  'Math.hypot': Math.hypot
+};
+
+const MATH_CONSTANTS = { 'Math.PI': Math.PI, 'Math.E': Math.E };
+
+const TOKEN_RE = /\s*(?:(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|([A-Za-z_]\w*(?:\.[A-Za-z_]\w*)?)|(\*\*|[-+*/%(),]))/y;
+
+function tokenize(src) {
+  const tokens = [];
+  TOKEN_RE.lastIndex = 0;
+  while (TOKEN_RE.lastIndex < src.length) {
+    const start = TOKEN_RE.lastIndex;
+    if (!src.slice(start).trim()) break;
+    const m = TOKEN_RE.exec(src);
+    if (!m) throw new Error(`表达式含有不支持的字符：${src.slice(start).trim().slice(0, 20)}`);
+    if (m[1] !== undefined) tokens.push({ type: 'num', value: Number(m[1]) });
+    else if (m[2] !== undefined) tokens.push({ type: 'name', value: m[2] });
+    else tokens.push({ type: 'op', value: m[3] });
+  }
+  return tokens;
+}
+
+const BINARY = {
+  '+': (a, b) => a + b,
+  '-': (a, b) => a - b,
+  '*': (a, b) => a * b,
+  '/': (a, b) => a / b,
+  '%': (a, b) => a % b
+};
+
+// 递归下降：加减 < 乘除 < 一元正负 < 乘方（右结合，-x**2 按 -(x**2)）< 数、变量、函数调用、括号
+function parse(tokens, variables) {
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) throw new Error(`表达式缺少 ${value}`);
+    pos++;
+  };
+
+  const binaryLevel = (ops, next) => () => {
+    let node = next();
+    while (peek()?.type === 'op' && ops.includes(peek().value)) {
+      const fn = BINARY[tokens[pos++].value];
+      const left = node;
+      const right = next();
+      node = (env) => fn(left(env), right(env));
+    }
+    return node;
+  };
+
+  const primary = () => {
+    const token = tokens[pos++];
+    if (!token) throw new Error('表达式不完整');
+    if (token.type === 'num') return () => token.value;
+    if (token.type === 'op' && token.value === '(') {
+      const node = additive();
+      expect(')');
+      return node;
+    }
+    if (token.type !== 'name') throw new Error(`表达式中多余的 ${token.value}`);
+    const index = variables.indexOf(token.value);
+    if (index >= 0) return (env) => env[index];
+    if (Object.prototype.hasOwnProperty.call(MATH_CONSTANTS, token.value)) {
+      const value = MATH_CONSTANTS[token.value];
+      return () => value;
+    }
+    if (Object.prototype.hasOwnProperty.call(MATH_FUNCTIONS, token.value) && isOp('(')) {
+      const fn = MATH_FUNCTIONS[token.value];
+      pos++;
+      const args = [];
+      if (!isOp(')')) {
+        args.push(additive());
+        while (isOp(',')) {
+          pos++;
+          args.push(additive());
+        }
+      }
+      expect(')');
+      return (env) => fn(...args.map((arg) => arg(env)));
+    }
+    throw new Error(`不支持的标识符：${token.value}`);
+  };
+
+  const power = () => {
+    const base = primary();
+    if (!isOp('**')) return base;
+    pos++;
+    const exponent = unary();
+    return (env) => base(env) ** exponent(env);
+  };
+
+  const unary = () => {
+    if (isOp('-')) {
+      pos++;
+      const operand = unary();
+      return (env) => -operand(env);
+    }
+    if (isOp('+')) {
+      pos++;
+      return unary();
+    }
+    return power();
+  };
+
+  const multiplicative = binaryLevel(['*', '/', '%'], unary);
+  const additive = binaryLevel(['+', '-'], multiplicative);
+
+  const root = additive();
+  if (pos < tokens.length) throw new Error(`表达式中多余的 ${tokens[pos].value}`);
+  return root;
+}
+
+/**
+ * 编译为求值函数：参数按 variables 顺序传入，如 compileSafeExpression('x**2 + y', ['x', 'y'])(1, 2)。
+ * 含不支持的字符、标识符或语法错误时抛出 Error
+ */
+export function compileSafeExpression(src, variables = []) {
+  const tokens = tokenize(String(src ?? ''));
+  if (!tokens.length) throw new Error('表达式为空');
+  const root = parse(tokens, variables);
+  return (...values) => root(values);
+}
+
+export function isSafeExpression(src, variables = []) {
+  try {
+    compileSafeExpression(src, variables);
+    return true;
+  } catch {
+    return false;
+  }
+}
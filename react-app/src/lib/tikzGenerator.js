@@ -3,7 +3,9 @@
  * 根据 GGBParser 解析的数据生成 LaTeX/TikZ 代码
  */
 
-class TikZGenerator {
+import { compileSafeExpression, isSafeExpression } from './safeExpression.js';
+
+export class TikZGenerator {
     constructor(options = {}) {
         this.options = {
             scale: options.scale || 1,
@@ -29,16 +31,27 @@ class TikZGenerator {
             polygonStrokeThickness: options.polygonStrokeThickness || '',
             pointRadiusPt: Number.isFinite(options.pointRadiusPt) ? options.pointRadiusPt : null,
             polygonFillColor: typeof options.polygonFillColor === 'string' ? options.polygonFillColor : '',
+            locusTolerance: Number.isFinite(options.locusTolerance) ? options.locusTolerance : 0.01, // 轨迹点列化简容差（坐标单位）
+            implicitGridSize: Number.isFinite(options.implicitGridSize) ? options.implicitGridSize : 120,
+            inequalityFillColor: options.inequalityFillColor || 'gray',
+            inequalityFillStyle: options.inequalityFillStyle || 'opacity', // opacity 或 TikZ pattern 名
+            inequalityOpacity: Number.isFinite(options.inequalityOpacity) ? options.inequalityOpacity : 0.2,
             lineExtensionStart: Number.isFinite(options.lineExtensionStart) ? options.lineExtensionStart : 0.25,
             lineExtensionEnd: Number.isFinite(options.lineExtensionEnd) ? options.lineExtensionEnd : 0.25,
             definePointCoordinates: options.definePointCoordinates !== false,
             drawDerivedPoints: options.drawDerivedPoints === true,
-            outputMode: options.outputMode || 'standalone', // standalone | figure | tikz
+            outputMode: options.outputMode || 'standalone', // standalone | figure | tikz | beamer
+            overlayGroups: Array.isArray(options.overlayGroups) ? options.overlayGroups : null, // beamer 分步：每组一帧的对象名
+            overlayCommand: options.overlayCommand === 'only' ? 'only' : 'visible',
+            axisMode: options.axisMode === 'pgfplots' ? 'pgfplots' : 'tikz', // pgfplots：axis 环境 + \addplot 画函数与参数曲线
+            geometryStyle: options.geometryStyle === 'tkz-euclide' ? 'tkz-euclide' : 'tikz', // tkz-euclide：点、线段、圆、作图关系用 tkz 宏
             tikzScale: options.tikzScale ?? 1,
             tikzPictureOptions: options.tikzPictureOptions || '>=Stealth',
             figureCaption: options.figureCaption || '图片标题',
             figureLabel: options.figureLabel || 'fig:标签',
-            smartBounds: options.smartBounds !== false
+            smartBounds: options.smartBounds !== false,
+            transformScopes: options.transformScopes === true, // 变换的像用“原对象 + 变换 scope”表达
+            parameterMacros: options.parameterMacros === true // 滑动条/自由数输出为 \pgfmathsetmacro，依赖它们的点与函数引用宏
         };
         this.options.lineLineAngleSelector = ['auto', 'left', 'right', 'above', 'below'].includes(options.lineLineAngleSelector)
             ? options.lineLineAngleSelector
@@ -108,54 +121,96 @@ class TikZGenerator {
         this.pointIndex = this.buildPointIndex(structured.points || []);
         this.scenePoints = (structured.points || []).filter(p => p && p.visible);
         this.definedCoordLabels = new Set();
+        this.objectIndex = {};
+        ['segments', 'polygons', 'vectors', 'conics'].forEach(k => (structured[k] || []).forEach(obj => {
+            if (obj && obj.label) this.objectIndex[obj.label] = obj;
+        }));
+        this.linearIndex = {};
+        ['lines', 'segments', 'rays'].forEach(k => (structured[k] || []).forEach(obj => {
+            if (obj && obj.label) this.linearIndex[obj.label] = obj;
+        }));
+        this.tkzCircleRefs = {};
+        this.sceneAngles = (structured.angles || []).filter(a => a && a.visible);
+        this.params = this.buildParameterTable(structured.numbers || []);
+        this.overlaySteps = this.options.outputMode === 'beamer'
+            ? this.buildOverlaySteps(parsedData.constructionOrder || [], structured)
+            : {};
+        this.usesPatterns = this.options.inequalityFillStyle !== 'opacity'
+            && (structured.inequalities || []).some(q => q && q.visible);
         
         let code = this.generatePreamble();
         code += this.generateBeginTikz();
 
+        if (this.options.parameterMacros && Object.keys(this.params).length > 0) {
+            code += this.generateParameterMacros();
+        }
+
         if (this.options.definePointCoordinates && structured.points?.length > 0) {
             code += this.generatePointCoordinateDefs(structured.points);
         }
         
+        // 不等式区域最先画，避免填充盖住其它对象
+        if (structured.inequalities?.length > 0) {
+            code += this.generateOverlaySteps(structured.inequalities, this.generateInequalities);
+        }
+
         // 按类型生成
         if (structured.functions?.length > 0) {
-            code += this.generateFunctions(structured.functions);
+            code += this.generateOverlaySteps(structured.functions, this.generateFunctions);
         }
         
+        if (structured.curves?.length > 0) {
+            code += this.generateOverlaySteps(structured.curves, this.generateCurves);
+        }
+
+        if (structured.loci?.length > 0) {
+            code += this.generateOverlaySteps(structured.loci, this.generateLoci);
+        }
+
         if (structured.conics?.length > 0) {
-            code += this.generateConics(structured.conics);
+            code += this.generateOverlaySteps(structured.conics, group => this.generateWithTransformScopes(group, this.generateConics));
+        }
+
+        if (structured.implicits?.length > 0) {
+            code += this.generateOverlaySteps(structured.implicits, this.generateImplicitCurves);
         }
 
         if (structured.conicparts?.length > 0) {
-            code += this.generateConicParts(structured.conicparts);
+            code += this.generateOverlaySteps(structured.conicparts, this.generateConicParts);
         }
         
         if (structured.lines?.length > 0 || semantics?.lineRelations?.length > 0) {
             const rels = this.options.strictStatic ? [] : (semantics?.lineRelations || []);
-            code += this.generateLines(structured.lines || [], rels);
+            code += this.generateOverlaySteps(structured.lines || [], group => this.generateLines(group, rels.filter(r => group.some(l => l.label === r.label))));
         }
 
         if (structured.rays?.length > 0) {
-            code += this.generateRays(structured.rays);
+            code += this.generateOverlaySteps(structured.rays, this.generateRays);
         }
 
         if (structured.polygons?.length > 0) {
-            code += this.generatePolygons(structured.polygons);
+            code += this.generateOverlaySteps(structured.polygons, group => this.generateWithTransformScopes(group, this.generatePolygons));
         }
 
         if (structured.vectors?.length > 0) {
-            code += this.generateVectors(structured.vectors);
+            code += this.generateOverlaySteps(structured.vectors, group => this.generateWithTransformScopes(group, this.generateVectors));
         }
         
         if (structured.segments?.length > 0) {
-            code += this.generateSegments(structured.segments);
+            code += this.generateOverlaySteps(structured.segments, group => this.generateWithTransformScopes(group, this.generateSegments));
         }
 
         if (structured.angles?.length > 0) {
-            code += this.generateAngles(structured.angles, structured.lines || []);
+            code += this.generateOverlaySteps(structured.angles, group => this.generateAngles(group, structured.lines || []));
         }
         
         if (structured.points?.length > 0) {
-            code += this.generatePoints(structured.points);
+            code += this.generateOverlaySteps(structured.points, this.generatePoints);
+            if (this.options.axisMode !== 'pgfplots') code += this.generateAxisOriginPoint(structured.points);
+        }
+
+        if (structured.texts?.length > 0) {
+            code += this.generateOverlaySteps(structured.texts, this.generateTexts);
         }
 
         if (this.options.drawDerivedPoints && semantics?.derivedPoints?.length > 0) {
@@ -183,6 +238,8 @@ class TikZGenerator {
     wrapWithBoundsClip(content, note = '') {
         const body = String(content || '').trim();
         if (!body) return '';
+        // pgfplots 的 axis 默认按坐标轴范围裁剪其中所有路径
+        if (this.options.axisMode === 'pgfplots') return `${body}\n`;
         const { xmin, xmax, ymin, ymax } = this.getBounds();
         const lines = [];
         lines.push('\\begin{scope}');
@@ -268,13 +325,139 @@ class TikZGenerator {
             const x = Number(p.x);
             const y = Number(p.y);
             if (!Number.isFinite(x) || !Number.isFinite(y)) return;
-            code += `\\coordinate (${p.label}) at (${x.toFixed(2)},${y.toFixed(2)});\n`;
+            const param = this.options.parameterMacros ? this.paramPointCoords(p) : null;
+            if (this.isTkzStyle()) {
+                code += param
+                    ? `\\tkzDefPoint({${param[0]}},{${param[1]}}){${p.label}} % (${x.toFixed(2)},${y.toFixed(2)})\n`
+                    : `\\tkzDefPoint(${x.toFixed(2)},${y.toFixed(2)}){${p.label}}\n`;
+            } else {
+                code += param
+                    ? `\\coordinate (${p.label}) at ({${param[0]}},{${param[1]}}); % (${x.toFixed(2)},${y.toFixed(2)})\n`
+                    : `\\coordinate (${p.label}) at (${x.toFixed(2)},${y.toFixed(2)});\n`;
+            }
             this.definedCoordLabels.add(p.label);
             count++;
         });
         return count > 0 ? code : '';
     }
 
+    /**
+     * 参数表：只收自由数值与由其他数值算出的数值（命令生成的如 Distance 不算参数）
+     * 宏名为 \ggb + 名称字母，数字拼成英文（a_1 → \ggbaone），避免与 \a、\pi 等已有宏冲突
+     */
+    buildParameterTable(numbers) {
+        const digits = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine'];
+        const greek = { α: 'alpha', β: 'beta', γ: 'gamma', δ: 'delta', ε: 'epsilon', θ: 'theta', λ: 'lambda', μ: 'mu', φ: 'phi', ω: 'omega' };
+        const table = {};
+        const used = new Set();
+        (numbers || []).forEach(n => {
+            if (!n || !n.label || !n.free || !Number.isFinite(n.value)) return;
+            let name = '';
+            for (const ch of n.label) {
+                if (/[A-Za-z]/.test(ch)) name += ch;
+                else if (/\d/.test(ch)) name += digits[Number(ch)];
+                else if (greek[ch]) name += greek[ch];
+            }
+            if (!name) return;
+            name = `ggb${name}`;
+            while (used.has(name)) name += 'x';
+            used.add(name);
+            table[n.label] = { ...n, macro: `\\${name}` };
+        });
+        return table;
+    }
+
+    formatParamValue(v) {
+        return String(Number(Number(v).toFixed(4)));
+    }
+
+    // 表达式里的参数名替换：标签前后不能紧邻字母数字（避开 \ggba 中的 a、a_1 中的 a）
+    replaceParamNames(expr, toText) {
+        let out = String(expr || '');
+        Object.keys(this.params || {})
+            .sort((a, b) => b.length - a.length)
+            .forEach(label => {
+                const esc = label.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                out = out.replace(new RegExp(`(?<![A-Za-z0-9_\\\\])${esc}(?![A-Za-z0-9_])`, 'g'), () => toText(this.params[label]));
+            });
+        return out;
+    }
+
+    // GeoGebra 里参数与后续因子可省略乘号（a x²、a (x + 1)），先补上 *
+    normalizeParamExpression(expr) {
+        const norm = this.normalizeImplicitExpression(expr);
+        return this.replaceParamNames(norm, p => `${p.label}\u0000`)
+            .replace(/\u0000\s*(?=[A-Za-z0-9(])/g, '*')
+            .replace(/\u0000/g, '');
+    }
+
+    // 参数代入当前值后的表达式，用于采样求值与非宏模式输出
+    substituteParamValues(expr) {
+        return this.replaceParamNames(this.normalizeParamExpression(expr), p => `(${this.formatParamValue(p.value)})`);
+    }
+
+    // 参数表达式转 TikZ：其余部分按函数表达式规则转换，参数名最后换成宏
+    paramExpressionToTikz(expr) {
+        return this.replaceParamNames(this.convertExpression(this.normalizeParamExpression(expr)), p => p.macro);
+    }
+
+    // 只含数字与参数的表达式才能写成宏形式，代入当前值能求出有限数即视为可写
+    isSimpleParamExpression(expr) {
+        const js = this.toJsExpression(this.substituteParamValues(expr));
+        if (!js) return false;
+        try {
+            return Number.isFinite(compileSafeExpression(js)());
+        } catch {
+            return false;
+        }
+    }
+
+    generateParameterMacros() {
+        let code = '% 参数（修改数值即可调整图形）\n';
+        Object.values(this.params).forEach(p => {
+            const deps = p.dependsOn || [];
+            const exprOk = p.exp && deps.every(d => this.params[d]) && this.isSimpleParamExpression(p.exp);
+            let note = '';
+            if (p.isSlider) {
+                const range = Number.isFinite(p.min) && Number.isFinite(p.max)
+                    ? ` ∈ [${this.formatParamValue(p.min)}, ${this.formatParamValue(p.max)}]`
+                    : '';
+                const step = Number.isFinite(p.step) ? `，步长 ${this.formatParamValue(p.step)}` : '';
+                note = `滑动条 ${p.label}${range}${step}`;
+            } else if (p.exp) {
+                note = exprOk ? `${p.label} = ${p.exp}` : `${p.label} = ${p.exp}（无法改写为宏表达式，取当前值）`;
+            } else {
+                note = `数值 ${p.label}`;
+            }
+            const body = exprOk ? this.paramExpressionToTikz(p.exp) : this.formatParamValue(p.value);
+            code += `\\pgfmathsetmacro{${p.macro}}{${body}} % ${note}\n`;
+        });
+        return code;
+    }
+
+    // 坐标由参数表达式给出的自由点（A = (a, 2a - 1)）：返回两个分量的 TikZ 表达式
+    paramPointCoords(p) {
+        if (!p.paramRefs || p.sourceType !== 'parametric_point') return null;
+        if (!p.paramRefs.every(l => this.params[l])) return null;
+        const m = String(p.exp || '').trim().match(/^\((.*)\)$/);
+        if (!m) return null;
+        let depth = 0;
+        let cut = -1;
+        for (let i = 0; i < m[1].length; i++) {
+            const ch = m[1][i];
+            if (ch === '(') depth++;
+            else if (ch === ')') depth--;
+            else if (ch === ',' && depth === 0) {
+                if (cut >= 0) return null;
+                cut = i;
+            }
+        }
+        if (cut < 0) return null;
+        const parts = [m[1].slice(0, cut), m[1].slice(cut + 1)];
+        if (!parts.every(e => this.isSimpleParamExpression(e))) return null;
+        return parts.map(e => this.paramExpressionToTikz(e.trim()));
+    }
+
     isValidTikzCoordName(name) {
         return typeof name === 'string' && /^[A-Za-z][A-Za-z0-9_]*$/.test(name);
     }
@@ -301,7 +484,8 @@ class TikZGenerator {
     }
 
     pointRef(coord, preferredLabel = null) {
-        if (this.options.definePointCoordinates) {
+        // 变换 scope 内必须用数值坐标：TikZ 命名坐标不受 scope 变换影响
+        if (this.options.definePointCoordinates && !this.forceNumericRefs) {
             if (
                 preferredLabel &&
                 this.isValidTikzCoordName(preferredLabel) &&
@@ -324,6 +508,53 @@ class TikZGenerator {
         return `(${Number(coord.x).toFixed(2)},${Number(coord.y).toFixed(2)})`;
     }
 
+    /**
+     * transformScopes 开启时，来源对象已知的像改为在变换 scope 里重画来源对象（像的样式），
+     * 其余对象照常交给 render（对应的 generateXxx）
+     */
+    generateWithTransformScopes(objects, render) {
+        if (!this.options.transformScopes) return render.call(this, objects);
+        const plain = [];
+        let scoped = '';
+        objects.forEach(obj => {
+            const t = obj.transform;
+            const src = t && t.resolved && obj.visible && !obj.fromPolygon ? this.objectIndex[t.source] : null;
+            // 抛物线/双曲线按边界裁剪，放进变换 scope 后裁剪框也会被变换，仍用像自身的坐标
+            const supported = src && src.type === obj.type && (src.type !== 'conic' || ['circle', 'ellipse'].includes(src.conicType));
+            if (!supported) {
+                plain.push(obj);
+                return;
+            }
+            const clone = { ...src, label: obj.label, visible: true, transform: null };
+            ['color', 'alpha', 'lineThickness', 'lineType', 'opacity'].forEach(k => {
+                if (obj[k] !== undefined) clone[k] = obj[k];
+            });
+            this.forceNumericRefs = true;
+            const body = render.call(this, [clone]).split('\n').slice(1).join('\n').trim();
+            this.forceNumericRefs = false;
+            if (!body) {
+                plain.push(obj);
+                return;
+            }
+            scoped += `\\begin{scope}[${this.transformScopeOptions(t)}] % ${obj.label} = ${t.command}(${[t.source, ...t.args].join(', ')})\n${body}\n\\end{scope}\n`;
+        });
+        return render.call(this, plain) + scoped;
+    }
+
+    transformScopeOptions(t) {
+        const fmt = (v) => Number(Number(v).toFixed(2));
+        const at = (p) => `(${fmt(p.x)},${fmt(p.y)})`;
+        const isOrigin = (p) => Math.abs(p.x) < 1e-9 && Math.abs(p.y) < 1e-9;
+        // TikZ 变换选项从右往左作用于坐标：先平移到原点，变换后再移回
+        const around = (p, opts) => (isOrigin(p) ? opts : `shift={${at(p)}}, ${opts}, shift={(${fmt(-p.x)},${fmt(-p.y)})}`);
+        if (t.kind === 'translate') return `shift={${at(t.vector)}}`;
+        if (t.kind === 'rotate') return `rotate around={${fmt(t.angleDeg)}:${at(t.center)}}`;
+        if (t.kind === 'dilate') return around(t.center, `scale=${fmt(t.factor)}`);
+        if (t.mirrorType === 'point') return `rotate around={180:${at(t.center)}}`;
+        const deg = fmt(t.lineAngleDeg);
+        return around(t.linePoint, deg === 0 || Math.abs(deg) === 180 ? 'yscale=-1' : `rotate=${deg}, yscale=-1, rotate=${-deg}`);
+    }
+
     /**
      * 生成导言区
      */
@@ -332,19 +563,91 @@ class TikZGenerator {
         return `% 由 GeoGebra 生成的 TikZ 代码
 \\documentclass[tikz,border=5pt]{standalone}
 \\usepackage{tikz}
-\\usetikzlibrary{arrows.meta,calc,intersections}
+\\usetikzlibrary{arrows.meta,calc,intersections${this.usesPatterns ? ',patterns' : ''}}
 \\usepackage{tkz-euclide}
-
+${this.options.axisMode === 'pgfplots' ? '\\usepackage{pgfplots}\n\\pgfplotsset{compat=1.18}\n' : ''}
 \\begin{document}
 `;
     }
 
+    /**
+     * beamer 分步：可见对象按构造顺序编号，同一命令的输出（多边形及其边）同一步；
+     * 给了 overlayGroups（命令编辑器按空行分出的段）时按段编号，段外对象跟随构造顺序中的前一个对象
+     */
+    buildOverlaySteps(order, structured) {
+        const drawn = new Set();
+        Object.entries(structured || {}).forEach(([k, list]) => {
+            if (k === 'numbers' || k === 'others' || !Array.isArray(list)) return;
+            list.forEach(obj => {
+                if (obj && obj.visible && obj.label) drawn.add(obj.label);
+            });
+        });
+
+        const steps = {};
+        const groups = this.options.overlayGroups;
+        if (groups && groups.length > 0) {
+            const groupOf = {};
+            groups.forEach((labels, i) => (labels || []).forEach(l => {
+                groupOf[l] = i;
+            }));
+            let current = 0;
+            order.forEach(({ label, commandKey }) => {
+                if (groupOf[label] !== undefined) current = groupOf[label];
+                else if (groupOf[commandKey] !== undefined) current = groupOf[commandKey];
+                if (drawn.has(label)) steps[label] = current;
+            });
+        } else {
+            const keys = new Map();
+            order.forEach(({ label, commandKey }) => {
+                if (!drawn.has(label)) return;
+                if (!keys.has(commandKey)) keys.set(commandKey, keys.size);
+                steps[label] = keys.get(commandKey);
+            });
+        }
+
+        // 压成从 1 开始的连续编号，避免出现空白帧
+        const rank = new Map([...new Set(Object.values(steps))].sort((a, b) => a - b).map((v, i) => [v, i + 1]));
+        Object.keys(steps).forEach(label => {
+            steps[label] = rank.get(steps[label]);
+        });
+        return steps;
+    }
+
+    /**
+     * beamer 模式下把同一类对象按步分组分别生成，每组包进 \visible<n->{…}（或 \only），
+     * 类别内的绘制先后不变，保证填充仍在线条下方
+     */
+    generateOverlaySteps(objects, render) {
+        if (this.options.outputMode !== 'beamer') return render.call(this, objects);
+        const byStep = new Map();
+        (objects || []).forEach(obj => {
+            const step = this.overlaySteps[obj && obj.label] || 1;
+            if (!byStep.has(step)) byStep.set(step, []);
+            byStep.get(step).push(obj);
+        });
+
+        let header = '';
+        let body = '';
+        [...byStep.keys()].sort((a, b) => a - b).forEach(step => {
+            const lines = render.call(this, byStep.get(step)).split('\n');
+            if (lines[0].startsWith('%')) {
+                const first = lines.shift();
+                header = header || `${first}\n`;
+            }
+            const content = lines.join('\n');
+            if (!content.trim()) return;
+            body += `\\${this.options.overlayCommand}<${step}->{\n${content.endsWith('\n') ? content : `${content}\n`}}\n`;
+        });
+        return body ? header + body : header;
+    }
+
     /**
      * 开始 tikzpicture 环境
      */
     generateBeginTikz() {
         const { xmin, xmax, ymin, ymax } = this.getBounds();
-        const pictureOpts = [`scale=${this.options.tikzScale}`];
+        // pgfplots 的 axis 不受 tikzpicture 的 scale 影响，缩放改写在 axis 的 x/y 单位里
+        const pictureOpts = this.options.axisMode === 'pgfplots' ? [] : [`scale=${this.options.tikzScale}`];
         if (this.options.tikzPictureOptions) {
             pictureOpts.push(this.options.tikzPictureOptions);
         }
@@ -353,12 +656,20 @@ class TikZGenerator {
         if (this.options.outputMode === 'figure') {
             code += `\\begin{figure}[htbp]
 \\centering
+`;
+        } else if (this.options.outputMode === 'beamer') {
+            code += `\\begin{frame}{${this.options.figureCaption}}
+\\centering
 `;
         }
 
-        code += `\\begin{tikzpicture}[${pictureOpts.join(', ')}]
-`;
-        if (this.options.axis) {
+        if (this.options.axisMode === 'pgfplots' && this.options.outputMode !== 'standalone') {
+            code += '% 需在导言区加入 \\usepackage{pgfplots} 与 \\pgfplotsset{compat=1.18}\n';
+        }
+        code += pictureOpts.length ? `\\begin{tikzpicture}[${pictureOpts.join(', ')}]\n` : '\\begin{tikzpicture}\n';
+        if (this.options.axisMode === 'pgfplots') {
+            code += this.generatePgfplotsAxisBegin();
+        } else if (this.options.axis) {
             const axisThickness = this.resolveCategoryThickness('axis');
             code += `    % 坐标轴
     \\draw[->, ${axisThickness}] (${xmin},0) -- (${xmax},0) node[right] {$x$};
@@ -368,6 +679,27 @@ class TikZGenerator {
         return code;
     }
 
+    /**
+     * pgfplots 坐标轴：范围取 computeSmartBounds 的结果，x/y 单位相同；
+     * disabledatascaling 让 axis 内的 \draw 坐标、circle 半径与坐标轴单位一致
+     */
+    generatePgfplotsAxisBegin() {
+        const { xmin, xmax, ymin, ymax } = this.getBounds();
+        const opts = this.options.axis
+            ? [
+                'axis lines=middle',
+                `axis line style={${this.resolveCategoryThickness('axis')}}`,
+                'xlabel={$x$}',
+                'ylabel={$y$}',
+                'every axis x label/.style={at={(ticklabel* cs:1)}, anchor=west}',
+                'every axis y label/.style={at={(ticklabel* cs:1)}, anchor=south}'
+            ]
+            : ['hide axis'];
+        const unit = `${this.options.tikzScale}cm`;
+        opts.push('disabledatascaling', `x=${unit}`, `y=${unit}`, `xmin=${xmin}`, `xmax=${xmax}`, `ymin=${ymin}`, `ymax=${ymax}`);
+        return `    \\begin{axis}[${opts.join(', ')}]\n`;
+    }
+
     /**
      * 生成函数
      */
@@ -386,8 +718,13 @@ class TikZGenerator {
                 rawExpr = match[1];
             }
             
+            // 含参数时补乘号并代入当前值采样；宏模式下输出仍引用参数宏
+            const hasParams = (f.paramRefs || []).some(l => this.params[l]);
+            const paramExpr = hasParams && this.options.parameterMacros ? this.paramExpressionToTikz(rawExpr) : null;
+            if (hasParams) rawExpr = this.substituteParamValues(rawExpr);
+
             // 转换 GeoGebra 语法到 TikZ 语法
-            const expr = this.convertExpression(rawExpr);
+            const expr = paramExpr || this.convertExpression(rawExpr);
             
             const color = this.resolveStrokeColor(f, 'black');
             const thickness = this.resolveCategoryThickness('function', f);
@@ -400,7 +737,9 @@ class TikZGenerator {
             }
 
             domains.forEach((d) => {
-                clippedPlots += `\\draw[${color}, ${lineStyle}, smooth, domain=${d.start}:${d.end}, samples=100] plot (\\x,{${expr}});\n`;
+                clippedPlots += this.options.axisMode === 'pgfplots'
+                    ? `\\addplot[${color}, ${lineStyle}, smooth, domain=${d.start}:${d.end}, samples=100] {${expr.replace(/\\x(?![A-Za-z])/g, 'x')}};\n`
+                    : `\\draw[${color}, ${lineStyle}, smooth, domain=${d.start}:${d.end}, samples=100] plot (\\x,{${expr}});\n`;
             });
         });
 
@@ -410,6 +749,133 @@ class TikZGenerator {
         return code;
     }
 
+    /**
+     * 参数曲线：与抛物线一致，先按坐标轴边界切出可见参数段，再统一裁剪
+     */
+    generateCurves(curves) {
+        let code = '% 参数曲线\n';
+        let clippedPlots = '';
+
+        curves.forEach(c => {
+            if (!c.visible) return;
+            const tMin = Number(c.tMin);
+            const tMax = Number(c.tMax);
+            if (!c.xExp || !c.yExp || !Number.isFinite(tMin) || !Number.isFinite(tMax) || tMax <= tMin) {
+                code += `% 参数曲线 ${c.label || ''}: 缺少表达式或参数区间\n`;
+                return;
+            }
+
+            const xSrc = this.normalizeCurveExpression(c.xExp, c.param);
+            const ySrc = this.normalizeCurveExpression(c.yExp, c.param);
+            const xExpr = this.convertExpression(xSrc).replace(/\\x\b/g, '\\t');
+            const yExpr = this.convertExpression(ySrc).replace(/\\x\b/g, '\\t');
+            const color = this.resolveStrokeColor(c, 'black');
+            const thickness = this.resolveCategoryThickness('function', c);
+            const lineStyle = this.composeLineStyle(thickness, c);
+
+            const evalX = this.buildExprEvaluator(xSrc);
+            const evalY = this.buildExprEvaluator(ySrc);
+            // 含滑动条等无法数值求值的表达式，整段输出交给 clip 处理
+            let domains = [{ start: tMin, end: tMax }];
+            if (evalX && evalY) {
+                domains = this.findVisibleParamSegments((t) => ({ x: evalX(t), y: evalY(t) }), tMin, tMax, 480);
+                if (domains.length === 0) {
+                    code += `% 参数曲线 ${c.label || ''}: 不在坐标轴范围内\n`;
+                    return;
+                }
+            }
+
+            // 可见段贴近区间端点时用精确端点，避免闭合曲线（如 0..2π）留缝
+            const fmt = (v) => Number(Number(v).toFixed(4));
+            domains.forEach((d, idx) => {
+                const start = Math.abs(d.start - tMin) < 0.01 ? tMin : d.start;
+                const end = Math.abs(d.end - tMax) < 0.01 ? tMax : d.end;
+                const plot = this.options.axisMode === 'pgfplots'
+                    ? `\\addplot[${color}, ${lineStyle}, smooth, samples=200, domain=${fmt(start)}:${fmt(end)}, variable=\\t] ({${xExpr}}, {${yExpr}});`
+                    : `\\draw[${color}, ${lineStyle}, smooth, samples=200, domain=${fmt(start)}:${fmt(end)}, variable=\\t] plot ({${xExpr}}, {${yExpr}});`;
+                clippedPlots += `${plot}${c.label && idx === domains.length - 1 ? ` % ${c.label}` : ''}\n`;
+            });
+        });
+
+        if (clippedPlots.trim()) {
+            code += this.wrapWithBoundsClip(clippedPlots, '按坐标轴边界裁剪参数曲线');
+        }
+        return code;
+    }
+
+    /**
+     * 轨迹：按解析出的各段点列输出 plot coordinates，先按 locusTolerance 化简
+     */
+    generateLoci(loci) {
+        let code = '% 轨迹\n';
+        let clippedPlots = '';
+
+        loci.forEach(l => {
+            if (!l.visible) return;
+            const pieces = (l.pieces || []).map(pts => this.simplifyPolyline(pts, this.options.locusTolerance)).filter(pts => pts.length > 1);
+            if (pieces.length === 0) {
+                code += `% 轨迹 ${l.label || ''}: 未取得点列（需在画板中导出）\n`;
+                return;
+            }
+            const color = this.resolveStrokeColor(l, 'black');
+            const lineStyle = this.composeLineStyle(this.resolveCategoryThickness('function', l), l);
+            const paths = pieces.map(pts => {
+                const first = pts[0];
+                const last = pts[pts.length - 1];
+                const closed = pts.length > 3 && Math.hypot(last.x - first.x, last.y - first.y) <= Math.max(this.options.locusTolerance, 1e-6);
+                return { points: (closed ? pts.slice(0, -1) : pts).map(p => [p.x, p.y]), closed };
+            });
+            clippedPlots += `\\draw[${color}, ${lineStyle}] ${this.formatContourPaths(paths, false, 0)};${l.label ? ` % ${l.label}` : ''}\n`;
+        });
+
+        if (clippedPlots.trim()) {
+            code += this.wrapWithBoundsClip(clippedPlots, '按坐标轴边界裁剪轨迹');
+        }
+        return code;
+    }
+
+    // Douglas-Peucker：去掉偏离弦不超过 tol 的中间点
+    simplifyPolyline(points, tol) {
+        if (!(tol > 0) || points.length < 3) return points.slice();
+        const keep = new Uint8Array(points.length);
+        keep[0] = 1;
+        keep[points.length - 1] = 1;
+        const stack = [[0, points.length - 1]];
+        while (stack.length) {
+            const [i0, i1] = stack.pop();
+            const a = points[i0];
+            const b = points[i1];
+            const len = Math.hypot(b.x - a.x, b.y - a.y);
+            let maxDist = 0;
+            let maxIdx = -1;
+            for (let i = i0 + 1; i < i1; i++) {
+                const p = points[i];
+                const d = len > 1e-12
+                    ? Math.abs((b.x - a.x) * (a.y - p.y) - (a.x - p.x) * (b.y - a.y)) / len
+                    : Math.hypot(p.x - a.x, p.y - a.y);
+                if (d > maxDist) {
+                    maxDist = d;
+                    maxIdx = i;
+                }
+            }
+            if (maxIdx > 0 && maxDist > tol) {
+                keep[maxIdx] = 1;
+                stack.push([i0, maxIdx], [maxIdx, i1]);
+            }
+        }
+        return points.filter((_, i) => keep[i]);
+    }
+
+    // 参数名统一换成 x 并补全隐式乘法（2t -> 2*x），以复用函数的数值求值与 TikZ 转换
+    normalizeCurveExpression(expr, param) {
+        const name = String(param || 't').trim().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return String(expr || '')
+            .replace(/π/g, 'pi')
+            .replace(/(^|[^A-Za-z0-9_.])(\d+(?:\.\d+)?)\s*(?=[A-Za-z(])/g, '$1$2*')
+            .replace(/\)\s*(?=[A-Za-z0-9(])/g, ')*')
+            .replace(new RegExp(`(?<![A-Za-z0-9_])${name}(?![A-Za-z0-9_])`, 'g'), 'x');
+    }
+
     convertEulerPowerToExp(expr) {
         const src = String(expr ?? '');
         const isWord = (ch) => /[A-Za-z0-9_\\]/.test(ch || '');
@@ -495,6 +961,243 @@ class TikZGenerator {
         return out;
     }
 
+    /**
+     * 隐式曲线：marching squares 采样 lhs - rhs = 0，输出折线并按边界裁剪
+     */
+    generateImplicitCurves(implicits) {
+        let code = '% 隐式曲线\n';
+        let clippedPlots = '';
+
+        implicits.forEach(c => {
+            if (!c.visible) return;
+            const evalFn = c.lhs && c.rhs ? this.buildImplicitEvaluator(c.lhs, c.rhs) : null;
+            if (!evalFn) {
+                code += `% 隐式曲线 ${c.label || ''}: 无法求值 ${c.equation || ''}\n`;
+                return;
+            }
+            const paths = this.traceImplicitContours(evalFn);
+            if (paths.length === 0) {
+                code += `% 隐式曲线 ${c.label || ''}: 不在坐标轴范围内\n`;
+                return;
+            }
+            const color = this.resolveStrokeColor(c, 'black');
+            const lineStyle = this.composeLineStyle(this.resolveCategoryThickness('function', c), c);
+            clippedPlots += `\\draw[${color}, ${lineStyle}] ${this.formatContourPaths(paths)};${c.label ? ` % ${c.label}` : ''}\n`;
+        });
+
+        if (clippedPlots.trim()) {
+            code += this.wrapWithBoundsClip(clippedPlots, '按坐标轴边界裁剪隐式曲线');
+        }
+        return code;
+    }
+
+    /**
+     * 不等式区域：网格外补一圈“区域外”采样，使轮廓在边界处闭合后再填充；
+     * 严格不等号的边界画虚线
+     */
+    generateInequalities(inequalities) {
+        let code = '% 不等式区域\n';
+        if (this.usesPatterns && this.options.outputMode !== 'standalone') {
+            code += '% 图案填充需在导言区加入 \\usetikzlibrary{patterns}\n';
+        }
+        let clippedPlots = '';
+
+        inequalities.forEach(q => {
+            if (!q.visible) return;
+            const rel = q.relation;
+            const inside = rel === '<' || rel === '<='
+                ? this.buildImplicitEvaluator(q.rhs, q.lhs)
+                : (rel === '>' || rel === '>=') ? this.buildImplicitEvaluator(q.lhs, q.rhs) : null;
+            if (!inside) {
+                code += `% 不等式 ${q.label || ''}: 无法求值 ${q.equation || ''}\n`;
+                return;
+            }
+            const regions = this.traceImplicitContours(inside, { pad: true });
+            if (regions.length === 0) {
+                code += `% 不等式 ${q.label || ''}: 区域不在坐标轴范围内\n`;
+                return;
+            }
+            clippedPlots += `\\fill[${this.resolveInequalityFill(q)}, even odd rule] ${this.formatContourPaths(regions, true)};${q.label ? ` % ${q.label}: ${q.equation}` : ''}\n`;
+
+            const boundary = this.traceImplicitContours(inside);
+            if (boundary.length > 0) {
+                const color = this.resolveStrokeColor(q, 'black');
+                const thickness = this.resolveCategoryThickness('function', q);
+                const lineStyle = rel.length === 1 ? `${thickness}, dashed` : this.composeLineStyle(thickness, q);
+                clippedPlots += `\\draw[${color}, ${lineStyle}] ${this.formatContourPaths(boundary)};\n`;
+            }
+        });
+
+        if (clippedPlots.trim()) {
+            code += this.wrapWithBoundsClip(clippedPlots, '按坐标轴边界裁剪不等式区域');
+        }
+        return code;
+    }
+
+    resolveInequalityFill(obj) {
+        const color = this.options.useSourceStyle && obj && obj.color ? obj.color : this.options.inequalityFillColor;
+        const style = this.options.inequalityFillStyle;
+        if (style && style !== 'opacity') return `pattern=${style}, pattern color=${color}`;
+        return `${color}, fill opacity=${this.options.inequalityOpacity}`;
+    }
+
+    // 折线统一成 plot coordinates；间距小于 minGap（默认半个网格）的点合并，闭合轮廓用 smooth cycle
+    formatContourPaths(paths, forceClosed = false, minGap = null) {
+        const { xmin, xmax, ymin, ymax } = this.getBounds();
+        if (minGap === null) minGap = Math.max(xmax - xmin, ymax - ymin) / (2 * (this.options.implicitGridSize || 120));
+        const fmt = (v) => Number(v.toFixed(2));
+        return paths.map(({ points, closed }) => {
+            const coords = [];
+            let last = null;
+            points.forEach(([x, y], idx) => {
+                const isEnd = idx === points.length - 1;
+                if (last && !isEnd && Math.hypot(x - last[0], y - last[1]) < minGap) return;
+                const c = `(${fmt(x)},${fmt(y)})`;
+                if (coords[coords.length - 1] !== c) coords.push(c);
+                last = [x, y];
+            });
+            if ((closed || forceClosed) && coords.length > 1 && coords[0] === coords[coords.length - 1]) coords.pop();
+            return `plot[smooth${closed || forceClosed ? ' cycle' : ''}] coordinates {${coords.join(' ')}}`;
+        }).join(' ');
+    }
+
+    /**
+     * marching squares：在坐标轴边界内按 implicitGridSize 建网格，求 F(x,y)=0 的等值线
+     * pad=true 时网格外包一圈负值，F>0 的区域轮廓必然闭合
+     * @returns {Array<{points: number[][], closed: boolean}>}
+     */
+    traceImplicitContours(evalFn, { pad = false } = {}) {
+        const { xmin, xmax, ymin, ymax } = this.getBounds();
+        const n = Math.max(20, Math.min(400, Math.round(this.options.implicitGridSize) || 120));
+        const step = Math.max(xmax - xmin, ymax - ymin) / n;
+        const cols = Math.max(1, Math.ceil((xmax - xmin) / step));
+        const rows = Math.max(1, Math.ceil((ymax - ymin) / step));
+        const hx = (xmax - xmin) / cols;
+        const hy = (ymax - ymin) / rows;
+        const off = pad ? 1 : 0;
+        const W = cols + 1 + 2 * off;
+        const H = rows + 1 + 2 * off;
+        const xAt = (i) => xmin + (i - off) * hx;
+        const yAt = (j) => ymin + (j - off) * hy;
+
+        const values = new Float64Array(W * H);
+        for (let j = 0; j < H; j++) {
+            for (let i = 0; i < W; i++) {
+                let v = -1;
+                if (!pad || (i > 0 && j > 0 && i < W - 1 && j < H - 1)) {
+                    try {
+                        v = Number(evalFn(xAt(i), yAt(j)));
+                    } catch {
+                        v = NaN;
+                    }
+                }
+                values[j * W + i] = v;
+            }
+        }
+
+        // 等值点按所在网格边（两端顶点序号）编号，相邻单元格共享同一个点
+        const edgePoints = new Map();
+        const edgeKey = (a, b) => (a < b ? `${a}-${b}` : `${b}-${a}`);
+        const crossing = (a, b) => {
+            const key = edgeKey(a, b);
+            if (!edgePoints.has(key)) {
+                const [p, q] = a < b ? [a, b] : [b, a];
+                const t = values[p] / (values[p] - values[q]);
+                const px = xAt(p % W), py = yAt(Math.floor(p / W));
+                const qx = xAt(q % W), qy = yAt(Math.floor(q / W));
+                edgePoints.set(key, [px + (qx - px) * t, py + (qy - py) * t]);
+            }
+            return key;
+        };
+
+        const segments = [];
+        for (let j = 0; j < H - 1; j++) {
+            for (let i = 0; i < W - 1; i++) {
+                // 顶点顺序：左下、右下、右上、左上
+                const idx = [j * W + i, j * W + i + 1, (j + 1) * W + i + 1, (j + 1) * W + i];
+                const v = idx.map(k => values[k]);
+                if (v.some(val => !Number.isFinite(val))) continue;
+                const inside = v.map(val => val > 0);
+                const cut = [];
+                for (let e = 0; e < 4; e++) {
+                    const a = e, b = (e + 1) % 4;
+                    if (inside[a] !== inside[b]) cut.push({ e, key: crossing(idx[a], idx[b]) });
+                }
+                if (cut.length === 2) {
+                    segments.push([cut[0].key, cut[1].key]);
+                } else if (cut.length === 4) {
+                    // 鞍点：用单元中心值决定连接方式
+                    const centerInside = (v[0] + v[1] + v[2] + v[3]) / 4 > 0;
+                    if (centerInside === inside[0]) {
+                        segments.push([cut[0].key, cut[1].key], [cut[2].key, cut[3].key]);
+                    } else {
+                        segments.push([cut[3].key, cut[0].key], [cut[1].key, cut[2].key]);
+                    }
+                }
+            }
+        }
+
+        // 按共享端点把线段串成折线：先从度为 1 的端点走开放折线，剩余的都是闭合环
+        const adjacency = new Map();
+        segments.forEach((seg, sid) => seg.forEach(key => {
+            if (!adjacency.has(key)) adjacency.set(key, []);
+            adjacency.get(key).push(sid);
+        }));
+        const used = new Uint8Array(segments.length);
+        const walk = (startKey, sid) => {
+            const keys = [startKey];
+            let key = startKey;
+            while (sid !== undefined && !used[sid]) {
+                used[sid] = 1;
+                const seg = segments[sid];
+                key = seg[0] === key ? seg[1] : seg[0];
+                keys.push(key);
+                sid = (adjacency.get(key) || []).find(s => !used[s]);
+            }
+            return keys;
+        };
+        const paths = [];
+        adjacency.forEach((sids, key) => {
+            if (sids.length === 1 && !used[sids[0]]) {
+                paths.push({ points: walk(key, sids[0]).map(k => edgePoints.get(k)), closed: false });
+            }
+        });
+        segments.forEach((seg, sid) => {
+            if (used[sid]) return;
+            const keys = walk(seg[0], sid);
+            paths.push({ points: keys.map(k => edgePoints.get(k)), closed: keys[0] === keys[keys.length - 1] });
+        });
+        return paths.filter(p => p.points.length > 2);
+    }
+
+    // 隐式方程补全乘号（3x y -> 3*x*y）并把上标、·× 换成普通运算符
+    normalizeImplicitExpression(expr) {
+        const sup = { '⁰': '0', '¹': '1', '²': '2', '³': '3', '⁴': '4', '⁵': '5', '⁶': '6', '⁷': '7', '⁸': '8', '⁹': '9', '⁻': '-' };
+        return String(expr || '')
+            .replace(/[⁻⁰¹²³⁴⁵⁶⁷⁸⁹]+/g, (m) => `^(${[...m].map(ch => sup[ch]).join('')})`)
+            .replace(/[·×]/g, '*')
+            .replace(/π/g, 'pi')
+            .replace(/(^|[^A-Za-z0-9_.])(\d+(?:\.\d+)?)\s*(?=[A-Za-z(])/g, '$1$2*')
+            .replace(/\)\s*(?=[A-Za-z0-9(])/g, ')*')
+            .replace(/\b([xy])\s*(?=[xy(])/g, '$1*')
+            .replace(/\b([xy])\s+(?=[A-Za-z0-9])/g, '$1*')
+            // JS 不允许 -x**2，一元负号改写为 (-1)*
+            .replace(/(^|[(,*/])\s*-(?=\s*[A-Za-z0-9_.(])/g, '$1(-1)*');
+    }
+
+    buildImplicitEvaluator(lhs, rhs) {
+        const left = this.toJsExpression(this.normalizeImplicitExpression(lhs));
+        const right = this.toJsExpression(this.normalizeImplicitExpression(rhs));
+        if (!left || !right) return null;
+        try {
+            const fn = compileSafeExpression(`(${left}) - (${right})`, ['x', 'y']);
+            fn(0.123, 0.456);
+            return fn;
+        } catch {
+            return null;
+        }
+    }
+
     toJsExpression(expr) {
         if (typeof expr !== 'string') return null;
         let js = this.convertEulerPowerToExp(expr).trim();
@@ -516,15 +1219,15 @@ class TikZGenerator {
             .replace(/\bpi\b/gi, 'Math.PI')
             .replace(/\be\b/g, 'Math.E')
             .replace(/\bx\b/g, '(x)');
-        return js;
+        // 表达式来自文件：只放行 x、y、数字、运算符与固定的 Math 函数，其余一律不求值
+        return isSafeExpression(js, ['x', 'y']) ? js : null;
     }
 
     buildExprEvaluator(expr) {
         const js = this.toJsExpression(expr);
         if (!js) return null;
         try {
-            const fn = new Function('x', `"use strict"; return (${js});`);
-            return fn;
+            return compileSafeExpression(js, ['x']);
         } catch {
             return null;
         }
@@ -684,7 +1387,7 @@ class TikZGenerator {
             
             switch (c.conicType) {
                 case 'circle':
-                    code += this.generateCircle(c, color, lineStyle);
+                    code += (this.isTkzStyle() && this.generateTkzCircle(c, color, lineStyle)) || this.generateCircle(c, color, lineStyle);
                     break;
                 case 'ellipse':
                     code += this.generateEllipse(c, color, lineStyle);
@@ -1423,6 +2126,9 @@ ${drawApproxBranch(-1)}${c.label ? ` % ${c.label}` : ''}\n`;
     toLatexMathLabel(labelText) {
         const raw = String(labelText || '').trim();
         if (!raw) return '';
+        // 标题里已写成 $...$ 的按原样使用
+        const inlineMath = raw.match(/^\$([^$]+)\$$/);
+        if (inlineMath) return inlineMath[1].trim();
         const greekMap = {
             'α': '\\alpha',
             'β': '\\beta',
@@ -1488,6 +2194,10 @@ ${drawApproxBranch(-1)}${c.label ? ` % ${c.label}` : ''}\n`;
                 out += '\\_';
                 continue;
             }
+            if (ch === "'") {
+                out += "'";
+                continue;
+            }
             if (ch === '-') {
                 out += '-';
                 continue;
@@ -1743,7 +2453,7 @@ ${drawApproxBranch(-1)}${c.label ? ` % ${c.label}` : ''}\n`;
             const thickness = this.resolveCategoryThickness('line', a);
             const drawStyle = `${color}, ${this.composeLineStyle(thickness, a)}`;
             const radius = this.resolveAngleRadius(a);
-            const label = a.label || '';
+            const label = a.caption || a.label || '';
             const deltaByValue = this.normalizeDeltaByValue(Number(a.valueDeg));
 
             // Angle(A,B,C) 或 InteriorAngles 反推到三点
@@ -1807,9 +2517,9 @@ ${drawApproxBranch(-1)}${c.label ? ` % ${c.label}` : ''}\n`;
                 const py = o.y + rAux * Math.sin(t1);
                 const qx = o.x + rAux * Math.cos(t2);
                 const qy = o.y + rAux * Math.sin(t2);
-                code += `\\coordinate (${vName}) at (${o.x.toFixed(2)},${o.y.toFixed(2)});\n`;
-                code += `\\coordinate (${pName}) at (${px.toFixed(2)},${py.toFixed(2)});\n`;
-                code += `\\coordinate (${qName}) at (${qx.toFixed(2)},${qy.toFixed(2)});\n`;
+                code += this.defineAuxPoint(vName, o.x, o.y);
+                code += this.defineAuxPoint(pName, px, py);
+                code += this.defineAuxPoint(qName, qx, qy);
                 const latexLabel = this.toLatexMathLabel(label);
                 const size = Number(radius).toFixed(2);
                 const isRight = this.isRightAngleByValue(Math.abs(chosen.delta)) || this.isRightAngleByValue(Number(a.valueDeg));
@@ -1895,9 +2605,19 @@ ${drawApproxBranch(-1)}${c.label ? ` % ${c.label}` : ''}\n`;
         let code = '% 直线\n';
 
         const drawn = new Set();
+        if (this.isTkzStyle()) {
+            lines.forEach(l => {
+                if (!l.visible) return;
+                const tkz = this.generateTkzLine(l);
+                if (!tkz) return;
+                code += tkz;
+                drawn.add(l.label);
+            });
+        }
         if (this.options.semanticFirst && lineRelations.length > 0) {
             lineRelations.forEach(rel => {
                 const label = rel.label || '';
+                if (drawn.has(label)) return;
                 const style = this.getLineStyleByLabel(lines, label);
                 const p1 = this.normalizeCoord(rel?.through?.p1Coord) ||
                     this.normalizeCoord(rel?.tangent?.throughPointCoord) ||
@@ -1977,6 +2697,8 @@ ${drawApproxBranch(-1)}${c.label ? ` % ${c.label}` : ''}\n`;
      */
     generateSegments(segments) {
         let code = '% 线段\n';
+        // tkz-euclide：两端都是已定义点的线段按样式合并为 \tkzDrawSegments
+        const tkzGroups = new Map();
         
         segments.forEach(s => {
             if (!s.visible) return;
@@ -1990,11 +2712,21 @@ ${drawApproxBranch(-1)}${c.label ? ` % ${c.label}` : ''}\n`;
             const start = s.startCoord || (s.startLabel ? this.pointIndex[s.startLabel] : null);
             const end = s.endCoord || (s.endLabel ? this.pointIndex[s.endLabel] : null);
             if (start && end) {
+                const tkzEnds = this.isTkzStyle() ? [this.tkzRef(s.startLabel), this.tkzRef(s.endLabel)] : [];
+                if (tkzEnds[0] && tkzEnds[1]) {
+                    const key = `${color}, ${lineStyle}`;
+                    if (!tkzGroups.has(key)) tkzGroups.set(key, []);
+                    tkzGroups.get(key).push(tkzEnds.join(','));
+                    return;
+                }
                 const startRef = this.pointRef(start, s.startLabel || null);
                 const endRef = this.pointRef(end, s.endLabel || null);
                 code += `\\draw[${color}, ${lineStyle}] ${startRef} -- ${endRef};\n`;
             }
         });
+        tkzGroups.forEach((pairs, style) => {
+            code += `\\tkzDrawSegments[${style}](${pairs.join(' ')})\n`;
+        });
         
         return code;
     }
@@ -2016,7 +2748,11 @@ ${drawApproxBranch(-1)}${c.label ? ` % ${c.label}` : ''}\n`;
             const lineStyle = this.composeLineStyle(thickness, poly);
             const alpha = Number.isFinite(Number(poly.alpha)) ? Number(poly.alpha) : 0.12;
             const fillColor = String(this.options.polygonFillColor || color).trim() || color;
-            if (fillColor.toLowerCase() === 'none') {
+            const tkzVerts = this.isTkzStyle() ? verts.map(v => this.tkzRef(v.label)) : [];
+            if (tkzVerts.length >= 3 && tkzVerts.every(Boolean)) {
+                const fill = fillColor.toLowerCase() === 'none' ? '' : `, fill=${fillColor}, fill opacity=${alpha.toFixed(2)}`;
+                code += `\\tkzDrawPolygon[${color}, ${lineStyle}${fill}](${tkzVerts.join(',')})${poly.label ? ` % ${poly.label}` : ''}\n`;
+            } else if (fillColor.toLowerCase() === 'none') {
                 code += `\\draw[${color}, ${lineStyle}] ${refs.join(' -- ')} -- cycle;${poly.label ? ` % ${poly.label}` : ''}\n`;
             } else {
                 code += `\\draw[${color}, ${lineStyle}, fill=${fillColor}, fill opacity=${alpha.toFixed(2)}] ${refs.join(' -- ')} -- cycle;${poly.label ? ` % ${poly.label}` : ''}\n`;
@@ -2075,37 +2811,106 @@ ${drawApproxBranch(-1)}${c.label ? ` % ${c.label}` : ''}\n`;
      */
     generatePoints(points) {
         let code = '% 点\n';
-        let hasLabelO = false;
+        if (this.isTkzStyle()) return code + this.generateTkzPoints(points);
         
         points.forEach(p => {
             if (!p.visible) return;
-            if (String(p.label || '').trim() === 'O') hasLabelO = true;
-            
-            const color = this.resolvePointColor(p);
-            const size = p.pointSize || 2;
-            const radiusPt = Number.isFinite(Number(this.options.pointRadiusPt))
-                ? Number(this.options.pointRadiusPt)
-                : (size / 20);
-            
-            const pRef = this.pointRef({ x: p.x, y: p.y }, p.label || null);
-            code += `\\fill[${color}] ${pRef} circle[radius=${radiusPt}pt]`;
-            
-            if (p.label) {
-                code += ` node[above right, xshift=0pt, yshift=0pt] {$${p.label}$}`;
-            }
-            
-            code += `;\n`;
+            code += this.generateFillPoint(p);
         });
+        
+        return code;
+    }
 
-        // 仅在显示坐标轴时自动补一个原点标签点，便于和普通点一样微调标签位置
-        if (this.options.axis && !hasLabelO) {
-            const radiusPt = Number.isFinite(Number(this.options.pointRadiusPt))
-                ? Number(this.options.pointRadiusPt)
-                : 0.25;
-            code += `\\fill[black] (0.00,0.00) circle[radius=${radiusPt}pt] node[above right, xshift=0pt, yshift=0pt] {$O$}; % axis-origin\n`;
+    generateFillPoint(p) {
+        const color = this.resolvePointColor(p);
+        const size = p.pointSize || 2;
+        const radiusPt = Number.isFinite(Number(this.options.pointRadiusPt))
+            ? Number(this.options.pointRadiusPt)
+            : (size / 20);
+        
+        const pRef = this.pointRef({ x: p.x, y: p.y }, p.label || null);
+        let code = `\\fill[${color}] ${pRef} circle[radius=${radiusPt}pt]`;
+        
+        const labelText = (p.caption && this.toLatexMathLabel(p.caption)) || p.label;
+        if (labelText) {
+            code += ` node[above right, xshift=0pt, yshift=0pt] {$${labelText}$}`;
         }
         
-        return code;
+        return `${code};\n`;
+    }
+
+    // 仅在显示坐标轴时自动补一个原点标签点，便于和普通点一样微调标签位置
+    generateAxisOriginPoint(points) {
+        const hasLabelO = (points || []).some(p => p && p.visible && String(p.label || '').trim() === 'O');
+        if (!this.options.axis || hasLabelO) return '';
+        const radiusPt = Number.isFinite(Number(this.options.pointRadiusPt))
+            ? Number(this.options.pointRadiusPt)
+            : 0.25;
+        return `\\fill[black] (0.00,0.00) circle[radius=${radiusPt}pt] node[above right, xshift=0pt, yshift=0pt] {$O$}; % axis-origin\n`;
+    }
+
+    /**
+     * 文本注释：GeoGebra 文本以左下角定位，对应 anchor=south west
+     */
+    generateTexts(texts) {
+        let code = '% 文本\n';
+        let count = 0;
+        texts.forEach(t => {
+            if (!t || !t.visible) return;
+            if (t.dynamic) {
+                code += `% 动态文本 ${t.label} 未导出：${t.text}\n`;
+                count++;
+                return;
+            }
+            const x = Number(t.x);
+            const y = Number(t.y);
+            const content = this.formatTextContent(t);
+            if (!Number.isFinite(x) || !Number.isFinite(y) || !content) return;
+
+            const opts = [this.resolveStrokeColor(t, 'black'), 'anchor=south west', 'inner sep=1pt'];
+            if (t.fontStyle === 1) opts.push('font=\\bfseries');
+            if (t.fontStyle === 2) opts.push('font=\\itshape');
+            if (t.fontStyle === 3) opts.push('font=\\bfseries\\itshape');
+            if (content.includes('\\\\')) opts.push('align=left');
+            const ref = t.placement === 'point' ? this.pointRef({ x, y }, t.anchorLabel) : `(${x.toFixed(2)},${y.toFixed(2)})`;
+            const note = t.placement === 'absolute' ? ' % 屏幕绝对位置，按当前视图换算' : '';
+            code += `\\node[${opts.join(', ')}] at ${ref} {${content}};${note}\n`;
+            count++;
+        });
+        return count > 0 ? code : '';
+    }
+
+    // LaTeX 文本按数学模式输出；普通文本转义特殊字符，已含 $...$ 的保持原样
+    formatTextContent(t) {
+        const raw = String(t?.text || '');
+        if (!raw.trim()) return '';
+        const lines = raw.split('\n');
+        // LaTeX 文本整段是公式：自带 $ 的原样输出，否则逐行包进 $…$
+        if (t.isLaTeX) return raw.includes('$') ? lines.join(' \\\\ ') : lines.map(line => `$${line}$`).join(' \\\\ ');
+        const escapeMap = {
+            '\\': '\\textbackslash{}',
+            '#': '\\#',
+            '$': '\\$',
+            '%': '\\%',
+            '&': '\\&',
+            '_': '\\_',
+            '{': '\\{',
+            '}': '\\}',
+            '~': '\\textasciitilde{}',
+            '^': '\\textasciicircum{}'
+        };
+        const escapeText = text => text.replace(/[\\#$%&_{}~^]/g, ch => escapeMap[ch]);
+        // 成对的 $…$ 原样保留为公式，其余文字照常转义（落单的 $ 转成 \$）
+        return lines.map(line => {
+            let out = '';
+            let last = 0;
+            line.replace(/\$[^$]+\$/g, (math, offset) => {
+                out += escapeText(line.slice(last, offset)) + math;
+                last = offset + math.length;
+                return math;
+            });
+            return out + escapeText(line.slice(last));
+        }).join(' \\\\ ');
     }
 
     generateDerivedPoints(points) {
@@ -2120,11 +2925,254 @@ ${drawApproxBranch(-1)}${c.label ? ` % ${c.label}` : ''}\n`;
         return code;
     }
 
+    // ---------- tkz-euclide 写法：点用 \tkzDefPoint 定义，作图关系（垂线、角分线、切线）用对应的 \tkzDef 宏保留 ----------
+
+    isTkzStyle() {
+        return this.options.geometryStyle === 'tkz-euclide';
+    }
+
+    // 可直接在 tkz 宏里引用的点名；变换 scope 内必须用数值坐标，返回 null
+    tkzRef(label) {
+        if (this.forceNumericRefs || !label || !this.isValidTikzCoordName(label)) return null;
+        return this.definedCoordLabels && this.definedCoordLabels.has(label) ? label : null;
+    }
+
+    // 辅助点名：对象名 + 后缀，避开已有点名
+    tkzAuxName(base, suffix) {
+        let name = this.safeAngleTempName(base, suffix);
+        while (this.pointIndex[name]) name += 'x';
+        return name;
+    }
+
+    // \tkzGetPoint 后注明当前坐标，供规则优化与预览换算
+    tkzGetPoint(name, coord) {
+        return `\\tkzGetPoint{${name}} % (${Number(coord.x).toFixed(2)},${Number(coord.y).toFixed(2)})`;
+    }
+
+    // 直线、线段、射线上的两个已定义点
+    tkzLinearPointPair(label) {
+        const obj = this.linearIndex[label];
+        if (!obj) return null;
+        let pair = null;
+        if (obj.type === 'segment') pair = [obj.startLabel, obj.endLabel];
+        else if (obj.type === 'ray') pair = [obj.startLabel, obj.throughLabel];
+        else if (obj.type === 'line' && obj.commandName === 'Line') pair = [obj.point1Label, obj.point2Label];
+        if (!pair) return null;
+        const refs = pair.map(l => this.tkzRef(l));
+        return refs[0] && refs[1] ? refs : null;
+    }
+
+    // 已有角度对象标在该顶点时不再补直角记号
+    hasAngleMarkAt(coord) {
+        return (this.sceneAngles || []).some(a => {
+            const v = this.getCoordByLabelOrCoord(a.vertexLabel, a.vertexCoord);
+            return v && Math.hypot(v.x - coord.x, v.y - coord.y) < 1e-6;
+        });
+    }
+
+    /**
+     * \tkzDrawLine 的 add 按画幅边界换算（相对两点间距），与 \draw 写法延伸到边界外的长度一致；
+     * symmetric：第二点由 tkz 宏给出、方向可能相反时，两侧取同样长度
+     */
+    tkzLineAdd(p, q, symmetric = false) {
+        const ends = this.lineFromTwoPointsToBounds(p, q);
+        const dx = q.x - p.x;
+        const dy = q.y - p.y;
+        const len2 = dx * dx + dy * dy;
+        if (!ends || len2 < 1e-12) return '';
+        const ts = ends.map(e => ((e.x - p.x) * dx + (e.y - p.y) * dy) / len2);
+        const span = Math.abs(ts[1] - ts[0]);
+        const lo = Math.min(...ts) - Number(this.options.lineExtensionStart || 0) * span;
+        const hi = Math.max(...ts) + Number(this.options.lineExtensionEnd || 0) * span;
+        const fmt = (v) => Number(v.toFixed(2));
+        if (symmetric) {
+            const m = Math.max(Math.abs(lo), Math.abs(hi));
+            return `add=${fmt(m)} and ${fmt(m - 1)}`;
+        }
+        return `add=${fmt(-lo)} and ${fmt(hi - 1)}`;
+    }
+
+    generateTkzLine(l) {
+        const lineStyle = this.composeLineStyle(this.resolveCategoryThickness('line', l), l);
+        const draw = (p, q, add, cmt) => (add
+            ? `\\tkzDrawLine[${lineStyle}, ${add}](${p},${q}) % ${l.label}${cmt ? `: ${cmt}` : ''}\n`
+            : '');
+        const coordOf = (name, fallback) => this.pointIndex[name] || fallback;
+        const inputs = Array.isArray(l.commandInputs) ? l.commandInputs : [];
+
+        if (l.commandName === 'AngularBisector') {
+            const p1 = this.tkzRef(l.bisectorPoint1Label);
+            const v = this.tkzRef(l.bisectorVertexLabel);
+            const p2 = this.tkzRef(l.bisectorPoint2Label);
+            const dir = this.bisectorDirectionPoint(l);
+            if (!p1 || !v || !p2 || !dir) return '';
+            // 角分线与对边 P1P2 的交点（角分线定理按两边长定比分点），作为画线的第二点
+            const [a, o, b] = [p1, v, p2].map(n => this.pointIndex[n]);
+            const la = Math.hypot(a.x - o.x, a.y - o.y);
+            const lb = Math.hypot(b.x - o.x, b.y - o.y);
+            const d = { x: (lb * a.x + la * b.x) / (la + lb), y: (lb * a.y + la * b.y) / (la + lb) };
+            const aux = this.tkzAuxName(l.label, '_b');
+            let code = `\\tkzDefLine[bisector](${p1},${v},${p2}) ${this.tkzGetPoint(aux, dir)}\n`;
+            let dName = this.tkzRef(this.resolveLabelByCoord(d));
+            if (!dName) {
+                dName = this.tkzAuxName(l.label, '_D');
+                code += `\\tkzInterLL(${v},${aux})(${p1},${p2}) ${this.tkzGetPoint(dName, d)}\n`;
+            }
+            return code + draw(v, dName, this.tkzLineAdd(o, d), this.formatAngularBisectorComment(p1, v, p2));
+        }
+
+        if (l.commandName === 'OrthogonalLine' || l.commandName === 'PerpendicularLine') {
+            const from = this.tkzRef(l.orthogonalFromPointLabel);
+            const pair = this.tkzLinearPointPair(l.orthogonalTargetLabel);
+            const foot = l.orthogonalFootCoord;
+            if (!from || !pair || !foot) return '';
+            const p = this.pointIndex[from];
+            const [a, b] = pair.map(n => this.pointIndex[n]);
+            const aux = this.tkzAuxName(l.label, '_p');
+            const auxCoord = { x: p.x - (b.y - a.y), y: p.y + (b.x - a.x) };
+            const cmt = `过 ${from} 作 ${l.orthogonalTargetLabel} 的垂线`;
+            let code = `\\tkzDefLine[perpendicular=through ${from}](${pair[0]},${pair[1]}) ${this.tkzGetPoint(aux, auxCoord)}\n`;
+            const onLine = Math.hypot(foot.x - p.x, foot.y - p.y) < 1e-6;
+            // 垂足：与已有点重合时直接用该点，否则按投影定义；过点在直线上时垂足即过点
+            let footName = onLine ? from : this.tkzRef(this.resolveLabelByCoord(foot));
+            if (!footName) {
+                footName = this.tkzAuxName(l.label, '_H');
+                code += `\\tkzDefPointBy[projection=onto ${pair[0]}--${pair[1]}](${from}) ${this.tkzGetPoint(footName, foot)}\n`;
+            }
+            code += onLine
+                ? draw(from, aux, this.tkzLineAdd(p, auxCoord, true), cmt)
+                : draw(from, footName, this.tkzLineAdd(p, foot), cmt);
+            if (!this.hasAngleMarkAt(foot)) {
+                const arm = Math.hypot(a.x - foot.x, a.y - foot.y) > 1e-6 ? pair[0] : pair[1];
+                code += `\\tkzMarkRightAngle[draw,size=0.25](${onLine ? aux : from},${footName},${arm})\n`;
+            }
+            return code;
+        }
+
+        if (l.commandName === 'Tangent') {
+            const through = this.tkzRef(l.throughPointLabel);
+            const circle = this.tkzCircleRefs[l.tangentConicLabel];
+            const t = l.tangentPointCoord;
+            if (!through || !circle || !t) return '';
+            const p = this.pointIndex[through];
+            const o = coordOf(circle.center, circle.centerCoord);
+            // 切点即过点：圆上一点处的切线
+            if (Math.hypot(t.x - p.x, t.y - p.y) < 1e-6) {
+                const aux = this.tkzAuxName(l.label, '_t');
+                const auxCoord = { x: p.x - (p.y - o.y), y: p.y + (p.x - o.x) };
+                return `\\tkzDefTangent[at=${through}](${circle.center}) ${this.tkzGetPoint(aux, auxCoord)}\n`
+                    + draw(through, aux, this.tkzLineAdd(p, auxCoord, true), `${l.tangentConicLabel} 在 ${through} 处的切线`);
+            }
+            // 圆外一点的两条切线：tkz 给出的两切点顺序不固定，切点按数值定义
+            let tName = this.tkzRef(this.resolveLabelByCoord(t));
+            let code = '';
+            if (!tName) {
+                tName = this.tkzAuxName(l.label, '_T');
+                code += `\\tkzDefPoint(${t.x.toFixed(2)},${t.y.toFixed(2)}){${tName}} % 切点\n`;
+            }
+            return code + draw(through, tName, this.tkzLineAdd(p, t), `过 ${through} 作 ${l.tangentConicLabel} 的切线，切点 ${tName}`);
+        }
+
+        if (l.commandName === 'Line') {
+            const p1 = this.tkzRef(l.point1Label);
+            const p2 = this.tkzRef(l.point2Label);
+            if (p1 && p2) {
+                const e1 = Number(this.options.lineExtensionStart || 0);
+                const e2 = Number(this.options.lineExtensionEnd || 0);
+                return draw(p1, p2, `add=${e1} and ${e2}`, `过点 ${p1}, ${p2}`);
+            }
+            // Line(点, 直线)：过点作平行线
+            const pair = p1 ? this.tkzLinearPointPair(inputs[1]) : null;
+            if (!pair) return '';
+            const [a, b] = pair.map(n => this.pointIndex[n]);
+            const p = this.pointIndex[p1];
+            const aux = this.tkzAuxName(l.label, '_p');
+            const auxCoord = { x: p.x + b.x - a.x, y: p.y + b.y - a.y };
+            return `\\tkzDefLine[parallel=through ${p1}](${pair[0]},${pair[1]}) ${this.tkzGetPoint(aux, auxCoord)}\n`
+                + draw(p1, aux, this.tkzLineAdd(p, auxCoord), `过 ${p1} 作 ${inputs[1]} 的平行线`);
+        }
+        return '';
+    }
+
+    // 角分线上的第二点：顶点沿两边单位向量之和方向取单位长
+    bisectorDirectionPoint(l) {
+        const v = this.pointIndex[l.bisectorVertexLabel];
+        const p1 = this.pointIndex[l.bisectorPoint1Label];
+        const p2 = this.pointIndex[l.bisectorPoint2Label];
+        if (!v || !p1 || !p2) return null;
+        const unit = (p) => {
+            const n = Math.hypot(p.x - v.x, p.y - v.y);
+            return n > 1e-9 ? { x: (p.x - v.x) / n, y: (p.y - v.y) / n } : null;
+        };
+        const u1 = unit(p1);
+        const u2 = unit(p2);
+        if (!u1 || !u2) return null;
+        const sx = u1.x + u2.x;
+        const sy = u1.y + u2.y;
+        const n = Math.hypot(sx, sy);
+        if (n < 1e-9) return null;
+        return { x: v.x + sx / n, y: v.y + sy / n };
+    }
+
+    defineAuxPoint(name, x, y) {
+        return this.isTkzStyle()
+            ? `\\tkzDefPoint(${x.toFixed(2)},${y.toFixed(2)}){${name}}\n`
+            : `\\coordinate (${name}) at (${x.toFixed(2)},${y.toFixed(2)});\n`;
+    }
+
+    /**
+     * tkz-euclide 的点：同色的点合并为一条 \tkzDrawPoints，标签逐点 \tkzLabelPoint 便于规则优化调整位置；
+     * 未定义名字的点仍用 \fill
+     */
+    generateTkzPoints(points) {
+        let code = '';
+        const groups = new Map();
+        const labels = [];
+        points.forEach(p => {
+            if (!p.visible) return;
+            const name = this.tkzRef(p.label);
+            if (!name) {
+                code += this.generateFillPoint(p);
+                return;
+            }
+            const color = this.resolvePointColor(p);
+            if (!groups.has(color)) groups.set(color, []);
+            groups.get(color).push(name);
+            const labelText = (p.caption && this.toLatexMathLabel(p.caption)) || p.label;
+            labels.push(`\\tkzLabelPoint[above right, xshift=0pt, yshift=0pt](${name}){$${labelText}$}\n`);
+        });
+        let drawn = '';
+        groups.forEach((names, color) => {
+            drawn += `\\tkzDrawPoints[color=${color}, fill=${color}](${names.join(',')})\n`;
+        });
+        return drawn + labels.join('') + code;
+    }
+
+    generateTkzCircle(c, color, lineStyle) {
+        const center = this.tkzRef(c.centerLabel);
+        const pass = this.tkzRef(c.passLabel);
+        if (!center || !pass) return '';
+        const third = c.thirdPointLabel ? this.tkzRef(c.thirdPointLabel) : null;
+        if (c.thirdPointLabel && !third) return '';
+        if (!third) {
+            this.tkzCircleRefs[c.label] = { center, through: pass };
+            return `\\tkzDrawCircle[through, ${color}, ${lineStyle}](${center},${pass}) % ${c.label}\n`;
+        }
+        // Circle(A, B, C)：先定义外心
+        const o = this.circumcenter(this.pointIndex[center], this.pointIndex[pass], this.pointIndex[third]);
+        if (!o) return '';
+        const name = this.tkzAuxName(c.label, '_O');
+        this.tkzCircleRefs[c.label] = { center: name, through: center, centerCoord: o };
+        return `\\tkzDefCircle[circum](${center},${pass},${third}) ${this.tkzGetPoint(name, o)}\n`
+            + `\\tkzDrawCircle[through, ${color}, ${lineStyle}](${name},${center}) % ${c.label}\n`;
+    }
+
     /**
      * 结束 tikzpicture
      */
     generateEndTikz() {
-        let code = `\\end{tikzpicture}
+        let code = this.options.axisMode === 'pgfplots' ? '    \\end{axis}\n' : '';
+        code += `\\end{tikzpicture}
 `;
         if (this.options.outputMode === 'figure') {
             code += `\\caption{${this.options.figureCaption}}
@@ -2133,6 +3181,9 @@ ${drawApproxBranch(-1)}${c.label ? ` % ${c.label}` : ''}\n`;
 `;
         } else if (this.options.outputMode === 'standalone') {
             code += `\\end{document}
+`;
+        } else if (this.options.outputMode === 'beamer') {
+            code += `\\end{frame}
 `;
         }
         return code;
@@ -2216,11 +3267,3 @@ ${drawApproxBranch(-1)}${c.label ? ` % ${c.label}` : ''}\n`;
         return 'ultra thick';
     }
 }
-
-// 导出
-if (typeof window !== 'undefined') {
-    window.TikZGenerator = TikZGenerator;
-}
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = TikZGenerator;
-}
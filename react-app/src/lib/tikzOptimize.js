@@ -0,0 +1,632 @@
+// TikZ 转译后的规则优化（坐标轴/scale/裁剪/标签），不依赖浏览器环境，画板与命令行共用
+export const TIKZ_THICKNESS_OPTIONS = ['thin', 'semithick', 'thick', 'very thick', 'ultra thick'];
+export const ALLOWED_TIKZ_THICKNESS = new Set(TIKZ_THICKNESS_OPTIONS);
+export const LABEL_POSITION_OPTIONS = ['above right', 'above left', 'below right', 'below left', 'above', 'below', 'right', 'left'];
+export const DEFAULT_TIKZ_BOUNDS = { xmin: -2.3, xmax: 2.8, ymin: -2.6, ymax: 2.4 };
+
+export function deriveTikZBoundsFromParsed(parsed, fallback = DEFAULT_TIKZ_BOUNDS) {
+  const points = parsed?.structured?.points || [];
+  const visible = points.filter(
+    (p) => p && p.visible && Number.isFinite(Number(p.x)) && Number.isFinite(Number(p.y))
+  );
+  if (visible.length === 0) return fallback;
+
+  let xmin = Infinity;
+  let xmax = -Infinity;
+  let ymin = Infinity;
+  let ymax = -Infinity;
+  visible.forEach((p) => {
+    const x = Number(p.x);
+    const y = Number(p.y);
+    xmin = Math.min(xmin, x);
+    xmax = Math.max(xmax, x);
+    ymin = Math.min(ymin, y);
+    ymax = Math.max(ymax, y);
+  });
+
+  let dx = xmax - xmin;
+  let dy = ymax - ymin;
+  if (dx < 1e-6) dx = 2;
+  if (dy < 1e-6) dy = 2;
+  const padX = Math.max(0.8, dx * 0.2);
+  const padY = Math.max(0.8, dy * 0.2);
+
+  return {
+    xmin: Number((xmin - padX).toFixed(2)),
+    xmax: Number((xmax + padX).toFixed(2)),
+    ymin: Number((ymin - padY).toFixed(2)),
+    ymax: Number((ymax + padY).toFixed(2))
+  };
+}
+
+function collectNumericPointsFromTikz(code) {
+  const text = String(code || '');
+  const points = [];
+  const coordMap = {};
+
+  // 参数化坐标 ({\ggba},{1}) 的当前值写在行尾注释里
+  const coordDefRe = /\\coordinate\s*\(\s*([A-Za-z][A-Za-z0-9_]*)\s*\)\s*at\s*(?:\(\{[^\n]*?\}\)\s*;\s*%\s*)?\(\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*\)/g;
+  let c = null;
+  while ((c = coordDefRe.exec(text)) !== null) {
+    const name = c[1];
+    const x = Number(c[2]);
+    const y = Number(c[3]);
+    if (Number.isFinite(x) && Number.isFinite(y)) {
+      coordMap[name] = { x, y };
+      points.push({ x, y });
+    }
+  }
+
+  // tkz-euclide：\tkzDefPoint 同 \coordinate；\tkzGetPoint 得到的辅助点只记坐标，画到才计入范围
+  const num = '(-?\\d+(?:\\.\\d+)?)';
+  const tkzDefRe = new RegExp(`\\\\tkzDefPoint\\s*\\(\\s*${num}\\s*,\\s*${num}\\s*\\)\\s*\\{([A-Za-z][A-Za-z0-9_]*)\\}`, 'g');
+  const tkzCommentRe = new RegExp(`\\\\tkz(DefPoint|GetPoint)\\b[^\\n]*?\\{([A-Za-z][A-Za-z0-9_]*)\\}\\s*%\\s*\\(\\s*${num}\\s*,\\s*${num}\\s*\\)`, 'g');
+  while ((c = tkzDefRe.exec(text)) !== null) {
+    coordMap[c[3]] = { x: Number(c[1]), y: Number(c[2]) };
+    points.push({ x: Number(c[1]), y: Number(c[2]) });
+  }
+  while ((c = tkzCommentRe.exec(text)) !== null) {
+    const p = { x: Number(c[3]), y: Number(c[4]) };
+    coordMap[c[2]] = p;
+    if (c[1] === 'DefPoint') points.push(p);
+  }
+
+  const refToCoord = (token) => {
+    const t = String(token || '').trim();
+    const mNum = t.match(/^\(\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*\)$/);
+    if (mNum) return { x: Number(mNum[1]), y: Number(mNum[2]) };
+    const mLab = t.match(/^\(\s*([A-Za-z][A-Za-z0-9_]*)\s*\)$/);
+    if (mLab && coordMap[mLab[1]]) return coordMap[mLab[1]];
+    return null;
+  };
+
+  const usedLabels = new Set();
+  const lines = text.split('\n');
+  lines.forEach((line) => {
+    // 隐式曲线/不等式的采样点已按边界裁剪，不参与坐标轴范围
+    const s = line.trim().replace(/coordinates\s*\{[^}]*\}/g, '');
+    if (/^\\tkz(Draw|Mark|Label)/.test(s)) {
+      collectTkzDrawPoints(s, coordMap, usedLabels, points);
+      return;
+    }
+    if (!s.startsWith('\\draw') && !s.startsWith('\\fill')) return;
+    if (/\{\$x\$\}\s*;/.test(s) || /\{\$y\$\}\s*;/.test(s)) return;
+    const reLabel = /\(\s*([A-Za-z][A-Za-z0-9_]*)\s*\)/g;
+    let m = null;
+    while ((m = reLabel.exec(s)) !== null) {
+      const lab = m[1];
+      if (!/^Ang\d+/i.test(lab)) usedLabels.add(lab);
+    }
+    const reNum = /\(\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*\)/g;
+    let n = null;
+    while ((n = reNum.exec(s)) !== null) {
+      const x = Number(n[1]);
+      const y = Number(n[2]);
+      if (Number.isFinite(x) && Number.isFinite(y)) points.push({ x, y });
+    }
+
+    // circle: \draw ... (A) circle[radius=2.40];
+    const cMatch = s.match(/(\([^)]+\))\s*circle\s*\[\s*radius\s*=\s*(-?\d+(?:\.\d+)?)\s*\]/i);
+    if (cMatch) {
+      const center = refToCoord(cMatch[1]);
+      const r = Math.abs(Number(cMatch[2]));
+      if (center && Number.isFinite(r) && r > 1e-9) {
+        points.push({ x: center.x + r, y: center.y });
+        points.push({ x: center.x - r, y: center.y });
+        points.push({ x: center.x, y: center.y + r });
+        points.push({ x: center.x, y: center.y - r });
+      }
+    }
+
+    // ellipse: \draw ... (O) ellipse[x radius=a, y radius=b];
+    const eMatch = s.match(/(\([^)]+\))\s*ellipse\s*\[\s*x\s*radius\s*=\s*(-?\d+(?:\.\d+)?)\s*,\s*y\s*radius\s*=\s*(-?\d+(?:\.\d+)?)\s*\]/i);
+    if (eMatch) {
+      const center = refToCoord(eMatch[1]);
+      const rx = Math.abs(Number(eMatch[2]));
+      const ry = Math.abs(Number(eMatch[3]));
+      if (center && Number.isFinite(rx) && Number.isFinite(ry) && rx > 1e-9 && ry > 1e-9) {
+        // 若含旋转选项，为稳妥使用 max(rx,ry) 做保守包围盒
+        const hasRotate = /rotate\s+around\s*=/.test(s);
+        const ex = hasRotate ? Math.max(rx, ry) : rx;
+        const ey = hasRotate ? Math.max(rx, ry) : ry;
+        points.push({ x: center.x + ex, y: center.y });
+        points.push({ x: center.x - ex, y: center.y });
+        points.push({ x: center.x, y: center.y + ey });
+        points.push({ x: center.x, y: center.y - ey });
+      }
+    }
+  });
+
+  if (usedLabels.size > 0) {
+    usedLabels.forEach((lab) => {
+      const p = coordMap[lab];
+      if (p) points.push({ x: p.x, y: p.y });
+    });
+  } else {
+    Object.keys(coordMap).forEach((lab) => {
+      if (/^Ang\d+/i.test(lab)) return;
+      const p = coordMap[lab];
+      points.push({ x: p.x, y: p.y });
+    });
+  }
+
+  return { points, coordMap };
+}
+
+// tkz 宏里用到的点名计入范围（\tkzDrawLine 与 \draw 写法一样不计延长部分）；\tkzDrawCircle 取圆心与过点算半径
+function collectTkzDrawPoints(s, coordMap, usedLabels, points) {
+  const args = s.match(/^\\tkz\w+(?:\[[^\]]*\])?\s*\(([^)]*)\)/);
+  if (!args) return;
+  const names = args[1].split(/[\s,]+/).filter((n) => /^[A-Za-z][A-Za-z0-9_]*$/.test(n));
+  names.forEach((n) => usedLabels.add(n));
+  const [p, q] = names.map((n) => coordMap[n]);
+  if (!p || !q || !s.startsWith('\\tkzDrawCircle')) return;
+  const r = Math.hypot(q.x - p.x, q.y - p.y);
+  points.push({ x: p.x + r, y: p.y }, { x: p.x - r, y: p.y }, { x: p.x, y: p.y + r }, { x: p.x, y: p.y - r });
+}
+
+function roundNice(v) {
+  return Math.ceil(v * 2) / 2;
+}
+
+function computeOptimizedAxisBounds(points, axisPad = 0.5) {
+  if (!points.length) {
+    return { xmin: -3, xmax: 3, ymin: -3, ymax: 3 };
+  }
+  const clean = points.filter((p) => Number.isFinite(p.x) && Number.isFinite(p.y));
+  if (!clean.length) return { xmin: -3, xmax: 3, ymin: -3, ymax: 3 };
+
+  let minX = Infinity;
+  let maxX = -Infinity;
+  let minY = Infinity;
+  let maxY = -Infinity;
+  clean.forEach((p) => {
+    minX = Math.min(minX, p.x);
+    maxX = Math.max(maxX, p.x);
+    minY = Math.min(minY, p.y);
+    maxY = Math.max(maxY, p.y);
+  });
+
+  const pad = Math.max(0.1, Math.min(5, Number(axisPad) || 0.5));
+  // 新规则：直接取边界并向外扩 pad
+  let xmin = minX - pad;
+  let xmax = maxX + pad;
+  let ymin = minY - pad;
+  let ymax = maxY + pad;
+
+  // 原点必须可见；若某侧不足，则以 pad 起/止
+  if (xmin > -pad) xmin = -pad;
+  if (xmax < pad) xmax = pad;
+  if (ymin > -pad) ymin = -pad;
+  if (ymax < pad) ymax = pad;
+
+  // 刻度友好：向外 round 到 0.5
+  const floorHalf = (v) => Math.floor(v * 2) / 2;
+  const ceilHalf = (v) => Math.ceil(v * 2) / 2;
+  xmin = floorHalf(xmin);
+  xmax = ceilHalf(xmax);
+  ymin = floorHalf(ymin);
+  ymax = ceilHalf(ymax);
+
+  // 兜底：避免宽高退化
+  if (!(xmax > xmin)) { xmin -= 0.5; xmax += 0.5; }
+  if (!(ymax > ymin)) { ymin -= 0.5; ymax += 0.5; }
+
+  return { xmin, xmax, ymin, ymax };
+}
+
+function scoreSymmetricBounds(bounds, mode = 'area') {
+  const w = Math.max(1e-6, Number(bounds.xmax) - Number(bounds.xmin));
+  const h = Math.max(1e-6, Number(bounds.ymax) - Number(bounds.ymin));
+  const area = w * h;
+  if (mode === 'max_area') return [-area, h, w];
+  if (mode === 'min_height') return [h, area, w];
+  if (mode === 'min_width') return [w, area, h];
+  return [area, h, w];
+}
+
+function selectSymmetricAxisBounds(baseBounds, mode = 'area') {
+  const b = {
+    xmin: Number(baseBounds?.xmin),
+    xmax: Number(baseBounds?.xmax),
+    ymin: Number(baseBounds?.ymin),
+    ymax: Number(baseBounds?.ymax)
+  };
+  if (![b.xmin, b.xmax, b.ymin, b.ymax].every(Number.isFinite)) return baseBounds;
+
+  const maxAbsX = Math.max(Math.abs(b.xmin), Math.abs(b.xmax));
+  const maxAbsY = Math.max(Math.abs(b.ymin), Math.abs(b.ymax));
+  const loYX = Math.min(b.xmin, b.ymin);
+  const hiYX = Math.max(b.xmax, b.ymax);
+
+  // 你要求的“整体面积最大优先”规则：
+  // x、y 分别取绝对值较大的那一侧，再用相反数覆盖另一侧（即同时关于 x/y 轴对称）
+  if (mode === 'max_area') {
+    return {
+      xmin: Math.floor((-maxAbsX) * 2) / 2,
+      xmax: Math.ceil(maxAbsX * 2) / 2,
+      ymin: Math.floor((-maxAbsY) * 2) / 2,
+      ymax: Math.ceil(maxAbsY * 2) / 2
+    };
+  }
+
+  const candidates = [
+    // 关于 x 轴对称
+    { xmin: b.xmin, xmax: b.xmax, ymin: -maxAbsY, ymax: maxAbsY },
+    // 关于 y 轴对称
+    { xmin: -maxAbsX, xmax: maxAbsX, ymin: b.ymin, ymax: b.ymax },
+    // 关于 y = x 对称（x/y 同范围）
+    { xmin: loYX, xmax: hiYX, ymin: loYX, ymax: hiYX },
+    // 关于 y = -x 对称
+    (() => {
+      const xMin = Math.min(b.xmin, -b.ymax);
+      const xMax = Math.max(b.xmax, -b.ymin);
+      return { xmin: xMin, xmax: xMax, ymin: -xMax, ymax: -xMin };
+    })()
+  ];
+
+  let best = candidates[0];
+  let bestScore = scoreSymmetricBounds(best, mode);
+  for (let i = 1; i < candidates.length; i++) {
+    const c = candidates[i];
+    const s = scoreSymmetricBounds(c, mode);
+    let better = false;
+    for (let j = 0; j < s.length; j++) {
+      if (s[j] < bestScore[j] - 1e-9) { better = true; break; }
+      if (s[j] > bestScore[j] + 1e-9) break;
+    }
+    if (better) {
+      best = c;
+      bestScore = s;
+    }
+  }
+
+  return {
+    xmin: Math.floor(best.xmin * 2) / 2,
+    xmax: Math.ceil(best.xmax * 2) / 2,
+    ymin: Math.floor(best.ymin * 2) / 2,
+    ymax: Math.ceil(best.ymax * 2) / 2
+  };
+}
+
+function getClipBounds(bounds, clipPad = 0) {
+  const pad = Math.max(-3, Math.min(3, Number(clipPad) || 0));
+  let xmin = Number((bounds.xmin - pad).toFixed(2));
+  let xmax = Number((bounds.xmax + pad).toFixed(2));
+  let ymin = Number((bounds.ymin - pad).toFixed(2));
+  let ymax = Number((bounds.ymax + pad).toFixed(2));
+
+  // 兜底：避免 clip 退化或反转
+  if (!(xmax > xmin)) {
+    const cx = (Number(bounds.xmin) + Number(bounds.xmax)) / 2;
+    xmin = Number((cx - 0.25).toFixed(2));
+    xmax = Number((cx + 0.25).toFixed(2));
+  }
+  if (!(ymax > ymin)) {
+    const cy = (Number(bounds.ymin) + Number(bounds.ymax)) / 2;
+    ymin = Number((cy - 0.25).toFixed(2));
+    ymax = Number((cy + 0.25).toFixed(2));
+  }
+  return { xmin, xmax, ymin, ymax };
+}
+
+function replaceAutoClipBounds(out, bounds, clipPad = 0) {
+  const { xmin, xmax, ymin, ymax } = getClipBounds(bounds, clipPad);
+
+  const re = /(%\s*按坐标轴边界裁剪[^\n]*\n)(\s*)\\clip\s*\([^)]*\)\s*rectangle\s*\([^)]*\)\s*;/g;
+  return String(out || '').replace(
+    re,
+    (_m, comment, indent) => `${comment}${indent}\\clip (${xmin},${ymin}) rectangle (${xmax},${ymax});`
+  );
+}
+
+function alignFunctionDomainsToClip(out, bounds, clipPad = 0) {
+  const { xmin, xmax } = getClipBounds(bounds, clipPad);
+  const lines = String(out || '').split('\n');
+  const domainRe = /domain\s*=\s*(-?\d+(?:\.\d+)?)\s*:\s*(-?\d+(?:\.\d+)?)/i;
+  const inFuncPlot = (ln) => /\\draw\[/.test(ln) && /plot\s*\(\\x,\{/.test(ln);
+  const hasPotentialDiscontinuity = (expr) => {
+    const s = String(expr || '').toLowerCase();
+    if (!s) return false;
+    if (/\b(tan|cot|sec|csc|ln|log|sqrt|asin|acos)\s*\(/i.test(s)) return true;
+    if (s.includes('/')) return true;
+    return false;
+  };
+  const toNum = (v) => Number(Number(v).toFixed(2));
+
+  const mapped = lines.map((ln) => {
+    if (!inFuncPlot(ln)) return ln;
+    const m = ln.match(domainRe);
+    if (!m) return ln;
+    const exprMatch = ln.match(/plot\s*\(\\x,\{([\s\S]*?)\}\)\s*;/i);
+    const expr = exprMatch ? exprMatch[1] : '';
+    const conservative = hasPotentialDiscontinuity(expr);
+    const a = Number(m[1]);
+    const b = Number(m[2]);
+    if (!Number.isFinite(a) || !Number.isFinite(b)) return ln;
+    const forward = a <= b;
+    const lo = Math.min(a, b);
+    const hi = Math.max(a, b);
+    const nLo = conservative ? Math.max(lo, xmin) : xmin;
+    const nHi = conservative ? Math.min(hi, xmax) : xmax;
+    if (!(nHi > nLo)) return '';
+    return ln.replace(
+      domainRe,
+      forward
+        ? `domain=${toNum(nLo)}:${toNum(nHi)}`
+        : `domain=${toNum(nHi)}:${toNum(nLo)}`
+    );
+  });
+
+  return mapped.filter((ln) => ln !== '').join('\n');
+}
+
+function replaceAxisAndOrigin(out, bounds, options = {}) {
+  const showAxis = options.showAxis !== false;
+  const axisThickness = ALLOWED_TIKZ_THICKNESS.has(String(options.axisThickness || '').trim())
+    ? String(options.axisThickness).trim()
+    : 'semithick';
+  const pointRadiusPtRaw = Number(options.pointRadiusPt);
+  const pointRadiusPt = Number.isFinite(pointRadiusPtRaw)
+    ? Math.max(0.05, Math.min(10, pointRadiusPtRaw))
+    : 0.5;
+  const srcLines = String(out || '').split('\n');
+  const beginRe = /^\s*\\begin\{tikzpicture\}/;
+  const endRe = /^\s*\\end\{tikzpicture\}/;
+  const isAxisComment = (ln) => /^\s*%\s*坐标轴\s*$/.test(ln);
+  const isXAxis = (ln) => /\\draw\[[^\]]*->/.test(ln) && /\{\$x\$\}\s*;/.test(ln);
+  const isYAxis = (ln) => /\\draw\[[^\]]*->/.test(ln) && /\{\$y\$\}\s*;/.test(ln);
+  const isOrigin = (ln) => /\\node\s+at\s*\([^)]*\)\s*\{\$O\$\}\s*;/.test(ln);
+  const isAutoOriginPoint = (ln) => /%\s*axis-origin\s*$/.test(ln);
+  const isPointsComment = (ln) => /^\s*%\s*点\s*$/.test(ln);
+  const isPointLabelO = (ln) => /^(\s*\\fill\[[^\]]*\]\s*\([^)]+\)\s*circle\[radius=[^\]]+\]\s*)node\[[^\]]*\]\s*\{\$O\$\}\s*;/.test(ln)
+    || /^\s*\\tkzLabelPoint(?:\[[^\]]*\])?\([^)]+\)\s*\{\$O\$\}/.test(ln);
+  const xLine = `    \\draw[->, ${axisThickness}] (${bounds.xmin},0) -- (${bounds.xmax},0) node[right] {$x$};`;
+  const yLine = `    \\draw[->, ${axisThickness}] (0,${bounds.ymin}) -- (0,${bounds.ymax}) node[above] {$y$};`;
+  const originPointLine = `\\fill[black] (0.00,0.00) circle[radius=${Number(pointRadiusPt.toFixed(3))}pt] node[above right, xshift=0pt, yshift=0pt] {$O$}; % axis-origin`;
+
+  const lines = [];
+  let beginIdx = -1;
+  let hasManualOriginPoint = false;
+  srcLines.forEach((ln) => {
+    if (isAxisComment(ln) || isXAxis(ln) || isYAxis(ln) || isOrigin(ln) || isAutoOriginPoint(ln)) return;
+    if (isPointLabelO(ln)) hasManualOriginPoint = true;
+    lines.push(ln);
+  });
+  lines.forEach((ln, idx) => {
+    if (beginRe.test(ln) && beginIdx < 0) beginIdx = idx;
+  });
+  if (!showAxis) return lines.join('\n');
+  const insertAt = beginIdx >= 0 ? beginIdx + 1 : 0;
+  const add = ['    % 坐标轴', xLine, yLine];
+  lines.splice(insertAt, 0, ...add);
+
+  if (!hasManualOriginPoint) {
+    let pIdx = -1;
+    let endIdx = -1;
+    lines.forEach((ln, idx) => {
+      if (isPointsComment(ln) && pIdx < 0) pIdx = idx;
+      if (endRe.test(ln) && endIdx < 0) endIdx = idx;
+    });
+    if (pIdx >= 0) {
+      lines.splice(pIdx + 1, 0, originPointLine);
+    } else if (endIdx >= 0) {
+      lines.splice(endIdx, 0, '% 点', originPointLine);
+    } else {
+      lines.push('% 点', originPointLine);
+    }
+  }
+
+  return lines.join('\n');
+}
+
+function replacePgfplotsAxisBounds(out, bounds, scale) {
+  return String(out || '').replace(/\\begin\{axis\}\[([^\n]*)\]/, (_m, opts) => {
+    const next = opts
+      .replace(/\b(xmin|xmax|ymin|ymax)\s*=\s*[^,\]]+/g, (_k, key) => `${key}=${bounds[key]}`)
+      .replace(/\b([xy])\s*=\s*-?\d+(?:\.\d+)?cm/g, (_k, key) => `${key}=${scale}cm`);
+    return `\\begin{axis}[${next}]`;
+  });
+}
+
+// 按目标宽高与优先方向求缩放，限定在 0.5～1.6
+function computeFitScale(bounds, prefs = {}) {
+  const bboxW = Math.max(0.5, bounds.xmax - bounds.xmin);
+  const bboxH = Math.max(0.5, bounds.ymax - bounds.ymin);
+  const targetW = Math.max(4, Math.min(20, Number(prefs.targetWidthCm ?? 9)));
+  const targetH = Math.max(4, Math.min(20, Number(prefs.targetHeightCm ?? 9)));
+  const priority = ['fit', 'width', 'height'].includes(String(prefs.scalePriority || '').toLowerCase())
+    ? String(prefs.scalePriority).toLowerCase()
+    : 'fit';
+  let scale = Math.min(targetW / bboxW, targetH / bboxH);
+  if (priority === 'width') scale = targetW / bboxW;
+  if (priority === 'height') scale = targetH / bboxH;
+  return Math.max(0.5, Math.min(1.6, Number(scale.toFixed(2))));
+}
+
+function estimateLabelTextWidthCm(text, fontPt = 12) {
+  const t = String(text || '').replace(/\\[A-Za-z]+/g, 'x');
+  const n = Math.max(1, t.length);
+  return Math.max(0.22, (fontPt / 12) * (0.09 * n + 0.12));
+}
+
+export function normalizeLabelOverride(item, maxShiftPt = 12) {
+  if (!item || typeof item !== 'object') return null;
+  const position = LABEL_POSITION_OPTIONS.includes(String(item.position || '').trim())
+    ? String(item.position || '').trim()
+    : 'above right';
+  const xshift = Number(item.xshift);
+  const yshift = Number(item.yshift);
+  const clamp = Number.isFinite(Number(maxShiftPt))
+    ? Math.max(2, Math.min(50, Number(maxShiftPt)))
+    : 12;
+  return {
+    position,
+    xshift: Number.isFinite(xshift) ? Math.max(-clamp, Math.min(clamp, xshift)) : 0,
+    yshift: Number.isFinite(yshift) ? Math.max(-clamp, Math.min(clamp, yshift)) : 0
+  };
+}
+
+function intersectsBox(a, b) {
+  return !(a.x2 < b.x1 || a.x1 > b.x2 || a.y2 < b.y1 || a.y1 > b.y2);
+}
+
+function optimizePointLabels(out, coordMap, allPoints, options = {}) {
+  const labelOffsetPt = Math.max(0, Math.min(8, Number(options.labelOffsetPt ?? 1)));
+  const labelFontPt = Math.max(8, Math.min(20, Number(options.labelFontPt ?? 12)));
+  const labelMaxShiftPt = Number.isFinite(Number(options.labelMaxShiftPt))
+    ? Math.max(2, Math.min(50, Number(options.labelMaxShiftPt)))
+    : 12;
+  const labelOverrides = (options.labelOverrides && typeof options.labelOverrides === 'object')
+    ? options.labelOverrides
+    : {};
+  const offsetCm = labelOffsetPt * 0.0353;
+  const lines = String(out || '').split('\n');
+  const assigned = [];
+
+  const centroid = allPoints.length
+    ? {
+        x: allPoints.reduce((s, p) => s + p.x, 0) / allPoints.length,
+        y: allPoints.reduce((s, p) => s + p.y, 0) / allPoints.length
+      }
+    : { x: 0, y: 0 };
+
+  const candidates = [
+    { key: 'above right', dx: 1, dy: 1 },
+    { key: 'above left', dx: -1, dy: 1 },
+    { key: 'below right', dx: 1, dy: -1 },
+    { key: 'below left', dx: -1, dy: -1 },
+    { key: 'above', dx: 0, dy: 1 },
+    { key: 'below', dx: 0, dy: -1 },
+    { key: 'right', dx: 1, dy: 0 },
+    { key: 'left', dx: -1, dy: 0 }
+  ];
+
+  const refToCoord = (ref) => {
+    const name = String(ref || '').trim();
+    const mNum = name.match(/^\(\s*(-?\d+(?:\.\d+)?)\s*,\s*(-?\d+(?:\.\d+)?)\s*\)$/);
+    if (mNum) return { x: Number(mNum[1]), y: Number(mNum[2]) };
+    const mLab = name.match(/^\(\s*([A-Za-z][A-Za-z0-9_]*)\s*\)$/);
+    if (mLab && coordMap[mLab[1]]) return coordMap[mLab[1]];
+    return null;
+  };
+
+  const pointLineRe = /^(\s*\\fill\[[^\]]*\]\s*)(\([^)]+\))(\s*circle\[radius=[^\]]+\]\s*)node\[[^\]]*\]\s*\{\$([^$]*)\$\}(;.*)$/;
+  const tkzLabelRe = /^(\s*)\\tkzLabelPoint\[[^\]]*\](\([^)]+\))\s*\{\$([^$]*)\$\}(.*)$/;
+  // 两种写法统一成 ref/label 与按新选项重写该行的函数
+  const matchPointLine = (line) => {
+    const m = line.match(pointLineRe);
+    if (m) return { ref: m[2], label: m[4], rewrite: (opts) => `${m[1]}${m[2]}${m[3]}node[${opts}] {$${m[4]}$}${m[5]}` };
+    const t = line.match(tkzLabelRe);
+    if (t) return { ref: t[2], label: t[3], rewrite: (opts) => `${t[1]}\\tkzLabelPoint[${opts}]${t[2]}{$${t[3]}$}${t[4]}` };
+    return null;
+  };
+  for (let i = 0; i < lines.length; i++) {
+    const m = matchPointLine(lines[i]);
+    if (!m) continue;
+    const { ref, label } = m;
+    const p = refToCoord(ref);
+    if (!p) continue;
+    const forced = normalizeLabelOverride(labelOverrides[label], labelMaxShiftPt);
+    if (forced) {
+      const fontOpt = `font=\\fontsize{${labelFontPt}pt}{${Math.round(labelFontPt + 1)}pt}\\selectfont`;
+      const nodeOpts = `${forced.position}, xshift=${Number(forced.xshift.toFixed(2))}pt, yshift=${Number(forced.yshift.toFixed(2))}pt, ${fontOpt}`;
+      lines[i] = m.rewrite(nodeOpts);
+      continue;
+    }
+
+    const w = estimateLabelTextWidthCm(label, labelFontPt);
+    const h = Math.max(0.16, 0.14 * (labelFontPt / 12));
+    let best = null;
+    let bestScore = Infinity;
+
+    candidates.forEach((c) => {
+      const cx = p.x + c.dx * (offsetCm + w * 0.35);
+      const cy = p.y + c.dy * (offsetCm + h * 0.55);
+      const box = { x1: cx - w / 2, x2: cx + w / 2, y1: cy - h / 2, y2: cy + h / 2 };
+      let score = 0;
+      assigned.forEach((b) => {
+        if (intersectsBox(box, b)) score += 800;
+      });
+      allPoints.forEach((pp) => {
+        if (pp === p) return;
+        const dx = Math.max(0, box.x1 - pp.x, pp.x - box.x2);
+        const dy = Math.max(0, box.y1 - pp.y, pp.y - box.y2);
+        const d = Math.hypot(dx, dy);
+        if (d < 0.18) score += (0.18 - d) * 350;
+      });
+      const outDx = p.x - centroid.x;
+      const outDy = p.y - centroid.y;
+      if (outDx * c.dx + outDy * c.dy < 0) score += 12;
+      if (score < bestScore) {
+        bestScore = score;
+        best = { c, box };
+      }
+    });
+    if (!best) continue;
+    assigned.push(best.box);
+
+    const sx = best.c.dx === 0 ? 0 : (best.c.dx * labelOffsetPt);
+    const sy = best.c.dy === 0 ? 0 : (best.c.dy * labelOffsetPt);
+    const fontOpt = `font=\\fontsize{${labelFontPt}pt}{${Math.round(labelFontPt + 1)}pt}\\selectfont`;
+    const nodeOpts = `${best.c.key}, xshift=${sx}pt, yshift=${sy}pt, ${fontOpt}`;
+    lines[i] = m.rewrite(nodeOpts);
+  }
+
+  return lines.join('\n');
+}
+
+// 多段 TikZ（动画各帧）共用的坐标轴范围，逐帧传入 fixedAxisBounds 保证坐标系不跳动
+export function unionAxisBounds(codes, axisPad = 0.5) {
+  const points = [];
+  (codes || []).forEach((code) => points.push(...collectNumericPointsFromTikz(code).points));
+  return computeOptimizedAxisBounds(points, Math.max(0.1, Math.min(5, Number(axisPad))));
+}
+
+export function optimizeTikzCodeRules(rawCode, prefs = {}) {
+  const code = String(rawCode || '');
+  if (!code.trim()) return code;
+  const { points, coordMap } = collectNumericPointsFromTikz(code);
+  const axisPad = Math.max(0.1, Math.min(5, Number(prefs.axisPad ?? 0.5)));
+  const clipPad = Math.max(-3, Math.min(3, Number(prefs.clipPad ?? 0)));
+  const symmetryEnabled = !!prefs.axisSymmetryEnabled;
+  const symmetryMode = ['area', 'max_area', 'min_height', 'min_width'].includes(String(prefs.axisSymmetryMode || '').toLowerCase())
+    ? String(prefs.axisSymmetryMode).toLowerCase()
+    : 'area';
+  let b = prefs.fixedAxisBounds ? { ...prefs.fixedAxisBounds } : computeOptimizedAxisBounds(points, axisPad);
+  if (symmetryEnabled) {
+    b = selectSymmetricAxisBounds(b, symmetryMode);
+  }
+  const scale = computeFitScale(b, prefs);
+  const labelOptions = {
+    labelOffsetPt: prefs.labelOffsetPt ?? 1,
+    labelFontPt: prefs.labelFontPt ?? 12,
+    labelMaxShiftPt: prefs.labelMaxShiftPt ?? 12,
+    labelOverrides: prefs.labelOverrides || {}
+  };
+
+  // pgfplots：范围与单位写进 axis 选项，坐标轴与裁剪由 axis 环境负责
+  if (/\\begin\{axis\}\[/.test(code)) {
+    const out = replacePgfplotsAxisBounds(code, b, scale);
+    return optimizePointLabels(out, coordMap, points, labelOptions);
+  }
+
+  let out = code;
+  out = out.replace(/\\begin\{tikzpicture\}\[([^\]]*)\]/, (m, opts) => {
+    const cleaned = String(opts || '')
+      .replace(/(^|,)\s*scale\s*=\s*[^,\]]+/i, '')
+      .replace(/^,\s*|\s*,\s*$/g, '')
+      .trim();
+    return `\\begin{tikzpicture}[scale=${scale}${cleaned ? `, ${cleaned}` : ''}]`;
+  });
+
+  out = replaceAxisAndOrigin(out, b, {
+    showAxis: prefs.showAxis !== false,
+    axisThickness: prefs.axisThickness || 'semithick',
+    pointRadiusPt: Number.isFinite(Number(prefs.pointRadiusPt)) ? Number(prefs.pointRadiusPt) : undefined
+  });
+  out = replaceAutoClipBounds(out, b, clipPad);
+  out = alignFunctionDomainsToClip(out, b, clipPad);
+  out = optimizePointLabels(out, coordMap, points, labelOptions);
+  return out;
+}
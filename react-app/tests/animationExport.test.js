@@ -0,0 +1,112 @@
+// 动画导出：取值扫描、驱动画板后恢复原状态、APNG 分块拼装
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  assembleApng,
+  buildAnimateInline,
+  captureAnimationFrames,
+  listAnimationTargets,
+  sweepValues
+} from '../src/lib/animationExport.js';
+
+function fakeApplet() {
+  const calls = [];
+  const values = { a: 0.5 };
+  const coords = { P: [1, 0] };
+  return {
+    calls,
+    getValue: (name) => values[name],
+    setValue: (name, v) => {
+      calls.push(`setValue:${name}=${v}`);
+      values[name] = v;
+    },
+    evalCommand: (cmd) => {
+      calls.push(`eval:${cmd}`);
+      const t = Number(cmd.match(/,\s*([-\d.]+)\)$/)[1]);
+      coords.ggbAnimPos_P = [Math.cos(2 * Math.PI * t), Math.sin(2 * Math.PI * t)];
+      return true;
+    },
+    getXcoord: (name) => coords[name][0],
+    getYcoord: (name) => coords[name][1],
+    setCoords: (name, x, y) => {
+      calls.push(`setCoords:${name}`);
+      coords[name] = [x, y];
+    },
+    deleteObject: (name) => {
+      calls.push(`delete:${name}`);
+      delete coords[name];
+    },
+    coords
+  };
+}
+
+// 最小 PNG：只含分块结构，像素数据不需要可解码
+function tinyPng(width, idatBytes) {
+  const chunk = (type, data) => {
+    const out = new Uint8Array(12 + data.length);
+    new DataView(out.buffer).setUint32(0, data.length);
+    out.set([...type].map((ch) => ch.charCodeAt(0)), 4);
+    out.set(data, 8);
+    return out;
+  };
+  const ihdr = new Uint8Array(13);
+  new DataView(ihdr.buffer).setUint32(0, width);
+  new DataView(ihdr.buffer).setUint32(4, 1);
+  ihdr.set([8, 6, 0, 0, 0], 8);
+  const parts = [
+    new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk('IHDR', ihdr),
+    chunk('IDAT', new Uint8Array(idatBytes)),
+    chunk('IEND', new Uint8Array(0))
+  ];
+  return Uint8Array.from(parts.flatMap((p) => [...p]));
+}
+
+function chunkTypes(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const types = [];
+  for (let pos = 8; pos < bytes.length; pos += 12 + view.getUint32(pos)) {
+    types.push(String.fromCharCode(...bytes.subarray(pos + 4, pos + 8)));
+  }
+  return types;
+}
+
+test('滑动条与 Point(路径) 可作为动画目标，闭合路径不重复终点', () => {
+  const targets = listAnimationTargets({
+    numbers: [{ label: 'a', isSlider: true, min: -1, max: 1 }, { label: 'b', isSlider: false, value: 2 }],
+    points: [{ label: 'P', commandName: 'Point', sourceInputs: ['c'] }, { label: 'A', commandName: null, sourceInputs: [] }]
+  });
+  assert.deepEqual(targets.map((t) => `${t.kind}:${t.label}`), ['slider:a', 'path_point:P']);
+  assert.deepEqual(sweepValues(-1, 1, 5), [-1, -0.5, 0, 0.5, 1]);
+  assert.deepEqual(sweepValues(0, 1, 4, true), [0, 0.25, 0.5, 0.75]);
+});
+
+test('逐帧驱动后恢复原值，临时点用后即删', () => {
+  const api = fakeApplet();
+  const slider = captureAnimationFrames(api, { kind: 'slider', label: 'a' }, [0, 1], (v) => `f${v}`);
+  assert.deepEqual(slider, ['f0', 'f1']);
+  assert.equal(api.getValue('a'), 0.5);
+
+  const seen = [];
+  captureAnimationFrames(api, { kind: 'path_point', label: 'P', path: 'c' }, [0.25, 0.5], () => {
+    assert.ok(!('ggbAnimPos_P' in api.coords));
+    seen.push(api.coords.P.map((v) => Math.round(v)));
+  });
+  assert.deepEqual(seen, [[0, 1], [-1, 0]]);
+  assert.deepEqual(api.coords.P, [1, 0]);
+  assert.equal(api.calls.filter((c) => c === 'delete:ggbAnimPos_P').length, 2);
+});
+
+test('animateinline 以 \\newframe 分隔各帧', () => {
+  const code = buildAnimateInline(['\\begin{tikzpicture}A\\end{tikzpicture}\n', '\\begin{tikzpicture}B\\end{tikzpicture}'], { fps: 8 });
+  assert.match(code, /\\begin\{animateinline\}\[autoplay,loop,controls\]\{8\}\n\\begin\{tikzpicture\}A\\end\{tikzpicture\}\n\\newframe\n\\begin\{tikzpicture\}B/);
+});
+
+test('APNG：首帧保留 IDAT，其余帧改写为 fdAT，尺寸不一致时报错', () => {
+  const apng = assembleApng([tinyPng(2, [1, 2, 3]), tinyPng(2, [4, 5])], 125);
+  assert.deepEqual(chunkTypes(apng), ['IHDR', 'acTL', 'fcTL', 'IDAT', 'fcTL', 'fdAT', 'IEND']);
+  const view = new DataView(apng.buffer);
+  const actlPos = 8 + 12 + 13;
+  assert.equal(view.getUint32(actlPos + 8), 2);
+  assert.throws(() => assembleApng([tinyPng(2, [1]), tinyPng(3, [1])]), /尺寸或格式不一致/);
+});
@@ -0,0 +1,85 @@
+// 自动修复：逐行执行收集报错、诊断拆分、修复请求组装与 LCS 逐行差异
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  buildRepairMessage,
+  countRepairIssues,
+  diffLines,
+  evalCommandsWithErrors,
+  splitScriptDiagnostics
+} from '../src/lib/autoFix.js';
+
+// 按脚本模拟 evalCommand：返回 false、抛异常或通过 client listener 发 error 事件；记录监听器注册与错误弹窗开关
+function fakeApplet(behaviour, { arrayEvents = false } = {}) {
+  const listeners = new Set();
+  const log = [];
+  return {
+    log,
+    listeners,
+    registerClientListener: (fn) => listeners.add(fn),
+    unregisterClientListener: (fn) => listeners.delete(fn),
+    setErrorDialogsActive: (on) => log.push(`dialogs:${on}`),
+    evalCommand(line) {
+      const action = behaviour[line];
+      if (action === 'false') return false;
+      if (action === 'throw') throw new Error(`无法执行 ${line}`);
+      if (action === 'event') {
+        const message = `未定义的变量 ${line}`;
+        listeners.forEach((fn) => fn(arrayEvents ? ['error', '', message] : { type: 'error', error: message }));
+      }
+      return true;
+    }
+  };
+}
+
+test('三种失败方式都按行收集，结束后注销监听并恢复错误弹窗', () => {
+  const api = fakeApplet({ 'B = Foo(1)': 'false', 'c = Circle(A)': 'throw', 'd = k + 1': 'event' });
+  const result = evalCommandsWithErrors(api, ['A = (0, 0)', 'B = Foo(1)', 'c = Circle(A)', 'd = k + 1', 'E = (1, 1)']);
+  assert.equal(result.ok, 2);
+  assert.equal(result.fail, 3);
+  assert.deepEqual(result.failures, [
+    { lineNo: 2, line: 'B = Foo(1)', error: 'evalCommand 返回 false' },
+    { lineNo: 3, line: 'c = Circle(A)', error: '无法执行 c = Circle(A)' },
+    { lineNo: 4, line: 'd = k + 1', error: '未定义的变量 d = k + 1' }
+  ]);
+  assert.equal(api.listeners.size, 0);
+  assert.deepEqual(api.log, ['dialogs:false', 'dialogs:true']);
+
+  // 旧版 API 的事件是数组 [type, target, message]
+  const legacy = fakeApplet({ 'd = k + 1': 'event' }, { arrayEvents: true });
+  assert.equal(evalCommandsWithErrors(legacy, ['d = k + 1']).failures[0].error, '未定义的变量 d = k + 1');
+});
+
+test('未定义引用按行合并，修复请求列出全部问题与上一轮命令', () => {
+  const issues = splitScriptDiagnostics([
+    { lineNo: 2, line: 'c = Circle(O, r)', code: 'undefined', name: 'O', column: 12, message: '未定义的对象 O' },
+    { lineNo: 2, line: 'c = Circle(O, r)', code: 'undefined', name: 'r', column: 15, message: '未定义的对象 r' },
+    { lineNo: 3, line: 'P = Point(1)', code: 'kind', name: 'Point', column: 11, message: 'Point 第 1 个参数是数值' }
+  ]);
+  assert.deepEqual(issues.undefinedRefs.map((x) => [x.lineNo, x.names]), [[2, ['O', 'r']]]);
+  assert.equal(issues.signatureErrors.length, 1);
+
+  const failures = [{ lineNo: 1, line: 'A = Foo()', error: 'evalCommand 返回 false' }];
+  const invalid = [{ lineNo: 1, line: 'A = Foo()', name: 'Foo' }];
+  assert.equal(countRepairIssues({ failures, invalid, ...issues }), 4);
+  const message = buildRepairMessage({ round: 1, maxRounds: 2, lines: ['A = Foo()', 'c = Circle(O, r)'], failures, invalid, ...issues });
+  assert.match(message, /^【自动修复 第 1\/2 轮】/);
+  assert.match(message, /- 第1行 `A = Foo\(\)`：Foo（命令不在白名单中）/);
+  assert.match(message, /- 第2行 `c = Circle\(O, r\)`：O, r/);
+  assert.match(message, /- 第3行第11列 `P = Point\(1\)`：Point 第 1 个参数是数值/);
+  assert.match(message, /上一轮命令：\nA = Foo\(\)\nc = Circle\(O, r\)/);
+  assert.match(message, /完整命令脚本/);
+  assert.match(buildRepairMessage({ round: 2, maxRounds: 2, lines: [], plan: true, failures }), /完整 JSON 作图计划/);
+});
+
+test('LCS 逐行差异：保留公共行，修改拆为删除与新增', () => {
+  assert.deepEqual(diffLines(['A = (0, 0)', 'B = (1, 0)', 'c = Circle(A)'], ['A = (0, 0)', 'c = Circle(A, B)', 'B = (1, 0)']), [
+    { type: 'same', text: 'A = (0, 0)' },
+    { type: 'add', text: 'c = Circle(A, B)' },
+    { type: 'same', text: 'B = (1, 0)' },
+    { type: 'del', text: 'c = Circle(A)' }
+  ]);
+  assert.deepEqual(diffLines([], ['x']), [{ type: 'add', text: 'x' }]);
+  assert.deepEqual(diffLines(['x'], undefined), [{ type: 'del', text: 'x' }]);
+  assert.deepEqual(diffLines(['a', 'b'], ['a', 'b']).map((d) => d.type), ['same', 'same']);
+});
@@ -0,0 +1,130 @@
+// 批次历史：入栈与上限、撤销/重做，以及借助只有 getXML/setXML 的假画板恢复与回滚
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  constructionOf,
+  EMPTY_BATCH_HISTORY,
+  MAX_BATCH_HISTORY,
+  pushBatch,
+  redoBatch,
+  redoNextBatch,
+  restoreBatchXml,
+  undoBatch,
+  undoLastBatch
+} from '../src/lib/batchHistory.js';
+
+const boardXml = (objects, view = '<view zoom="1"/>') =>
+  `<geogebra>${view}<construction>${objects}</construction></geogebra>`;
+
+function fakeApplet(xml) {
+  const api = {
+    xml,
+    setCalls: 0,
+    getXML: () => api.xml,
+    setXML: (next) => {
+      api.setCalls++;
+      api.xml = next;
+    }
+  };
+  return api;
+}
+
+// 模拟 CommandPanel 的一次执行：记录执行前快照，改动画板，再记录执行后快照
+function runBatch(api, history, label, objects) {
+  const before = api.getXML();
+  api.xml = boardXml(objects);
+  return pushBatch(history, { label, before, after: api.getXML() });
+}
+
+test('pushBatch 清空重做栈并只保留最近的批次', () => {
+  let history = EMPTY_BATCH_HISTORY;
+  for (let i = 0; i < MAX_BATCH_HISTORY + 5; i++) {
+    history = pushBatch(history, { label: `b${i}` });
+  }
+  assert.equal(history.past.length, MAX_BATCH_HISTORY);
+  assert.equal(history.past[0].label, 'b5');
+  assert.equal(history.past.at(-1).label, `b${MAX_BATCH_HISTORY + 4}`);
+
+  const undone = undoBatch(history);
+  assert.equal(undone.future.length, 1);
+  assert.deepEqual(pushBatch(undone, { label: 'new' }).future, []);
+});
+
+test('undoBatch/redoBatch 在两个栈之间移动批次，空栈时原样返回', () => {
+  const history = pushBatch(pushBatch(EMPTY_BATCH_HISTORY, { label: 'a' }), { label: 'b' });
+  const undone = undoBatch(history);
+  assert.deepEqual(undone.past.map((e) => e.label), ['a']);
+  assert.deepEqual(undone.future.map((e) => e.label), ['b']);
+  const twice = undoBatch(undone);
+  assert.deepEqual(twice.future.map((e) => e.label), ['a', 'b']);
+  assert.equal(undoBatch(twice), twice);
+
+  const redone = redoBatch(twice);
+  assert.deepEqual(redone.past.map((e) => e.label), ['a']);
+  assert.deepEqual(redone.future.map((e) => e.label), ['b']);
+  assert.equal(redoBatch(EMPTY_BATCH_HISTORY), EMPTY_BATCH_HISTORY);
+});
+
+test('constructionOf 忽略视图变化', () => {
+  assert.equal(
+    constructionOf(boardXml('<element label="A"/>', '<view zoom="1"/>')),
+    constructionOf(boardXml('<element label="A"/>', '<view zoom="3"/>'))
+  );
+  assert.notEqual(constructionOf(boardXml('<element label="A"/>')), constructionOf(boardXml('')));
+  assert.equal(constructionOf('no construction'), 'no construction');
+  assert.equal(constructionOf(null), '');
+});
+
+test('撤销与重做恢复执行前后的画板', () => {
+  const api = fakeApplet(boardXml(''));
+  let history = runBatch(api, EMPTY_BATCH_HISTORY, '第一批', '<element label="A"/>');
+  history = runBatch(api, history, '第二批', '<element label="A"/><element label="B"/>');
+
+  const undone = undoLastBatch(api, history);
+  assert.equal(undone.entry.label, '第二批');
+  assert.equal(api.xml, boardXml('<element label="A"/>'));
+  history = undone.history;
+
+  history = undoLastBatch(api, history).history;
+  assert.equal(api.xml, boardXml(''));
+  assert.equal(undoLastBatch(api, history), null);
+
+  const redone = redoNextBatch(api, history);
+  assert.equal(redone.entry.label, '第一批');
+  assert.equal(api.xml, boardXml('<element label="A"/>'));
+  history = redoNextBatch(api, redone.history).history;
+  assert.equal(api.xml, boardXml('<element label="A"/><element label="B"/>'));
+  assert.equal(redoNextBatch(api, history), null);
+  assert.equal(api.setCalls, 4);
+});
+
+test('批次之后画板又被改动时先确认再覆盖，仅平移视图不需要确认', () => {
+  const api = fakeApplet(boardXml(''));
+  const history = runBatch(api, EMPTY_BATCH_HISTORY, '第一批', '<element label="A"/>');
+
+  api.xml = boardXml('<element label="A"/>', '<view zoom="2"/>');
+  let asked = 0;
+  const confirm = () => {
+    asked++;
+    return false;
+  };
+  assert.ok(undoLastBatch(api, history, confirm));
+  assert.equal(asked, 0);
+
+  api.xml = boardXml('<element label="A"/><element label="C"/>');
+  assert.equal(undoLastBatch(api, history, confirm), null);
+  assert.equal(asked, 1);
+  assert.equal(api.xml, boardXml('<element label="A"/><element label="C"/>'));
+
+  assert.ok(undoLastBatch(api, history, () => true));
+  assert.equal(api.xml, boardXml(''));
+});
+
+test('回滚失败批次直接恢复执行前快照', () => {
+  const before = boardXml('<element label="A"/>');
+  const api = fakeApplet(boardXml('<element label="A"/><element label="half"/>'));
+  assert.equal(restoreBatchXml(api, before), true);
+  assert.equal(api.xml, before);
+  assert.throws(() => restoreBatchXml(null, before), /画板未就绪/);
+  assert.throws(() => restoreBatchXml({ getXML: () => '' }, before), /画板未就绪/);
+});
@@ -0,0 +1,48 @@
+// 画板上下文：对象清单、最近指令与长度上限
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildBoardContext, EMPTY_BOARD_TEXT } from '../src/lib/boardContext.js';
+
+function fakeApplet(objects) {
+  const byName = Object.fromEntries(objects.map((o) => [o.label, o]));
+  return {
+    getAllObjectNames: () => objects.map((o) => o.label),
+    getObjectType: (name) => byName[name].type,
+    getCommandString: (name) => byName[name].command || '',
+    getValueString: (name) => byName[name].value || '',
+    getXcoord: (name) => byName[name].xy?.[0] ?? 0,
+    getYcoord: (name) => byName[name].xy?.[1] ?? 0,
+    getVisible: (name) => !byName[name].hidden
+  };
+}
+
+test('自由点给坐标，依赖对象给定义命令，隐藏对象加注', () => {
+  const api = fakeApplet([
+    { label: 'A', type: 'point', xy: [0, 0] },
+    { label: 'B', type: 'point', xy: [4, 1 / 3] },
+    { label: 'r', type: 'numeric', value: 'r = 2' },
+    { label: 'c', type: 'circle', command: 'Circle(A, r)' },
+    { label: 'M', type: 'point', command: 'Midpoint(A, B)', xy: [2, 0.5], hidden: true }
+  ]);
+  const ctx = buildBoardContext(api);
+  assert.equal(ctx.objectCount, 5);
+  assert.equal(ctx.objects, [
+    'A (point，自由): A = (0, 0)',
+    'B (point，自由): B = (4, 0.3333)',
+    'r (numeric，自由): r = 2',
+    'c (circle): c = Circle(A, r)',
+    'M (point): M = Midpoint(A, B)  -- 隐藏'
+  ].join('\n'));
+  assert.equal(buildBoardContext(api, { maxHistory: 2 }).history, 'c = Circle(A, r)\nM = Midpoint(A, B)');
+});
+
+test('超出数量或字符上限时保留最新对象并说明省略数', () => {
+  const objects = Array.from({ length: 30 }, (_, i) => ({ label: `P_{${i}}`, type: 'point', xy: [i, i] }));
+  const ctx = buildBoardContext(fakeApplet(objects), { maxObjects: 10, maxChars: 120 });
+  const lines = ctx.objects.split('\n');
+  assert.match(lines[0], /另有 2\d 个较早的对象未列出/);
+  assert.match(lines[lines.length - 1], /^P_\{29\}/);
+  assert.ok(ctx.objects.length < 200);
+  assert.deepEqual(buildBoardContext(fakeApplet([])), { objects: EMPTY_BOARD_TEXT, history: EMPTY_BOARD_TEXT, objectCount: 0 });
+  assert.equal(buildBoardContext(null).objects, EMPTY_BOARD_TEXT);
+});
@@ -0,0 +1,99 @@
+// 从画板 XML 还原命令脚本：自由对象、带标签的（多输出）命令、滑动条与样式
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync } from 'node:fs';
+import { constructionToScript, formatBoardScript } from '../src/lib/boardScript.js';
+import { checkCommandScript, scriptBlockLabels } from '../src/lib/ggbSignatures.js';
+import { installDomParser } from '../bin/nodeDomParser.js';
+
+installDomParser();
+
+const GOLDEN_DIR = new URL('./golden/', import.meta.url);
+
+function goldenInput(name) {
+  return readFileSync(new URL(`${name}/input.xml`, GOLDEN_DIR), 'utf8');
+}
+
+test('滑动条、依赖表达式与自由点按构造顺序还原', () => {
+  const script = constructionToScript(goldenInput('slider_parameters'));
+  assert.deepEqual(script.lines, [
+    'a = Slider(-3, 3, 0.1)',
+    'SetValue(a, 1.5)',
+    'b = 2a - 1',
+    'A = (a, b)',
+    'B = (-2, -1)',
+    's = Segment(A, B)',
+    'f(x) = a x² - b'
+  ]);
+  assert.ok(script.styleLines.includes('ShowLabel(s, false)'));
+  assert.ok(!script.styleLines.some((line) => /\((a|b),/.test(line)));
+});
+
+test('多输出命令一次命名全部输出，跳过未命名输出时按序号取交点，路径上的点还原位置', () => {
+  const xml = `<geogebra><construction>
+<element type="point" label="O"><coords x="0" y="0" z="1"/></element>
+<element type="point" label="p"><coords x="2" y="4" z="2"/><show object="false" label="true"/></element>
+<command name="Circle"><input a0="O" a1="2"/><output a0="c"/></command>
+<element type="conic" label="c"><objColor r="255" g="0" b="0" alpha="0.25"/><lineStyle thickness="3" type="15"/></element>
+<expression label="l" exp="y = x &gt; 0"/>
+<expression label="g" exp="y = x"/>
+<element type="line" label="g"/>
+<command name="Intersect"><input a0="c" a1="g"/><output a0="P" a1="Q"/></command>
+<command name="Intersect"><input a0="c" a1="xAxis"/><output a0="" a1="R"/></command>
+<command name="Point"><input a0="c"/><output a0="M"/></command>
+<element type="point" label="M"><coords x="0" y="-2" z="1"/></element>
+<element type="text" label="t"/>
+</construction></geogebra>`;
+  const script = constructionToScript(xml);
+  assert.deepEqual(script.lines, [
+    'O = (0, 0)',
+    'p = Point({1, 2})',
+    'c = Circle(O, 2)',
+    'l: y = x > 0',
+    'g: y = x',
+    '{P, Q} = Intersect(c, g)',
+    'R = Intersect(c, xAxis, 2)',
+    'M = Point(c)',
+    'SetCoords(M, 0, -2)',
+    '-- t（text）的定义未能还原'
+  ]);
+  assert.deepEqual(script.skipped, ['t']);
+  assert.deepEqual(script.styleLines, [
+    'SetVisibleInView(p, 1, false)',
+    'ShowLabel(p, true)',
+    'SetColor(c, "#FF0000")',
+    'SetFilling(c, 0.25)',
+    'SetLineThickness(c, 3)',
+    'SetLineStyle(c, 1)'
+  ]);
+  assert.deepEqual(scriptBlockLabels(script.lines.join('\n')), [['O', 'p', 'c', 'l', 'g', 'P', 'Q', 'R', 'M']]);
+});
+
+test('不能按序号取输出的命令跳过未命名输出时给出提示', () => {
+  const script = constructionToScript(`<geogebra><construction>
+<element type="point" label="O"><coords x="0" y="0" z="1"/></element>
+<element type="point" label="P"><coords x="3" y="0" z="1"/></element>
+<command name="Circle"><input a0="O" a1="1"/><output a0="c"/></command>
+<command name="Tangent"><input a0="P" a1="c"/><output a0="" a1="t"/></command>
+</construction></geogebra>`);
+  assert.deepEqual(script.lines.slice(3), [
+    '{t} = Tangent(P, c)',
+    '-- Tangent(P, c) 有未命名的输出，t 可能对应到别的输出'
+  ]);
+  assert.deepEqual(checkCommandScript(script.lines.join('\n')), []);
+});
+
+test('属性里的实体只解码一次', () => {
+  const script = constructionToScript(`<geogebra><construction>
+<expression label="s" exp="&quot;x &amp;lt; 1&quot;"/>
+<element type="text" label="s"/>
+</construction></geogebra>`);
+  assert.deepEqual(script.lines, ['s = "x &lt; 1"']);
+});
+
+test('还原出的脚本可通过签名校验', () => {
+  readdirSync(GOLDEN_DIR).forEach((name) => {
+    const text = formatBoardScript(constructionToScript(goldenInput(name)));
+    assert.deepEqual(checkCommandScript(text), [], name);
+  });
+});
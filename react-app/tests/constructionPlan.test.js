@@ -0,0 +1,116 @@
+// JSON 作图计划：解析、编译为命令、按签名表校验，以及请求体里的 response_format 与去掉它的重试
+import { afterEach, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  compileConstructionPlan,
+  parseConstructionPlan,
+  planResponseFormat,
+  validateConstructionPlan
+} from '../src/lib/constructionPlan.js';
+import { buildCompletionRequests, extractAssistantText, requestWithFallback } from '../src/lib/llm.js';
+import { getLlmAdapter } from '../src/lib/llmAdapters.js';
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+// 依次返回给定的 [状态码, 响应体]，记录每次请求体
+function stubFetch(replies) {
+  const bodies = [];
+  globalThis.fetch = async (url, init) => {
+    bodies.push(JSON.parse(init.body));
+    const [status, body] = replies[bodies.length - 1];
+    return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+  };
+  return bodies;
+}
+
+const REPLY = `\`\`\`json
+{"steps":[
+  {"label":"A","command":"","args":["(0, 0)"],"purpose":"顶点"},
+  {"label":"B","command":"","args":["(4, 0)"],"purpose":"顶点"},
+  {"label":"c","command":"Circle","args":["A","B"],"purpose":"以 A 为圆心过 B"},
+  {"label":"l","command":"","args":["y = x"],"purpose":"直线 y = x"},
+  {"label":"P, Q","command":"Intersect","args":["c","l"],"purpose":"两个交点"},
+  {"label":"f(x)","command":"","args":["x^2"],"purpose":"抛物线"}
+],"assumptions":["取 A 为原点"],"notes":""}
+\`\`\``;
+
+test('解析代码围栏中的计划并编译为逐行命令', () => {
+  const plan = parseConstructionPlan(REPLY);
+  assert.deepEqual(plan.assumptions, ['取 A 为原点']);
+  assert.equal(plan.notes, '');
+  assert.deepEqual(compileConstructionPlan(plan), [
+    'A = (0, 0)',
+    'B = (4, 0)',
+    'c = Circle(A, B)',
+    'l: y = x',
+    '{P, Q} = Intersect(c, l)',
+    'f(x) = x^2'
+  ]);
+  assert.throws(() => parseConstructionPlan('A = (0, 0)'), /不是 JSON 作图计划/);
+  assert.throws(() => parseConstructionPlan('{"plan": []}'), /缺少 steps/);
+});
+
+test('逐步校验：未定义引用、参数种类与签名表外的命令', () => {
+  const steps = validateConstructionPlan({
+    steps: [
+      { label: 'c', command: 'Circle', args: ['O', '2'], purpose: '' },
+      { label: 'M', command: 'Midpoint', args: ['c', '1'], purpose: '' },
+      { label: 'k', command: 'Incenter', args: ['A', 'B', 'C'], purpose: '' },
+      { label: '', command: '', args: [], purpose: '' }
+    ]
+  }, { O: 'point', A: 'point', B: 'point', C: 'point' });
+  assert.deepEqual(steps[0].issues, []);
+  assert.equal(steps[1].issues.length, 1);
+  assert.match(steps[2].issues[0], /Incenter 不在命令签名表中/);
+  assert.match(steps[3].issues[0], /步骤为空/);
+});
+
+test('json_schema / json_object 写入请求体，并保留不带 response_format 的重试', () => {
+  const schema = planResponseFormat('json_schema');
+  assert.equal(schema.json_schema.name, 'construction_plan');
+  assert.equal(planResponseFormat(undefined), null);
+
+  const requests = buildCompletionRequests('openai', 'https://api.example.com/v1', 'm', [], 0.3, 2000, false, schema);
+  assert.deepEqual(requests.map((r) => r.label), ['chat_completions', 'chat_completions_plain']);
+  assert.equal(requests[0].body.response_format, schema);
+  assert.ok(!('response_format' in JSON.parse(JSON.stringify(requests[1].body))));
+
+  const ark = buildCompletionRequests('doubao', 'https://ark.example.com', 'm', [], 0.3, 2000, false, schema);
+  assert.equal(ark[0].body.text.format.type, 'json_schema');
+  assert.equal(ark[0].body.text.format.name, 'construction_plan');
+  assert.equal(buildCompletionRequests('kimi', 'x', 'm', []).length, 1);
+});
+
+test('只有 response_format 被 400 拒绝时才去掉它重试，其余错误直接报告', async () => {
+  const responseFormat = planResponseFormat('json_object');
+  const request = () => requestWithFallback({ providerKey: 'openai', apiBase: 'http://mock', apiKey: 'k', model: 'm', messages: [], responseFormat });
+  const ok = { choices: [{ message: { content: '{"steps":[]}' } }] };
+
+  let bodies = stubFetch([[400, { error: { message: "Invalid parameter: 'response_format' is not supported with this model." } }], [200, ok]]);
+  assert.equal((await request()).via, 'chat_completions_plain');
+  assert.equal(bodies.length, 2);
+  assert.ok(!('response_format' in bodies[1]));
+
+  for (const [status, message] of [[401, 'Invalid API key'], [429, 'Rate limit reached'], [500, 'Internal error'], [400, 'messages: too long']]) {
+    bodies = stubFetch([[status, { error: { message } }], [200, ok]]);
+    await assert.rejects(request(), (e) => e.message === `chat_completions: ${message}`);
+    assert.equal(bodies.length, 1, String(status));
+  }
+});
+
+test('Anthropic 以强制工具调用约束 JSON 计划，工具参数即输出', () => {
+  const schema = planResponseFormat('json_schema');
+  const [req] = buildCompletionRequests('custom', 'https://api.example.com/v1', 'm', [], 0.3, 2000, false, schema, 'anthropic');
+  assert.deepEqual(req.body.tool_choice, { type: 'tool', name: 'construction_plan' });
+  assert.equal(req.body.tools[0].input_schema, schema.json_schema.schema);
+  assert.deepEqual(buildCompletionRequests('custom', 'x', 'm', [], 0.3, 2000, false, planResponseFormat('json_object'), 'anthropic')[0].body.tools[0].input_schema, { type: 'object' });
+  assert.ok(!('tools' in buildCompletionRequests('custom', 'x', 'm', [], 0.3, 2000, false, null, 'anthropic')[0].body));
+
+  const reply = { content: [{ type: 'tool_use', name: 'construction_plan', input: { steps: [], assumptions: [], notes: '' } }] };
+  assert.deepEqual(JSON.parse(extractAssistantText('custom', reply, 'anthropic')), { steps: [], assumptions: [], notes: '' });
+  const streamDelta = getLlmAdapter('anthropic').extractStreamDelta({ type: 'content_block_delta', delta: { type: 'input_json_delta', partial_json: '{"steps":' } });
+  assert.deepEqual(streamDelta, { content: '{"steps":' });
+});
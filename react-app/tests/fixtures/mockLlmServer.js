@@ -0,0 +1,106 @@
+// 测试用的本地模型服务：模拟 Anthropic /messages、Gemini generateContent（含 SSE 流式）
+// 与 Ollama /api/chat（NDJSON 流式）、/api/tags，
+// 记录每次请求的路径、请求头与请求体，供测试断言映射是否正确
+import { createServer } from 'node:http';
+
+function sendSSE(res, events) {
+  res.writeHead(200, { 'content-type': 'text/event-stream' });
+  events.forEach((event) => {
+    res.write(`${event.type ? `event: ${event.type}\n` : ''}data: ${JSON.stringify(event)}\n\n`);
+  });
+  res.end();
+}
+
+function sendJSON(res, status, data) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(data));
+}
+
+function anthropicReply(res, body, reply) {
+  if (!body.stream) {
+    sendJSON(res, 200, { type: 'message', role: 'assistant', content: [{ type: 'text', text: reply }] });
+    return;
+  }
+  const half = Math.ceil(reply.length / 2);
+  sendSSE(res, [
+    { type: 'message_start', message: { role: 'assistant', content: [] } },
+    { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } },
+    { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: '先定顶点' } },
+    { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: reply.slice(0, half) } },
+    { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: reply.slice(half) } },
+    { type: 'message_stop' }
+  ]);
+}
+
+function geminiReply(res, stream, reply) {
+  const chunk = (parts) => ({ candidates: [{ content: { role: 'model', parts } }] });
+  if (!stream) {
+    sendJSON(res, 200, chunk([{ text: '先定顶点', thought: true }, { text: reply }]));
+    return;
+  }
+  const half = Math.ceil(reply.length / 2);
+  sendSSE(res, [chunk([{ text: '先定顶点', thought: true }]), chunk([{ text: reply.slice(0, half) }]), chunk([{ text: reply.slice(half) }])]);
+}
+
+// Ollama 模型列表：llava 带 clip 视觉编码器，qwen2.5 为纯文本模型
+const OLLAMA_TAGS = {
+  models: [
+    { name: 'llava:7b', model: 'llava:7b', details: { family: 'llama', families: ['llama', 'clip'] } },
+    { name: 'qwen2.5:7b', model: 'qwen2.5:7b', details: { family: 'qwen2', families: ['qwen2'] } }
+  ]
+};
+
+function ollamaReply(res, body, reply) {
+  if (!body.stream) {
+    sendJSON(res, 200, { model: body.model, message: { role: 'assistant', content: reply, thinking: '先定顶点' }, done: true });
+    return;
+  }
+  const half = Math.ceil(reply.length / 2);
+  res.writeHead(200, { 'content-type': 'application/x-ndjson' });
+  [
+    { message: { role: 'assistant', content: '', thinking: '先定顶点' }, done: false },
+    { message: { role: 'assistant', content: reply.slice(0, half) }, done: false },
+    { message: { role: 'assistant', content: reply.slice(half) }, done: false },
+    { message: { role: 'assistant', content: '' }, done: true, done_reason: 'stop' }
+  ].forEach((line) => res.write(`${JSON.stringify({ model: body.model, ...line })}\n`));
+  res.end();
+}
+
+/**
+ * 启动模拟服务（端口由系统分配）。返回 { baseUrl, requests, close }；
+ * reply 为模型回复的正文
+ */
+export async function startMockLlmServer({ reply = 'A = (0, 0)' } = {}) {
+  const requests = [];
+  const server = createServer((req, res) => {
+    let raw = '';
+    req.on('data', (chunk) => {
+      raw += chunk;
+    });
+    req.on('end', () => {
+      const body = raw ? JSON.parse(raw) : {};
+      requests.push({ method: req.method, url: req.url, headers: req.headers, body });
+      const path = req.url.split('?')[0];
+      if (path === '/v1/messages') {
+        anthropicReply(res, body, reply);
+      } else if (/^\/v1beta\/models\/[^/]+:generateContent$/.test(path)) {
+        geminiReply(res, false, reply);
+      } else if (/^\/v1beta\/models\/[^/]+:streamGenerateContent$/.test(path)) {
+        geminiReply(res, true, reply);
+      } else if (path === '/api/chat') {
+        ollamaReply(res, body, reply);
+      } else if (path === '/api/tags') {
+        sendJSON(res, 200, OLLAMA_TAGS);
+      } else {
+        sendJSON(res, 404, { error: { message: `未知接口 ${req.method} ${req.url}` } });
+      }
+    });
+  });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  return {
+    baseUrl: `http://127.0.0.1:${port}`,
+    requests,
+    close: () => new Promise((resolve) => server.close(resolve))
+  };
+}
@@ -0,0 +1,102 @@
+// 命令签名校验：语法错误、参数个数、参数种类与未定义引用的行列定位
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkCommandScript, kindFromBoardType, scriptBlockLabels } from '../src/lib/ggbSignatures.js';
+
+function codesOf(script, known) {
+  return checkCommandScript(script, known).map((d) => `${d.lineNo}:${d.column}:${d.code}`);
+}
+
+test('合法脚本没有诊断', () => {
+  const script = [
+    'A = (1, 2)',
+    'B = (4, 1)',
+    '-- 注释行',
+    'l_{AB} = Line(A, B)',
+    'M = Midpoint(A, B)',
+    'c = Circle(M, 2π)',
+    'P = Intersect(l_{AB}, c, 1)',
+    'Q = Point(c, 0.3)',
+    'f(x) = 2x^2 + sin(x)',
+    'y = 2x + 1',
+    'poly = Polygon(A, B, P, Q)',
+    'g = AngleBisector(A, M, B)',
+    'c2: x^2 + y^2 = 4',
+    'O2 = Center(c2)',
+    'k = Curve(cos(t), sin(2t), t, 0, 2π)',
+    'K = Point(k)',
+    'loc = Locus(M, A)',
+    'L = Point(loc)',
+    "poly' = Rotate(poly, 60°, M)",
+    'c3 = Dilate(c, 2, A)',
+    'O3 = Center(c3)',
+    'E = Reflect(Translate(O3, Vector(A, B)), l_{AB})',
+    // 半圆、圆弧、扇形按圆锥曲线接受
+    'N = Center(Semicircle(A, B))',
+    'd = CircleArc(M, A, B)',
+    't = Tangent(A, d)',
+    'R = Midpoint(CircleSector(M, A, B))'
+  ].join('\n');
+  assert.deepEqual(codesOf(script), []);
+});
+
+test('参数个数与种类错误定位到命令或参数', () => {
+  const script = [
+    'A = (1, 2)',
+    'B = (3, 4)',
+    '  c = Circle(A)',
+    'l = Line(A, B)',
+    'd = Semicircle(A, l)',
+    'Polygon(A, B)'
+  ].join('\n');
+  assert.deepEqual(codesOf(script), ['3:7:arity', '5:19:kind', '6:1:arity']);
+});
+
+test('未定义引用可由画板已有对象补齐', () => {
+  assert.deepEqual(codesOf('c = Circle(O, r)'), ['1:12:undefined', '1:15:undefined']);
+  assert.deepEqual(codesOf('c = Circle(O, r)', { O: 'point', r: 'number' }), []);
+  // Curve 的自变量只在该命令内有效
+  assert.deepEqual(codesOf('k = Curve(t, t^2, t, 0, 1)\nm = t + 1'), ['2:5:undefined']);
+  // 画板种类未知时不做种类判断
+  assert.deepEqual(codesOf('t = Tangent(P, k)', { P: 'point', k: 'any' }), []);
+  assert.deepEqual(codesOf('N = Center(s)\nT = Point(s, 0.5)', { s: kindFromBoardType('semicircle') }), []);
+});
+
+test('列表命令的自变量只在命令内有效', () => {
+  const script = [
+    'L = Sequence((k, k^2), k, 1, 5)',
+    'n = Sum(k^2, k, 1, 10)',
+    'p = Product(1 + 1 / j, j, 1, 5)',
+    'M = Zip(Midpoint(P, Q), P, L, Q, L)',
+    'R = KeepIf(x(P) > 2, P, L)',
+    'c = CountIf(a > 3, a, {1, 5, 7})',
+    'I = IterationList(u + v, u, v, {1, 1}, 10)',
+    'S = Sequence(Sequence(i + j, j, 1, i), i, 1, 4)',
+    's = Sum(L)'
+  ].join('\n');
+  assert.deepEqual(codesOf(script), []);
+  assert.deepEqual(codesOf('L = Sequence(k, k, 1, 5)\nm = k + 1'), ['2:5:undefined']);
+  // Sum(列表, n) 的第二个参数不是自变量
+  assert.deepEqual(codesOf('s = Sum({1, 2, 3}, n)'), ['1:20:undefined']);
+});
+
+test('语法错误给出列号', () => {
+  assert.deepEqual(codesOf('A = (1, 2)\ns = Segment(A, )'), ['2:16:syntax']);
+  assert.deepEqual(codesOf('A = (1, 2)\nv = Circle(A, A'), ['2:11:syntax']);
+});
+
+test('按空行分段收集定义的对象名', () => {
+  const script = [
+    'A = (0, 0)',
+    'B = (4, 0)',
+    '',
+    '-- 注释不分段',
+    'f(x) = x^2',
+    'Polygon(A, B, (2, 3))',
+    'c2: x^2 + y^2 = 4',
+    '  ',
+    '',
+    'M = Midpoint(A, B'
+  ].join('\n');
+  assert.deepEqual(scriptBlockLabels(script), [['A', 'B'], ['f', 'c2']]);
+});
@@ -0,0 +1,45 @@
+// GeoGebra -> TikZ 回归测试：tests/golden/<用例>/input.xml 与 expected.json / expected.tex 逐字比对
+// 更新快照：npm run test:update（或 UPDATE_SNAPSHOTS=1 node --test tests/）
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, readdirSync, readFileSync, writeFileSync } from 'node:fs';
+import { convertGeoGebraXml } from '../src/lib/ggbToTikz.js';
+import { installDomParser } from '../bin/nodeDomParser.js';
+
+// GGBParser 依赖浏览器 DOMParser，Node 下用 linkedom 补齐
+installDomParser();
+
+const GOLDEN_DIR = new URL('./golden/', import.meta.url);
+const UPDATE_SNAPSHOTS = process.env.UPDATE_SNAPSHOTS === '1';
+
+function withTrailingNewline(text) {
+  return text.endsWith('\n') ? text : `${text}\n`;
+}
+
+function checkSnapshot(caseName, fileName, actual) {
+  const file = new URL(`${caseName}/${fileName}`, GOLDEN_DIR);
+  if (UPDATE_SNAPSHOTS) {
+    writeFileSync(file, actual, 'utf8');
+    return;
+  }
+  assert.ok(existsSync(file), `缺少快照 ${caseName}/${fileName}，请运行 npm run test:update 生成`);
+  assert.equal(actual, readFileSync(file, 'utf8'), `${caseName}/${fileName} 与快照不一致`);
+}
+
+const caseNames = readdirSync(GOLDEN_DIR, { withFileTypes: true })
+  .filter((entry) => entry.isDirectory())
+  .map((entry) => entry.name)
+  .sort();
+
+caseNames.forEach((caseName) => {
+  test(caseName, () => {
+    const xml = readFileSync(new URL(`${caseName}/input.xml`, GOLDEN_DIR), 'utf8');
+    // 可选 options.json：该用例额外的 TikZGenerator 选项
+    const optionsFile = new URL(`${caseName}/options.json`, GOLDEN_DIR);
+    const generatorOptions = existsSync(optionsFile) ? JSON.parse(readFileSync(optionsFile, 'utf8')) : {};
+    const { parsed, code } = convertGeoGebraXml(xml, { generatorOptions });
+    const semanticSnapshot = { structured: parsed.structured, semantics: parsed.semantics };
+    checkSnapshot(caseName, 'expected.json', withTrailingNewline(JSON.stringify(semanticSnapshot, null, 2)));
+    checkSnapshot(caseName, 'expected.tex', withTrailingNewline(code));
+  });
+});
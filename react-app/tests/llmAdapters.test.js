@@ -0,0 +1,135 @@
+// 模型接口适配层：Anthropic Messages、Gemini generateContent 与 Ollama /api/chat 的请求映射、鉴权头与（流式）响应解析
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { requestWithFallback } from '../src/lib/llm.js';
+import { registerLlmAdapter, resolveAdapterKey } from '../src/lib/llmAdapters.js';
+import { API_PROVIDERS, detectVisionModel } from '../src/lib/providers.js';
+import { startMockLlmServer } from './fixtures/mockLlmServer.js';
+
+const REPLY = 'A = (0, 0)\nB = (4, 0)';
+const server = await startMockLlmServer({ reply: REPLY });
+after(() => server.close());
+
+const MESSAGES = [
+  { role: 'system', content: '你是 GeoGebra 作图助手' },
+  {
+    role: 'user',
+    content: [
+      { type: 'text', text: '按图作出三角形' },
+      { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0KGgo=' } }
+    ]
+  },
+  { role: 'assistant', content: 'A = (0, 0)' },
+  { role: 'user', content: '继续' }
+];
+
+function lastRequest() {
+  return server.requests[server.requests.length - 1];
+}
+
+test('Anthropic：system 单独成字段，图片为 base64 块，密钥走 x-api-key', async () => {
+  for (const stream of [false, true]) {
+    const deltas = [];
+    const result = await requestWithFallback({
+      providerKey: 'custom_1',
+      adapter: 'anthropic',
+      apiBase: `${server.baseUrl}/v1`,
+      apiKey: 'sk-ant-test',
+      model: 'claude-test',
+      messages: MESSAGES,
+      stream,
+      onDelta: (d) => deltas.push(d)
+    });
+    assert.equal(result.content, REPLY);
+    assert.equal(result.via, 'messages');
+
+    const req = lastRequest();
+    assert.equal(req.url, '/v1/messages');
+    assert.equal(req.headers['x-api-key'], 'sk-ant-test');
+    assert.equal(req.headers['anthropic-version'], '2023-06-01');
+    assert.equal(req.headers.authorization, undefined);
+    assert.equal(req.body.system, '你是 GeoGebra 作图助手');
+    assert.deepEqual(req.body.messages.map((m) => m.role), ['user', 'assistant', 'user']);
+    assert.deepEqual(req.body.messages[0].content[1], {
+      type: 'image',
+      source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' }
+    });
+    if (stream) {
+      assert.equal(result.reasoning, '先定顶点');
+      assert.ok(deltas.length >= 2);
+    }
+  }
+});
+
+test('Gemini：assistant 映射为 model，图片为 inline_data，密钥走 x-goog-api-key', async () => {
+  for (const stream of [false, true]) {
+    const result = await requestWithFallback({
+      providerKey: 'custom_2',
+      adapter: 'gemini',
+      apiBase: `${server.baseUrl}/v1beta`,
+      apiKey: 'AIza-test',
+      model: 'models/gemini-test',
+      messages: MESSAGES,
+      stream,
+      responseFormat: { type: 'json_object' }
+    });
+    assert.equal(result.content, REPLY);
+
+    const req = lastRequest();
+    assert.equal(req.url, stream ? '/v1beta/models/gemini-test:streamGenerateContent?alt=sse' : '/v1beta/models/gemini-test:generateContent');
+    assert.equal(req.headers['x-goog-api-key'], 'AIza-test');
+    assert.equal(req.headers.authorization, undefined);
+    assert.deepEqual(req.body.systemInstruction, { parts: [{ text: '你是 GeoGebra 作图助手' }] });
+    assert.deepEqual(req.body.contents.map((c) => c.role), ['user', 'model', 'user']);
+    assert.deepEqual(req.body.contents[0].parts[1], { inline_data: { mime_type: 'image/png', data: 'iVBORw0KGgo=' } });
+    assert.equal(req.body.generationConfig.responseMimeType, 'application/json');
+    if (stream) assert.equal(result.reasoning, '先定顶点');
+  }
+});
+
+test('Ollama：无密钥时不带鉴权头，图片去掉 data URL 前缀，NDJSON 流式逐行解析', async () => {
+  for (const stream of [false, true]) {
+    const deltas = [];
+    const result = await requestWithFallback({
+      providerKey: 'ollama',
+      adapter: API_PROVIDERS.ollama.adapter,
+      apiBase: server.baseUrl,
+      apiKey: '',
+      model: 'llava:7b',
+      messages: MESSAGES,
+      stream,
+      responseFormat: { type: 'json_object' },
+      onDelta: (d) => deltas.push(d)
+    });
+    assert.equal(result.content, REPLY);
+    assert.equal(result.via, 'ollama_chat');
+
+    const req = lastRequest();
+    assert.equal(req.url, '/api/chat');
+    assert.equal(req.headers.authorization, undefined);
+    assert.equal(req.body.stream, stream);
+    assert.equal(req.body.format, 'json');
+    assert.deepEqual(req.body.messages.map((m) => m.role), ['system', 'user', 'assistant', 'user']);
+    assert.deepEqual(req.body.messages[1], { role: 'user', content: '按图作出三角形', images: ['iVBORw0KGgo='] });
+    if (stream) {
+      assert.equal(result.reasoning, '先定顶点');
+      assert.ok(deltas.length >= 2);
+    }
+  }
+});
+
+test('Ollama /api/tags 的模型按 families 识别是否支持图片', async () => {
+  const resp = await fetch(`${server.baseUrl}${API_PROVIDERS.ollama.modelsEndpoint}`);
+  const { models } = await resp.json();
+  assert.deepEqual(models.map((m) => [m.name, detectVisionModel(m)]), [['llava:7b', true], ['qwen2.5:7b', false]]);
+  assert.equal(detectVisionModel('qwen2.5vl:7b'), true);
+  assert.equal(detectVisionModel('deepseek-chat'), undefined);
+  assert.equal(detectVisionModel({ name: 'gemma3:4b', capabilities: ['completion'] }), false);
+});
+
+test('未声明接口类型时按服务商推断，注册适配器需提供完整接口', () => {
+  assert.equal(resolveAdapterKey('doubao', ''), 'ark');
+  assert.equal(resolveAdapterKey('custom_1', 'unknown'), 'openai');
+  assert.equal(resolveAdapterKey('custom_1', 'gemini'), 'gemini');
+  assert.throws(() => registerLlmAdapter('broken', { authHeaders: () => ({}) }), /缺少 buildRequests/);
+});
@@ -0,0 +1,90 @@
+// 流式响应：SSE 分帧（跨块拆分、\r\n 分隔、多行 data、[DONE]）、NDJSON 与错误事件
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readNDJSONStream, readSSEStream, requestWithFallback } from '../src/lib/llm.js';
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+// 按给定的字符串分块输出，模拟网络把事件拆在任意位置
+function chunkedResponse(chunks, contentType = 'text/event-stream') {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+      controller.close();
+    }
+  });
+  return new Response(body, { headers: { 'content-type': contentType } });
+}
+
+async function collectSSE(chunks) {
+  const events = [];
+  await readSSEStream(chunkedResponse(chunks), (event) => events.push(event));
+  return events;
+}
+
+function delta(content) {
+  return `data: ${JSON.stringify({ choices: [{ delta: { content } }] })}`;
+}
+
+test('事件跨块拆分、\\r\\n 分隔与多行 data 都能还原', async () => {
+  const first = `${delta('A = ')}\n\n`;
+  assert.deepEqual(
+    await collectSSE([first.slice(0, 7), first.slice(7, 20), first.slice(20), `${delta('(0, 0)')}\r\n\r\n`, 'data: {"a":\ndata: 1}\n\n']),
+    [{ choices: [{ delta: { content: 'A = ' } }] }, { choices: [{ delta: { content: '(0, 0)' } }] }, { a: 1 }]
+  );
+  // 多字节字符被拆在两个块之间
+  const bytes = new TextEncoder().encode(`${delta('圆')}\n\n`);
+  const body = new ReadableStream({
+    start(controller) {
+      controller.enqueue(bytes.slice(0, bytes.length - 5));
+      controller.enqueue(bytes.slice(bytes.length - 5));
+      controller.close();
+    }
+  });
+  const events = [];
+  await readSSEStream(new Response(body), (event) => events.push(event));
+  assert.equal(events[0].choices[0].delta.content, '圆');
+});
+
+test('[DONE] 之后的内容不再处理，注释行、event 行与坏 JSON 跳过', async () => {
+  const events = await collectSSE([': keep-alive\n\n', 'event: message\ndata: {"n":1}\n\n', 'data: {broken\n\n', 'data: [DONE]\n\n', 'data: {"n":2}\n\n']);
+  assert.deepEqual(events, [{ n: 1 }]);
+  // 最后一个事件没有结尾空行也不丢
+  assert.deepEqual(await collectSSE(['data: {"n":3}\n\n', 'data: {"n":4}']), [{ n: 3 }, { n: 4 }]);
+});
+
+test('NDJSON 逐行解析，行可跨块', async () => {
+  const events = [];
+  await readNDJSONStream(chunkedResponse(['{"n":1}\n{"n"', ':2}\r\n\n', '{"n":3}'], 'application/x-ndjson'), (e) => events.push(e));
+  assert.deepEqual(events, [{ n: 1 }, { n: 2 }, { n: 3 }]);
+});
+
+test('流式拼接正文与思考过程；开头的错误事件记为失败，输出中途出错直接抛出', async () => {
+  globalThis.fetch = async () => chunkedResponse([
+    `data: ${JSON.stringify({ choices: [{ delta: { reasoning_content: '先定点' } }] })}\n\n`,
+    `${delta('A = (0, 0)\n')}\n\n${delta('B = (1, 0)')}\n\n`,
+    'data: [DONE]\n\n'
+  ]);
+  const deltas = [];
+  const result = await requestWithFallback({
+    providerKey: 'openai', apiBase: 'http://mock', apiKey: 'k', model: 'm', messages: [], stream: true, onDelta: (d) => deltas.push(d.content)
+  });
+  assert.deepEqual(result, { content: 'A = (0, 0)\nB = (1, 0)', reasoning: '先定点', raw: null, via: 'chat_completions' });
+  assert.deepEqual(deltas, ['', 'A = (0, 0)\n', 'A = (0, 0)\nB = (1, 0)']);
+
+  globalThis.fetch = async () => chunkedResponse(['data: {"error":{"message":"额度不足"}}\n\n']);
+  await assert.rejects(
+    requestWithFallback({ providerKey: 'openai', apiBase: 'http://mock', apiKey: 'k', model: 'm', messages: [], stream: true }),
+    /chat_completions: 额度不足/
+  );
+
+  globalThis.fetch = async () => chunkedResponse([`${delta('A = ')}\n\n`, 'data: {"error":{"message":"连接中断"}}\n\n']);
+  await assert.rejects(
+    requestWithFallback({ providerKey: 'openai', apiBase: 'http://mock', apiKey: 'k', model: 'm', messages: [], stream: true }),
+    /^Error: 连接中断$/
+  );
+});
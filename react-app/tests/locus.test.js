@@ -0,0 +1,85 @@
+// 轨迹导出：借画板 API 采样点列、断点拆段与 Douglas-Peucker 化简
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { GGBParser, isLocusSampleObject } from '../src/lib/ggbParser.js';
+import { TikZGenerator } from '../src/lib/tikzGenerator.js';
+import { installDomParser } from '../bin/nodeDomParser.js';
+
+installDomParser();
+
+const XML = `<?xml version="1.0" encoding="utf-8"?>
+<geogebra format="5.0">
+<construction>
+<command name="Locus">
+	<input a0="P" a1="A"/>
+	<output a0="loc1"/>
+</command>
+<element type="locus" label="loc1">
+	<show object="true" label="false"/>
+	<objColor r="0" g="0" b="0" alpha="0"/>
+	<lineStyle thickness="5" type="0" typeHidden="1"/>
+</element>
+</construction>
+</geogebra>`;
+
+// 只实现 parseLocus 用到的 API：临时列表按 {n, x1..xn, y1..yn} 排布，无定义点的坐标为 NaN；existing 为画板上已有的对象名
+function fakeApplet(points, existing = []) {
+  const calls = [];
+  const values = [points.length, ...points.map((p) => (p ? p[0] : NaN)), ...points.map((p) => (p ? p[1] : NaN))];
+  return {
+    calls,
+    evalCommand: (cmd) => {
+      calls.push(`eval:${cmd}`);
+      return true;
+    },
+    exists: (name) => existing.includes(name),
+    getListValue: (name, index) => values[index - 1],
+    deleteObject: (name) => calls.push(`delete:${name}`),
+    setUndoPoint: () => calls.push('undo-point')
+  };
+}
+
+test('无画板时轨迹为空并输出注释', () => {
+  const parsed = new GGBParser(XML).parse();
+  assert.equal(parsed.structured.loci.length, 1);
+  assert.deepEqual(parsed.structured.loci[0].pieces, []);
+  const code = new TikZGenerator({ outputMode: 'tikz' }).generate(parsed);
+  assert.match(code, /% 轨迹 loc1: 未取得点列/);
+});
+
+test('无定义点与大跳跃处拆段，临时列表用后删除', () => {
+  const applet = fakeApplet([[0, 0], [0.1, 0], [0.2, 0], null, [1, 1], [1.1, 1], [1.2, 1], [5, 5], [5.1, 5]]);
+  const [locus] = new GGBParser(XML, { applet }).parse().structured.loci;
+  assert.deepEqual(locus.pieces.map((piece) => piece.length), [3, 3, 2]);
+  assert.deepEqual(applet.calls, [
+    'eval:ggbLocusPts_6cx6fx63x31 = Join({Length(First(loc1, 2000))}, x(First(loc1, 2000)), y(First(loc1, 2000)))',
+    'delete:ggbLocusPts_6cx6fx63x31'
+  ]);
+});
+
+test('按容差化简共线点并闭合首尾重合的轨迹', () => {
+  const square = [[0, 0], [0.5, 0], [1, 0], [1, 0.5], [1, 1], [0.5, 1], [0, 1], [0, 0.5], [0, 0]];
+  const applet = fakeApplet(square);
+  const parsed = new GGBParser(XML, { applet }).parse();
+  const code = new TikZGenerator({ outputMode: 'tikz', xmin: -1, xmax: 2, ymin: -1, ymax: 2 }).generate(parsed);
+  assert.match(code, /plot\[smooth cycle\] coordinates \{\(0,0\) \(1,0\) \(1,1\) \(0,1\)\}; % loc1/);
+});
+
+test('临时列表名按码位编码且避开已有对象，不设撤销点', () => {
+  const parser = new GGBParser(XML);
+  const applet = fakeApplet([], ['ggbLocusPts_8f68x8ff9x31']);
+  assert.equal(parser.locusSampleName(applet, '轨迹1'), 'ggbLocusPts_8f68x8ff9x31n1');
+  assert.equal(parser.locusSampleName(applet, '路径1'), 'ggbLocusPts_8defx5f84x31');
+  assert.notEqual(parser.locusSampleName(applet, 'loc_1'), parser.locusSampleName(applet, 'loc1'));
+
+  const sampled = fakeApplet([[0, 0], [1, 1]], ['ggbLocusPts_6cx6fx63x31']);
+  new GGBParser(XML, { applet: sampled }).parse();
+  assert.ok(sampled.calls[0].startsWith('eval:ggbLocusPts_6cx6fx63x31n1 = '));
+  assert.deepEqual(sampled.calls.slice(1), ['delete:ggbLocusPts_6cx6fx63x31n1']);
+});
+
+test('采样用的临时列表可被画板监听识别', () => {
+  assert.ok(isLocusSampleObject('ggbLocusPts_loc1'));
+  assert.ok(!isLocusSampleObject('loc1'));
+  assert.ok(!isLocusSampleObject(undefined));
+});
@@ -0,0 +1,69 @@
+// 项目文件：JSON / zip 导出与导入往返、格式校验，以及多标签页会话的崩溃判定
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { strToU8, unzipSync, zipSync } from 'fflate';
+import { bytesToBase64 } from '../src/lib/ggbFile.js';
+import {
+  findStaleSessions,
+  normalizeProject,
+  parseProjectFile,
+  serializeProjectJson,
+  serializeProjectZip
+} from '../src/lib/projectStore.js';
+
+const BOARD = bytesToBase64(zipSync({ 'geogebra.xml': strToU8('<geogebra><construction/></geogebra>') }));
+
+const PROJECT = normalizeProject({
+  id: 'p_local',
+  name: '三角形外接圆',
+  createdAt: 1700000000000,
+  updatedAt: 1700000500000,
+  board: BOARD,
+  editor: 'A = (0, 0)\nB = (4, 0)',
+  chatMessages: [{ role: 'user', text: '画外接圆', time: 1 }],
+  conversationHistory: [{ role: 'user', content: '画外接圆' }],
+  tikzCode: '\\begin{tikzpicture}\\end{tikzpicture}',
+  labelOverrides: { A: 'A_1' }
+});
+
+function withoutId({ id, ...rest }) {
+  return rest;
+}
+
+test('JSON 往返保留全部内容，导入时换新 id', () => {
+  const text = serializeProjectJson(PROJECT);
+  assert.equal(JSON.parse(text).format, 'ggb-tikz-project');
+  assert.ok(!('id' in JSON.parse(text)));
+  const imported = parseProjectFile(strToU8(text), 'a.json');
+  assert.deepEqual(withoutId(imported), withoutId(PROJECT));
+  assert.notEqual(imported.id, PROJECT.id);
+});
+
+test('zip 中画板单独存为 board.ggb，往返后与原项目一致', () => {
+  const bytes = serializeProjectZip(PROJECT);
+  const files = unzipSync(bytes);
+  assert.deepEqual(Object.keys(files).sort(), ['board.ggb', 'project.json']);
+  assert.equal(bytesToBase64(files['board.ggb']), BOARD);
+  assert.ok(!('board' in JSON.parse(new TextDecoder().decode(files['project.json']))));
+  assert.deepEqual(withoutId(parseProjectFile(bytes, 'a.zip')), withoutId(PROJECT));
+
+  const empty = parseProjectFile(serializeProjectZip({ ...PROJECT, board: '' }), 'b.zip');
+  assert.equal(empty.board, '');
+});
+
+test('拒绝非项目文件、过新版本与缺少 project.json 的压缩包', () => {
+  assert.throws(() => parseProjectFile(strToU8('not json'), 'x.json'), /x\.json 不是有效的项目 JSON/);
+  assert.throws(() => parseProjectFile(strToU8('{"format":"other"}'), 'x.json'), /不是本工具导出的项目文件/);
+  assert.throws(
+    () => parseProjectFile(strToU8(JSON.stringify({ format: 'ggb-tikz-project', version: 99 })), 'x.json'),
+    /项目格式版本过新（v99）/
+  );
+  assert.throws(() => parseProjectFile(zipSync({ 'other.txt': strToU8('x') }), 'x.zip'), /x\.zip 中未找到 project\.json/);
+});
+
+test('心跳超时的会话视为崩溃，仍在更新的其他标签页不算', () => {
+  const now = 1_000_000;
+  const sessions = { live: now - 1000, background: now - 60000, crashed: now - 120000, broken: 'x' };
+  assert.deepEqual(findStaleSessions(sessions, now, 90000), ['crashed', 'broken']);
+  assert.deepEqual(findStaleSessions({}, now, 90000), []);
+});
@@ -0,0 +1,71 @@
+// 安全表达式求值：文件中的曲线、隐式方程与参数表达式不经 new Function 执行
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileSafeExpression, isSafeExpression } from '../src/lib/safeExpression.js';
+import { TikZGenerator } from '../src/lib/tikzGenerator.js';
+import { convertGeoGebraXml } from '../src/lib/ggbToTikz.js';
+import { installDomParser } from '../bin/nodeDomParser.js';
+
+installDomParser();
+
+const HOSTILE = 'globalThis.process.stderr.write("PWNED")';
+
+test('数字、变量、运算符优先级与 Math 函数', () => {
+  assert.equal(compileSafeExpression('1 + 2 * 3 ** 2')(), 19);
+  assert.equal(compileSafeExpression('-x ** 2', ['x'])(3), -9);
+  assert.equal(compileSafeExpression('2 ** 3 ** 2')(), 512);
+  assert.equal(compileSafeExpression('Math.max(x, y) - Math.PI', ['x', 'y'])(1, 4), 4 - Math.PI);
+  assert.ok(Math.abs(compileSafeExpression('Math.sin((x))', ['x'])(Math.PI / 2) - 1) < 1e-12);
+  assert.equal(compileSafeExpression('1.5e2 % 7')(), 150 % 7);
+});
+
+test('其他标识符、属性访问与字符串一律拒绝', () => {
+  [HOSTILE, 'constructor', 'Math.constructor', 'x.y', 'Math["sin"](1)', '"a"', 'x = 1', 'Math.sin', '(1', '1 2'].forEach((src) => {
+    assert.equal(isSafeExpression(src, ['x']), false, src);
+  });
+  assert.throws(() => compileSafeExpression('y', ['x']), /不支持的标识符：y/);
+});
+
+test('生成器对文件中的恶意曲线表达式不求值', () => {
+  const generator = new TikZGenerator();
+  assert.equal(generator.toJsExpression(HOSTILE), null);
+  assert.equal(generator.buildExprEvaluator(HOSTILE), null);
+  assert.equal(generator.buildExprEvaluator('sin(x) + x^2')(0), 0);
+});
+
+test('参数表达式：只含数字与运算的才写成宏，恶意表达式取当前值', () => {
+  const generator = new TikZGenerator();
+  generator.params = {};
+  assert.equal(generator.isSimpleParamExpression('2π - 1'), true);
+  assert.equal(generator.isSimpleParamExpression(HOSTILE), false);
+  assert.equal(generator.isSimpleParamExpression('x + 1'), false);
+});
+
+test('隐式方程：恶意表达式被拒绝，正常方程照常采样', () => {
+  const generator = new TikZGenerator();
+  assert.equal(generator.buildImplicitEvaluator(HOSTILE, '0'), null);
+  assert.equal(generator.buildImplicitEvaluator('x^2 + y^2', 'Math.constructor'), null);
+  assert.equal(generator.buildImplicitEvaluator('x^2 + y^2', '4')(2, 0), 0);
+  assert.equal(generator.buildImplicitEvaluator('3x y', '1')(1, 1), 2);
+});
+
+test('整份文件转换时，曲线与隐式方程里的代码都不会执行', () => {
+  let calls = 0;
+  globalThis.__ggbProbe = () => {
+    calls++;
+    return 0;
+  };
+  const xml = `<geogebra><construction>
+<command name="Curve"><input a0="globalThis.__ggbProbe()" a1="t" a2="t" a3="0" a4="1"/><output a0="a"/></command>
+<element type="curvecartesian" label="a"><show object="true" label="false"/></element>
+<expression label="c" exp="globalThis.__ggbProbe() = 0"/>
+<element type="implicitpoly" label="c"><show object="true" label="false"/></element>
+</construction></geogebra>`;
+  try {
+    const { code } = convertGeoGebraXml(xml);
+    assert.equal(calls, 0);
+    assert.match(code, /隐式曲线 c: 无法求值/);
+  } finally {
+    delete globalThis.__ggbProbe;
+  }
+});
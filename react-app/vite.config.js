@@ -1,8 +1,58 @@
+import { fileURLToPath } from 'node:url';
+import { build as esbuild } from 'esbuild';
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 
+const LEGACY_GLOBALS_ENTRY = fileURLToPath(new URL('./src/lib/legacyGlobals.js', import.meta.url));
+const LEGACY_GLOBALS_FILE = 'legacy-globals.js';
+
+// 旧版页面以普通 <script> 加载，这里把 src 中的 ES 模块打成 IIFE，挂到 window，并保留 CommonJS 出口
+async function bundleLegacyGlobals() {
+  const result = await esbuild({
+    entryPoints: [LEGACY_GLOBALS_ENTRY],
+    bundle: true,
+    write: false,
+    format: 'iife',
+    globalName: 'GGBLegacyGlobals',
+    target: 'es2019',
+    footer: {
+      js: "if (typeof module !== 'undefined' && module.exports) module.exports = GGBLegacyGlobals;"
+    }
+  });
+  return result.outputFiles[0].text;
+}
+
+function legacyGlobalsPlugin() {
+  return {
+    name: 'legacy-globals',
+    configureServer(server) {
+      server.middlewares.use(async (req, res, next) => {
+        const pathname = String(req.url || '').split('?')[0];
+        if (!pathname.endsWith(`/${LEGACY_GLOBALS_FILE}`)) {
+          next();
+          return;
+        }
+        try {
+          const code = await bundleLegacyGlobals();
+          res.setHeader('Content-Type', 'application/javascript; charset=utf-8');
+          res.end(code);
+        } catch (e) {
+          next(e);
+        }
+      });
+    },
+    async generateBundle() {
+      this.emitFile({
+        type: 'asset',
+        fileName: LEGACY_GLOBALS_FILE,
+        source: await bundleLegacyGlobals()
+      });
+    }
+  };
+}
+
 export default defineConfig(({ command }) => ({
-  plugins: [react()],
+  plugins: [react(), legacyGlobalsPlugin()],
   // GitHub Pages 生产环境走项目子路径，本地开发走根路径。
   base: command === 'build' ? '/ggb_to_tikz/' : '/',
 }));